@@ -12,41 +12,181 @@ const cookieParser = require('cookie-parser');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const db = require('./db');
+const mailer = require('./mailer');
+const imageProcessing = require('./images');
+const fileStorage = require('./storage');
+const events = require('./events');
+const geo = require('./geo');
+const dataExport = require('./data-export');
+const { rateLimit, loginLockout, keys: rateLimitKeys, MemoryStore, SqliteStore } = require('./rate-limit');
 
 const app = express();
 const JWT_SECRET = process.env.JWT_SECRET || 'dev-secret-change-me';
+// Public base URL used to build links in emails
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+const PASSWORD_RESET_TTL_MS = (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const EMAIL_VERIFICATION_TTL_MS = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000;
+// Unverified accounts can't post rentals or comments; EMAIL_VERIFICATION_REQUIRED=false lifts that (local dev)
+const EMAIL_VERIFICATION_REQUIRED = process.env.EMAIL_VERIFICATION_REQUIRED !== 'false';
+
+// Behind a reverse proxy (Codespaces, nginx, ...) set TRUST_PROXY so req.ip is the client, not the proxy
+if (process.env.TRUST_PROXY) app.set('trust proxy', process.env.TRUST_PROXY);
 
 // Standard middleware
 app.use(express.json());
 app.use(cookieParser());
 
+// --- rate limits ---
+// Limits are configurable via env (see .env.example); a max of 0 disables that limiter.
+function envNumber(name, fallback) {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && process.env[name] !== '' ? value : fallback;
+}
+const rateLimitStore = process.env.RATE_LIMIT_STORE === 'sqlite' ? new SqliteStore(db) : new MemoryStore();
+const limits = {
+  // register / login / password reset requests per client IP
+  auth: rateLimit({
+    name: 'auth',
+    store: rateLimitStore,
+    max: envNumber('RATE_LIMIT_AUTH_MAX', 20),
+    windowMs: envNumber('RATE_LIMIT_AUTH_WINDOW_SECONDS', 15 * 60) * 1000
+  }),
+  // login attempts per account, whatever IP they come from
+  loginAccount: rateLimit({
+    name: 'login-account',
+    store: rateLimitStore,
+    key: rateLimitKeys.account,
+    max: envNumber('RATE_LIMIT_LOGIN_ACCOUNT_MAX', 10),
+    windowMs: envNumber('RATE_LIMIT_LOGIN_ACCOUNT_WINDOW_SECONDS', 15 * 60) * 1000
+  }),
+  // rentals, comments and likes per authenticated user (falls back to IP)
+  write: rateLimit({
+    name: 'write',
+    store: rateLimitStore,
+    key: rateLimitKeys.user,
+    max: envNumber('RATE_LIMIT_WRITE_MAX', 30),
+    windowMs: envNumber('RATE_LIMIT_WRITE_WINDOW_SECONDS', 60) * 1000
+  }),
+  // verification email resends per authenticated user
+  verifyEmail: rateLimit({
+    name: 'verify-email',
+    store: rateLimitStore,
+    key: rateLimitKeys.user,
+    max: envNumber('RATE_LIMIT_VERIFY_EMAIL_MAX', 3),
+    windowMs: envNumber('RATE_LIMIT_VERIFY_EMAIL_WINDOW_SECONDS', 60 * 60) * 1000
+  })
+};
+const lockout = loginLockout({
+  store: rateLimitStore,
+  threshold: envNumber('LOGIN_LOCKOUT_THRESHOLD', 5),
+  baseMs: envNumber('LOGIN_LOCKOUT_BASE_SECONDS', 60) * 1000,
+  maxMs: envNumber('LOGIN_LOCKOUT_MAX_SECONDS', 60 * 60) * 1000
+});
+
 // Serve static files only when running in non-test environments; tests don't need static assets
 if (process.env.NODE_ENV !== 'test') {
   app.use(express.static(path.join(__dirname, 'public')));
 }
 
-// Ensure uploads directory exists and configure multer
-const uploadsDir = path.join(__dirname, 'public', 'uploads');
-if (!fs.existsSync(uploadsDir)) fs.mkdirSync(uploadsDir, { recursive: true });
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const unique = Date.now() + '-' + Math.round(Math.random() * 1e9);
-    const safe = file.originalname.replace(/[^a-z0-9.\-_-]/gi, '_');
-    cb(null, `${unique}-${safe}`);
+// Uploads stay in memory until they have been validated and resized (see images.js); only the
+// processed variants are written, to whichever storage is configured (see storage.js).
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES } });
+const MAX_RENTAL_IMAGES = 6;
+
+// multer rejects an upload before the route runs (file too large, too many files, unknown file field);
+// answer those like any other validation error instead of letting them reach the 500 handler
+function uploadErrorMessage(err) {
+  if (err.code === 'LIMIT_FILE_SIZE') return `${err.field} files must be at most ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB`;
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' && err.field === 'images') return `a rental can have at most ${MAX_RENTAL_IMAGES} images`;
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') return `${err.field} does not accept files here`;
+  return err.message;
+}
+
+// rentals.images is a JSON array. Entries are either a plain URL (seeded external images) or a stored
+// image: { key } for uploads from before resizing, { key, width, height, variants: { thumb, card, full } }
+// for processed ones. Keys are resolved to URLs per response, so signed URLs are always fresh.
+function parseImages(json) {
+  try {
+    const images = JSON.parse(json || '[]');
+    return Array.isArray(images) ? images : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function imageUrl(image) {
+  return typeof image === 'string' ? image : fileStorage.getStorage().url(image.key);
+}
+
+// PATCH keepImages may name an image by its storage key or by the URL we handed out (query string
+// ignored, so an expired signed URL still identifies its image)
+function matchesImage(value, image) {
+  if (typeof image !== 'string' && value === image.key) return true;
+  return value.split('?')[0] === imageUrl(image).split('?')[0];
+}
+
+// What the UI renders: src is the card-sized variant, srcset lets the browser pick another
+function toPhoto(image) {
+  if (typeof image === 'string' || !image.variants) {
+    const url = imageUrl(image);
+    return { key: typeof image === 'string' ? null : image.key, src: url, srcset: null, thumb: url, full: url, width: null, height: null };
   }
-});
-const upload = multer({ storage, limits: { fileSize: 5 * 1024 * 1024 } });
+  const urlFor = key => fileStorage.getStorage().url(key);
+  return {
+    key: image.key,
+    src: urlFor(image.variants.card.key),
+    srcset: imageProcessing.srcset(image, urlFor),
+    thumb: urlFor(image.variants.thumb.key),
+    full: urlFor(image.variants.full.key),
+    width: image.width,
+    height: image.height
+  };
+}
+
+// images (URLs) and photos (srcset data) for a rental response
+function rentalImages(json) {
+  const images = parseImages(json);
+  return { images: images.map(imageUrl), photos: images.map(toPhoto) };
+}
+
+// Validate and resize uploaded files. Resolves with the processed images, or with { error } if one of
+// the files isn't a usable image (anything already stored for the request is removed again).
+async function processUploads(files) {
+  const processed = [];
+  try {
+    for (const file of files) {
+      const base = path.parse(file.originalname).name.replace(/[^a-z0-9\-_]/gi, '_').slice(0, 40);
+      const name = `${Date.now()}-${Math.round(Math.random() * 1e9)}-${base}`;
+      processed.push(await imageProcessing.processImage(file.buffer, { name, storage: fileStorage.getStorage() }));
+    }
+  } catch (err) {
+    removeStoredImages(processed);
+    if (err instanceof imageProcessing.InvalidImageError) return { error: err.message };
+    throw err;
+  }
+  return { images: processed };
+}
+
+// Delete every stored file (all variants) of the given images in the background.
+// External URLs (e.g. seeded picsum images) are left alone.
+function removeStoredImages(images) {
+  (images || [])
+    .filter(image => typeof image !== 'string')
+    .flatMap(image => (image.variants ? Object.values(image.variants).map(v => v.key) : [image.key]))
+    .forEach(key => {
+      fileStorage.getStorage().delete(key).catch(err => console.error('Failed to remove stored image', key, err.message));
+    });
+}
 
 // --- helpers for validation formatting ---
 function formatValidationErrors(result) {
-  return result.array().map(err => ({ field: err.param || 'body', message: err.msg }));
+  // express-validator 7 names the field `path` (older versions used `param`)
+  return result.array().map(err => ({ field: err.path || err.param || 'body', message: err.msg }));
 }
 function validateRequest(req, res, next) {
   const result = validationResult(req);
@@ -57,36 +197,125 @@ function validateRequest(req, res, next) {
 }
 
 // --- auth helpers ---
-function setAuthCookie(res, user) {
-  const payload = { sub: user.id, email: user.email };
-  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: '15m' });
+// Access tokens are short-lived JWTs tied to a server-side session (`sid`); refresh tokens are opaque,
+// single-use random strings stored hashed in refresh_tokens and rotated on every refresh.
+const ACCESS_TOKEN_TTL_MS = 15 * 60 * 1000;
+const REFRESH_TOKEN_TTL_MS = (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Scope the refresh cookie to the API so it isn't sent with static asset requests
+const REFRESH_COOKIE_OPTIONS = { httpOnly: true, sameSite: 'strict', path: '/api' };
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function setAuthCookie(res, user, sessionId) {
+  const payload = { sub: user.id, email: user.email, sid: sessionId };
+  const token = jwt.sign(payload, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL_MS / 1000 });
   // httpOnly cookie is safer vs XSS because JS cannot read it
-  res.cookie('token', token, { httpOnly: true, sameSite: 'lax', maxAge: 15 * 60 * 1000 });
+  res.cookie('token', token, { httpOnly: true, sameSite: 'lax', maxAge: ACCESS_TOKEN_TTL_MS });
   return token;
 }
-function authenticateJWT(req, res, next) {
+
+function issueRefreshToken(res, sessionId) {
+  const refreshToken = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+  db.run('INSERT INTO refresh_tokens (session_id, token_hash, expires_at) VALUES (?, ?, ?)', [sessionId, hashToken(refreshToken), expiresAt]);
+  res.cookie('refresh_token', refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS });
+  return refreshToken;
+}
+
+// Create a session for a freshly authenticated user and set both cookies
+function startSession(req, res, user) {
+  const sessionId = crypto.randomUUID();
+  db.run('INSERT INTO sessions (id, user_id, user_agent) VALUES (?, ?, ?)', [sessionId, user.id, req.get('user-agent') || null]);
+  const token = setAuthCookie(res, user, sessionId);
+  const refreshToken = issueRefreshToken(res, sessionId);
+  return { token, refreshToken };
+}
+
+function revokeSession(sessionId) {
+  return db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [sessionId]).changes;
+}
+function revokeAllSessions(userId) {
+  return db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND revoked_at IS NULL', [userId]).changes;
+}
+
+function clearAuthCookies(res) {
+  res.clearCookie('token', { httpOnly: true, sameSite: 'lax' });
+  res.clearCookie('refresh_token', REFRESH_COOKIE_OPTIONS);
+}
+
+function readAccessToken(req) {
+  if (req.cookies && req.cookies.token) return req.cookies.token;
+  if (req.headers && req.headers.authorization) {
+    const parts = req.headers.authorization.split(' ');
+    if (parts.length === 2 && parts[0].toLowerCase() === 'bearer') return parts[1];
+  }
+  return null;
+}
+function readRefreshToken(req) {
+  return (req.cookies && req.cookies.refresh_token) || (req.body && req.body.refreshToken) || null;
+}
+
+// The signed-in user behind a request: { user } or, when there is none, the { status, message } to answer with
+function verifyRequestUser(req) {
   try {
-    let token = null;
-    if (req.cookies && req.cookies.token) token = req.cookies.token;
-    else if (req.headers && req.headers.authorization) {
-      const parts = req.headers.authorization.split(' ');
-      if (parts.length === 2 && parts[0].toLowerCase() === 'bearer') token = parts[1];
-    }
-    if (!token) return res.status(401).json({ message: 'Missing token' });
+    const token = readAccessToken(req);
+    if (!token) return { status: 401, message: 'Missing token' };
 
     const payload = jwt.verify(token, JWT_SECRET);
-    req.user = { id: payload.sub, email: payload.email };
-    return next();
+    // the JWT alone is not enough: its session must still be active (logout / reuse detection revoke it)
+    const session = payload.sid && db.get(
+      'SELECT s.revoked_at, u.role, u.suspended_at, u.email_verified_at FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.id = ? AND s.user_id = ?',
+      [payload.sid, payload.sub]
+    );
+    if (!session || session.revoked_at) return { status: 401, message: 'Session has been revoked' };
+    if (session.suspended_at) return { status: 403, message: 'Account suspended' };
+
+    // role is read from the DB on every request so promotions / demotions apply immediately
+    return { user: { id: payload.sub, email: payload.email, sessionId: payload.sid, role: session.role, emailVerified: !!session.email_verified_at } };
   } catch (err) {
-    return res.status(401).json({ message: 'Invalid or expired token' });
+    return { status: 401, message: 'Invalid or expired token' };
   }
 }
 
+function authenticateJWT(req, res, next) {
+  const auth = verifyRequestUser(req);
+  if (!auth.user) return res.status(auth.status).json({ message: auth.message });
+  req.user = auth.user;
+  return next();
+}
+
+// For public routes that show a little more to signed-in users: sets req.user when the request has a
+// valid session and otherwise carries on anonymously (a missing or expired token is not an error here)
+function optionalAuth(req, res, next) {
+  const auth = verifyRequestUser(req);
+  if (auth.user) req.user = auth.user;
+  return next();
+}
+
+// Authorization: use after authenticateJWT, e.g. app.get(path, authenticateJWT, requireRole('admin'), ...)
+function requireRole(...roles) {
+  return function (req, res, next) {
+    if (!req.user || !roles.includes(req.user.role)) return res.status(403).json({ message: 'Insufficient permissions' });
+    return next();
+  };
+}
+
+// Posting needs a verified email: use after authenticateJWT on routes that publish content
+function requireVerifiedEmail(req, res, next) {
+  if (EMAIL_VERIFICATION_REQUIRED && !req.user.emailVerified) {
+    return res.status(403).json({ message: 'Verify your email address before posting' });
+  }
+  return next();
+}
+
 // -------------------- Routes --------------------
 
 // Register
 app.post(
   '/api/register',
+  limits.auth,
   [
     body('email').exists().withMessage('email is required').bail()
       .isEmail().withMessage('email must be a valid email address')
@@ -96,7 +325,7 @@ app.post(
     body('name').optional().trim().escape()
   ],
   validateRequest,
-  (req, res) => {
+  async (req, res) => {
     const { email, password, name } = req.body;
     const normalized = String(email).toLowerCase();
     const existing = db.get('SELECT id FROM users WHERE email = ?', [normalized]);
@@ -104,41 +333,452 @@ app.post(
 
     const password_hash = bcrypt.hashSync(password, 10);
     const result = db.run('INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)', [normalized, password_hash, name || null]);
-    const user = db.get('SELECT id, email, name, created_at FROM users WHERE id = ?', [result.lastInsertRowid]);
+    const user = db.get('SELECT id, email, name, created_at, email_verified_at FROM users WHERE id = ?', [result.lastInsertRowid]);
+    await sendVerificationEmail(user);
     return res.status(201).json({ user });
   }
 );
 
+// --- email verification ---
+// The link carries a signed token (JWT with purpose 'verify-email') naming the user and the address it
+// was sent to, so it stops working once the account's email changes. Verifying twice is harmless.
+async function sendVerificationEmail(user) {
+  const token = jwt.sign({ sub: user.id, email: user.email, purpose: 'verify-email' }, JWT_SECRET, { expiresIn: EMAIL_VERIFICATION_TTL_MS / 1000 });
+  const hours = Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000);
+  try {
+    await mailer.sendMail({
+      to: user.email,
+      subject: 'Verify your email address',
+      text: `Hi ${user.name || 'there'},\n\nWelcome to Rents! Open this link within ${hours} hours to verify your email address:\n\n` +
+        `${APP_URL}/verify-email.html?token=${token}\n\n` +
+        'You can browse right away; posting rentals and comments needs a verified address.'
+    });
+  } catch (err) {
+    // the account exists either way; the user can ask for another link
+    console.error('Failed to send verification email:', err && err.message ? err.message : err);
+  }
+}
+
+app.get(
+  '/api/verify-email',
+  limits.auth,
+  [ query('token').exists().withMessage('token is required').bail().isString().withMessage('token must be a string') ],
+  validateRequest,
+  (req, res) => {
+    let payload;
+    try {
+      payload = jwt.verify(req.query.token, JWT_SECRET);
+    } catch (err) {
+      payload = null;
+    }
+    if (!payload || payload.purpose !== 'verify-email') return res.status(400).json({ message: 'Invalid or expired verification link' });
+
+    const user = db.get('SELECT id, email, email_verified_at FROM users WHERE id = ?', [payload.sub]);
+    if (!user || user.email !== payload.email) return res.status(400).json({ message: 'Invalid or expired verification link' });
+    if (!user.email_verified_at) db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    return res.json({ message: 'Email verified', email: user.email });
+  }
+);
+
+// Send the verification link again (throttled per user by limits.verifyEmail)
+app.post('/api/verify-email/resend', authenticateJWT, limits.verifyEmail, async (req, res) => {
+  const user = db.get('SELECT id, email, name, email_verified_at FROM users WHERE id = ?', [req.user.id]);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+  if (user.email_verified_at) return res.status(409).json({ message: 'Email already verified' });
+
+  await sendVerificationEmail(user);
+  return res.json({ message: 'Verification email sent' });
+});
+
 // Login
 app.post(
   '/api/login',
+  limits.auth,
   [
     body('email').exists().withMessage('email is required').bail().isEmail().withMessage('email must be valid').trim().normalizeEmail(),
     body('password').exists().withMessage('password is required')
   ],
   validateRequest,
+  limits.loginAccount,
+  lockout.check,
   (req, res) => {
     const { email, password } = req.body;
     const normalized = String(email).toLowerCase();
-    const user = db.get('SELECT id, email, password_hash, name FROM users WHERE email = ?', [normalized]);
-    if (!user) return res.status(401).json({ message: 'Invalid credentials' });
+    const user = db.get('SELECT id, email, password_hash, name, suspended_at FROM users WHERE email = ?', [normalized]);
+    // failures count against the account even when it doesn't exist, so lockouts don't reveal which emails are registered
+    const match = user ? bcrypt.compareSync(password, user.password_hash) : false;
+    if (!match) {
+      lockout.recordFailure(normalized);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+    lockout.recordSuccess(normalized);
+    if (user.suspended_at) return res.status(403).json({ message: 'Account suspended' });
+
+    const { token, refreshToken } = startSession(req, res, user);
+    return res.json({ message: 'Logged in', token, refreshToken });
+  }
+);
+
+// Exchange a refresh token (cookie, or `refreshToken` in the body for non-browser clients) for a new
+// access token. The presented token is spent and replaced; presenting a spent token again means it was
+// copied, so the whole session is revoked.
+app.post('/api/token/refresh', (req, res) => {
+  const presented = readRefreshToken(req);
+  if (!presented) return res.status(401).json({ message: 'Missing refresh token' });
+
+  const row = db.get(
+    `SELECT rt.id, rt.session_id, rt.expires_at, rt.used_at, s.user_id, s.revoked_at
+     FROM refresh_tokens rt JOIN sessions s ON s.id = rt.session_id
+     WHERE rt.token_hash = ?`,
+    [hashToken(presented)]
+  );
+  if (!row) {
+    clearAuthCookies(res);
+    return res.status(401).json({ message: 'Invalid refresh token' });
+  }
+  if (row.used_at) {
+    revokeSession(row.session_id);
+    clearAuthCookies(res);
+    return res.status(401).json({ message: 'Refresh token reuse detected; session revoked' });
+  }
+  if (row.revoked_at || new Date(row.expires_at) <= new Date()) {
+    clearAuthCookies(res);
+    return res.status(401).json({ message: 'Session expired' });
+  }
+  const user = db.get('SELECT id, email FROM users WHERE id = ? AND suspended_at IS NULL', [row.user_id]);
+  if (!user) {
+    clearAuthCookies(res);
+    return res.status(401).json({ message: 'Invalid refresh token' });
+  }
+
+  const rotated = db._raw.transaction(() => {
+    // `used_at IS NULL` makes spending the token atomic even if two refreshes race
+    const spent = db.run('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL', [row.id]);
+    if (spent.changes !== 1) return null;
+    db.run('UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [row.session_id]);
+    return issueRefreshToken(res, row.session_id);
+  })();
+  if (!rotated) return res.status(401).json({ message: 'Invalid refresh token' });
+
+  const token = setAuthCookie(res, user, row.session_id);
+  return res.json({ message: 'Token refreshed', token, refreshToken: rotated });
+});
+
+// Logout: revoke the current session. Works with an expired access token as long as the
+// refresh cookie (or a still-verifiable access token) identifies the session.
+app.post('/api/logout', (req, res) => {
+  let sessionId = null;
+  const presented = readRefreshToken(req);
+  if (presented) {
+    const row = db.get('SELECT session_id FROM refresh_tokens WHERE token_hash = ?', [hashToken(presented)]);
+    if (row) sessionId = row.session_id;
+  }
+  const accessToken = readAccessToken(req);
+  if (!sessionId && accessToken) {
+    try {
+      sessionId = jwt.verify(accessToken, JWT_SECRET, { ignoreExpiration: true }).sid || null;
+    } catch (err) { /* not our token: nothing to revoke */ }
+  }
+  if (sessionId) revokeSession(sessionId);
+  clearAuthCookies(res);
+  return res.json({ message: 'Logged out' });
+});
+
+// Log out all devices: revoke every session of the current user, including this one
+app.post('/api/logout/all', authenticateJWT, (req, res) => {
+  const revoked = revokeAllSessions(req.user.id);
+  clearAuthCookies(res);
+  return res.json({ message: 'Logged out of all devices', revoked });
+});
 
-    const match = bcrypt.compareSync(password, user.password_hash);
-    if (!match) return res.status(401).json({ message: 'Invalid credentials' });
+// Forgot password: email a single-use reset link. The response is the same whether or not the
+// address has an account, so this endpoint can't be used to discover registered emails.
+app.post(
+  '/api/password/forgot',
+  limits.auth,
+  [ body('email').exists().withMessage('email is required').bail().isEmail().withMessage('email must be valid').trim().normalizeEmail() ],
+  validateRequest,
+  async (req, res) => {
+    const normalized = String(req.body.email).toLowerCase();
+    const user = db.get('SELECT id, email, name FROM users WHERE email = ?', [normalized]);
+    if (user) {
+      const token = crypto.randomBytes(32).toString('base64url');
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString();
+      db._raw.transaction(() => {
+        // only the newest link works
+        db.run('UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [user.id]);
+        db.run('INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)', [user.id, hashToken(token), expiresAt]);
+      })();
+      const minutes = Math.round(PASSWORD_RESET_TTL_MS / 60000);
+      try {
+        await mailer.sendMail({
+          to: user.email,
+          subject: 'Reset your password',
+          text: `Hi ${user.name || 'there'},\n\nSomeone (hopefully you) asked to reset the password for this account.\n` +
+            `Open this link within ${minutes} minutes to choose a new one:\n\n${APP_URL}/reset-password.html?token=${token}\n\n` +
+            'If you did not ask for this, you can ignore this email; your password has not changed.'
+        });
+      } catch (err) {
+        // don't reveal the failure (it would reveal that the account exists); the user can simply retry
+        console.error('Failed to send password reset email:', err && err.message ? err.message : err);
+      }
+    }
+    return res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+  }
+);
+
+// Reset password with a token from the email. Spends the token and revokes all existing sessions.
+app.post(
+  '/api/password/reset',
+  limits.auth,
+  [
+    body('token').exists().withMessage('token is required').bail().isString().withMessage('token must be a string'),
+    body('password').exists().withMessage('password is required').bail()
+      .isLength({ min: 8 }).withMessage('password must be at least 8 characters')
+  ],
+  validateRequest,
+  (req, res) => {
+    const { token, password } = req.body;
+    const reset = db.get('SELECT id, user_id, expires_at, used_at FROM password_resets WHERE token_hash = ?', [hashToken(token)]);
+    if (!reset || reset.used_at || new Date(reset.expires_at) <= new Date()) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
 
-    const token = setAuthCookie(res, user);
-    return res.json({ message: 'Logged in', token });
+    const password_hash = bcrypt.hashSync(password, 10);
+    db._raw.transaction(() => {
+      db.run('UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [reset.user_id]);
+      db.run('UPDATE users SET password_hash = ? WHERE id = ?', [password_hash, reset.user_id]);
+      revokeAllSessions(reset.user_id);
+    })();
+    clearAuthCookies(res);
+    return res.json({ message: 'Password updated. Please log in with your new password.' });
   }
 );
 
+// --- account ---
+// The signed-in user's own account: profile fields, avatar, email change, password and deletion.
+// Public profiles (GET /api/users/:id) show name, bio and avatar but never the email.
+const MAX_NAME_LENGTH = 100;
+const MAX_BIO_LENGTH = 500;
+const EMAIL_CHANGE_TTL_MS = (Number(process.env.EMAIL_CHANGE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// users.avatar is one stored image (JSON), answered with its URLs like a rental photo
+function parseAvatar(json) {
+  try {
+    return json ? JSON.parse(json) : null;
+  } catch (e) {
+    return null;
+  }
+}
+function avatarPhoto(json) {
+  const image = parseAvatar(json);
+  return image ? toPhoto(image) : null;
+}
+
+// The address waiting for confirmation, if a change was requested and its link hasn't expired
+function pendingEmail(userId) {
+  const row = db.get(
+    'SELECT email FROM email_changes WHERE user_id = ? AND used_at IS NULL AND expires_at > ? ORDER BY id DESC LIMIT 1',
+    [userId, new Date().toISOString()]
+  );
+  return row ? row.email : null;
+}
+
+function accountById(userId) {
+  const user = db.get('SELECT id, email, email_verified_at, name, bio, avatar, role, created_at FROM users WHERE id = ?', [userId]);
+  if (!user) return null;
+  return { ...user, avatar: avatarPhoto(user.avatar), pending_email: pendingEmail(userId) };
+}
+
+// Email a confirmation link to the new address; the account keeps its current email until it is opened
+async function requestEmailChange(user, email) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + EMAIL_CHANGE_TTL_MS).toISOString();
+  db._raw.transaction(() => {
+    // only the newest link works
+    db.run('UPDATE email_changes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [user.id]);
+    db.run('INSERT INTO email_changes (user_id, email, token_hash, expires_at) VALUES (?, ?, ?, ?)', [user.id, email, hashToken(token), expiresAt]);
+  })();
+  const hours = Math.round(EMAIL_CHANGE_TTL_MS / 3600000);
+  try {
+    await mailer.sendMail({
+      to: email,
+      subject: 'Confirm your new email address',
+      text: `Hi ${user.name || 'there'},\n\nSomeone (hopefully you) asked to use this address for their Rents account.\n` +
+        `Open this link within ${hours} hours to confirm it:\n\n${APP_URL}/confirm-email.html?token=${token}\n\n` +
+        'If you did not ask for this, you can ignore this email; nothing will change.'
+    });
+  } catch (err) {
+    // the request stays pending; saving the address again sends a fresh link
+    console.error('Failed to send email change confirmation:', err && err.message ? err.message : err);
+  }
+}
+
+// Remove a user and everything they own: listings (with their comments, likes and files), their own
+// comments, likes, todos, collections, conversations, bookings, reviews, notifications, sessions, data exports and avatar.
+// Threads they started go with their replies (comments.user_id cascades); their replies elsewhere are
+// removed like a normal delete. Dependent rows are removed explicitly, as in deleteRental.
+function deleteAccount(userId) {
+  const user = db.get('SELECT id, avatar FROM users WHERE id = ?', [userId]);
+  db._raw.transaction(() => {
+    db.all('SELECT id, images FROM rentals WHERE owner_id = ?', [userId]).forEach(deleteRental);
+    db.all('SELECT id, parent_id FROM comments WHERE user_id = ? AND parent_id IS NOT NULL', [userId])
+      .forEach(reply => deleteComment(reply, null));
+    const threads = db.all('SELECT id FROM comments WHERE user_id = ? OR parent_id IN (SELECT id FROM comments WHERE user_id = ?)', [userId, userId]);
+    closeOpenReports('comment', threads.map(c => c.id), null, 'Content deleted');
+    db.run('DELETE FROM comments WHERE parent_id IN (SELECT id FROM comments WHERE user_id = ?)', [userId]);
+    db.run('DELETE FROM comments WHERE user_id = ?', [userId]);
+    db.run('DELETE FROM likes WHERE user_id = ?', [userId]);
+    db.run('DELETE FROM todos WHERE user_id = ?', [userId]);
+    db.run('DELETE FROM collection_items WHERE collection_id IN (SELECT id FROM collections WHERE user_id = ?)', [userId]);
+    db.run('DELETE FROM collections WHERE user_id = ?', [userId]);
+    const conversations = 'SELECT id FROM conversations WHERE owner_id = ? OR renter_id = ?';
+    db.run(`DELETE FROM notifications WHERE conversation_id IN (${conversations})`, [userId, userId]);
+    db.run(`DELETE FROM messages WHERE conversation_id IN (${conversations})`, [userId, userId]);
+    db.run('DELETE FROM conversations WHERE owner_id = ? OR renter_id = ?', [userId, userId]);
+    db.run('DELETE FROM bookings WHERE owner_id = ? OR renter_id = ?', [userId, userId]);
+    db.run('DELETE FROM reviews WHERE owner_id = ? OR renter_id = ?', [userId, userId]);
+    db.run('DELETE FROM notifications WHERE user_id = ? OR actor_id = ?', [userId, userId]);
+    db.run('DELETE FROM notification_preferences WHERE user_id = ?', [userId]);
+    db.run('DELETE FROM reports WHERE reporter_id = ?', [userId]);
+    // moderation history stays, without the moderator's account
+    db.run('UPDATE reports SET resolved_by = NULL WHERE resolved_by = ?', [userId]);
+    db.run('UPDATE moderation_log SET actor_id = NULL WHERE actor_id = ?', [userId]);
+    db.run('DELETE FROM refresh_tokens WHERE session_id IN (SELECT id FROM sessions WHERE user_id = ?)', [userId]);
+    db.run('DELETE FROM sessions WHERE user_id = ?', [userId]);
+    db.run('DELETE FROM password_resets WHERE user_id = ?', [userId]);
+    db.run('DELETE FROM email_changes WHERE user_id = ?', [userId]);
+    dataExport.removeUserExports(userId);
+    db.run('DELETE FROM users WHERE id = ?', [userId]);
+  })();
+  removeStoredImages([parseAvatar(user && user.avatar)].filter(Boolean));
+}
+
+const currentPasswordBody = body('currentPassword').exists().withMessage('currentPassword is required').bail().isString().withMessage('currentPassword must be a string');
+
 // Me
 app.get('/api/me', authenticateJWT, (req, res) => {
-  const userId = req.user && req.user.id;
-  const user = db.get('SELECT id, email, name, created_at FROM users WHERE id = ?', [userId]);
+  const user = accountById(req.user.id);
   if (!user) return res.status(404).json({ message: 'User not found' });
   return res.json({ user });
 });
 
+// Update name, bio, avatar (multipart field `avatar`, or removeAvatar=true) and email. A new email only
+// takes effect once the link sent to it is opened (POST /api/me/email/confirm).
+app.patch('/api/me', authenticateJWT, limits.write, upload.single('avatar'), [
+  body('name').optional({ values: 'null' }).isLength({ max: MAX_NAME_LENGTH }).withMessage(`name must be at most ${MAX_NAME_LENGTH} characters`).trim().escape(),
+  body('bio').optional({ values: 'null' }).isLength({ max: MAX_BIO_LENGTH }).withMessage(`bio must be at most ${MAX_BIO_LENGTH} characters`).trim().escape(),
+  body('email').optional().isEmail().withMessage('email must be a valid email address').trim().normalizeEmail(),
+  body('removeAvatar').optional().isBoolean().withMessage('removeAvatar must be true or false').toBoolean()
+], validateRequest, async (req, res, next) => {
+  const user = db.get('SELECT id, email, name, avatar FROM users WHERE id = ?', [req.user.id]);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+  const { name, bio, email, removeAvatar } = req.body;
+
+  const newEmail = typeof email !== 'undefined' ? String(email).toLowerCase() : null;
+  if (newEmail && newEmail !== user.email && db.get('SELECT id FROM users WHERE email = ?', [newEmail])) {
+    return res.status(409).json({ message: 'Email already registered' });
+  }
+
+  const updates = [];
+  const params = [];
+  if (typeof name !== 'undefined') { updates.push('name = ?'); params.push(name || null); }
+  if (typeof bio !== 'undefined') { updates.push('bio = ?'); params.push(bio || null); }
+  let oldAvatar = null;
+  if (req.file) {
+    let processed;
+    try {
+      processed = await processUploads([req.file]);
+    } catch (err) {
+      return next(err);
+    }
+    if (processed.error) return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'avatar', message: processed.error }] });
+    updates.push('avatar = ?');
+    params.push(JSON.stringify(processed.images[0]));
+    oldAvatar = user.avatar;
+  } else if (removeAvatar) {
+    updates.push('avatar = NULL');
+    oldAvatar = user.avatar;
+  }
+  if (updates.length === 0 && !newEmail) return res.status(400).json({ message: 'Nothing to update' });
+
+  if (updates.length) db.run(`UPDATE users SET ${updates.join(', ')} WHERE id = ?`, [...params, user.id]);
+  removeStoredImages([parseAvatar(oldAvatar)].filter(Boolean));
+  if (newEmail === user.email) {
+    // asking for the current address again cancels a pending change
+    db.run('UPDATE email_changes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [user.id]);
+  } else if (newEmail) {
+    await requestEmailChange({ ...user, name: typeof name !== 'undefined' ? name : user.name }, newEmail);
+  }
+  return res.json({ user: accountById(user.id) });
+});
+
+// Confirm an email change with the token from the link sent to the new address. Works signed out too,
+// since the link may well be opened on another device.
+app.post(
+  '/api/me/email/confirm',
+  limits.auth,
+  [ body('token').exists().withMessage('token is required').bail().isString().withMessage('token must be a string') ],
+  validateRequest,
+  (req, res) => {
+    const change = db.get('SELECT id, user_id, email, expires_at, used_at FROM email_changes WHERE token_hash = ?', [hashToken(req.body.token)]);
+    if (!change || change.used_at || new Date(change.expires_at) <= new Date()) {
+      return res.status(400).json({ message: 'Invalid or expired confirmation link' });
+    }
+    // someone may have registered the address since the change was requested
+    const taken = db.get('SELECT id FROM users WHERE email = ? AND id != ?', [change.email, change.user_id]);
+    if (taken) return res.status(409).json({ message: 'Email already registered' });
+
+    db._raw.transaction(() => {
+      db.run('UPDATE email_changes SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [change.user_id]);
+      // opening the link proves the new address, so it counts as verified
+      db.run('UPDATE users SET email = ?, email_verified_at = CURRENT_TIMESTAMP WHERE id = ?', [change.email, change.user_id]);
+    })();
+    return res.json({ message: 'Email updated', email: change.email });
+  }
+);
+
+// Change the password. Needs the current one; other sessions are logged out, this one stays.
+app.post(
+  '/api/me/password',
+  authenticateJWT,
+  limits.auth,
+  [
+    currentPasswordBody,
+    body('newPassword').exists().withMessage('newPassword is required').bail()
+      .isLength({ min: 8 }).withMessage('newPassword must be at least 8 characters')
+  ],
+  validateRequest,
+  (req, res) => {
+    const user = db.get('SELECT id, password_hash FROM users WHERE id = ?', [req.user.id]);
+    if (!user) return res.status(404).json({ message: 'User not found' });
+    if (!bcrypt.compareSync(req.body.currentPassword, user.password_hash)) {
+      return res.status(403).json({ message: 'Current password is incorrect' });
+    }
+
+    const password_hash = bcrypt.hashSync(req.body.newPassword, 10);
+    const revoked = db._raw.transaction(() => {
+      db.run('UPDATE users SET password_hash = ? WHERE id = ?', [password_hash, user.id]);
+      db.run('UPDATE password_resets SET used_at = CURRENT_TIMESTAMP WHERE user_id = ? AND used_at IS NULL', [user.id]);
+      return db.run('UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id != ? AND revoked_at IS NULL', [user.id, req.user.sessionId]).changes;
+    })();
+    return res.json({ message: 'Password updated', revoked });
+  }
+);
+
+// Delete the account and all of its data (see deleteAccount). Needs the current password.
+app.delete('/api/me', authenticateJWT, limits.auth, [ currentPasswordBody ], validateRequest, (req, res) => {
+  const user = db.get('SELECT id, password_hash FROM users WHERE id = ?', [req.user.id]);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+  if (!bcrypt.compareSync(req.body.currentPassword, user.password_hash)) {
+    return res.status(403).json({ message: 'Current password is incorrect' });
+  }
+
+  deleteAccount(user.id);
+  clearAuthCookies(res);
+  return res.json({ message: 'Account deleted' });
+});
+
 // Create todo
 app.post(
   '/api/todos',
@@ -160,102 +800,658 @@ app.post(
 
 // -------------------- Rentals feed & interactions --------------------
 
-// Get feed: list recent rentals with owner, images, likes count and recent comments
-app.get('/api/feed', (req, res) => {
-  // Support pagination: ?offset=0&limit=10
-  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 50);
-  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+// --- rental attributes ---
+// Typed details next to the free-text description. NULL columns mean "not stated" and come out as null.
+const RENTAL_AMENITIES = ['parking', 'laundry', 'dishwasher', 'air_conditioning', 'heating', 'balcony', 'garden', 'elevator', 'gym', 'pool', 'wifi', 'wheelchair_access'];
+const RENTAL_NUMBERS = ['bedrooms', 'bathrooms', 'square_feet', 'lease_months'];
+const RENTAL_FLAGS = ['furnished', 'pets_allowed', 'utilities_included'];
+// latitude / longitude: sent by the owner, or looked up from `location` in the places table (see geo.js)
+const RENTAL_COORDINATES = ['latitude', 'longitude'];
+const RENTAL_ATTRIBUTE_COLUMNS = [...RENTAL_NUMBERS, ...RENTAL_FLAGS, ...RENTAL_COORDINATES].map(column => `r.${column}`).join(', ');
 
-  const rows = db.all(
-    `SELECT r.id, r.title, r.description, r.price, r.location, r.images, r.owner_id, r.created_at, u.name as owner_name
-     FROM rentals r
-     JOIN users u ON r.owner_id = u.id
-     ORDER BY r.id DESC
-     LIMIT ? OFFSET ?`,
-    [limit, offset]
-  );
+// Multipart forms send strings: a list can be a JSON array, comma-separated or a repeated field
+function parseList(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    const parsed = JSON.parse(value);
+    if (Array.isArray(parsed)) return parsed;
+  } catch (e) { /* not JSON */ }
+  return value.split(',').map(v => v.trim()).filter(Boolean);
+}
 
-  const totalRow = db.get('SELECT COUNT(*) as count FROM rentals');
-  const total = totalRow ? totalRow.count : 0;
+// Validators for the attribute fields of POST / PATCH /api/rentals (all optional; null clears one on PATCH)
+const rentalAttributeBody = [
+  body('bedrooms').optional({ values: 'null' }).isInt({ min: 0, max: 50 }).withMessage('bedrooms must be a whole number from 0 (studio) to 50').toInt(),
+  body('bathrooms').optional({ values: 'null' }).isFloat({ min: 0, max: 50 }).withMessage('bathrooms must be a number from 0 to 50')
+    .bail().custom(v => Number.isInteger(Number(v) * 2)).withMessage('bathrooms must be a whole or half number').toFloat(),
+  body('square_feet').optional({ values: 'null' }).isInt({ min: 1, max: 100000 }).withMessage('square_feet must be a whole number from 1 to 100000').toInt(),
+  body('lease_months').optional({ values: 'null' }).isInt({ min: 1, max: 60 }).withMessage('lease_months must be a whole number of months from 1 to 60').toInt(),
+  ...RENTAL_FLAGS.map(flag => body(flag).optional({ values: 'null' }).isBoolean().withMessage(`${flag} must be true or false`).toBoolean(true)),
+  body('amenities').optional({ values: 'null' }).customSanitizer(parseList)
+    .custom(v => Array.isArray(v) && v.every(a => RENTAL_AMENITIES.includes(a))).withMessage(`amenities must be a list of: ${RENTAL_AMENITIES.join(', ')}`),
+  body('latitude').optional({ values: 'null' }).isFloat({ min: -90, max: 90 }).withMessage('latitude must be a number from -90 to 90').toFloat(),
+  body('longitude').optional({ values: 'null' }).isFloat({ min: -180, max: 180 }).withMessage('longitude must be a number from -180 to 180').toFloat(),
+  body('latitude').custom((lat, { req }) => (lat == null) === (req.body.longitude == null)).withMessage('latitude and longitude must be sent together')
+];
+
+// The attribute columns present in a validated body, as { column: value } with flags stored as 1 / 0
+function rentalAttributeValues(fields) {
+  const values = {};
+  [...RENTAL_NUMBERS, ...RENTAL_COORDINATES].forEach(column => {
+    if (typeof fields[column] !== 'undefined') values[column] = fields[column];
+  });
+  RENTAL_FLAGS.forEach(column => {
+    if (typeof fields[column] !== 'undefined') values[column] = fields[column] === null ? null : (fields[column] ? 1 : 0);
+  });
+  return values;
+}
+
+// Coordinates for a new or changed `location` when the owner didn't send any: the matching place's, or
+// null when the place is unknown (so a moved listing doesn't keep its old pin)
+function locationCoordinates(fields) {
+  if (typeof fields.latitude !== 'undefined' || typeof fields.location === 'undefined') return {};
+  const place = fields.location ? geo.geocode(db, fields.location) : null;
+  return { latitude: place ? place.latitude : null, longitude: place ? place.longitude : null };
+}
+
+function setRentalAmenities(rentalId, amenities) {
+  db.run('DELETE FROM rental_amenities WHERE rental_id = ?', [rentalId]);
+  [...new Set(amenities || [])].forEach(amenity => db.run('INSERT INTO rental_amenities (rental_id, amenity) VALUES (?, ?)', [rentalId, amenity]));
+}
+
+// rental id -> amenities (in RENTAL_AMENITIES order), for several rentals at once
+function rentalAmenities(rentalIds) {
+  const amenities = new Map(rentalIds.map(id => [id, []]));
+  if (!rentalIds.length) return amenities;
+  db.all(`SELECT rental_id, amenity FROM rental_amenities WHERE rental_id IN (${rentalIds.map(() => '?').join(', ')})`, rentalIds)
+    .forEach(row => amenities.get(row.rental_id).push(row.amenity));
+  amenities.forEach(list => list.sort((a, b) => RENTAL_AMENITIES.indexOf(a) - RENTAL_AMENITIES.indexOf(b)));
+  return amenities;
+}
+
+// The attributes of a rentals row for the API: numbers as stored, flags as true / false, null when not stated
+function rentalAttributes(row, amenities) {
+  const attributes = {};
+  [...RENTAL_NUMBERS, ...RENTAL_COORDINATES].forEach(column => { attributes[column] = row[column] == null ? null : row[column]; });
+  RENTAL_FLAGS.forEach(column => { attributes[column] = row[column] == null ? null : !!row[column]; });
+  attributes.amenities = amenities || [];
+  return attributes;
+}
+
+// --- feed filtering helpers ---
+// Sort keys accepted by ?sort=, as [expression, direction] pairs used for ORDER BY and for keyset cursors.
+// r.id DESC is the last key so the order is total and pages stay stable.
+const FEED_SORTS = {
+  newest: [['r.id', 'DESC']],
+  price_asc: [['r.price IS NULL', 'ASC'], ['r.price', 'ASC'], ['r.id', 'DESC']],
+  price_desc: [['r.price IS NULL', 'ASC'], ['r.price', 'DESC'], ['r.id', 'DESC']],
+  most_liked: [['(SELECT COUNT(*) FROM likes l WHERE l.rental_id = r.id)', 'DESC'], ['r.id', 'DESC']],
+  // nearest first, only with ?near=; feedSortKeys() puts the distance to that point in place of 'distance'
+  distance: [['distance', 'ASC'], ['r.id', 'DESC']]
+};
+
+function orderBy(keys) {
+  return keys.map(([expr, dir]) => `${expr} ${dir}`).join(', ');
+}
+
+// Distance in km from the ?near= point. Its coordinates are inlined as numbers (parsePoint() only
+// yields numbers) so the same expression can be repeated in ORDER BY and in keyset conditions.
+function distanceSql(near) {
+  return `distance_km(r.latitude, r.longitude, ${Number(near.lat)}, ${Number(near.lng)})`;
+}
 
-  const feed = rows.map(r => {
-    let images = [];
-    try { images = JSON.parse(r.images || '[]'); } catch (e) { images = []; }
-    const comments = db.all(`SELECT c.id, c.text, c.created_at, u.name as user_name FROM comments c JOIN users u ON c.user_id = u.id WHERE c.rental_id = ? ORDER BY c.id ASC LIMIT 5`, [r.id]);
-    const likesCountRow = db.get('SELECT COUNT(*) as count FROM likes WHERE rental_id = ?', [r.id]);
+function feedSortKeys(sort, near) {
+  return FEED_SORTS[sort].map(([expr, dir]) => [expr === 'distance' ? distanceSql(near) : expr, dir]);
+}
+
+// Keyset cursors: the sort key values of the last row on a page. The next page starts right after that
+// row, so rentals posted meanwhile don't shift it and a deep page costs the same as the first one.
+function encodeFeedCursor(sort, row) {
+  return Buffer.from(JSON.stringify([sort, FEED_SORTS[sort].map((key, i) => row[`sort_${i}`])])).toString('base64url');
+}
+
+function decodeFeedCursor(cursor) {
+  try {
+    const [sort, values] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (FEED_SORTS[sort] && Array.isArray(values) && values.length === FEED_SORTS[sort].length &&
+      values.every(v => v === null || typeof v === 'number')) {
+      return { sort, values };
+    }
+  } catch (e) { /* not a cursor we issued */ }
+  return null;
+}
+
+// "Comes after this row" in the given order: (k1 after v1) OR (k1 = v1 AND k2 after v2) OR ...
+// IS rather than = so unpriced rentals (NULL) compare equal to each other.
+function keysetCondition(keys, values) {
+  const params = [];
+  const branches = keys.map(([expr, dir], i) => {
+    const parts = keys.slice(0, i).map(([prev], j) => {
+      params.push(values[j]);
+      return `(${prev}) IS ?`;
+    });
+    params.push(values[i]);
+    parts.push(`(${expr}) ${dir === 'DESC' ? '<' : '>'} ?`);
+    return `(${parts.join(' AND ')})`;
+  });
+  return { sql: `(${branches.join(' OR ')})`, params };
+}
+
+// Escape LIKE wildcards so a search for "100%" matches literally
+function likePattern(text) {
+  return '%' + String(text).replace(/[\\%_]/g, ch => '\\' + ch) + '%';
+}
+
+// Build a WHERE clause (and its params) from the feed query string
+function buildFeedFilters(q) {
+  // content hidden by moderators never shows up publicly
+  const clauses = ['r.hidden_at IS NULL'];
+  const params = [];
+  if (q.q) {
+    clauses.push("(r.title LIKE ? ESCAPE '\\' OR r.description LIKE ? ESCAPE '\\')");
+    params.push(likePattern(q.q), likePattern(q.q));
+  }
+  if (q.location) {
+    clauses.push("r.location LIKE ? ESCAPE '\\'");
+    params.push(likePattern(q.location));
+  }
+  if (typeof q.minPrice !== 'undefined') {
+    clauses.push('r.price >= ?');
+    params.push(Number(q.minPrice));
+  }
+  if (typeof q.maxPrice !== 'undefined') {
+    clauses.push('r.price <= ?');
+    params.push(Number(q.maxPrice));
+  }
+  if (typeof q.owner !== 'undefined') {
+    clauses.push('r.owner_id = ?');
+    params.push(Number(q.owner));
+  }
+  [['minBedrooms', 'r.bedrooms >= ?'], ['minBathrooms', 'r.bathrooms >= ?'], ['minSquareFeet', 'r.square_feet >= ?'], ['maxLeaseMonths', 'r.lease_months <= ?']]
+    .forEach(([key, clause]) => {
+      if (typeof q[key] === 'undefined') return;
+      clauses.push(clause);
+      params.push(Number(q[key]));
+    });
+  [['furnished', 'furnished'], ['petsAllowed', 'pets_allowed'], ['utilitiesIncluded', 'utilities_included']].forEach(([key, column]) => {
+    if (typeof q[key] === 'undefined') return;
+    clauses.push(`r.${column} = ?`);
+    params.push(q[key] ? 1 : 0);
+  });
+  if (q.amenities) {
+    // every listed amenity, not any of them
+    const amenities = [...new Set(parseList(q.amenities))];
+    clauses.push(`(SELECT COUNT(*) FROM rental_amenities ra WHERE ra.rental_id = r.id AND ra.amenity IN (${amenities.map(() => '?').join(', ')})) = ?`);
+    params.push(...amenities, amenities.length);
+  }
+  if (q.availableFrom && q.availableTo) {
+    clauses.push(`${AVAILABLE_SQL} AND ${NOT_BOOKED_SQL}`);
+    params.push(q.availableFrom, q.availableTo, q.availableTo, q.availableFrom);
+  }
+  if (q.near) {
+    // the bounding box uses idx_rentals_coordinates; the exact distance only runs on what is inside it
+    const radius = q.radius || DEFAULT_NEAR_RADIUS_KM;
+    const box = geo.boundingBox(q.near, radius);
+    clauses.push('r.latitude BETWEEN ? AND ?');
+    params.push(box.minLat, box.maxLat);
+    if (box.minLng !== null) {
+      clauses.push('r.longitude BETWEEN ? AND ?');
+      params.push(box.minLng, box.maxLng);
+    }
+    clauses.push('distance_km(r.latitude, r.longitude, ?, ?) <= ?');
+    params.push(q.near.lat, q.near.lng, radius);
+  }
+  return { clauses, params, where: 'WHERE ' + clauses.join(' AND ') };
+}
+
+// ?minBedrooms=&minBathrooms=&minSquareFeet=&maxLeaseMonths=&furnished=&petsAllowed=&utilitiesIncluded=&amenities=parking,laundry
+const attributeQuery = [
+  query('minBedrooms').optional().isInt({ min: 0 }).withMessage('minBedrooms must be a non-negative whole number'),
+  query('minBathrooms').optional().isFloat({ min: 0 }).withMessage('minBathrooms must be a non-negative number'),
+  query('minSquareFeet').optional().isInt({ min: 0 }).withMessage('minSquareFeet must be a non-negative whole number'),
+  query('maxLeaseMonths').optional().isInt({ min: 1 }).withMessage('maxLeaseMonths must be a positive whole number'),
+  ...['furnished', 'petsAllowed', 'utilitiesIncluded'].map(key => query(key).optional().isBoolean().withMessage(`${key} must be true or false`).toBoolean(true)),
+  query('amenities').optional().custom(v => {
+    const list = parseList(v);
+    return Array.isArray(list) && list.length > 0 && list.every(a => RENTAL_AMENITIES.includes(a));
+  }).withMessage(`amenities must be a comma-separated list of: ${RENTAL_AMENITIES.join(', ')}`)
+];
+
+// ?availableFrom=&availableTo= (YYYY-MM-DD, both or neither): rentals free for that whole stay
+const availabilityQuery = [
+  query('availableFrom').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('availableFrom must be a date (YYYY-MM-DD)')
+    .bail().custom((from, { req }) => typeof req.query.availableTo !== 'undefined').withMessage('availableFrom needs availableTo'),
+  query('availableTo').optional().isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('availableTo must be a date (YYYY-MM-DD)')
+    .bail().custom((to, { req }) => typeof req.query.availableFrom !== 'undefined' && to > req.query.availableFrom).withMessage('availableTo must be after availableFrom')
+];
+
+// distance_km(lat1, lng1, lat2, lng2) in SQL, for the ?near= filter and the distance sort
+geo.registerSqlFunctions(db._raw);
+
+// ?near=lat,lng&radius=km: rentals within radius km of the point (radius defaults to DEFAULT_NEAR_RADIUS_KM).
+// near is turned into { lat, lng } for buildFeedFilters().
+const DEFAULT_NEAR_RADIUS_KM = 10;
+const MAX_NEAR_RADIUS_KM = 500;
+const nearQuery = [
+  query('near').optional().custom(v => geo.parsePoint(v) !== null).withMessage('near must be "latitude,longitude"').customSanitizer(geo.parsePoint),
+  query('radius').optional().isFloat({ gt: 0, max: MAX_NEAR_RADIUS_KM }).withMessage(`radius must be a number of km up to ${MAX_NEAR_RADIUS_KM}`)
+    .bail().custom((radius, { req }) => typeof req.query.near !== 'undefined').withMessage('radius needs near').toFloat()
+];
+
+// sort=distance only makes sense from a point
+function sortQuery(sorts) {
+  return query('sort').optional().isIn(sorts).withMessage(`sort must be one of: ${sorts.join(', ')}`)
+    .bail().custom((sort, { req }) => sort !== 'distance' || typeof req.query.near !== 'undefined').withMessage('sort=distance needs near');
+}
+
+// rental id -> number of likes, for a page of rentals
+function likesCounts(rentalIds) {
+  const counts = new Map(rentalIds.map(id => [id, 0]));
+  if (!rentalIds.length) return counts;
+  db.all(
+    `SELECT rental_id, COUNT(*) as count FROM likes WHERE rental_id IN (${rentalIds.map(() => '?').join(', ')}) GROUP BY rental_id`,
+    rentalIds
+  ).forEach(row => counts.set(row.rental_id, row.count));
+  return counts;
+}
+
+// Which of these rentals the viewer has liked, commented on and saved; all empty for anonymous viewers
+function viewerActivity(rentalIds, viewerId) {
+  if (!viewerId || !rentalIds.length) return { liked: new Set(), commented: new Set(), saved: new Set() };
+  const marks = rentalIds.map(() => '?').join(', ');
+  const ids = sql => new Set(db.all(sql, [viewerId, ...rentalIds]).map(row => row.rental_id));
+  return {
+    liked: ids(`SELECT rental_id FROM likes WHERE user_id = ? AND rental_id IN (${marks})`),
+    commented: ids(`SELECT DISTINCT rental_id FROM comments WHERE user_id = ? AND rental_id IN (${marks}) AND deleted_at IS NULL`),
+    saved: ids(`SELECT DISTINCT ci.rental_id FROM collection_items ci JOIN collections c ON c.id = ci.collection_id WHERE c.user_id = ? AND ci.rental_id IN (${marks})`)
+  };
+}
+
+// likedByMe / commentedByMe / savedByMe / isOwner for one rental, from viewerActivity()
+function viewerState(rental, activity, viewerId) {
+  return {
+    likedByMe: activity.liked.has(rental.id),
+    commentedByMe: activity.commented.has(rental.id),
+    savedByMe: activity.saved.has(rental.id),
+    isOwner: !!viewerId && rental.owner_id === viewerId
+  };
+}
+
+// Shape rentals rows (joined with owner_name) into the card objects the feed UI renders, with the
+// viewer's own state when someone is signed in.
+// Likes, comment counts and comment previews are loaded for the whole page at once, not once per rental.
+function toFeedItems(rows, viewerId = null) {
+  const ids = rows.map(r => r.id);
+  const likes = likesCounts(ids);
+  const commentCounts = commentsCounts(ids);
+  const previews = commentPreviews(ids, FEED_COMMENT_PREVIEW, FEED_REPLY_PREVIEW);
+  const activity = viewerActivity(ids, viewerId);
+  const amenities = rentalAmenities(ids);
+  const ratings = rentalRatings(ids);
+  return rows.map(r => {
+    const { images, photos } = rentalImages(r.images);
+    const { comments, nextCursor } = previews.get(r.id);
     return {
       id: r.id,
       title: r.title,
       description: r.description,
       price: r.price,
       location: r.location,
+      ...rentalAttributes(r, amenities.get(r.id)),
+      ...(typeof r.distance_km === 'number' ? { distance_km: Math.round(r.distance_km * 100) / 100 } : {}),
       images,
+      photos,
       owner: { id: r.owner_id, name: r.owner_name },
       created_at: r.created_at,
       comments,
-      likes: likesCountRow ? likesCountRow.count : 0
+      comments_count: commentCounts.get(r.id),
+      comments_next_cursor: nextCursor,
+      likes: likes.get(r.id),
+      rating: ratings.get(r.id),
+      ...viewerState(r, activity, viewerId)
     };
   });
+}
 
-  const hasMore = offset + rows.length < total;
-  return res.json({ feed, offset, limit, total, hasMore });
-});
-
-// Create a rental post (owner must be authenticated)
-app.post('/api/rentals', authenticateJWT, upload.array('images', 6), [
-  body('title').exists().withMessage('title is required').bail().isLength({ min: 1 }).withMessage('title cannot be empty').trim().escape(),
-  body('description').optional().trim().escape(),
-  body('price').optional().isNumeric().withMessage('price must be a number'),
-  body('location').optional().trim().escape()
+// Get feed: list recent rentals with owner, images, likes count and recent comments
+// Filters: ?q=keyword&location=&minPrice=&maxPrice=&owner=<userId>&availableFrom=&availableTo=&near=lat,lng&radius=km
+// &sort=newest|price_asc|price_desc|most_liked|distance and the attribute filters (see attributeQuery).
+// With near, items carry distance_km and sort defaults to distance.
+// Pages: ?cursor=<nextCursor> (keyset) or ?offset=; both with ?limit=
+// Signed-in viewers also get likedByMe, commentedByMe, savedByMe and isOwner on every item.
+app.get('/api/feed', optionalAuth, [
+  query('q').optional().trim(),
+  query('location').optional().trim(),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a non-negative number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a non-negative number'),
+  query('owner').optional().isInt({ gt: 0 }).withMessage('owner must be a positive integer'),
+  ...attributeQuery,
+  ...availabilityQuery,
+  ...nearQuery,
+  sortQuery(Object.keys(FEED_SORTS)),
+  query('cursor').optional()
+    .custom((value, { req }) => {
+      const cursor = decodeFeedCursor(value);
+      return cursor && cursor.sort === (req.query.sort || (req.query.near ? 'distance' : 'newest'));
+    }).withMessage('cursor is not valid for this sort')
 ], validateRequest, (req, res) => {
-  const ownerId = req.user.id;
-  const { title, description, price, location } = req.body;
-  const files = req.files || [];
-  const filenames = files.map(f => `/uploads/${path.basename(f.path)}`);
-  const imagesJSON = JSON.stringify(filenames);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 50);
+  const cursor = req.query.cursor ? decodeFeedCursor(req.query.cursor) : null;
+  const offset = cursor ? 0 : Math.max(parseInt(req.query.offset) || 0, 0);
+  const { near } = req.query;
+  const sort = req.query.sort || (near ? 'distance' : 'newest');
+  const keys = feedSortKeys(sort, near);
+  const { where, params } = buildFeedFilters(req.query);
+  const after = cursor ? keysetCondition(keys, cursor.values) : { sql: '1', params: [] };
 
-  const result = db.run('INSERT INTO rentals (owner_id, title, description, price, location, images) VALUES (?, ?, ?, ?, ?, ?)', [ownerId, title, description || null, price ? Number(price) : null, location || null, imagesJSON]);
-  const rental = db.get('SELECT id, title, description, price, location, images, created_at FROM rentals WHERE id = ?', [result.lastInsertRowid]);
-  rental.images = JSON.parse(rental.images || '[]');
-  return res.status(201).json({ rental });
-});
+  // one row past the page tells whether there is a next one
+  const rows = db.all(
+    `SELECT r.id, r.title, r.description, r.price, r.location, r.images, r.owner_id, r.created_at, ${RENTAL_ATTRIBUTE_COLUMNS}, u.name as owner_name,
+            ${near ? `${distanceSql(near)} as distance_km,` : ''}
+            ${keys.map(([expr], i) => `${expr} as sort_${i}`).join(', ')}
+     FROM rentals r
+     JOIN users u ON r.owner_id = u.id
+     ${where} AND ${after.sql}
+     ORDER BY ${orderBy(keys)}
+     LIMIT ? OFFSET ?`,
+    [...params, ...after.params, limit + 1, offset]
+  );
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const feed = toFeedItems(page, req.user ? req.user.id : null);
+  const nextCursor = hasMore ? encodeFeedCursor(sort, page[page.length - 1]) : null;
+  if (cursor) return res.json({ feed, limit, hasMore, nextCursor, sort });
 
-// Get rental detail
-app.get('/api/rentals/:id', [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
-  const id = Number(req.params.id);
-  const r = db.get('SELECT r.*, u.name as owner_name FROM rentals r JOIN users u ON r.owner_id = u.id WHERE r.id = ?', [id]);
-  if (!r) return res.status(404).json({ message: 'Rental not found' });
-  try { r.images = JSON.parse(r.images || '[]'); } catch (e) { r.images = []; }
-  const comments = db.all('SELECT c.id, c.text, c.created_at, u.name as user_name FROM comments c JOIN users u ON c.user_id = u.id WHERE c.rental_id = ? ORDER BY c.id ASC', [id]);
-  const likesCountRow = db.get('SELECT COUNT(*) as count FROM likes WHERE rental_id = ?', [id]);
-  return res.json({ rental: { ...r, comments, likes: likesCountRow ? likesCountRow.count : 0 } });
+  // offset pages still report the total; cursor pages skip the COUNT(*)
+  const total = db.get(`SELECT COUNT(*) as count FROM rentals r ${where}`, params).count;
+  return res.json({ feed, offset, limit, total, hasMore, nextCursor, sort });
 });
 
-// Add a comment to a rental
-app.post('/api/rentals/:id/comments', authenticateJWT, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer'), body('text').exists().withMessage('text is required').bail().isLength({ min: 1 }).withMessage('text cannot be empty').trim().escape() ], validateRequest, (req, res) => {
-  const rentalId = Number(req.params.id);
-  const userId = req.user.id;
-  const { text } = req.body;
-  const exists = db.get('SELECT id FROM rentals WHERE id = ?', [rentalId]);
-  if (!exists) return res.status(404).json({ message: 'Rental not found' });
-  const result = db.run('INSERT INTO comments (rental_id, user_id, text) VALUES (?, ?, ?)', [rentalId, userId, text]);
-  const comment = db.get('SELECT c.id, c.text, c.created_at, u.name as user_name FROM comments c JOIN users u ON c.user_id = u.id WHERE c.id = ?', [result.lastInsertRowid]);
-  return res.status(201).json({ comment });
-});
+// --- full-text search helpers ---
+// snippet() wraps matches in these control characters; toHighlight() turns them into segments
+// so clients can render <mark> without trusting HTML from the database.
+const HL_START = '\u0002';
+const HL_END = '\u0003';
 
-// Toggle like (feedback) on a rental
-app.post('/api/rentals/:id/like', authenticateJWT, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
-  const rentalId = Number(req.params.id);
+// Turn free text into a safe FTS5 query: every word quoted (no operator injection), last word as a prefix
+function ftsQuery(text) {
+  const words = String(text).match(/[\p{L}\p{N}]+/gu) || [];
+  return words.map((w, i) => `"${w}"` + (i === words.length - 1 ? '*' : '')).join(' ');
+}
+
+function toHighlight(snippet) {
+  const segments = [];
+  String(snippet || '').split(HL_START).forEach((part, i) => {
+    if (i === 0) {
+      if (part) segments.push({ text: part, match: false });
+      return;
+    }
+    const [matched, rest] = part.split(HL_END);
+    if (matched) segments.push({ text: matched, match: true });
+    if (rest) segments.push({ text: rest, match: false });
+  });
+  return segments;
+}
+
+// Full-text search: ranked results in the feed item shape plus highlighted snippets.
+// Accepts the same filters as /api/feed (including near / radius); sort defaults to relevance.
+app.get('/api/search', optionalAuth, [
+  query('q').exists().withMessage('q is required').bail().trim()
+    .custom(v => ftsQuery(v) !== '').withMessage('q must contain at least one word'),
+  query('location').optional().trim(),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a non-negative number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a non-negative number'),
+  query('owner').optional().isInt({ gt: 0 }).withMessage('owner must be a positive integer'),
+  ...attributeQuery,
+  ...availabilityQuery,
+  ...nearQuery,
+  sortQuery(['relevance', ...Object.keys(FEED_SORTS)])
+], validateRequest, (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 8, 1), 50);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+  const sort = req.query.sort || 'relevance';
+  const match = ftsQuery(req.query.q);
+  const { clauses, params } = buildFeedFilters({ ...req.query, q: undefined });
+  const where = ['rentals_fts MATCH ?', ...clauses].join(' AND ');
+  const { near } = req.query;
+  const order = sort === 'relevance' ? 'bm25(rentals_fts, 10.0, 1.0, 5.0), r.id DESC' : orderBy(feedSortKeys(sort, near));
+
+  const rows = db.all(
+    `SELECT r.id, r.title, r.description, r.price, r.location, r.images, r.owner_id, r.created_at, ${RENTAL_ATTRIBUTE_COLUMNS}, u.name as owner_name,
+            ${near ? `${distanceSql(near)} as distance_km,` : ''}
+            highlight(rentals_fts, 0, ?, ?) as title_hl,
+            snippet(rentals_fts, 1, ?, ?, '…', 16) as description_hl
+     FROM rentals_fts
+     JOIN rentals r ON r.id = rentals_fts.rowid
+     JOIN users u ON r.owner_id = u.id
+     WHERE ${where}
+     ORDER BY ${order}
+     LIMIT ? OFFSET ?`,
+    [HL_START, HL_END, HL_START, HL_END, match, ...params, limit, offset]
+  );
+  const totalRow = db.get(`SELECT COUNT(*) as count FROM rentals_fts JOIN rentals r ON r.id = rentals_fts.rowid WHERE ${where}`, [match, ...params]);
+  const total = totalRow ? totalRow.count : 0;
+
+  const results = toFeedItems(rows, req.user ? req.user.id : null).map((item, i) => ({
+    ...item,
+    highlight: { title: toHighlight(rows[i].title_hl), description: toHighlight(rows[i].description_hl) }
+  }));
+
+  const hasMore = offset + rows.length < total;
+  return res.json({ results, offset, limit, total, hasMore, sort, q: req.query.q });
+});
+
+// Serve a privately stored image (STORAGE_PRIVATE=true with local storage) from a signed, expiring URL
+app.get('/media/:key', (req, res) => {
+  const storage = fileStorage.getStorage();
+  const file = storage.resolveSigned ? storage.resolveSigned(req.params.key, req.query) : null;
+  if (!file) return res.status(403).json({ message: 'Invalid or expired link' });
+  res.set('Cache-Control', 'private, max-age=300');
+  return res.sendFile(file, err => {
+    if (err && !res.headersSent) res.status(404).json({ message: 'Not found' });
+  });
+});
+
+// Create a rental post (owner must be authenticated), optionally with the typed attributes of rentalAttributeBody.
+// Without latitude / longitude, a location that matches a known place gets its coordinates.
+app.post('/api/rentals', authenticateJWT, requireVerifiedEmail, limits.write, upload.array('images', MAX_RENTAL_IMAGES), [
+  body('title').exists().withMessage('title is required').bail().isLength({ min: 1 }).withMessage('title cannot be empty').trim().escape(),
+  body('description').optional().trim().escape(),
+  body('price').optional().isNumeric().withMessage('price must be a number'),
+  body('location').optional().trim().escape(),
+  ...rentalAttributeBody
+], validateRequest, async (req, res, next) => {
+  const ownerId = req.user.id;
+  const { title, description, price, location } = req.body;
+  let processed;
+  try {
+    processed = await processUploads(req.files || []);
+  } catch (err) {
+    return next(err);
+  }
+  if (processed.error) return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'images', message: processed.error }] });
+  const imagesJSON = JSON.stringify(processed.images);
+
+  const attributes = { ...rentalAttributeValues(req.body), ...locationCoordinates(req.body) };
+  const columns = ['owner_id', 'title', 'description', 'price', 'location', 'images', ...Object.keys(attributes)];
+  const rentalId = db._raw.transaction(() => {
+    const id = db.run(
+      `INSERT INTO rentals (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      [ownerId, title, description || null, price ? Number(price) : null, location || null, imagesJSON, ...Object.values(attributes)]
+    ).lastInsertRowid;
+    setRentalAmenities(id, req.body.amenities);
+    return id;
+  })();
+  const rental = db.get(`SELECT r.id, r.title, r.description, r.price, r.location, r.images, r.created_at, ${RENTAL_ATTRIBUTE_COLUMNS} FROM rentals r WHERE r.id = ?`, [rentalId]);
+  Object.assign(rental, rentalImages(rental.images), rentalAttributes(rental, rentalAmenities([rentalId]).get(rentalId)));
+  // live feeds get the new listing as an anonymous feed card
+  const [card] = toFeedItems(db.all('SELECT r.*, u.name as owner_name FROM rentals r JOIN users u ON r.owner_id = u.id WHERE r.id = ?', [rental.id]));
+  events.publish('rental.created', card);
+  return res.status(201).json({ rental });
+});
+
+// Get rental detail (with the viewer's likedByMe, commentedByMe, savedByMe and isOwner when signed in)
+app.get('/api/rentals/:id', optionalAuth, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
+  const id = Number(req.params.id);
+  const viewerId = req.user ? req.user.id : null;
+  const r = db.get('SELECT r.*, u.name as owner_name FROM rentals r JOIN users u ON r.owner_id = u.id WHERE r.id = ? AND r.hidden_at IS NULL', [id]);
+  if (!r) return res.status(404).json({ message: 'Rental not found' });
+  delete r.hidden_at;
+  Object.assign(r, rentalImages(r.images), rentalAttributes(r, rentalAmenities([id]).get(id)));
+  const { comments, nextCursor } = commentPage(id);
+  const viewer = viewerState(r, viewerActivity([id], viewerId), viewerId);
+  return res.json({ rental: { ...r, comments, comments_count: commentsCount(id), comments_next_cursor: nextCursor, likes: likesCounts([id]).get(id), rating: rentalRatings([id]).get(id), ...viewer } });
+});
+
+// Update a rental (owner only). Accepts JSON or multipart form data.
+// Images: `keepImages` is the ordered list of existing images to keep, by URL or photo key (JSON array,
+// or a JSON string in multipart bodies); omitted images are removed. Newly uploaded `images` files are appended after them.
+// Attributes work as in POST; null clears one, and `amenities` replaces the whole list. A new `location`
+// without latitude / longitude is geocoded again.
+app.patch('/api/rentals/:id', authenticateJWT, limits.write, upload.array('images', MAX_RENTAL_IMAGES), [
+  param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer'),
+  body('title').optional().isLength({ min: 1 }).withMessage('title cannot be empty').trim().escape(),
+  body('description').optional().trim().escape(),
+  body('price').optional({ values: 'null' }).isNumeric().withMessage('price must be a number'),
+  body('location').optional().trim().escape(),
+  ...rentalAttributeBody,
+  body('keepImages').optional().customSanitizer(v => {
+    if (typeof v !== 'string') return v;
+    try { return JSON.parse(v); } catch (e) { return v; }
+  }).custom(v => Array.isArray(v) && v.every(u => typeof u === 'string')).withMessage('keepImages must be an array of image URLs')
+], validateRequest, async (req, res, next) => {
   const userId = req.user.id;
-  const exists = db.get('SELECT id FROM rentals WHERE id = ?', [rentalId]);
-  if (!exists) return res.status(404).json({ message: 'Rental not found' });
-  const liked = db.get('SELECT id FROM likes WHERE rental_id = ? AND user_id = ?', [rentalId, userId]);
-  if (liked) {
-    db.run('DELETE FROM likes WHERE id = ?', [liked.id]);
-    return res.json({ liked: false });
+  const rentalId = Number(req.params.id);
+  const rental = db.get('SELECT id, owner_id, images FROM rentals WHERE id = ?', [rentalId]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  if (rental.owner_id !== userId) return res.status(403).json({ message: 'Not authorized to modify this rental' });
+
+  const currentImages = parseImages(rental.images);
+
+  const { title, description, price, location, keepImages } = req.body;
+  const files = req.files || [];
+  const updates = [];
+  const params = [];
+  if (typeof title !== 'undefined') {
+    updates.push('title = ?');
+    params.push(title);
   }
-  db.run('INSERT INTO likes (rental_id, user_id) VALUES (?, ?)', [rentalId, userId]);
-  return res.json({ liked: true });
+  if (typeof description !== 'undefined') {
+    updates.push('description = ?');
+    params.push(description || null);
+  }
+  if (typeof price !== 'undefined') {
+    updates.push('price = ?');
+    params.push(price === null || price === '' ? null : Number(price));
+  }
+  if (typeof location !== 'undefined') {
+    updates.push('location = ?');
+    params.push(location || null);
+  }
+  Object.entries({ ...rentalAttributeValues(req.body), ...locationCoordinates(req.body) }).forEach(([column, value]) => {
+    updates.push(`${column} = ?`);
+    params.push(value);
+  });
+  const { amenities } = req.body;
+
+  let removedImages = [];
+  if (typeof keepImages !== 'undefined' || files.length > 0) {
+    const kept = [...new Set(typeof keepImages !== 'undefined'
+      ? keepImages.map(value => currentImages.find(image => matchesImage(value, image)))
+      : currentImages)];
+    const unknown = kept.filter(image => !image);
+    if (unknown.length) {
+      return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'keepImages', message: 'keepImages may only contain images already on this rental' }] });
+    }
+    if (kept.length + files.length > MAX_RENTAL_IMAGES) {
+      return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'images', message: `a rental can have at most ${MAX_RENTAL_IMAGES} images` }] });
+    }
+    let processed;
+    try {
+      processed = await processUploads(files);
+    } catch (err) {
+      return next(err);
+    }
+    if (processed.error) return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'images', message: processed.error }] });
+    const images = [...kept, ...processed.images];
+    removedImages = currentImages.filter(image => !images.includes(image));
+    updates.push('images = ?');
+    params.push(JSON.stringify(images));
+  }
+  if (updates.length === 0 && typeof amenities === 'undefined') return res.status(400).json({ message: 'Nothing to update' });
+
+  updates.push('updated_at = CURRENT_TIMESTAMP');
+  params.push(rentalId);
+  db._raw.transaction(() => {
+    db.run(`UPDATE rentals SET ${updates.join(', ')} WHERE id = ?`, params);
+    if (typeof amenities !== 'undefined') setRentalAmenities(rentalId, amenities);
+  })();
+  removeStoredImages(removedImages);
+
+  const updated = db.get(`SELECT r.id, r.title, r.description, r.price, r.location, r.images, r.created_at, r.updated_at, ${RENTAL_ATTRIBUTE_COLUMNS} FROM rentals r WHERE r.id = ?`, [rentalId]);
+  Object.assign(updated, rentalImages(updated.images), rentalAttributes(updated, rentalAmenities([rentalId]).get(rentalId)));
+  return res.json({ rental: updated });
+});
+
+// Delete a rental row ({ id, images }) with its comments, likes, collection entries, notifications,
+// availability and amenities, then its uploaded files.
+// Open reports on the rental or its comments are closed.
+// foreign_keys is off by default in SQLite, so dependent rows are removed explicitly.
+function deleteRental(rental) {
+  const images = parseImages(rental.images);
+  db._raw.transaction(() => {
+    const commentIds = db.all('SELECT id FROM comments WHERE rental_id = ?', [rental.id]).map(c => c.id);
+    closeOpenReports('comment', commentIds, null, 'Content deleted');
+    closeOpenReports('rental', [rental.id], null, 'Content deleted');
+    db.run('DELETE FROM comments WHERE rental_id = ?', [rental.id]);
+    db.run('DELETE FROM likes WHERE rental_id = ?', [rental.id]);
+    db.run('DELETE FROM collection_items WHERE rental_id = ?', [rental.id]);
+    db.run('DELETE FROM notifications WHERE rental_id = ?', [rental.id]);
+    db.run('DELETE FROM availability WHERE rental_id = ?', [rental.id]);
+    db.run('DELETE FROM rental_amenities WHERE rental_id = ?', [rental.id]);
+    // conversations and bookings stay with both participants, just without the listing; open bookings are cancelled
+    db.run('UPDATE conversations SET rental_id = NULL WHERE rental_id = ?', [rental.id]);
+    db.run("UPDATE bookings SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE rental_id = ? AND status IN ('pending', 'accepted')", [rental.id]);
+    db.run('UPDATE bookings SET rental_id = NULL WHERE rental_id = ?', [rental.id]);
+    // reviews still count towards the owner's rating
+    db.run('UPDATE reviews SET rental_id = NULL WHERE rental_id = ?', [rental.id]);
+    db.run('DELETE FROM rentals WHERE id = ?', [rental.id]);
+  })();
+  removeStoredImages(images);
+}
+
+// Delete a rental (owner only). Comments and likes go with it; uploaded images are removed from disk.
+app.delete('/api/rentals/:id', authenticateJWT, limits.write, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
+  const userId = req.user.id;
+  const rentalId = Number(req.params.id);
+  const rental = db.get('SELECT id, owner_id, images FROM rentals WHERE id = ?', [rentalId]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  if (rental.owner_id !== userId) return res.status(403).json({ message: 'Not authorized to delete this rental' });
+
+  deleteRental(rental);
+  return res.json({ message: 'Deleted' });
+});
+
+// PUT likes and DELETE unlikes (both idempotent), POST toggles. Each answers { liked, likes } with the
+// like count after the change, so clients show the real number instead of adjusting their own.
+[['post', liked => !liked], ['put', () => true], ['delete', () => false]].forEach(([method, nextState]) => {
+  app[method]('/api/rentals/:id/like', authenticateJWT, limits.write, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
+    const rentalId = Number(req.params.id);
+    const userId = req.user.id;
+    const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId]);
+    if (!rental) return res.status(404).json({ message: 'Rental not found' });
+    const wasLiked = !!db.get('SELECT id FROM likes WHERE rental_id = ? AND user_id = ?', [rentalId, userId]);
+    const liked = nextState(wasLiked);
+    if (liked) db.run('INSERT OR IGNORE INTO likes (rental_id, user_id) VALUES (?, ?)', [rentalId, userId]);
+    else db.run('DELETE FROM likes WHERE rental_id = ? AND user_id = ?', [rentalId, userId]);
+    const likes = likesCounts([rentalId]).get(rentalId);
+    if (liked !== wasLiked) {
+      events.publish('rental.likes', { rental_id: rentalId, likes });
+      if (liked) notify(rental.owner_id, 'like', { actorId: userId, rentalId });
+      else withdrawLikeNotification(rentalId, userId);
+    }
+    return res.json({ liked, likes });
+  });
 });
 
 // List todos
@@ -323,6 +1519,1645 @@ app.delete(
   }
 );
 
+// -------------------- Comments --------------------
+// Threads are one level deep: top-level comments (parent_id NULL) and their replies; a reply to a reply
+// joins the same thread. Lists are oldest first and cursor-paginated: pass `nextCursor` back as ?cursor=.
+
+const COMMENT_PAGE_SIZE = 20;
+const MAX_COMMENT_PAGE_SIZE = 50;
+const REPLY_PREVIEW_SIZE = 3;
+// feed cards only show the start of the conversation
+const FEED_COMMENT_PREVIEW = 3;
+const FEED_REPLY_PREVIEW = 1;
+
+const COMMENT_COLUMNS = 'c.id, c.parent_id, c.user_id, u.name as user_name, c.text, c.created_at, c.edited_at, c.deleted_at';
+
+// Shape a comments row for the API. Deleted comments keep their place in a thread but lose text and author.
+function toComment(row) {
+  const deleted = !!row.deleted_at;
+  return {
+    id: row.id,
+    parent_id: row.parent_id,
+    text: deleted ? null : row.text,
+    user_id: deleted ? null : row.user_id,
+    user_name: deleted ? null : row.user_name,
+    created_at: row.created_at,
+    edited_at: row.edited_at,
+    deleted
+  };
+}
+
+// Add reply_count, the first `limit` replies and replies_next_cursor to top-level comments
+function attachReplies(comments, limit) {
+  const ids = comments.map(c => c.id);
+  const marks = ids.map(() => '?').join(', ');
+  const counts = new Map(db.all(
+    `SELECT parent_id, COUNT(*) as count FROM comments WHERE parent_id IN (${marks}) AND hidden_at IS NULL GROUP BY parent_id`,
+    ids
+  ).map(r => [r.parent_id, r.count]));
+  const replies = db.all(
+    `SELECT * FROM (
+       SELECT ${COMMENT_COLUMNS}, ROW_NUMBER() OVER (PARTITION BY c.parent_id ORDER BY c.id) as position
+       FROM comments c JOIN users u ON c.user_id = u.id
+       WHERE c.parent_id IN (${marks}) AND c.hidden_at IS NULL
+     ) WHERE position <= ? ORDER BY id ASC`,
+    [...ids, limit]
+  );
+  comments.forEach(comment => {
+    comment.reply_count = counts.get(comment.id) || 0;
+    comment.replies = replies.filter(r => r.parent_id === comment.id).map(toComment);
+    const last = comment.replies[comment.replies.length - 1];
+    comment.replies_next_cursor = last && comment.reply_count > comment.replies.length ? String(last.id) : null;
+  });
+}
+
+// One page of a rental's top-level comments (with a preview of their replies), or of the replies to parentId
+function commentPage(rentalId, { parentId = null, cursor = 0, limit = COMMENT_PAGE_SIZE, replies = REPLY_PREVIEW_SIZE } = {}) {
+  const rows = db.all(
+    `SELECT ${COMMENT_COLUMNS} FROM comments c JOIN users u ON c.user_id = u.id
+     WHERE c.rental_id = ? AND c.parent_id IS ? AND c.hidden_at IS NULL AND c.id > ?
+     ORDER BY c.id ASC
+     LIMIT ?`,
+    [rentalId, parentId, cursor, limit + 1]
+  );
+  const comments = rows.slice(0, limit).map(toComment);
+  if (parentId === null && comments.length) attachReplies(comments, replies);
+  const nextCursor = rows.length > limit ? String(comments[comments.length - 1].id) : null;
+  return { comments, nextCursor };
+}
+
+// The first `limit` threads of several rentals at once: rental id -> { comments, nextCursor } as from commentPage()
+function commentPreviews(rentalIds, limit, replies) {
+  const previews = new Map(rentalIds.map(id => [id, { comments: [], nextCursor: null }]));
+  if (!rentalIds.length) return previews;
+  const rows = db.all(
+    `SELECT * FROM (
+       SELECT ${COMMENT_COLUMNS}, c.rental_id, ROW_NUMBER() OVER (PARTITION BY c.rental_id ORDER BY c.id) as position
+       FROM comments c JOIN users u ON c.user_id = u.id
+       WHERE c.rental_id IN (${rentalIds.map(() => '?').join(', ')}) AND c.parent_id IS NULL AND c.hidden_at IS NULL
+     ) WHERE position <= ? ORDER BY id ASC`,
+    [...rentalIds, limit + 1]
+  );
+  const shown = rows.filter(row => row.position <= limit);
+  const comments = shown.map(toComment);
+  if (comments.length) attachReplies(comments, replies);
+  shown.forEach((row, i) => previews.get(row.rental_id).comments.push(comments[i]));
+  rows.filter(row => row.position > limit).forEach(row => {
+    const preview = previews.get(row.rental_id);
+    preview.nextCursor = String(preview.comments[preview.comments.length - 1].id);
+  });
+  return previews;
+}
+
+// Visible comments per rental, replies included (not counting deleted placeholders or replies in hidden threads)
+function commentsCounts(rentalIds) {
+  const counts = new Map(rentalIds.map(id => [id, 0]));
+  if (!rentalIds.length) return counts;
+  db.all(
+    `SELECT c.rental_id, COUNT(*) as count FROM comments c LEFT JOIN comments p ON c.parent_id = p.id
+     WHERE c.rental_id IN (${rentalIds.map(() => '?').join(', ')}) AND c.hidden_at IS NULL AND c.deleted_at IS NULL
+       AND (p.id IS NULL OR p.hidden_at IS NULL)
+     GROUP BY c.rental_id`,
+    rentalIds
+  ).forEach(row => counts.set(row.rental_id, row.count));
+  return counts;
+}
+
+function commentsCount(rentalId) {
+  return commentsCounts([rentalId]).get(rentalId);
+}
+
+// Remove a comment ({ id, parent_id }) and close its open reports. A comment with replies becomes a
+// "deleted" placeholder so the thread survives; deleting the last reply under a placeholder removes both.
+function deleteComment(comment, actorId) {
+  db._raw.transaction(() => {
+    closeOpenReports('comment', [comment.id], actorId, 'Content deleted');
+    if (db.get('SELECT id FROM comments WHERE parent_id = ? LIMIT 1', [comment.id])) {
+      db.run("UPDATE comments SET text = '', deleted_at = CURRENT_TIMESTAMP WHERE id = ?", [comment.id]);
+      return;
+    }
+    db.run('DELETE FROM comments WHERE id = ?', [comment.id]);
+    if (comment.parent_id) {
+      db.run('DELETE FROM comments WHERE id = ? AND deleted_at IS NOT NULL AND NOT EXISTS (SELECT 1 FROM comments WHERE parent_id = ?)', [comment.parent_id, comment.parent_id]);
+    }
+  })();
+}
+
+// A comment the public can see: not deleted, not hidden, in a visible thread on a visible rental
+function findVisibleComment(id) {
+  return db.get(
+    `SELECT c.id, c.rental_id, c.parent_id, c.user_id FROM comments c
+     JOIN rentals r ON c.rental_id = r.id
+     LEFT JOIN comments p ON c.parent_id = p.id
+     WHERE c.id = ? AND c.hidden_at IS NULL AND c.deleted_at IS NULL AND r.hidden_at IS NULL AND (p.id IS NULL OR p.hidden_at IS NULL)`,
+    [id]
+  );
+}
+
+const commentTextBody = body('text').exists().withMessage('text is required').bail().isLength({ min: 1 }).withMessage('text cannot be empty').trim().escape();
+
+// List comments: ?cursor=&limit= page through top-level comments; ?parent=<commentId> lists that thread's replies
+app.get('/api/rentals/:id/comments', [
+  param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer'),
+  query('parent').optional().isInt({ gt: 0 }).withMessage('parent must be a positive integer'),
+  query('cursor').optional().isInt({ min: 0 }).withMessage('cursor must be a comment cursor'),
+  query('limit').optional().isInt({ min: 1, max: MAX_COMMENT_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_COMMENT_PAGE_SIZE}`)
+], validateRequest, (req, res) => {
+  const rentalId = Number(req.params.id);
+  if (!db.get('SELECT id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId])) return res.status(404).json({ message: 'Rental not found' });
+
+  const options = { cursor: Number(req.query.cursor) || 0, limit: Number(req.query.limit) || COMMENT_PAGE_SIZE };
+  if (req.query.parent) {
+    const parentId = Number(req.query.parent);
+    const parent = db.get('SELECT id FROM comments WHERE id = ? AND rental_id = ? AND parent_id IS NULL AND hidden_at IS NULL', [parentId, rentalId]);
+    if (!parent) return res.status(404).json({ message: 'Comment not found' });
+    return res.json(commentPage(rentalId, { ...options, parentId }));
+  }
+  return res.json({ ...commentPage(rentalId, options), total: commentsCount(rentalId) });
+});
+
+// Add a comment to a rental, or a reply with parent_id
+app.post('/api/rentals/:id/comments', authenticateJWT, requireVerifiedEmail, limits.write, [
+  param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer'),
+  commentTextBody,
+  body('parent_id').optional({ values: 'null' }).isInt({ gt: 0 }).withMessage('parent_id must be a positive integer')
+], validateRequest, (req, res) => {
+  const rentalId = Number(req.params.id);
+  const userId = req.user.id;
+  const { text } = req.body;
+  const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+
+  let parentId = null;
+  if (req.body.parent_id) {
+    const parent = findVisibleComment(Number(req.body.parent_id));
+    if (!parent || parent.rental_id !== rentalId) return res.status(404).json({ message: 'Parent comment not found' });
+    parentId = parent.parent_id || parent.id;
+  }
+  const result = db.run('INSERT INTO comments (rental_id, user_id, text, parent_id) VALUES (?, ?, ?, ?)', [rentalId, userId, text, parentId]);
+  const comment = toComment(db.get(`SELECT ${COMMENT_COLUMNS} FROM comments c JOIN users u ON c.user_id = u.id WHERE c.id = ?`, [result.lastInsertRowid]));
+  events.publish('comment.created', { rental_id: rentalId, comment, comments_count: commentsCount(rentalId) });
+  notify(rental.owner_id, 'comment', { actorId: userId, rentalId, commentId: comment.id });
+  return res.status(201).json({ comment });
+});
+
+// Edit your own comment
+app.patch('/api/comments/:id', authenticateJWT, limits.write, [
+  param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer'),
+  commentTextBody
+], validateRequest, (req, res) => {
+  const comment = findVisibleComment(Number(req.params.id));
+  if (!comment) return res.status(404).json({ message: 'Comment not found' });
+  if (comment.user_id !== req.user.id) return res.status(403).json({ message: 'Not authorized to edit this comment' });
+
+  db.run('UPDATE comments SET text = ?, edited_at = CURRENT_TIMESTAMP WHERE id = ?', [req.body.text, comment.id]);
+  const updated = db.get(`SELECT ${COMMENT_COLUMNS} FROM comments c JOIN users u ON c.user_id = u.id WHERE c.id = ?`, [comment.id]);
+  return res.json({ comment: toComment(updated) });
+});
+
+// Delete your own comment (moderators use DELETE /api/admin/comments/:id)
+app.delete('/api/comments/:id', authenticateJWT, limits.write, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
+  const comment = findVisibleComment(Number(req.params.id));
+  if (!comment) return res.status(404).json({ message: 'Comment not found' });
+  if (comment.user_id !== req.user.id) return res.status(403).json({ message: 'Not authorized to delete this comment' });
+
+  deleteComment(comment, null);
+  return res.json({ message: 'Deleted' });
+});
+
+// -------------------- Collections --------------------
+// Private shortlists of saved rentals ("Shortlist", "Maybe", ...). Only the owner sees a collection
+// unless they share it: the share link shows it read-only to anyone who has it, until sharing stops.
+
+const MAX_COLLECTIONS = 50;
+
+const collectionNameBody = body('name').exists().withMessage('name is required').bail()
+  .trim().isLength({ min: 1, max: 60 }).withMessage('name must be 1-60 characters').escape();
+
+// item_count leaves out rentals hidden by moderators, like the listing itself
+const COLLECTION_SELECT = `SELECT c.id, c.user_id, c.name, c.share_token, c.created_at, c.updated_at,
+  (SELECT COUNT(*) FROM collection_items ci JOIN rentals r ON r.id = ci.rental_id WHERE ci.collection_id = c.id AND r.hidden_at IS NULL) as item_count
+  FROM collections c`;
+
+// Shape a collections row for its owner
+function toCollection(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    count: row.item_count,
+    share_url: row.share_token ? `${APP_URL}/feed.html?shared=${row.share_token}` : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function findCollection(id) {
+  return db.get(`${COLLECTION_SELECT} WHERE c.id = ?`, [id]);
+}
+
+// One page of a collection's rentals in the /api/feed card shape, most recently saved first
+function collectionPage(collectionId, { limit, offset }, viewerId) {
+  const rows = db.all(
+    `SELECT r.id, r.title, r.description, r.price, r.location, r.images, r.owner_id, r.created_at, ${RENTAL_ATTRIBUTE_COLUMNS}, u.name as owner_name
+     FROM collection_items ci
+     JOIN rentals r ON r.id = ci.rental_id
+     JOIN users u ON r.owner_id = u.id
+     WHERE ci.collection_id = ? AND r.hidden_at IS NULL
+     ORDER BY ci.rowid DESC
+     LIMIT ? OFFSET ?`,
+    [collectionId, limit, offset]
+  );
+  const total = db.get(
+    'SELECT COUNT(*) as count FROM collection_items ci JOIN rentals r ON r.id = ci.rental_id WHERE ci.collection_id = ? AND r.hidden_at IS NULL',
+    [collectionId]
+  ).count;
+  return { feed: toFeedItems(rows, viewerId), offset, limit, total, hasMore: offset + rows.length < total };
+}
+
+// Load the :id collection for its owner, or answer 404 / 403
+function ownCollection(req, res, next) {
+  const collection = findCollection(Number(req.params.id));
+  if (!collection) return res.status(404).json({ message: 'Collection not found' });
+  if (collection.user_id !== req.user.id) return res.status(403).json({ message: 'Not authorized to access this collection' });
+  req.collection = collection;
+  return next();
+}
+
+const collectionIdParam = param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer');
+
+// List my collections; ?rental=<id> adds `contains` (is that rental in it?) for the save menu
+app.get('/api/collections', authenticateJWT, [
+  query('rental').optional().isInt({ gt: 0 }).withMessage('rental must be a positive integer')
+], validateRequest, (req, res) => {
+  const rows = db.all(`${COLLECTION_SELECT} WHERE c.user_id = ? ORDER BY c.name`, [req.user.id]);
+  const rentalId = req.query.rental ? Number(req.query.rental) : null;
+  const containing = new Set(rentalId
+    ? db.all('SELECT ci.collection_id FROM collection_items ci JOIN collections c ON c.id = ci.collection_id WHERE c.user_id = ? AND ci.rental_id = ?', [req.user.id, rentalId]).map(r => r.collection_id)
+    : []);
+  const collections = rows.map(row => (rentalId ? { ...toCollection(row), contains: containing.has(row.id) } : toCollection(row)));
+  return res.json({ collections });
+});
+
+// Create a collection; pass rental_id to save a rental into it right away
+app.post('/api/collections', authenticateJWT, limits.write, [
+  collectionNameBody,
+  body('rental_id').optional({ values: 'null' }).isInt({ gt: 0 }).withMessage('rental_id must be a positive integer')
+], validateRequest, (req, res) => {
+  const userId = req.user.id;
+  const { name } = req.body;
+  const rentalId = req.body.rental_id ? Number(req.body.rental_id) : null;
+  if (db.get('SELECT id FROM collections WHERE user_id = ? AND name = ?', [userId, name])) {
+    return res.status(409).json({ message: 'You already have a collection with this name' });
+  }
+  if (db.get('SELECT COUNT(*) as count FROM collections WHERE user_id = ?', [userId]).count >= MAX_COLLECTIONS) {
+    return res.status(400).json({ message: `You can have at most ${MAX_COLLECTIONS} collections` });
+  }
+  if (rentalId && !db.get('SELECT id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId])) {
+    return res.status(404).json({ message: 'Rental not found' });
+  }
+
+  const id = db._raw.transaction(() => {
+    const result = db.run('INSERT INTO collections (user_id, name) VALUES (?, ?)', [userId, name]);
+    if (rentalId) db.run('INSERT INTO collection_items (collection_id, rental_id) VALUES (?, ?)', [result.lastInsertRowid, rentalId]);
+    return result.lastInsertRowid;
+  })();
+  return res.status(201).json({ collection: toCollection(findCollection(id)) });
+});
+
+// A collection with one page of its rentals (?offset=&limit=)
+app.get('/api/collections/:id', authenticateJWT, [ collectionIdParam ], validateRequest, ownCollection, (req, res) => {
+  return res.json({ collection: toCollection(req.collection), ...collectionPage(req.collection.id, pageParams(req.query), req.user.id) });
+});
+
+// Rename
+app.patch('/api/collections/:id', authenticateJWT, limits.write, [ collectionIdParam, collectionNameBody ], validateRequest, ownCollection, (req, res) => {
+  const { name } = req.body;
+  if (db.get('SELECT id FROM collections WHERE user_id = ? AND name = ? AND id != ?', [req.user.id, name, req.collection.id])) {
+    return res.status(409).json({ message: 'You already have a collection with this name' });
+  }
+  db.run('UPDATE collections SET name = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [name, req.collection.id]);
+  return res.json({ collection: toCollection(findCollection(req.collection.id)) });
+});
+
+// Delete a collection (the rentals themselves stay)
+app.delete('/api/collections/:id', authenticateJWT, limits.write, [ collectionIdParam ], validateRequest, ownCollection, (req, res) => {
+  db._raw.transaction(() => {
+    db.run('DELETE FROM collection_items WHERE collection_id = ?', [req.collection.id]);
+    db.run('DELETE FROM collections WHERE id = ?', [req.collection.id]);
+  })();
+  return res.json({ message: 'Deleted' });
+});
+
+// Save a rental into a collection (PUT) or take it out (DELETE); both are idempotent
+const collectionRentalParams = [collectionIdParam, param('rentalId').isInt({ gt: 0 }).withMessage('rentalId must be a positive integer')];
+
+app.put('/api/collections/:id/rentals/:rentalId', authenticateJWT, limits.write, collectionRentalParams, validateRequest, ownCollection, (req, res) => {
+  const rentalId = Number(req.params.rentalId);
+  if (!db.get('SELECT id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId])) return res.status(404).json({ message: 'Rental not found' });
+  db.run('INSERT OR IGNORE INTO collection_items (collection_id, rental_id) VALUES (?, ?)', [req.collection.id, rentalId]);
+  db.run('UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [req.collection.id]);
+  return res.json({ collection: toCollection(findCollection(req.collection.id)) });
+});
+
+app.delete('/api/collections/:id/rentals/:rentalId', authenticateJWT, limits.write, collectionRentalParams, validateRequest, ownCollection, (req, res) => {
+  db.run('DELETE FROM collection_items WHERE collection_id = ? AND rental_id = ?', [req.collection.id, Number(req.params.rentalId)]);
+  db.run('UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [req.collection.id]);
+  return res.json({ collection: toCollection(findCollection(req.collection.id)) });
+});
+
+// Share (POST) or stop sharing (DELETE). Sharing an already shared collection keeps its link;
+// stopping and sharing again makes a new one, so an old link can be retired.
+app.post('/api/collections/:id/share', authenticateJWT, limits.write, [ collectionIdParam ], validateRequest, ownCollection, (req, res) => {
+  if (!req.collection.share_token) {
+    db.run('UPDATE collections SET share_token = ? WHERE id = ?', [crypto.randomBytes(18).toString('base64url'), req.collection.id]);
+  }
+  return res.json({ collection: toCollection(findCollection(req.collection.id)) });
+});
+
+app.delete('/api/collections/:id/share', authenticateJWT, limits.write, [ collectionIdParam ], validateRequest, ownCollection, (req, res) => {
+  db.run('UPDATE collections SET share_token = NULL WHERE id = ?', [req.collection.id]);
+  return res.json({ collection: toCollection(findCollection(req.collection.id)) });
+});
+
+// Read-only view of a shared collection for anyone with the link
+app.get('/api/shared/collections/:token', optionalAuth, [
+  param('token').isLength({ min: 1, max: 64 }).withMessage('token is invalid')
+], validateRequest, (req, res) => {
+  const row = db.get(
+    `SELECT c.id, c.name, c.updated_at, u.id as owner_id, u.name as owner_name FROM collections c JOIN users u ON u.id = c.user_id WHERE c.share_token = ?`,
+    [req.params.token]
+  );
+  if (!row) return res.status(404).json({ message: 'Collection not found' });
+  const page = collectionPage(row.id, pageParams(req.query), req.user ? req.user.id : null);
+  const collection = { name: row.name, count: page.total, owner: { id: row.owner_id, name: row.owner_name }, updated_at: row.updated_at };
+  return res.json({ collection, ...page });
+});
+
+// -------------------- Messages --------------------
+// Private conversations between a renter and a listing owner, one per (rental, renter). A renter starts
+// one with an inquiry on the rental; after that both sides reply in the conversation. Only the two
+// participants can see it. Clients pick up new messages by polling: ?after=<last message id> on the
+// thread and GET /api/conversations/unread for a badge.
+
+const MESSAGE_PAGE_SIZE = 30;
+const MAX_MESSAGE_PAGE_SIZE = 100;
+
+const messageTextBody = body('text').exists().withMessage('text is required').bail()
+  .trim().isLength({ min: 1, max: 2000 }).withMessage('text must be 1-2000 characters').escape();
+
+// Messages from the other side that are newer than the user's read marker (two ? for the user id)
+const UNREAD_SQL = `(SELECT COUNT(*) FROM messages m WHERE m.conversation_id = c.id AND m.sender_id != ?
+  AND m.id > CASE WHEN c.owner_id = ? THEN c.owner_read_id ELSE c.renter_read_id END)`;
+
+function toMessage(row) {
+  return { id: row.id, conversation_id: row.conversation_id, sender_id: row.sender_id, text: row.text, created_at: row.created_at };
+}
+
+// Shape a conversations row for one of its participants; `with` is the other participant
+function toConversation(row, userId) {
+  const role = row.owner_id === userId ? 'owner' : 'renter';
+  return {
+    id: row.id,
+    rental: row.rental_id ? { id: row.rental_id, title: row.rental_title } : null,
+    role,
+    with: role === 'owner' ? { id: row.renter_id, name: row.renter_name } : { id: row.owner_id, name: row.owner_name },
+    last_message: row.last_message_id
+      ? { id: row.last_message_id, sender_id: row.last_sender_id, text: row.last_text, created_at: row.last_created_at }
+      : null,
+    unread: row.unread,
+    created_at: row.created_at
+  };
+}
+
+// The user's conversations (all, or `id` only), newest activity first
+function conversationRows(userId, { id = null, limit = -1, offset = 0 } = {}) {
+  return db.all(
+    `SELECT c.*, r.title as rental_title, o.name as owner_name, t.name as renter_name,
+            lm.sender_id as last_sender_id, lm.text as last_text, lm.created_at as last_created_at,
+            ${UNREAD_SQL} as unread
+     FROM conversations c
+     LEFT JOIN rentals r ON r.id = c.rental_id
+     JOIN users o ON o.id = c.owner_id
+     JOIN users t ON t.id = c.renter_id
+     LEFT JOIN messages lm ON lm.id = c.last_message_id
+     WHERE (c.owner_id = ? OR c.renter_id = ?) AND (? IS NULL OR c.id = ?)
+     ORDER BY c.last_message_id DESC
+     LIMIT ? OFFSET ?`,
+    [userId, userId, userId, userId, id, id, limit, offset]
+  );
+}
+
+function conversationFor(userId, id) {
+  const [row] = conversationRows(userId, { id });
+  return row ? toConversation(row, userId) : null;
+}
+
+// Add a message and move the conversation to the top of both inboxes. Sending counts as having read
+// everything up to your own message. Both participants' live streams hear about it.
+function addMessage(conversation, senderId, text) {
+  const message = db._raw.transaction(() => {
+    const id = db.run('INSERT INTO messages (conversation_id, sender_id, text) VALUES (?, ?, ?)', [conversation.id, senderId, text]).lastInsertRowid;
+    const readColumn = conversation.owner_id === senderId ? 'owner_read_id' : 'renter_read_id';
+    db.run(`UPDATE conversations SET last_message_id = ?, ${readColumn} = ? WHERE id = ?`, [id, id, conversation.id]);
+    return toMessage(db.get('SELECT * FROM messages WHERE id = ?', [id]));
+  })();
+  events.publish('message.created', { conversation_id: conversation.id, message }, { audience: [conversation.owner_id, conversation.renter_id] });
+  return message;
+}
+
+// Load the :id conversation for one of its participants, or answer 404 / 403
+function ownConversation(req, res, next) {
+  const conversation = db.get('SELECT id, owner_id, renter_id, last_message_id FROM conversations WHERE id = ?', [Number(req.params.id)]);
+  if (!conversation) return res.status(404).json({ message: 'Conversation not found' });
+  if (conversation.owner_id !== req.user.id && conversation.renter_id !== req.user.id) {
+    return res.status(403).json({ message: 'Not authorized to access this conversation' });
+  }
+  req.conversation = conversation;
+  return next();
+}
+
+const conversationIdParam = param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer');
+
+// Ask the owner about a rental: starts the conversation, or adds to it if this renter already has one
+app.post('/api/rentals/:id/inquiries', authenticateJWT, limits.write, [
+  param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer'),
+  messageTextBody
+], validateRequest, (req, res) => {
+  const rentalId = Number(req.params.id);
+  const userId = req.user.id;
+  const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  if (rental.owner_id === userId) return res.status(400).json({ message: 'You cannot send an inquiry about your own listing' });
+
+  let conversation = db.get('SELECT id, owner_id, renter_id FROM conversations WHERE rental_id = ? AND renter_id = ?', [rentalId, userId]);
+  const created = !conversation;
+  if (created) {
+    const id = db.run('INSERT INTO conversations (rental_id, owner_id, renter_id) VALUES (?, ?, ?)', [rentalId, rental.owner_id, userId]).lastInsertRowid;
+    conversation = { id, owner_id: rental.owner_id, renter_id: userId };
+  }
+  const message = addMessage(conversation, userId, req.body.text);
+  if (created) notify(rental.owner_id, 'inquiry', { actorId: userId, rentalId, conversationId: conversation.id });
+  return res.status(created ? 201 : 200).json({ conversation: conversationFor(userId, conversation.id), message });
+});
+
+// Inbox: my conversations (as owner or renter), newest activity first, with unread counts
+app.get('/api/conversations', authenticateJWT, (req, res) => {
+  const userId = req.user.id;
+  const { limit, offset } = pageParams(req.query);
+  const conversations = conversationRows(userId, { limit, offset }).map(row => toConversation(row, userId));
+  const total = db.get('SELECT COUNT(*) as count FROM conversations WHERE owner_id = ? OR renter_id = ?', [userId, userId]).count;
+  return res.json({ conversations, offset, limit, total, hasMore: offset + conversations.length < total });
+});
+
+// Unread messages across all my conversations, for a badge; cheap enough to poll
+app.get('/api/conversations/unread', authenticateJWT, (req, res) => {
+  const userId = req.user.id;
+  const row = db.get(
+    `SELECT COALESCE(SUM(unread), 0) as unread, COUNT(CASE WHEN unread > 0 THEN 1 END) as conversations
+     FROM (SELECT ${UNREAD_SQL} as unread FROM conversations c WHERE c.owner_id = ? OR c.renter_id = ?)`,
+    [userId, userId, userId, userId]
+  );
+  return res.json({ unread: row.unread, conversations: row.conversations });
+});
+
+// A conversation and its messages, oldest first. Without cursors: the latest page, with prevCursor for
+// older messages (?before=). ?after=<message id> returns only newer messages, for polling.
+app.get('/api/conversations/:id', authenticateJWT, [
+  conversationIdParam,
+  query('after').optional().isInt({ min: 0 }).withMessage('after must be a message id'),
+  query('before').optional().isInt({ gt: 0 }).withMessage('before must be a message id'),
+  query('limit').optional().isInt({ min: 1, max: MAX_MESSAGE_PAGE_SIZE }).withMessage(`limit must be between 1 and ${MAX_MESSAGE_PAGE_SIZE}`)
+], validateRequest, ownConversation, (req, res) => {
+  const conversationId = req.conversation.id;
+  const limit = Number(req.query.limit) || MESSAGE_PAGE_SIZE;
+  const conversation = conversationFor(req.user.id, conversationId);
+
+  if (typeof req.query.after !== 'undefined') {
+    const rows = db.all('SELECT * FROM messages WHERE conversation_id = ? AND id > ? ORDER BY id ASC LIMIT ?', [conversationId, Number(req.query.after), limit + 1]);
+    return res.json({ conversation, messages: rows.slice(0, limit).map(toMessage), hasMore: rows.length > limit });
+  }
+
+  const before = Number(req.query.before) || Number.MAX_SAFE_INTEGER;
+  const rows = db.all('SELECT * FROM messages WHERE conversation_id = ? AND id < ? ORDER BY id DESC LIMIT ?', [conversationId, before, limit + 1]);
+  const messages = rows.slice(0, limit).reverse().map(toMessage);
+  const prevCursor = rows.length > limit ? String(messages[0].id) : null;
+  return res.json({ conversation, messages, prevCursor });
+});
+
+// Reply in a conversation
+app.post('/api/conversations/:id/messages', authenticateJWT, limits.write, [ conversationIdParam, messageTextBody ], validateRequest, ownConversation, (req, res) => {
+  const message = addMessage(req.conversation, req.user.id, req.body.text);
+  return res.status(201).json({ message });
+});
+
+// Mark messages as read, up to message_id (default: the newest). The marker never moves backwards.
+app.post('/api/conversations/:id/read', authenticateJWT, [
+  conversationIdParam,
+  body('message_id').optional({ values: 'null' }).isInt({ gt: 0 }).withMessage('message_id must be a positive integer')
+], validateRequest, ownConversation, (req, res) => {
+  const { id, owner_id: ownerId, last_message_id: lastMessageId } = req.conversation;
+  const upTo = Math.min(Number(req.body.message_id) || Infinity, lastMessageId || 0);
+  const readColumn = ownerId === req.user.id ? 'owner_read_id' : 'renter_read_id';
+  db.run(`UPDATE conversations SET ${readColumn} = MAX(${readColumn}, ?) WHERE id = ?`, [upTo, id]);
+  return res.json({ conversation: conversationFor(req.user.id, id) });
+});
+
+// -------------------- Availability & bookings --------------------
+// Owners open date ranges for booking; renters request a stay inside one. Dates are YYYY-MM-DD and a
+// range runs from start_date up to (not including) end_date, so a stay ending on the 10th and one
+// starting on the 10th don't overlap.
+// Requests move pending -> accepted | declined (owner) | cancelled (renter), and an accepted booking can
+// still be cancelled by either side. Accepted bookings never overlap: accepting one declines the pending
+// requests it overlaps, and dates already booked can't be requested.
+
+const MAX_BOOKING_NIGHTS = 365;
+
+// `r.id` is free for [?, ?) - the parameters are (start, end) for AVAILABLE_SQL and (end, start) for NOT_BOOKED_SQL
+const AVAILABLE_SQL = 'EXISTS (SELECT 1 FROM availability a WHERE a.rental_id = r.id AND a.start_date <= ? AND a.end_date >= ?)';
+const NOT_BOOKED_SQL = "NOT EXISTS (SELECT 1 FROM bookings b WHERE b.rental_id = r.id AND b.status = 'accepted' AND b.start_date < ? AND b.end_date > ?)";
+
+// action -> who may take it, from which states, and the state it leads to
+const BOOKING_ACTIONS = {
+  accept: { by: ['owner'], from: ['pending'], to: 'accepted' },
+  decline: { by: ['owner'], from: ['pending'], to: 'declined' },
+  cancel: { by: ['owner', 'renter'], from: ['pending', 'accepted'], to: 'cancelled' }
+};
+
+const BOOKING_SELECT = `
+  SELECT b.*, r.title as rental_title, renter.name as renter_name, owner.name as owner_name
+  FROM bookings b
+  LEFT JOIN rentals r ON r.id = b.rental_id
+  JOIN users renter ON renter.id = b.renter_id
+  JOIN users owner ON owner.id = b.owner_id`;
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nightsBetween(start, end) {
+  return Math.round((Date.parse(end) - Date.parse(start)) / (24 * 60 * 60 * 1000));
+}
+
+function stayBody(maxNights) {
+  return [
+    body('start_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('start_date must be a date (YYYY-MM-DD)'),
+    body('end_date').isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('end_date must be a date (YYYY-MM-DD)')
+      .bail().custom((end, { req }) => end > req.body.start_date).withMessage('end_date must be after start_date')
+      .bail().custom((end, { req }) => !maxNights || nightsBetween(req.body.start_date, end) <= maxNights).withMessage(`a stay can be at most ${maxNights} nights`)
+  ];
+}
+
+// Is rentalId open for the whole stay, and not booked for any of it?
+function isBookable(rentalId, start, end) {
+  return !!db.get(`SELECT 1 FROM rentals r WHERE r.id = ? AND ${AVAILABLE_SQL} AND ${NOT_BOOKED_SQL}`, [rentalId, start, end, end, start]);
+}
+
+function rentalAvailability(rentalId) {
+  return {
+    availability: db.all('SELECT id, start_date, end_date FROM availability WHERE rental_id = ? AND end_date > ? ORDER BY start_date', [rentalId, today()]),
+    booked: db.all("SELECT start_date, end_date FROM bookings WHERE rental_id = ? AND status = 'accepted' AND end_date > ? ORDER BY start_date", [rentalId, today()])
+  };
+}
+
+// Shape a BOOKING_SELECT row for userId; role is which side of the booking they are on
+function toBooking(row, userId) {
+  return {
+    id: row.id,
+    rental: row.rental_id ? { id: row.rental_id, title: row.rental_title } : null,
+    role: row.owner_id === userId ? 'owner' : 'renter',
+    renter: { id: row.renter_id, name: row.renter_name },
+    owner: { id: row.owner_id, name: row.owner_name },
+    start_date: row.start_date,
+    end_date: row.end_date,
+    nights: nightsBetween(row.start_date, row.end_date),
+    status: row.status,
+    message: row.message,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function bookingFor(userId, id) {
+  return toBooking(db.get(`${BOOKING_SELECT} WHERE b.id = ?`, [id]), userId);
+}
+
+// Load the :id rental for its owner (req.rental), or answer 404 / 403
+function ownRental(req, res, next) {
+  const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ?', [Number(req.params.id)]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  if (rental.owner_id !== req.user.id) return res.status(403).json({ message: 'Not authorized to manage this rental' });
+  req.rental = rental;
+  return next();
+}
+
+// Load the :id booking for its renter or owner (req.booking), or answer 404 / 403
+function ownBooking(req, res, next) {
+  const booking = db.get('SELECT * FROM bookings WHERE id = ?', [Number(req.params.id)]);
+  if (!booking) return res.status(404).json({ message: 'Booking not found' });
+  if (booking.owner_id !== req.user.id && booking.renter_id !== req.user.id) {
+    return res.status(403).json({ message: 'Not authorized to access this booking' });
+  }
+  req.booking = booking;
+  return next();
+}
+
+const rentalIdParam = param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer');
+
+// When a rental can be booked: its open ranges and the accepted bookings inside them (from today on)
+app.get('/api/rentals/:id/availability', [ rentalIdParam ], validateRequest, (req, res) => {
+  const rentalId = Number(req.params.id);
+  if (!db.get('SELECT id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId])) return res.status(404).json({ message: 'Rental not found' });
+  return res.json(rentalAvailability(rentalId));
+});
+
+// Open a date range for booking (owner only). Ranges that overlap or touch it are merged into one.
+app.post('/api/rentals/:id/availability', authenticateJWT, limits.write, [ rentalIdParam, ...stayBody() ], validateRequest, ownRental, (req, res) => {
+  const rentalId = req.rental.id;
+  const { start_date: start, end_date: end } = req.body;
+  db._raw.transaction(() => {
+    const touching = db.all('SELECT id, start_date, end_date FROM availability WHERE rental_id = ? AND start_date <= ? AND end_date >= ?', [rentalId, end, start]);
+    const merged = touching.reduce((range, r) => ({
+      start: r.start_date < range.start ? r.start_date : range.start,
+      end: r.end_date > range.end ? r.end_date : range.end
+    }), { start, end });
+    touching.forEach(r => db.run('DELETE FROM availability WHERE id = ?', [r.id]));
+    db.run('INSERT INTO availability (rental_id, start_date, end_date) VALUES (?, ?, ?)', [rentalId, merged.start, merged.end]);
+  })();
+  return res.status(201).json(rentalAvailability(rentalId));
+});
+
+// Close a range again (owner only); not while it holds accepted bookings - cancel those first
+app.delete('/api/rentals/:id/availability/:rangeId', authenticateJWT, limits.write, [
+  rentalIdParam,
+  param('rangeId').isInt({ gt: 0 }).withMessage('rangeId must be a positive integer')
+], validateRequest, ownRental, (req, res) => {
+  const range = db.get('SELECT * FROM availability WHERE id = ? AND rental_id = ?', [Number(req.params.rangeId), req.rental.id]);
+  if (!range) return res.status(404).json({ message: 'Availability range not found' });
+  const booked = db.get("SELECT id FROM bookings WHERE rental_id = ? AND status = 'accepted' AND start_date < ? AND end_date > ?", [req.rental.id, range.end_date, range.start_date]);
+  if (booked) return res.status(409).json({ message: 'This range has accepted bookings; cancel them first' });
+  db.run('DELETE FROM availability WHERE id = ?', [range.id]);
+  return res.json(rentalAvailability(req.rental.id));
+});
+
+// Request to book a stay (renters). The dates must be inside one open range and not already booked.
+app.post('/api/rentals/:id/bookings', authenticateJWT, limits.write, [
+  rentalIdParam,
+  ...stayBody(MAX_BOOKING_NIGHTS),
+  body('message').optional({ values: 'null' }).trim().isLength({ max: 1000 }).withMessage('message must be at most 1000 characters').escape()
+], validateRequest, (req, res) => {
+  const rentalId = Number(req.params.id);
+  const userId = req.user.id;
+  const { start_date: start, end_date: end } = req.body;
+  const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  if (rental.owner_id === userId) return res.status(400).json({ message: 'You cannot book your own listing' });
+  if (start < today()) return res.status(400).json({ message: 'Validation failed', errors: [{ field: 'start_date', message: 'start_date cannot be in the past' }] });
+  if (!isBookable(rentalId, start, end)) return res.status(409).json({ message: 'The rental is not available for these dates' });
+  const duplicate = db.get("SELECT id FROM bookings WHERE rental_id = ? AND renter_id = ? AND status = 'pending' AND start_date < ? AND end_date > ?", [rentalId, userId, end, start]);
+  if (duplicate) return res.status(409).json({ message: 'You already asked for these dates' });
+
+  const id = db.run(
+    'INSERT INTO bookings (rental_id, renter_id, owner_id, start_date, end_date, message) VALUES (?, ?, ?, ?, ?, ?)',
+    [rentalId, userId, rental.owner_id, start, end, req.body.message || null]
+  ).lastInsertRowid;
+  return res.status(201).json({ booking: bookingFor(userId, id) });
+});
+
+// My bookings, newest first: ?role=renter (requests I made) or owner (requests for my listings),
+// narrowed by ?status= and ?rental=
+app.get('/api/bookings', authenticateJWT, [
+  query('role').optional().isIn(['owner', 'renter']).withMessage('role must be owner or renter'),
+  query('status').optional().isIn(['pending', 'accepted', 'declined', 'cancelled']).withMessage('status must be pending, accepted, declined or cancelled'),
+  query('rental').optional().isInt({ gt: 0 }).withMessage('rental must be a positive integer')
+], validateRequest, (req, res) => {
+  const userId = req.user.id;
+  const { limit, offset } = pageParams(req.query);
+  const clauses = [];
+  const params = [];
+  if (req.query.role) {
+    clauses.push(`b.${req.query.role}_id = ?`);
+    params.push(userId);
+  } else {
+    clauses.push('(b.owner_id = ? OR b.renter_id = ?)');
+    params.push(userId, userId);
+  }
+  if (req.query.status) {
+    clauses.push('b.status = ?');
+    params.push(req.query.status);
+  }
+  if (req.query.rental) {
+    clauses.push('b.rental_id = ?');
+    params.push(Number(req.query.rental));
+  }
+  const where = 'WHERE ' + clauses.join(' AND ');
+  const bookings = db.all(`${BOOKING_SELECT} ${where} ORDER BY b.id DESC LIMIT ? OFFSET ?`, [...params, limit, offset]).map(row => toBooking(row, userId));
+  const total = db.get(`SELECT COUNT(*) as count FROM bookings b ${where}`, params).count;
+  return res.json({ bookings, offset, limit, total, hasMore: offset + bookings.length < total });
+});
+
+app.get('/api/bookings/:id', authenticateJWT, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, ownBooking, (req, res) => {
+  return res.json({ booking: bookingFor(req.user.id, req.booking.id) });
+});
+
+// POST /api/bookings/:id/accept | decline | cancel, following BOOKING_ACTIONS
+Object.entries(BOOKING_ACTIONS).forEach(([action, { by, from, to }]) => {
+  app.post(`/api/bookings/:id/${action}`, authenticateJWT, limits.write, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, ownBooking, (req, res) => {
+    const booking = req.booking;
+    const role = booking.owner_id === req.user.id ? 'owner' : 'renter';
+    if (!by.includes(role)) return res.status(403).json({ message: `Only the ${by.join(' or ')} can ${action} this booking` });
+    if (!from.includes(booking.status)) return res.status(409).json({ message: `Cannot ${action} a booking that is ${booking.status}` });
+
+    const conflict = db._raw.transaction(() => {
+      if (to === 'accepted') {
+        const taken = db.get("SELECT id FROM bookings WHERE rental_id = ? AND status = 'accepted' AND start_date < ? AND end_date > ?", [booking.rental_id, booking.end_date, booking.start_date]);
+        if (taken) return true;
+        // the requests this one beats
+        db.run(
+          "UPDATE bookings SET status = 'declined', updated_at = CURRENT_TIMESTAMP WHERE rental_id = ? AND status = 'pending' AND id != ? AND start_date < ? AND end_date > ?",
+          [booking.rental_id, booking.id, booking.end_date, booking.start_date]
+        );
+      }
+      db.run('UPDATE bookings SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [to, booking.id]);
+      return false;
+    })();
+    if (conflict) return res.status(409).json({ message: 'These dates are already booked' });
+    return res.json({ booking: bookingFor(req.user.id, booking.id) });
+  });
+});
+
+// -------------------- Reviews --------------------
+// After a stay (an accepted booking whose end date has passed) the renter can review the rental: 1-5 stars
+// for the listing and for its owner, plus optional text. One review per renter per rental; the author
+// can edit or delete it, and the owner can reply once (and edit or remove the reply).
+// Averages: the listing rating is returned on feed items and the rental detail, the owner rating on
+// public profiles (GET /api/users/:id).
+
+const MAX_REVIEW_LENGTH = 2000;
+
+const REVIEW_SELECT = `
+  SELECT rv.*, renter.name as renter_name, r.title as rental_title
+  FROM reviews rv
+  JOIN users renter ON renter.id = rv.renter_id
+  LEFT JOIN rentals r ON r.id = rv.rental_id`;
+
+function toReview(row) {
+  return {
+    id: row.id,
+    rental: row.rental_id ? { id: row.rental_id, title: row.rental_title } : null,
+    renter: { id: row.renter_id, name: row.renter_name },
+    owner_id: row.owner_id,
+    rating: row.rating,
+    owner_rating: row.owner_rating,
+    text: row.text,
+    reply: row.reply ? { text: row.reply, created_at: row.replied_at } : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function reviewById(id) {
+  const row = db.get(`${REVIEW_SELECT} WHERE rv.id = ?`, [id]);
+  return row ? toReview(row) : null;
+}
+
+// { average (2 decimals, null without reviews), count } from an AVG / COUNT row
+function toRatingSummary(row) {
+  return { average: row && row.count ? Math.round(row.average * 100) / 100 : null, count: row ? row.count : 0 };
+}
+
+// rental id -> listing rating summary, for a page of rentals
+function rentalRatings(rentalIds) {
+  const ratings = new Map(rentalIds.map(id => [id, toRatingSummary(null)]));
+  if (!rentalIds.length) return ratings;
+  db.all(
+    `SELECT rental_id, AVG(rating) as average, COUNT(*) as count FROM reviews WHERE rental_id IN (${rentalIds.map(() => '?').join(', ')}) GROUP BY rental_id`,
+    rentalIds
+  ).forEach(row => ratings.set(row.rental_id, toRatingSummary(row)));
+  return ratings;
+}
+
+function ownerRating(ownerId) {
+  return toRatingSummary(db.get('SELECT AVG(owner_rating) as average, COUNT(*) as count FROM reviews WHERE owner_id = ?', [ownerId]));
+}
+
+// The renter's most recent finished stay at the rental (an accepted booking that has ended), or undefined
+function finishedStay(rentalId, renterId) {
+  return db.get(
+    "SELECT id FROM bookings WHERE rental_id = ? AND renter_id = ? AND status = 'accepted' AND end_date <= ? ORDER BY end_date DESC LIMIT 1",
+    [rentalId, renterId, today()]
+  );
+}
+
+// Load the :id review (req.review), or answer 404
+function findReview(req, res, next) {
+  const review = db.get('SELECT * FROM reviews WHERE id = ?', [Number(req.params.id)]);
+  if (!review) return res.status(404).json({ message: 'Review not found' });
+  req.review = review;
+  return next();
+}
+
+const reviewIdParam = param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer');
+const reviewTextBody = body('text').optional({ values: 'null' }).trim()
+  .isLength({ max: MAX_REVIEW_LENGTH }).withMessage(`text must be at most ${MAX_REVIEW_LENGTH} characters`).escape();
+const starsBody = field => body(field).isInt({ min: 1, max: 5 }).withMessage(`${field} must be a whole number of stars from 1 to 5`).toInt();
+
+// A rental's reviews, newest first, with its rating. Signed-in viewers also get canReview.
+app.get('/api/rentals/:id/reviews', optionalAuth, [ rentalIdParam ], validateRequest, (req, res) => {
+  const rentalId = Number(req.params.id);
+  const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  const { limit, offset } = pageParams(req.query);
+  const reviews = db.all(`${REVIEW_SELECT} WHERE rv.rental_id = ? ORDER BY rv.id DESC LIMIT ? OFFSET ?`, [rentalId, limit, offset]).map(toReview);
+  const rating = rentalRatings([rentalId]).get(rentalId);
+  const result = { reviews, rating, offset, limit, total: rating.count, hasMore: offset + reviews.length < rating.count };
+  if (req.user) {
+    const reviewed = db.get('SELECT id FROM reviews WHERE rental_id = ? AND renter_id = ?', [rentalId, req.user.id]);
+    result.canReview = !reviewed && !!finishedStay(rentalId, req.user.id);
+  }
+  return res.json(result);
+});
+
+// Review a rental after a stay there (renters)
+app.post('/api/rentals/:id/reviews', authenticateJWT, limits.write, [
+  rentalIdParam,
+  starsBody('rating'),
+  starsBody('owner_rating'),
+  reviewTextBody
+], validateRequest, (req, res) => {
+  const rentalId = Number(req.params.id);
+  const userId = req.user.id;
+  const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ? AND hidden_at IS NULL', [rentalId]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  if (rental.owner_id === userId) return res.status(400).json({ message: 'You cannot review your own listing' });
+  const stay = finishedStay(rentalId, userId);
+  if (!stay) return res.status(403).json({ message: 'You can review a rental once you have stayed there' });
+  if (db.get('SELECT id FROM reviews WHERE rental_id = ? AND renter_id = ?', [rentalId, userId])) {
+    return res.status(409).json({ message: 'You already reviewed this rental' });
+  }
+
+  const { rating, owner_rating: ownerRatingValue, text } = req.body;
+  const id = db.run(
+    'INSERT INTO reviews (rental_id, owner_id, renter_id, booking_id, rating, owner_rating, text) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [rentalId, rental.owner_id, userId, stay.id, rating, ownerRatingValue, text || null]
+  ).lastInsertRowid;
+  return res.status(201).json({ review: reviewById(id), rating: rentalRatings([rentalId]).get(rentalId) });
+});
+
+// Edit my review: any of rating, owner_rating, text
+app.patch('/api/reviews/:id', authenticateJWT, limits.write, [
+  reviewIdParam,
+  starsBody('rating').optional(),
+  starsBody('owner_rating').optional(),
+  reviewTextBody
+], validateRequest, findReview, (req, res) => {
+  if (req.review.renter_id !== req.user.id) return res.status(403).json({ message: 'Not authorized to modify this review' });
+  const updates = [];
+  const params = [];
+  ['rating', 'owner_rating', 'text'].forEach(field => {
+    if (typeof req.body[field] === 'undefined') return;
+    updates.push(`${field} = ?`);
+    params.push(field === 'text' ? req.body.text || null : req.body[field]);
+  });
+  if (!updates.length) return res.status(400).json({ message: 'Nothing to update' });
+  db.run(`UPDATE reviews SET ${updates.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [...params, req.review.id]);
+  return res.json({ review: reviewById(req.review.id) });
+});
+
+app.delete('/api/reviews/:id', authenticateJWT, limits.write, [ reviewIdParam ], validateRequest, findReview, (req, res) => {
+  if (req.review.renter_id !== req.user.id) return res.status(403).json({ message: 'Not authorized to delete this review' });
+  db.run('DELETE FROM reviews WHERE id = ?', [req.review.id]);
+  return res.json({ message: 'Deleted' });
+});
+
+// The owner's reply to a review of their listing: PUT sets or replaces it, DELETE removes it
+app.put('/api/reviews/:id/reply', authenticateJWT, limits.write, [
+  reviewIdParam,
+  body('text').exists().withMessage('text is required').bail().trim()
+    .isLength({ min: 1, max: MAX_REVIEW_LENGTH }).withMessage(`text must be 1 to ${MAX_REVIEW_LENGTH} characters`).escape()
+], validateRequest, findReview, (req, res) => {
+  if (req.review.owner_id !== req.user.id) return res.status(403).json({ message: 'Only the owner can reply to this review' });
+  db.run('UPDATE reviews SET reply = ?, replied_at = CURRENT_TIMESTAMP WHERE id = ?', [req.body.text, req.review.id]);
+  return res.json({ review: reviewById(req.review.id) });
+});
+
+app.delete('/api/reviews/:id/reply', authenticateJWT, limits.write, [ reviewIdParam ], validateRequest, findReview, (req, res) => {
+  if (req.review.owner_id !== req.user.id) return res.status(403).json({ message: 'Only the owner can remove this reply' });
+  db.run('UPDATE reviews SET reply = NULL, replied_at = NULL WHERE id = ?', [req.review.id]);
+  return res.json({ review: reviewById(req.review.id) });
+});
+
+// -------------------- Profiles --------------------
+// Public owner profiles: who they are, their listings and what renters said about them.
+
+const PROFILE_LISTINGS = 12;
+const PROFILE_REVIEWS = 5;
+
+app.get('/api/users/:id', optionalAuth, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
+  const userId = Number(req.params.id);
+  const user = db.get('SELECT id, name, bio, avatar, created_at FROM users WHERE id = ?', [userId]);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+  user.avatar = avatarPhoto(user.avatar);
+  const rows = db.all(
+    `SELECT r.id, r.title, r.description, r.price, r.location, r.images, r.owner_id, r.created_at, ${RENTAL_ATTRIBUTE_COLUMNS}, u.name as owner_name
+     FROM rentals r
+     JOIN users u ON r.owner_id = u.id
+     WHERE r.owner_id = ? AND r.hidden_at IS NULL
+     ORDER BY r.id DESC
+     LIMIT ?`,
+    [userId, PROFILE_LISTINGS]
+  );
+  const listingsCount = db.get('SELECT COUNT(*) as count FROM rentals WHERE owner_id = ? AND hidden_at IS NULL', [userId]).count;
+  const reviews = db.all(`${REVIEW_SELECT} WHERE rv.owner_id = ? ORDER BY rv.id DESC LIMIT ?`, [userId, PROFILE_REVIEWS]).map(toReview);
+  return res.json({
+    user: { ...user, listings_count: listingsCount, rating: ownerRating(userId) },
+    listings: toFeedItems(rows, req.user ? req.user.id : null),
+    reviews
+  });
+});
+
+// -------------------- Data export --------------------
+// "Download my data": the user asks for an export, data-export.js builds the ZIP in the background and
+// the client polls GET /api/me/export/:id until it is ready. The download link carries a signed token
+// (JWT with purpose 'data-export') that expires with the file, so it works without a session (e.g. when
+// opened in another browser) but only for that one export.
+
+function exportDownloadToken(row) {
+  const expiresIn = Math.max(1, Math.floor((new Date(row.expires_at).getTime() - Date.now()) / 1000));
+  return jwt.sign({ sub: row.user_id, export: row.id, purpose: 'data-export' }, JWT_SECRET, { expiresIn });
+}
+
+function toExport(row) {
+  const ready = row.status === 'ready' && new Date(row.expires_at) > new Date();
+  return {
+    id: row.id,
+    status: row.status === 'ready' && !ready ? 'expired' : row.status,
+    size: row.size,
+    error: row.error,
+    created_at: row.created_at,
+    completed_at: row.completed_at,
+    expires_at: row.expires_at,
+    download_url: ready ? `/api/me/export/${row.id}/download?token=${exportDownloadToken(row)}` : null
+  };
+}
+
+// Start an export; only one can be queued or running per user at a time
+app.post('/api/me/export', authenticateJWT, limits.write, (req, res) => {
+  const active = dataExport.activeExport(req.user.id);
+  if (active) return res.status(409).json({ message: 'An export is already being prepared', export: toExport(active) });
+  return res.status(202).json({ export: toExport(dataExport.requestExport(req.user.id)) });
+});
+
+app.get('/api/me/export/:id', authenticateJWT, [ param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer') ], validateRequest, (req, res) => {
+  const row = dataExport.findExport(Number(req.params.id));
+  if (!row) return res.status(404).json({ message: 'Export not found' });
+  if (row.user_id !== req.user.id) return res.status(403).json({ message: 'Forbidden' });
+  return res.json({ export: toExport(row) });
+});
+
+app.get(
+  '/api/me/export/:id/download',
+  [
+    param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer'),
+    query('token').exists().withMessage('token is required').bail().isString().withMessage('token must be a string')
+  ],
+  validateRequest,
+  (req, res) => {
+    let payload;
+    try {
+      payload = jwt.verify(req.query.token, JWT_SECRET);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') return res.status(410).json({ message: 'This download link has expired' });
+      payload = null;
+    }
+    const id = Number(req.params.id);
+    if (!payload || payload.purpose !== 'data-export' || payload.export !== id) return res.status(400).json({ message: 'Invalid download link' });
+
+    const row = dataExport.findExport(id);
+    if (!row || row.user_id !== payload.sub) return res.status(404).json({ message: 'Export not found' });
+    if (row.status !== 'ready' || new Date(row.expires_at) <= new Date()) {
+      dataExport.pruneExpired();
+      return res.status(410).json({ message: 'This download link has expired' });
+    }
+    return res.download(dataExport.exportPath(row.file), `rents-data-${row.id}.zip`, err => {
+      if (err && !res.headersSent) res.status(410).json({ message: 'This download link has expired' });
+    });
+  }
+);
+
+// -------------------- Map & places --------------------
+// Listings as map pins, the offline geocoding table (places) and where the map page gets its tiles.
+// Tiles are only ever served locally: MAP_TILES_DIR holds <z>/<x>/<y>.png files (e.g. exported for your
+// area with a tile downloader); without it the map page draws a plain SVG map.
+
+const MAP_MAX_PINS = 500;
+const MAP_TILES_DIR = process.env.MAP_TILES_DIR ? path.resolve(process.env.MAP_TILES_DIR) : null;
+const MAP_TILES_MAX_ZOOM = envNumber('MAP_TILES_MAX_ZOOM', 17);
+
+if (MAP_TILES_DIR) {
+  app.use('/tiles', express.static(MAP_TILES_DIR, { maxAge: '7d', fallthrough: false }));
+}
+
+app.get('/api/map/config', (req, res) => {
+  return res.json({ tiles: MAP_TILES_DIR ? { url: '/tiles/{z}/{x}/{y}.png', maxZoom: MAP_TILES_MAX_ZOOM } : null });
+});
+
+// Pins for the map: rentals with coordinates, newest first, with the feed's filters (including near /
+// radius). At most MAP_MAX_PINS; `truncated` says when there were more.
+app.get('/api/map/rentals', optionalAuth, [
+  query('q').optional().trim(),
+  query('location').optional().trim(),
+  query('minPrice').optional().isFloat({ min: 0 }).withMessage('minPrice must be a non-negative number'),
+  query('maxPrice').optional().isFloat({ min: 0 }).withMessage('maxPrice must be a non-negative number'),
+  query('owner').optional().isInt({ gt: 0 }).withMessage('owner must be a positive integer'),
+  ...attributeQuery,
+  ...availabilityQuery,
+  ...nearQuery
+], validateRequest, (req, res) => {
+  const { where, params } = buildFeedFilters(req.query);
+  const rows = db.all(
+    `SELECT r.id, r.title, r.price, r.location, r.latitude, r.longitude, r.images
+     FROM rentals r
+     ${where} AND r.latitude IS NOT NULL AND r.longitude IS NOT NULL
+     ORDER BY r.id DESC
+     LIMIT ?`,
+    [...params, MAP_MAX_PINS + 1]
+  );
+  const pins = rows.slice(0, MAP_MAX_PINS).map(r => {
+    const [photo] = rentalImages(r.images).photos;
+    return {
+      id: r.id,
+      title: r.title,
+      price: r.price,
+      location: r.location,
+      latitude: r.latitude,
+      longitude: r.longitude,
+      thumbnail: photo ? photo.thumb : null
+    };
+  });
+  return res.json({ rentals: pins, truncated: rows.length > MAP_MAX_PINS });
+});
+
+// Known places, for pickers ("near Old Town") and the new-rental form
+app.get('/api/places', (req, res) => {
+  return res.json({ places: db.all('SELECT name, latitude, longitude FROM places ORDER BY name') });
+});
+
+// Look a free-text location up offline: what a rental with this location would be pinned to
+app.get('/api/geocode', [
+  query('q').exists().withMessage('q is required').bail().trim().isLength({ min: 1 }).withMessage('q cannot be empty')
+], validateRequest, (req, res) => {
+  const place = geo.geocode(db, req.query.q);
+  if (!place) return res.status(404).json({ message: 'Place not found' });
+  return res.json({ place });
+});
+
+// -------------------- Notifications --------------------
+// Owners are notified when someone comments on, likes or asks about their listing. Each type can be
+// turned off; with email_digest on, unread notifications are also emailed once a day (digest.js).
+// New notifications are pushed to the recipient's live stream as notification.created.
+
+// notification type -> preference that controls it
+const NOTIFICATION_TYPES = { comment: 'comments', like: 'likes', inquiry: 'inquiries' };
+const NOTIFICATION_PREFERENCES = ['comments', 'likes', 'inquiries', 'email_digest'];
+const DEFAULT_NOTIFICATION_PREFERENCES = { comments: true, likes: true, inquiries: true, email_digest: false };
+
+const NOTIFICATION_SELECT = `
+  SELECT n.*, a.name as actor_name, r.title as rental_title,
+         CASE WHEN c.deleted_at IS NULL AND c.hidden_at IS NULL THEN c.text END as comment_text
+  FROM notifications n
+  LEFT JOIN users a ON a.id = n.actor_id
+  LEFT JOIN rentals r ON r.id = n.rental_id
+  LEFT JOIN comments c ON c.id = n.comment_id`;
+
+function notificationPreferences(userId) {
+  const row = db.get(`SELECT ${NOTIFICATION_PREFERENCES.join(', ')} FROM notification_preferences WHERE user_id = ?`, [userId]);
+  if (!row) return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+  return Object.fromEntries(NOTIFICATION_PREFERENCES.map(key => [key, !!row[key]]));
+}
+
+// Shape a NOTIFICATION_SELECT row for the API. A comment removed since has comment.text null.
+function toNotification(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    read: !!row.read_at,
+    actor: row.actor_id ? { id: row.actor_id, name: row.actor_name } : null,
+    rental: row.rental_id ? { id: row.rental_id, title: row.rental_title } : null,
+    comment: row.comment_id ? { id: row.comment_id, text: row.comment_text } : null,
+    conversation_id: row.conversation_id,
+    created_at: row.created_at
+  };
+}
+
+// Notify userId that actorId commented / liked / inquired, unless it is their own listing activity or they
+// turned that type off. Liking again before the owner has read the first like doesn't notify twice.
+function notify(userId, type, { actorId, rentalId = null, commentId = null, conversationId = null }) {
+  if (userId === actorId || !notificationPreferences(userId)[NOTIFICATION_TYPES[type]]) return null;
+  if (type === 'like' && db.get("SELECT id FROM notifications WHERE user_id = ? AND type = 'like' AND actor_id = ? AND rental_id = ? AND read_at IS NULL", [userId, actorId, rentalId])) return null;
+  const id = db.run(
+    'INSERT INTO notifications (user_id, type, actor_id, rental_id, comment_id, conversation_id) VALUES (?, ?, ?, ?, ?, ?)',
+    [userId, type, actorId, rentalId, commentId, conversationId]
+  ).lastInsertRowid;
+  const notification = toNotification(db.get(`${NOTIFICATION_SELECT} WHERE n.id = ?`, [id]));
+  events.publish('notification.created', { notification }, { audience: [userId] });
+  return notification;
+}
+
+// An unlike takes back the like notification the owner hasn't read yet
+function withdrawLikeNotification(rentalId, actorId) {
+  db.run("DELETE FROM notifications WHERE type = 'like' AND rental_id = ? AND actor_id = ? AND read_at IS NULL", [rentalId, actorId]);
+}
+
+function unreadNotifications(userId) {
+  return db.get('SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL', [userId]).count;
+}
+
+// My notifications, newest first; ?unread=true for unread ones only. `unread` is the unread count, for a badge.
+app.get('/api/notifications', authenticateJWT, [
+  query('unread').optional().isBoolean().withMessage('unread must be true or false')
+], validateRequest, (req, res) => {
+  const userId = req.user.id;
+  const { limit, offset } = pageParams(req.query);
+  const where = req.query.unread === 'true' ? 'WHERE n.user_id = ? AND n.read_at IS NULL' : 'WHERE n.user_id = ?';
+  const notifications = db.all(`${NOTIFICATION_SELECT} ${where} ORDER BY n.id DESC LIMIT ? OFFSET ?`, [userId, limit, offset]).map(toNotification);
+  const total = db.get(`SELECT COUNT(*) as count FROM notifications n ${where}`, [userId]).count;
+  return res.json({ notifications, unread: unreadNotifications(userId), offset, limit, total, hasMore: offset + notifications.length < total });
+});
+
+// Mark notifications read: the given ids, or all of them when ids is omitted
+app.post('/api/notifications/read', authenticateJWT, [
+  body('ids').optional().isArray({ min: 1, max: 100 }).withMessage('ids must be a list of 1 to 100 notification ids'),
+  body('ids.*').isInt({ gt: 0 }).withMessage('ids must be notification ids')
+], validateRequest, (req, res) => {
+  const userId = req.user.id;
+  const ids = req.body.ids ? req.body.ids.map(Number) : null;
+  const only = ids ? `AND id IN (${ids.map(() => '?').join(', ')})` : '';
+  db.run(`UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL ${only}`, [userId, ...(ids || [])]);
+  return res.json({ unread: unreadNotifications(userId) });
+});
+
+app.get('/api/notifications/preferences', authenticateJWT, (req, res) => {
+  return res.json({ preferences: notificationPreferences(req.user.id) });
+});
+
+// Change some preferences: { comments, likes, inquiries, email_digest } (booleans, all optional)
+app.patch('/api/notifications/preferences', authenticateJWT, NOTIFICATION_PREFERENCES.map(key =>
+  body(key).optional().isBoolean({ strict: true }).withMessage(`${key} must be true or false`)
+), validateRequest, (req, res) => {
+  const userId = req.user.id;
+  const changes = NOTIFICATION_PREFERENCES.filter(key => typeof req.body[key] !== 'undefined');
+  if (changes.length === 0) return res.status(400).json({ message: 'Nothing to update' });
+  const preferences = { ...notificationPreferences(userId), ...Object.fromEntries(changes.map(key => [key, req.body[key]])) };
+  db.run(
+    `INSERT INTO notification_preferences (user_id, ${NOTIFICATION_PREFERENCES.join(', ')}) VALUES (?, ?, ?, ?, ?)
+     ON CONFLICT(user_id) DO UPDATE SET ${NOTIFICATION_PREFERENCES.map(key => `${key} = excluded.${key}`).join(', ')}, updated_at = CURRENT_TIMESTAMP`,
+    [userId, ...NOTIFICATION_PREFERENCES.map(key => (preferences[key] ? 1 : 0))]
+  );
+  return res.json({ preferences });
+});
+
+// -------------------- Live updates --------------------
+// GET /api/stream is a Server-Sent Events stream of what route handlers publish on the event bus (events.js):
+//   rental.created  { ...feed card }                       a new listing, shaped like a /api/feed item
+//   rental.likes    { rental_id, likes }                   a like count changed
+//   comment.created { rental_id, comment, comments_count } someone commented or replied
+//   message.created { conversation_id, message }           only to the conversation's two participants
+//   notification.created { notification }                 only to its recipient
+// Reconnecting clients send Last-Event-ID (EventSource does) and get what they missed from the replay
+// buffer; when that is not possible they get a `resync` event and should reload what they show.
+
+const STREAM_HEARTBEAT_MS = envNumber('STREAM_HEARTBEAT_SECONDS', 25) * 1000;
+// how long EventSource waits before reconnecting
+const STREAM_RETRY_MS = 5000;
+
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event.data)}\n\n`);
+}
+
+app.get('/api/stream', optionalAuth, [
+  query('lastEventId').optional().isInt({ min: 0 }).withMessage('lastEventId must be an event id')
+], validateRequest, (req, res) => {
+  const userId = req.user ? req.user.id : null;
+  const visible = event => !event.audience || event.audience.includes(userId);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // stop nginx and similar proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${STREAM_RETRY_MS}\n\n`);
+
+  // ?lastEventId= is for clients that can't set the header
+  const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (lastEventId > 0) {
+    const missed = events.since(lastEventId);
+    if (missed) missed.filter(visible).forEach(event => writeEvent(res, event));
+    else res.write('event: resync\ndata: {}\n\n');
+  }
+
+  const unsubscribe = events.subscribe(event => {
+    if (visible(event)) writeEvent(res, event);
+  });
+  // comment lines keep idle proxies and load balancers from closing the connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), STREAM_HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+});
+
+// -------------------- Admin & moderation --------------------
+// Moderators hide / delete content and read the moderation log; admins can also manage users.
+
+const ROLES = ['user', 'moderator', 'admin'];
+const canModerate = requireRole('moderator', 'admin');
+const isAdmin = requireRole('admin');
+
+// ?offset=&limit= for admin listings (same bounds as the feed)
+function pageParams(q) {
+  const limit = Math.min(Math.max(parseInt(q.limit) || 20, 1), 50);
+  const offset = Math.max(parseInt(q.offset) || 0, 0);
+  return { limit, offset };
+}
+
+function logModeration(actorId, action, targetType, targetId, reason) {
+  db.run('INSERT INTO moderation_log (actor_id, action, target_type, target_id, reason) VALUES (?, ?, ?, ?, ?)', [actorId, action, targetType, targetId, reason || null]);
+}
+
+const idParam = param('id').isInt({ gt: 0 }).withMessage('id must be a positive integer');
+const reasonBody = body('reason').optional().isLength({ max: 500 }).withMessage('reason must be at most 500 characters').trim().escape();
+const statusQuery = query('status').optional().isIn(['all', 'visible', 'hidden']).withMessage('status must be one of: all, visible, hidden');
+
+function hiddenClause(status, column) {
+  if (status === 'hidden') return `${column} IS NOT NULL`;
+  if (status === 'visible') return `${column} IS NULL`;
+  return '1 = 1';
+}
+
+// List users with pagination; ?q= matches email or name, ?role= and ?suspended=true|false filter
+app.get('/api/admin/users', authenticateJWT, isAdmin, [
+  query('q').optional().trim(),
+  query('role').optional().isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  query('suspended').optional().isBoolean().withMessage('suspended must be a boolean')
+], validateRequest, (req, res) => {
+  const { limit, offset } = pageParams(req.query);
+  const clauses = [];
+  const params = [];
+  if (req.query.q) {
+    clauses.push("(u.email LIKE ? ESCAPE '\\' OR u.name LIKE ? ESCAPE '\\')");
+    params.push(likePattern(req.query.q), likePattern(req.query.q));
+  }
+  if (req.query.role) {
+    clauses.push('u.role = ?');
+    params.push(req.query.role);
+  }
+  if (typeof req.query.suspended !== 'undefined') {
+    clauses.push(req.query.suspended === 'true' ? 'u.suspended_at IS NOT NULL' : 'u.suspended_at IS NULL');
+  }
+  const where = clauses.length ? 'WHERE ' + clauses.join(' AND ') : '';
+
+  const users = db.all(
+    `SELECT u.id, u.email, u.name, u.role, u.suspended_at, u.created_at,
+            (SELECT COUNT(*) FROM rentals r WHERE r.owner_id = u.id) as rentals_count,
+            (SELECT COUNT(*) FROM comments c WHERE c.user_id = u.id) as comments_count
+     FROM users u ${where}
+     ORDER BY u.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const total = db.get(`SELECT COUNT(*) as count FROM users u ${where}`, params).count;
+  return res.json({ users, offset, limit, total, hasMore: offset + users.length < total });
+});
+
+// Change a user's role (admins can't change their own, so there is always someone left to undo mistakes)
+app.patch('/api/admin/users/:id/role', authenticateJWT, isAdmin, [
+  idParam,
+  body('role').exists().withMessage('role is required').bail().isIn(ROLES).withMessage(`role must be one of: ${ROLES.join(', ')}`),
+  reasonBody
+], validateRequest, (req, res) => {
+  const userId = Number(req.params.id);
+  if (userId === req.user.id) return res.status(400).json({ message: 'You cannot change your own role' });
+  const user = db.get('SELECT id FROM users WHERE id = ?', [userId]);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+
+  db.run('UPDATE users SET role = ? WHERE id = ?', [req.body.role, userId]);
+  logModeration(req.user.id, `user.role.${req.body.role}`, 'user', userId, req.body.reason);
+  return res.json({ user: db.get('SELECT id, email, name, role, suspended_at, created_at FROM users WHERE id = ?', [userId]) });
+});
+
+// Suspend: block login and end every session of the user immediately
+app.post('/api/admin/users/:id/suspend', authenticateJWT, isAdmin, [ idParam, reasonBody ], validateRequest, (req, res) => {
+  const userId = Number(req.params.id);
+  if (userId === req.user.id) return res.status(400).json({ message: 'You cannot suspend yourself' });
+  const user = db.get('SELECT id, suspended_at FROM users WHERE id = ?', [userId]);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+
+  if (!user.suspended_at) {
+    db._raw.transaction(() => {
+      db.run('UPDATE users SET suspended_at = CURRENT_TIMESTAMP WHERE id = ?', [userId]);
+      revokeAllSessions(userId);
+      logModeration(req.user.id, 'user.suspend', 'user', userId, req.body.reason);
+    })();
+  }
+  return res.json({ user: db.get('SELECT id, email, name, role, suspended_at, created_at FROM users WHERE id = ?', [userId]) });
+});
+
+app.post('/api/admin/users/:id/unsuspend', authenticateJWT, isAdmin, [ idParam, reasonBody ], validateRequest, (req, res) => {
+  const userId = Number(req.params.id);
+  const user = db.get('SELECT id, suspended_at FROM users WHERE id = ?', [userId]);
+  if (!user) return res.status(404).json({ message: 'User not found' });
+
+  if (user.suspended_at) {
+    db.run('UPDATE users SET suspended_at = NULL WHERE id = ?', [userId]);
+    logModeration(req.user.id, 'user.unsuspend', 'user', userId, req.body.reason);
+  }
+  return res.json({ user: db.get('SELECT id, email, name, role, suspended_at, created_at FROM users WHERE id = ?', [userId]) });
+});
+
+// List rentals including hidden ones; ?status=all|visible|hidden, ?owner=<userId>
+app.get('/api/admin/rentals', authenticateJWT, canModerate, [
+  statusQuery,
+  query('owner').optional().isInt({ gt: 0 }).withMessage('owner must be a positive integer')
+], validateRequest, (req, res) => {
+  const { limit, offset } = pageParams(req.query);
+  const clauses = [hiddenClause(req.query.status, 'r.hidden_at')];
+  const params = [];
+  if (req.query.owner) {
+    clauses.push('r.owner_id = ?');
+    params.push(Number(req.query.owner));
+  }
+  const where = 'WHERE ' + clauses.join(' AND ');
+  const rentals = db.all(
+    `SELECT r.id, r.title, r.price, r.location, r.owner_id, u.name as owner_name, u.email as owner_email, r.hidden_at, r.created_at
+     FROM rentals r JOIN users u ON r.owner_id = u.id
+     ${where}
+     ORDER BY r.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const total = db.get(`SELECT COUNT(*) as count FROM rentals r ${where}`, params).count;
+  return res.json({ rentals, offset, limit, total, hasMore: offset + rentals.length < total });
+});
+
+// --- moderation helpers (shared by the admin routes and the reports queue) ---
+const MODERATED_TABLES = { rental: 'rentals', comment: 'comments' };
+
+// Hide or unhide a rental / comment. Returns false if it doesn't exist; logs only real changes.
+// Hides triggered by reports pass automatic=true and are logged as '<type>.auto_hide'.
+function setHidden(targetType, id, hidden, actorId, reason, automatic = false) {
+  const table = MODERATED_TABLES[targetType];
+  const row = db.get(`SELECT id, hidden_at FROM ${table} WHERE id = ?`, [id]);
+  if (!row) return false;
+  if (!!row.hidden_at !== hidden) {
+    db.run(`UPDATE ${table} SET hidden_at = ${hidden ? 'CURRENT_TIMESTAMP' : 'NULL'} WHERE id = ?`, [id]);
+    logModeration(actorId, `${targetType}.${hidden ? (automatic ? 'auto_hide' : 'hide') : 'unhide'}`, targetType, id, reason);
+  }
+  return true;
+}
+
+// Delete a rental / comment for moderation reasons. Returns false if it doesn't exist.
+function moderateDelete(targetType, id, actorId, reason) {
+  if (targetType === 'rental') {
+    const rental = db.get('SELECT id, images FROM rentals WHERE id = ?', [id]);
+    if (!rental) return false;
+    deleteRental(rental);
+  } else {
+    const comment = db.get('SELECT id, parent_id FROM comments WHERE id = ?', [id]);
+    if (!comment) return false;
+    deleteComment(comment, actorId);
+  }
+  logModeration(actorId, `${targetType}.delete`, targetType, id, reason);
+  return true;
+}
+
+// Hide / unhide / delete a rental or comment. Hiding is reversible; deleting is not.
+function moderationRoutes(targetType, table) {
+  const label = targetType.charAt(0).toUpperCase() + targetType.slice(1);
+
+  [['hide', true], ['unhide', false]].forEach(([action, hidden]) => {
+    app.post(`/api/admin/${table}/:id/${action}`, authenticateJWT, canModerate, [ idParam, reasonBody ], validateRequest, (req, res) => {
+      const id = Number(req.params.id);
+      if (!setHidden(targetType, id, hidden, req.user.id, req.body.reason)) return res.status(404).json({ message: `${label} not found` });
+      return res.json({ [targetType]: db.get(`SELECT id, hidden_at FROM ${table} WHERE id = ?`, [id]) });
+    });
+  });
+
+  app.delete(`/api/admin/${table}/:id`, authenticateJWT, canModerate, [ idParam, reasonBody ], validateRequest, (req, res) => {
+    if (!moderateDelete(targetType, Number(req.params.id), req.user.id, req.body.reason)) return res.status(404).json({ message: `${label} not found` });
+    return res.json({ message: 'Deleted' });
+  });
+}
+moderationRoutes('rental', 'rentals');
+moderationRoutes('comment', 'comments');
+
+// List comments including hidden ones; ?status=all|visible|hidden, ?rental=<rentalId>
+app.get('/api/admin/comments', authenticateJWT, canModerate, [
+  statusQuery,
+  query('rental').optional().isInt({ gt: 0 }).withMessage('rental must be a positive integer')
+], validateRequest, (req, res) => {
+  const { limit, offset } = pageParams(req.query);
+  const clauses = [hiddenClause(req.query.status, 'c.hidden_at')];
+  const params = [];
+  if (req.query.rental) {
+    clauses.push('c.rental_id = ?');
+    params.push(Number(req.query.rental));
+  }
+  const where = 'WHERE ' + clauses.join(' AND ');
+  const comments = db.all(
+    `SELECT c.id, c.rental_id, c.user_id, u.name as user_name, u.email as user_email, c.text, c.hidden_at, c.created_at
+     FROM comments c JOIN users u ON c.user_id = u.id
+     ${where}
+     ORDER BY c.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const total = db.get(`SELECT COUNT(*) as count FROM comments c ${where}`, params).count;
+  return res.json({ comments, offset, limit, total, hasMore: offset + comments.length < total });
+});
+
+// Moderation log, newest first; ?target_type=rental|comment|user&target_id= narrow it down
+app.get('/api/admin/moderation-log', authenticateJWT, canModerate, [
+  query('target_type').optional().isIn(['rental', 'comment', 'user']).withMessage('target_type must be one of: rental, comment, user'),
+  query('target_id').optional().isInt({ gt: 0 }).withMessage('target_id must be a positive integer')
+], validateRequest, (req, res) => {
+  const { limit, offset } = pageParams(req.query);
+  const clauses = [];
+  const params = [];
+  if (req.query.target_type) {
+    clauses.push('m.target_type = ?');
+    params.push(req.query.target_type);
+  }
+  if (req.query.target_id) {
+    clauses.push('m.target_id = ?');
+    params.push(Number(req.query.target_id));
+  }
+  const where = clauses.length ? 'WHERE ' + clauses.join(' AND ') : '';
+  const entries = db.all(
+    `SELECT m.id, m.action, m.target_type, m.target_id, m.reason, m.created_at, m.actor_id, u.name as actor_name
+     FROM moderation_log m LEFT JOIN users u ON m.actor_id = u.id
+     ${where}
+     ORDER BY m.id DESC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const total = db.get(`SELECT COUNT(*) as count FROM moderation_log m ${where}`, params).count;
+  return res.json({ entries, offset, limit, total, hasMore: offset + entries.length < total });
+});
+
+// -------------------- Reports --------------------
+// Any signed-in user can report a rental or comment; moderators work through the queue.
+// Once a target collects REPORT_HIDE_THRESHOLD open reports it is hidden until a moderator decides.
+
+const REPORT_REASONS = ['spam', 'scam', 'offensive', 'misleading', 'other'];
+const REPORT_HIDE_THRESHOLD = envNumber('REPORT_HIDE_THRESHOLD', 3);
+const REPORT_ACTIONS = ['dismiss', 'hide', 'delete'];
+
+const reportBody = [
+  body('reason').exists().withMessage('reason is required').bail().isIn(REPORT_REASONS).withMessage(`reason must be one of: ${REPORT_REASONS.join(', ')}`),
+  body('details').optional({ values: 'null' }).isLength({ max: 1000 }).withMessage('details must be at most 1000 characters').trim().escape()
+];
+
+// Close the open reports on some targets, e.g. when the content is deleted
+function closeOpenReports(targetType, ids, actorId, note, status = 'resolved') {
+  if (!ids.length) return 0;
+  return db.run(
+    `UPDATE reports SET status = ?, resolved_by = ?, resolved_at = CURRENT_TIMESTAMP, resolution_note = ?
+     WHERE status = 'open' AND target_type = ? AND target_id IN (${ids.map(() => '?').join(', ')})`,
+    [status, actorId, note || null, targetType, ...ids]
+  ).changes;
+}
+
+// File a report and auto-hide the target once it has enough open reports
+function fileReport(req, res, targetType, target) {
+  if (target.owner_id === req.user.id) return res.status(400).json({ message: 'You cannot report your own content' });
+  const existing = db.get('SELECT id FROM reports WHERE target_type = ? AND target_id = ? AND reporter_id = ?', [targetType, target.id, req.user.id]);
+  if (existing) return res.status(409).json({ message: 'You have already reported this' });
+
+  const report = db._raw.transaction(() => {
+    const { lastInsertRowid } = db.run(
+      'INSERT INTO reports (target_type, target_id, reporter_id, reason, details) VALUES (?, ?, ?, ?, ?)',
+      [targetType, target.id, req.user.id, req.body.reason, req.body.details || null]
+    );
+    const open = db.get("SELECT COUNT(*) as count FROM reports WHERE target_type = ? AND target_id = ? AND status = 'open'", [targetType, target.id]).count;
+    if (REPORT_HIDE_THRESHOLD > 0 && open >= REPORT_HIDE_THRESHOLD) {
+      setHidden(targetType, target.id, true, null, `Automatically hidden after ${open} reports`, true);
+    }
+    return db.get('SELECT id, target_type, target_id, reason, details, status, created_at FROM reports WHERE id = ?', [lastInsertRowid]);
+  })();
+  return res.status(201).json({ report });
+}
+
+app.post('/api/rentals/:id/report', authenticateJWT, limits.write, [ idParam, ...reportBody ], validateRequest, (req, res) => {
+  const rental = db.get('SELECT id, owner_id FROM rentals WHERE id = ? AND hidden_at IS NULL', [Number(req.params.id)]);
+  if (!rental) return res.status(404).json({ message: 'Rental not found' });
+  return fileReport(req, res, 'rental', rental);
+});
+
+app.post('/api/comments/:id/report', authenticateJWT, limits.write, [ idParam, ...reportBody ], validateRequest, (req, res) => {
+  const comment = findVisibleComment(Number(req.params.id));
+  if (!comment) return res.status(404).json({ message: 'Comment not found' });
+  return fileReport(req, res, 'comment', { id: comment.id, owner_id: comment.user_id });
+});
+
+// Moderator queue: reports grouped by target, most reported first.
+// ?status=open (default)|resolved|dismissed|all, ?target_type=rental|comment
+app.get('/api/admin/reports', authenticateJWT, canModerate, [
+  query('status').optional().isIn(['open', 'resolved', 'dismissed', 'all']).withMessage('status must be one of: open, resolved, dismissed, all'),
+  query('target_type').optional().isIn(Object.keys(MODERATED_TABLES)).withMessage('target_type must be one of: rental, comment')
+], validateRequest, (req, res) => {
+  const { limit, offset } = pageParams(req.query);
+  const status = req.query.status || 'open';
+  const clauses = [];
+  const params = [];
+  if (status !== 'all') {
+    clauses.push('rp.status = ?');
+    params.push(status);
+  }
+  if (req.query.target_type) {
+    clauses.push('rp.target_type = ?');
+    params.push(req.query.target_type);
+  }
+  const where = clauses.length ? 'WHERE ' + clauses.join(' AND ') : '';
+
+  const rows = db.all(
+    `SELECT rp.target_type, rp.target_id, rp.status, COUNT(*) as report_count,
+            GROUP_CONCAT(rp.id) as report_ids, GROUP_CONCAT(DISTINCT rp.reason) as reasons,
+            MIN(rp.created_at) as first_reported_at, MAX(rp.created_at) as last_reported_at,
+            CASE rp.target_type WHEN 'rental' THEN r.title ELSE c.text END as preview,
+            CASE rp.target_type WHEN 'rental' THEN r.hidden_at ELSE c.hidden_at END as hidden_at
+     FROM reports rp
+     LEFT JOIN rentals r ON rp.target_type = 'rental' AND r.id = rp.target_id
+     LEFT JOIN comments c ON rp.target_type = 'comment' AND c.id = rp.target_id
+     ${where}
+     GROUP BY rp.target_type, rp.target_id, rp.status
+     ORDER BY report_count DESC, first_reported_at ASC
+     LIMIT ? OFFSET ?`,
+    [...params, limit, offset]
+  );
+  const reports = rows.map(row => ({
+    ...row,
+    report_ids: row.report_ids.split(',').map(Number),
+    reasons: row.reasons.split(',')
+  }));
+  const total = db.get(`SELECT COUNT(*) as count FROM (SELECT 1 FROM reports rp ${where} GROUP BY rp.target_type, rp.target_id, rp.status)`, params).count;
+  return res.json({ reports, offset, limit, total, hasMore: offset + reports.length < total });
+});
+
+// One report with every other report on the same target (details and reporters included)
+app.get('/api/admin/reports/:id', authenticateJWT, canModerate, [ idParam ], validateRequest, (req, res) => {
+  const report = db.get('SELECT target_type, target_id FROM reports WHERE id = ?', [Number(req.params.id)]);
+  if (!report) return res.status(404).json({ message: 'Report not found' });
+  const reports = db.all(
+    `SELECT rp.id, rp.reason, rp.details, rp.status, rp.created_at, rp.reporter_id, u.name as reporter_name,
+            rp.resolved_by, rp.resolved_at, rp.resolution_note
+     FROM reports rp LEFT JOIN users u ON rp.reporter_id = u.id
+     WHERE rp.target_type = ? AND rp.target_id = ?
+     ORDER BY rp.id ASC`,
+    [report.target_type, report.target_id]
+  );
+  return res.json({ target_type: report.target_type, target_id: report.target_id, reports });
+});
+
+// Resolve a report and every other open report on the same target:
+// - dismiss: nothing wrong; content hidden automatically by reports is shown again
+// - hide / delete: the moderation action is applied and logged like the admin routes do
+app.post('/api/admin/reports/:id/resolve', authenticateJWT, canModerate, [
+  idParam,
+  body('action').exists().withMessage('action is required').bail().isIn(REPORT_ACTIONS).withMessage(`action must be one of: ${REPORT_ACTIONS.join(', ')}`),
+  body('note').optional({ values: 'null' }).isLength({ max: 500 }).withMessage('note must be at most 500 characters').trim().escape()
+], validateRequest, (req, res) => {
+  const report = db.get('SELECT id, target_type, target_id, status FROM reports WHERE id = ?', [Number(req.params.id)]);
+  if (!report) return res.status(404).json({ message: 'Report not found' });
+  if (report.status !== 'open') return res.status(409).json({ message: 'Report is already closed' });
+
+  const { action, note } = req.body;
+  const { target_type: targetType, target_id: targetId } = report;
+  const resolved = db._raw.transaction(() => {
+    const count = closeOpenReports(targetType, [targetId], req.user.id, note, action === 'dismiss' ? 'dismissed' : 'resolved');
+    if (action === 'dismiss') {
+      // only undo a hide that came from reports, not one a moderator chose
+      const lastVisibility = db.get(
+        'SELECT action FROM moderation_log WHERE target_type = ? AND target_id = ? AND action IN (?, ?, ?) ORDER BY id DESC LIMIT 1',
+        [targetType, targetId, `${targetType}.hide`, `${targetType}.auto_hide`, `${targetType}.unhide`]
+      );
+      if (lastVisibility && lastVisibility.action === `${targetType}.auto_hide`) setHidden(targetType, targetId, false, req.user.id, note);
+    } else if (action === 'hide') {
+      setHidden(targetType, targetId, true, req.user.id, note);
+    } else {
+      moderateDelete(targetType, targetId, req.user.id, note);
+    }
+    return count;
+  })();
+  return res.json({ resolved, action, target_type: targetType, target_id: targetId });
+});
+
+// Rejected uploads (see uploadErrorMessage)
+app.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  return res.status(400).json({ message: 'Validation failed', errors: [{ field: err.field || 'file', message: uploadErrorMessage(err) }] });
+});
+
 // Global error handler so unexpected errors return consistent JSON in tests and UI
 app.use((err, req, res, next) => {
   console.error('Unhandled error:', err && err.stack ? err.stack : err);
@@ -0,0 +1,126 @@
+// bench-feed.js — measure GET /api/feed latency on a realistically sized database
+// Run: node bench-feed.js   (or npm run bench:feed)
+// Options (env): BENCH_COPIES=100 copies of the sample data (30 rentals each), BENCH_RUNS=30 requests per case.
+//
+// Builds a throwaway SQLite file: migrations/seed-sample-data.js seeds the sample users, rentals,
+// comments and likes, then the rentals are copied BENCH_COPIES times with their comments and likes.
+// The app is served on a random port and each case is requested BENCH_RUNS times.
+// To compare before/after a change, run it on both commits; it only talks HTTP, so older code works too
+// (cases that need ?cursor= are reported as n/a there).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dbFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'bench-feed-')), 'bench.db');
+process.env.DB_FILE = dbFile;
+process.env.NODE_ENV = 'test'; // quiet migration log
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'bench-secret';
+
+const COPIES = Number(process.env.BENCH_COPIES) || 100;
+const RUNS = Number(process.env.BENCH_RUNS) || 30;
+
+const originalLog = console.log;
+console.log = () => {};
+require('./migrations/seed-sample-data');
+console.log = originalLog;
+
+const db = require('./db')._raw;
+const app = require('./app');
+
+function scaleUp() {
+  const rentals = db.prepare('SELECT * FROM rentals').all();
+  const comments = db.prepare('SELECT rental_id, user_id, text, created_at FROM comments').all();
+  const likes = db.prepare('SELECT rental_id, user_id FROM likes').all();
+  const insertRental = db.prepare('INSERT INTO rentals (owner_id, title, description, price, location, images, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)');
+  const insertComment = db.prepare('INSERT INTO comments (rental_id, user_id, text, created_at) VALUES (?, ?, ?, ?)');
+  const insertLike = db.prepare('INSERT INTO likes (rental_id, user_id) VALUES (?, ?)');
+
+  db.transaction(() => {
+    for (let copy = 1; copy < COPIES; copy++) {
+      const ids = new Map();
+      rentals.forEach(r => ids.set(r.id, insertRental.run(r.owner_id, r.title, r.description, r.price, r.location, r.images, r.created_at).lastInsertRowid));
+      comments.forEach(c => insertComment.run(ids.get(c.rental_id), c.user_id, c.text, c.created_at));
+      likes.forEach(l => insertLike.run(ids.get(l.rental_id), l.user_id));
+    }
+  })();
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))];
+}
+
+async function getJSON(base, query) {
+  const res = await fetch(`${base}/api/feed?${new URLSearchParams(query)}`);
+  if (!res.ok) throw new Error(`GET /api/feed ${res.status}: ${await res.text()}`);
+  return res.json();
+}
+
+// Follow nextCursor `pages` times; null if the server doesn't hand out cursors
+async function cursorAfter(base, query, pages) {
+  let cursor = null;
+  for (let i = 0; i < pages; i++) {
+    const data = await getJSON(base, cursor ? { ...query, cursor } : query);
+    if (!data.nextCursor) return null;
+    cursor = data.nextCursor;
+  }
+  return cursor;
+}
+
+async function measure(base, query) {
+  await getJSON(base, query); // warm up statement caches
+  const times = [];
+  for (let i = 0; i < RUNS; i++) {
+    const start = process.hrtime.bigint();
+    await getJSON(base, query);
+    times.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return { mean: times.reduce((sum, t) => sum + t, 0) / times.length, p50: percentile(times, 0.5), p95: percentile(times, 0.95) };
+}
+
+async function main() {
+  scaleUp();
+  const counts = ['rentals', 'comments', 'likes'].map(t => `${db.prepare(`SELECT COUNT(*) as count FROM ${t}`).get().count} ${t}`);
+  console.log(`Database: ${counts.join(', ')}; ${RUNS} requests per case\n`);
+
+  const server = app.listen(0);
+  const base = `http://127.0.0.1:${server.address().port}`;
+  const limit = 8;
+  const deepPage = 100;
+  const cases = [
+    ['first page, newest', { limit }],
+    ['first page, most_liked', { sort: 'most_liked', limit }],
+    ['first page, price_asc', { sort: 'price_asc', limit }],
+    [`page ${deepPage + 1} by offset, newest`, { limit, offset: deepPage * limit }],
+    [`page ${deepPage + 1} by cursor, newest`, { limit }, deepPage],
+    [`page ${deepPage + 1} by offset, price_asc`, { sort: 'price_asc', limit, offset: deepPage * limit }],
+    [`page ${deepPage + 1} by cursor, price_asc`, { sort: 'price_asc', limit }, deepPage]
+  ];
+
+  try {
+    console.log(`${'case'.padEnd(34)} ${'mean'.padStart(9)} ${'p50'.padStart(9)} ${'p95'.padStart(9)}`);
+    for (const [name, query, cursorPages] of cases) {
+      let q = query;
+      if (cursorPages) {
+        const cursor = await cursorAfter(base, query, cursorPages);
+        if (!cursor) {
+          console.log(`${name.padEnd(34)} ${'n/a'.padStart(9)}`);
+          continue;
+        }
+        q = { ...query, cursor };
+      }
+      const { mean, p50, p95 } = await measure(base, q);
+      console.log(`${name.padEnd(34)} ${[mean, p50, p95].map(ms => `${ms.toFixed(2)}ms`.padStart(9)).join(' ')}`);
+    }
+  } finally {
+    server.close();
+    db.close();
+    fs.rmSync(path.dirname(dbFile), { recursive: true, force: true });
+  }
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,245 @@
+// data-export.js: personal data exports ("download my data")
+// Purpose: give users a copy of everything we store about them, as one ZIP file.
+//
+// POST /api/me/export queues a data_exports row and calls processExports(), which builds queued exports
+// one at a time in the background (this process, after the response has gone out). The ZIP holds one
+// JSON file per kind of data plus the user's stored pictures, and is written to EXPORT_DIR (./data/exports,
+// never served statically). A ready export can be downloaded until expires_at (EXPORT_TTL_HOURS); after
+// that pruneExpired() deletes the file and marks the row expired.
+//
+// server.js calls resumeExports() on start, so exports interrupted by a restart are built again.
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const db = require('./db');
+const fileStorage = require('./storage');
+const { createZip } = require('./zip');
+
+const EXPORT_DIR = process.env.EXPORT_DIR || path.join(__dirname, 'data', 'exports');
+const EXPORT_TTL_MS = (Number(process.env.EXPORT_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+const README = `This archive holds the personal data stored for your Rents account.
+
+profile.json        your account (without the password hash) and notification settings
+todos.json          your todos
+rentals.json        your listings with their details and amenities; pictures are in images/
+comments.json       comments you wrote
+likes.json          listings you liked
+collections.json    your saved collections
+messages.json       conversations you are part of, with all their messages
+bookings.json       booking requests you made, and those made for your listings
+reviews.json        reviews you wrote, and those written about you and your listings
+sessions.json       devices that signed in to your account
+images/             your profile picture and the pictures of your listings
+`;
+
+function exportPath(file) {
+  return path.join(EXPORT_DIR, file);
+}
+
+function findExport(id) {
+  return db.get('SELECT * FROM data_exports WHERE id = ?', [id]);
+}
+
+// The user's queued or running export, if any (there is at most one)
+function activeExport(userId) {
+  return db.get("SELECT * FROM data_exports WHERE user_id = ? AND status IN ('pending', 'running') ORDER BY id DESC LIMIT 1", [userId]);
+}
+
+// Queue an export for the user and start the worker; returns the queued row, which the client then polls
+function requestExport(userId) {
+  const row = findExport(db.run('INSERT INTO data_exports (user_id) VALUES (?)', [userId]).lastInsertRowid);
+  processExports();
+  return row;
+}
+
+function parseJSON(json, fallback) {
+  try {
+    return JSON.parse(json) || fallback;
+  } catch (e) {
+    return fallback;
+  }
+}
+
+// The original (largest) file of a stored image, or null for external URLs
+function imageKey(image) {
+  if (!image || typeof image === 'string') return null;
+  return image.variants ? image.variants.full.key : image.key;
+}
+
+// Copy a stored picture into the archive as images/<name>.<ext>; answers what the JSON should say about it
+async function addImage(files, image, name) {
+  const key = imageKey(image);
+  if (!key) return { url: image };
+  const file = `images/${name}${path.extname(key)}`;
+  try {
+    files.push({ name: file, data: await fileStorage.getStorage().get(key) });
+    return { file };
+  } catch (err) {
+    console.error(`Data export: could not read stored image ${key}:`, err && err.message ? err.message : err);
+    return { file: null, missing: true };
+  }
+}
+
+// Everything stored about a user, as ZIP entries
+async function collectUserData(userId) {
+  const files = [];
+  const json = (name, data) => files.push({ name, data: JSON.stringify(data, null, 2) });
+
+  const { password_hash, avatar, ...user } = db.get('SELECT * FROM users WHERE id = ?', [userId]);
+  const avatarImage = parseJSON(avatar, null);
+  json('profile.json', {
+    ...user,
+    avatar: avatarImage ? await addImage(files, avatarImage, 'avatar') : null,
+    notification_preferences: db.get('SELECT comments, likes, inquiries, email_digest, updated_at FROM notification_preferences WHERE user_id = ?', [userId]) || null
+  });
+
+  json('todos.json', db.all('SELECT id, text, done, created_at FROM todos WHERE user_id = ? ORDER BY id', [userId]));
+
+  const rentals = [];
+  for (const { images, owner_id, ...rental } of db.all('SELECT * FROM rentals WHERE owner_id = ? ORDER BY id', [userId])) {
+    const pictures = [];
+    for (const [i, image] of parseJSON(images, []).entries()) pictures.push(await addImage(files, image, `rental-${rental.id}-${i + 1}`));
+    const amenities = db.all('SELECT amenity FROM rental_amenities WHERE rental_id = ? ORDER BY amenity', [rental.id]).map(a => a.amenity);
+    const availability = db.all('SELECT start_date, end_date FROM availability WHERE rental_id = ? ORDER BY start_date', [rental.id]);
+    rentals.push({ ...rental, amenities, availability, images: pictures });
+  }
+  json('rentals.json', rentals);
+
+  json('comments.json', db.all(
+    `SELECT c.id, c.rental_id, r.title as rental_title, c.parent_id, c.text, c.created_at, c.edited_at, c.deleted_at, c.hidden_at
+     FROM comments c LEFT JOIN rentals r ON r.id = c.rental_id
+     WHERE c.user_id = ? ORDER BY c.id`,
+    [userId]
+  ));
+
+  json('likes.json', db.all(
+    'SELECT l.rental_id, r.title as rental_title, l.created_at FROM likes l LEFT JOIN rentals r ON r.id = l.rental_id WHERE l.user_id = ? ORDER BY l.id',
+    [userId]
+  ));
+
+  json('collections.json', db.all('SELECT id, name, share_token IS NOT NULL as shared, created_at, updated_at FROM collections WHERE user_id = ? ORDER BY id', [userId])
+    .map(collection => ({
+      ...collection,
+      shared: !!collection.shared,
+      rentals: db.all(
+        'SELECT i.rental_id, r.title as rental_title, i.added_at FROM collection_items i LEFT JOIN rentals r ON r.id = i.rental_id WHERE i.collection_id = ? ORDER BY i.added_at',
+        [collection.id]
+      )
+    })));
+
+  json('messages.json', db.all(
+    `SELECT c.id, c.rental_id, r.title as rental_title, c.owner_id, c.renter_id, o.name as owner_name, t.name as renter_name, c.created_at
+     FROM conversations c
+     LEFT JOIN rentals r ON r.id = c.rental_id
+     LEFT JOIN users o ON o.id = c.owner_id
+     LEFT JOIN users t ON t.id = c.renter_id
+     WHERE c.owner_id = ? OR c.renter_id = ? ORDER BY c.id`,
+    [userId, userId]
+  ).map(({ owner_id, renter_id, owner_name, renter_name, ...conversation }) => ({
+    ...conversation,
+    role: owner_id === userId ? 'owner' : 'renter',
+    with: owner_id === userId ? renter_name : owner_name,
+    messages: db.all('SELECT sender_id, text, created_at FROM messages WHERE conversation_id = ? ORDER BY id', [conversation.id])
+      .map(m => ({ from: m.sender_id === userId ? 'me' : 'them', text: m.text, created_at: m.created_at }))
+  })));
+
+  json('bookings.json', db.all(
+    `SELECT b.id, b.rental_id, r.title as rental_title, CASE WHEN b.renter_id = ? THEN 'renter' ELSE 'owner' END as role,
+            b.start_date, b.end_date, b.status, b.message, b.created_at, b.updated_at
+     FROM bookings b LEFT JOIN rentals r ON r.id = b.rental_id
+     WHERE b.renter_id = ? OR b.owner_id = ? ORDER BY b.id`,
+    [userId, userId, userId]
+  ));
+
+  json('reviews.json', db.all(
+    `SELECT rv.id, rv.rental_id, r.title as rental_title, CASE WHEN rv.renter_id = ? THEN 'author' ELSE 'owner' END as role,
+            rv.rating, rv.owner_rating, rv.text, rv.reply, rv.replied_at, rv.created_at, rv.updated_at
+     FROM reviews rv LEFT JOIN rentals r ON r.id = rv.rental_id
+     WHERE rv.renter_id = ? OR rv.owner_id = ? ORDER BY rv.id`,
+    [userId, userId, userId]
+  ));
+
+  json('sessions.json', db.all('SELECT user_agent, created_at, last_used_at, revoked_at FROM sessions WHERE user_id = ? ORDER BY created_at', [userId]));
+
+  files.push({ name: 'README.txt', data: README });
+  return files;
+}
+
+async function runExport(row) {
+  const started = db.run("UPDATE data_exports SET status = 'running', started_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'", [row.id]);
+  if (started.changes !== 1) return;
+  const file = `export-${row.id}-${crypto.randomBytes(8).toString('hex')}.zip`;
+  try {
+    if (!db.get('SELECT id FROM users WHERE id = ?', [row.user_id])) throw new Error('Account no longer exists');
+    const zip = createZip(await collectUserData(row.user_id));
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    await fs.promises.writeFile(exportPath(file), zip);
+    const expiresAt = new Date(Date.now() + EXPORT_TTL_MS).toISOString();
+    const done = db.run(
+      "UPDATE data_exports SET status = 'ready', file = ?, size = ?, completed_at = CURRENT_TIMESTAMP, expires_at = ? WHERE id = ?",
+      [file, zip.length, expiresAt, row.id]
+    );
+    // the account (and with it the row) was deleted while the archive was being built
+    if (done.changes !== 1) await fs.promises.unlink(exportPath(file)).catch(() => {});
+  } catch (err) {
+    console.error(`Data export ${row.id} failed:`, err && err.message ? err.message : err);
+    db.run("UPDATE data_exports SET status = 'failed', error = ?, completed_at = CURRENT_TIMESTAMP WHERE id = ?", ['The export could not be created. Please try again.', row.id]);
+  }
+}
+
+// Build queued exports, oldest first. Only one worker runs at a time; calling this while it runs
+// returns the same promise (the worker picks up rows queued in the meantime).
+let worker = null;
+function processExports() {
+  if (!worker) {
+    worker = (async () => {
+      pruneExpired();
+      let row;
+      while ((row = db.get("SELECT * FROM data_exports WHERE status = 'pending' ORDER BY id LIMIT 1"))) await runExport(row);
+    })().catch(err => {
+      console.error('Data export worker failed:', err);
+    }).finally(() => {
+      worker = null;
+    });
+  }
+  return worker;
+}
+
+// After a restart: exports that were being built when the process stopped are queued again
+function resumeExports() {
+  db.run("UPDATE data_exports SET status = 'pending', started_at = NULL WHERE status = 'running'");
+  return processExports();
+}
+
+// Delete the files of ready exports past expires_at and mark them expired; returns how many
+function pruneExpired(now = new Date()) {
+  const expired = db.all("SELECT id, file FROM data_exports WHERE status = 'ready' AND expires_at <= ?", [now.toISOString()]);
+  expired.forEach(row => {
+    db.run("UPDATE data_exports SET status = 'expired', file = NULL WHERE id = ?", [row.id]);
+    fs.promises.unlink(exportPath(row.file)).catch(() => {});
+  });
+  return expired.length;
+}
+
+// Account deletion: drop the user's exports and their files
+function removeUserExports(userId) {
+  const files = db.all('SELECT file FROM data_exports WHERE user_id = ? AND file IS NOT NULL', [userId]).map(row => row.file);
+  db.run('DELETE FROM data_exports WHERE user_id = ?', [userId]);
+  files.forEach(file => fs.promises.unlink(exportPath(file)).catch(() => {}));
+}
+
+module.exports = {
+  EXPORT_TTL_MS,
+  exportPath,
+  findExport,
+  activeExport,
+  requestExport,
+  processExports,
+  resumeExports,
+  pruneExpired,
+  removeUserExports,
+  collectUserData
+};
@@ -1,15 +1,16 @@
 // db.js: initialize and provide simple helpers for SQLite (better-sqlite3 synchronous API)
 // Modified for tests: honor process.env.DB_FILE, and if DB_FILE === ':memory:' do NOT create ./data dir
-// so in-memory DB works in CI/tests. Tables include `done` column so migrations are not required for tests.
+// so in-memory DB works in CI/tests. Pending migrations are applied on load, so tests get the full schema.
 //
 // Why this change:
 // - Tests need an isolated DB (in-memory) to avoid interfering with local dev DB files.
-// - Creating tables with done column up-front simplifies test setup and keeps behavior consistent.
+// - Applying migrations up-front simplifies test setup and keeps behavior consistent across environments.
 
 const Database = require('better-sqlite3');
 const fs = require('fs');
 const path = require('path');
 require('dotenv').config();
+const { migrateUp } = require('./migrations/runner');
 
 // Determine DB file from env or default to ./data/dev.db
 const dbFile = process.env.DB_FILE || path.join(__dirname, 'data', 'dev.db');
@@ -24,28 +25,12 @@ if (dbFile !== ':memory:') {
 // Connect to SQLite file (or in-memory) using better-sqlite3
 const db = new Database(dbFile);
 
-// Create users table and todos table with `done` column present by default.
-// We use IF NOT EXISTS so repeated test runs / file DBs are safe.
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS users (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    email TEXT NOT NULL UNIQUE,
-    password_hash TEXT NOT NULL,
-    name TEXT,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP
-  )
-`).run();
-
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS todos (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    user_id INTEGER NOT NULL,
-    text TEXT NOT NULL,
-    done INTEGER DEFAULT 0,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-  )
-`).run();
+// Bring the schema up to date. Tables are defined by the numbered files in migrations/,
+// so the dev DB, a fresh checkout and the tests' in-memory DB all end up with the same schema.
+// migrations/migrate.js sets DB_SKIP_MIGRATIONS so it can inspect / roll back the real state.
+if (process.env.DB_SKIP_MIGRATIONS !== 'true') {
+  migrateUp(db, { log: process.env.NODE_ENV === 'test' ? () => {} : console.log });
+}
 
 // Export a small set of helpers similar to before. Keep raw DB export for advanced usage.
 module.exports = {
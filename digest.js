@@ -0,0 +1,82 @@
+// digest.js — daily email digest of unread notifications
+// Run: node digest.js   (or npm run digest), e.g. from cron once a day. server.js can also run it every
+// 24 hours by itself when NOTIFICATION_DIGEST=daily.
+//
+// Users who turned on email_digest (PATCH /api/notifications/preferences) get one email listing the unread
+// notifications that no earlier digest included; those are then marked emailed_at so they are not sent
+// twice. Mail goes through mailer.js, so with the default outbox transport the digests land in data/outbox/.
+
+require('dotenv').config();
+const db = require('./db');
+const mailer = require('./mailer');
+
+const APP_URL = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+// longer digests end with "...and N more"
+const DIGEST_MAX_ITEMS = 20;
+
+// One line per notification, e.g. 'Renter commented on "Harbour flat": Is it quiet?'
+function describe(row) {
+  const who = row.actor_name || 'Someone';
+  const what = row.rental_title ? `"${row.rental_title}"` : 'your listing';
+  if (row.type === 'like') return `${who} liked ${what}`;
+  if (row.type === 'inquiry') return `${who} sent you a message about ${what}`;
+  return row.comment_text ? `${who} commented on ${what}: ${row.comment_text}` : `${who} commented on ${what}`;
+}
+
+function digestText(user, rows) {
+  const lines = rows.slice(0, DIGEST_MAX_ITEMS).map(row => `- ${describe(row)}`);
+  if (rows.length > DIGEST_MAX_ITEMS) lines.push(`...and ${rows.length - DIGEST_MAX_ITEMS} more`);
+  return `Hi ${user.name || 'there'},\n\nHere is what happened on your listings:\n\n${lines.join('\n')}\n\n` +
+    `See everything at ${APP_URL}/notifications.html\n\n` +
+    `You get this email because you turned on the daily digest. Turn it off on the same page.`;
+}
+
+// Send every due digest; resolves with the number of emails sent. A failed email is logged and its
+// notifications stay pending for the next run.
+async function sendDigests() {
+  const users = db.all(
+    `SELECT u.id, u.email, u.name FROM users u
+     JOIN notification_preferences p ON p.user_id = u.id
+     WHERE p.email_digest = 1 AND u.suspended_at IS NULL
+       AND EXISTS (SELECT 1 FROM notifications n WHERE n.user_id = u.id AND n.read_at IS NULL AND n.emailed_at IS NULL)`
+  );
+  let sent = 0;
+  for (const user of users) {
+    const rows = db.all(
+      `SELECT n.id, n.type, a.name as actor_name, r.title as rental_title,
+              CASE WHEN c.deleted_at IS NULL AND c.hidden_at IS NULL THEN c.text END as comment_text
+       FROM notifications n
+       LEFT JOIN users a ON a.id = n.actor_id
+       LEFT JOIN rentals r ON r.id = n.rental_id
+       LEFT JOIN comments c ON c.id = n.comment_id
+       WHERE n.user_id = ? AND n.read_at IS NULL AND n.emailed_at IS NULL
+       ORDER BY n.id ASC`,
+      [user.id]
+    );
+    const count = rows.length;
+    try {
+      await mailer.sendMail({
+        to: user.email,
+        subject: `${count} new ${count === 1 ? 'notification' : 'notifications'} on your listings`,
+        text: digestText(user, rows)
+      });
+    } catch (err) {
+      console.error(`Failed to send the digest to user ${user.id}:`, err && err.message ? err.message : err);
+      continue;
+    }
+    db.run(`UPDATE notifications SET emailed_at = CURRENT_TIMESTAMP WHERE id IN (${rows.map(() => '?').join(', ')})`, rows.map(row => row.id));
+    sent++;
+  }
+  return sent;
+}
+
+module.exports = { sendDigests, describe };
+
+if (require.main === module) {
+  sendDigests().then(sent => {
+    console.log(`Sent ${sent} ${sent === 1 ? 'digest' : 'digests'}`);
+  }, err => {
+    console.error(err);
+    process.exit(1);
+  });
+}
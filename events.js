@@ -0,0 +1,58 @@
+// events.js: in-process event bus behind the live updates stream (GET /api/stream)
+// Purpose: route code publishes what changed (a new rental, a like count, a comment, a message) without
+// knowing who is listening; every open stream subscribes and forwards what its viewer may see.
+//
+// An event is { id, type, data, audience }: audience null means everyone, an array of user ids keeps the
+// event private to them (messages). Ids only grow, and the last STREAM_REPLAY_BUFFER events are kept so a
+// client that reconnects with Last-Event-ID gets what it missed; since() says when that is no longer possible.
+//
+// The bus only spans this process. With several app instances, a client only hears about changes made
+// through the instance it is connected to; publish/subscribe would then go through a shared broker
+// (Redis pub/sub, Postgres LISTEN/NOTIFY, ...) instead.
+//
+// createBus() gives an independent bus (handy in tests); the module itself is the app-wide one.
+
+require('dotenv').config();
+const { EventEmitter } = require('events');
+
+function createBus({ bufferSize = 200 } = {}) {
+  const emitter = new EventEmitter();
+  // one listener per open stream, so the default leak warning at 10 doesn't apply
+  emitter.setMaxListeners(0);
+  const recent = [];
+  let lastId = 0;
+
+  // Publish an event to every subscriber; returns it
+  function publish(type, data, { audience = null } = {}) {
+    const event = { id: ++lastId, type, data, audience };
+    recent.push(event);
+    if (recent.length > bufferSize) recent.shift();
+    emitter.emit('event', event);
+    return event;
+  }
+
+  // Call listener(event) for every event published from now on; returns a function that stops it
+  function subscribe(listener) {
+    emitter.on('event', listener);
+    return () => emitter.off('event', listener);
+  }
+
+  // Buffered events published after `id`, or null when some of them are gone (too old, or `id` is from
+  // before a restart) and the client has to reload instead
+  function since(id) {
+    if (id > lastId) return null;
+    const oldest = recent.length ? recent[0].id : lastId + 1;
+    if (id < oldest - 1) return null;
+    return recent.filter(event => event.id > id);
+  }
+
+  function subscriberCount() {
+    return emitter.listenerCount('event');
+  }
+
+  return { publish, subscribe, since, subscriberCount };
+}
+
+const bus = createBus({ bufferSize: Number(process.env.STREAM_REPLAY_BUFFER) || 200 });
+
+module.exports = { ...bus, createBus };
@@ -0,0 +1,75 @@
+// geo.js: distances, "near a point" search and the offline geocoder for rental locations
+// Purpose: rentals carry optional latitude / longitude. The feed's ?near=lat,lng&radius=km search first
+// narrows rentals to a bounding box (indexed columns, cheap) and then keeps the ones whose great-circle
+// (haversine) distance is within the radius; distance_km() is registered as an SQL function so that
+// filter and the nearest-first sort run inside the query.
+//
+// Geocoding never calls an external service: free-text locations are looked up in the `places` table
+// (known neighbourhoods and addresses with their coordinates, see migration 018). A location matches a
+// place by its whole name or by containing it ("Loft in Old Town" -> Old Town); anything else stays
+// without coordinates unless the owner sends them.
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE = Math.PI * EARTH_RADIUS_KM / 180;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in km between two points; null when either point is missing
+function haversineKm(lat1, lng1, lat2, lng2) {
+  if ([lat1, lng1, lat2, lng2].some(v => v === null || typeof v === 'undefined')) return null;
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// The lat/lng box around a point that contains every point within radiusKm of it. Longitude bounds are
+// null when the box would wrap around the poles or the antimeridian; the haversine check still applies.
+function boundingBox({ lat, lng }, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEGREE;
+  const minLat = Math.max(lat - dLat, -90);
+  const maxLat = Math.min(lat + dLat, 90);
+  const cos = Math.cos(toRadians(Math.max(Math.abs(lat - dLat), Math.abs(lat + dLat))));
+  const dLng = cos > 1e-9 ? radiusKm / (KM_PER_DEGREE * cos) : Infinity;
+  if (maxLat === 90 || minLat === -90 || lng - dLng < -180 || lng + dLng > 180) {
+    return { minLat, maxLat, minLng: null, maxLng: null };
+  }
+  return { minLat, maxLat, minLng: lng - dLng, maxLng: lng + dLng };
+}
+
+// "51.5074,-0.1278" -> { lat, lng }, or null when it isn't a valid point
+function parsePoint(text) {
+  const parts = String(text).split(',').map(p => p.trim());
+  if (parts.length !== 2 || parts.some(p => !/^[-+]?\d+(\.\d+)?$/.test(p))) return null;
+  const [lat, lng] = parts.map(Number);
+  if (Math.abs(lat) > 90 || Math.abs(lng) > 180) return null;
+  return { lat, lng };
+}
+
+// Lowercase words without accents or punctuation: "Old-Town, Café" -> "old town cafe"
+function placeKey(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&[a-z]+;|&#x?[0-9a-f]+;/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// Look a free-text location up in the places table: { name, latitude, longitude } or null.
+// A whole-name match wins; otherwise the longest place name found as whole words in the text.
+function geocode(db, text) {
+  const key = placeKey(text);
+  if (!key) return null;
+  const exact = db.get('SELECT name, latitude, longitude FROM places WHERE key = ?', [key]);
+  if (exact) return exact;
+  const padded = ` ${key} `;
+  const found = db.all('SELECT name, key, latitude, longitude FROM places ORDER BY length(key) DESC, id')
+    .find(place => padded.includes(` ${place.key} `));
+  return found ? { name: found.name, latitude: found.latitude, longitude: found.longitude } : null;
+}
+
+// distance_km(lat1, lng1, lat2, lng2) for SQL on a better-sqlite3 connection
+function registerSqlFunctions(rawDb) {
+  rawDb.function('distance_km', { deterministic: true }, haversineKm);
+}
+
+module.exports = { EARTH_RADIUS_KM, haversineKm, boundingBox, parsePoint, placeKey, geocode, registerSqlFunctions };
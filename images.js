@@ -0,0 +1,85 @@
+// images.js: validation and resizing for uploaded rental photos
+// Purpose: only store real images, without the camera's EXIF/GPS data, in sizes the feed can pick from.
+//
+// - detectImageType(buffer) sniffs the magic bytes: 'jpeg', 'png', 'webp' or null. The client's
+//   Content-Type and file name are not trusted.
+// - processImage(buffer, { name, storage }) stores one WebP file per variant (thumb, card, full) and
+//   returns { key, width, height, variants: { thumb: { key, width, height }, ... } }. Keys are storage
+//   keys (see storage.js), not URLs, so the same record works on local disk and in a bucket.
+//   Images are rotated upright first; sharp drops all metadata (EXIF, GPS, ICC comments) on output.
+//
+// sharp ships prebuilt libvips binaries through npm, so no system packages or external service are needed.
+
+const sharp = require('sharp');
+
+const SIGNATURES = {
+  jpeg: b => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  png: b => b.length > 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  webp: b => b.length > 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP'
+};
+
+// Widths are upper bounds: smaller originals are never enlarged
+const VARIANTS = [
+  { name: 'thumb', width: 320 },
+  { name: 'card', width: 800 },
+  { name: 'full', width: 1600 }
+];
+
+// Refuse decompression bombs (a tiny file that decodes to a huge bitmap)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+class InvalidImageError extends Error {}
+
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer)) return null;
+  return Object.keys(SIGNATURES).find(type => SIGNATURES[type](buffer)) || null;
+}
+
+async function processImage(buffer, { name, storage }) {
+  if (!detectImageType(buffer)) throw new InvalidImageError('Only JPEG, PNG and WebP images are allowed');
+
+  let source;
+  try {
+    source = sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+    await source.metadata();
+  } catch (err) {
+    throw new InvalidImageError('Image could not be read');
+  }
+
+  const written = [];
+  try {
+    const variants = {};
+    for (const variant of VARIANTS) {
+      const key = `${name}-${variant.name}.webp`;
+      let output;
+      try {
+        output = await source.clone()
+          .resize({ width: variant.width, withoutEnlargement: true })
+          .webp({ quality: 80 })
+          .toBuffer({ resolveWithObject: true });
+      } catch (err) {
+        // corrupt data past the header only shows up once the pixels are decoded
+        throw new InvalidImageError('Image could not be read');
+      }
+      await storage.put(key, output.data, { contentType: 'image/webp' });
+      written.push(key);
+      variants[variant.name] = { key, width: output.info.width, height: output.info.height };
+    }
+    return { key: variants.full.key, width: variants.full.width, height: variants.full.height, variants };
+  } catch (err) {
+    await Promise.all(written.map(key => storage.delete(key).catch(() => {})));
+    throw err;
+  }
+}
+
+// `srcset` value for a processed image, smallest first; urlFor(key) turns storage keys into URLs.
+// Small originals produce variants of the same width; only the first of those is listed.
+function srcset(image, urlFor) {
+  const seen = new Set();
+  return VARIANTS.map(v => image.variants[v.name])
+    .filter(v => v && !seen.has(v.width) && seen.add(v.width))
+    .map(v => `${urlFor(v.key)} ${v.width}w`)
+    .join(', ');
+}
+
+module.exports = { detectImageType, processImage, srcset, VARIANTS, InvalidImageError };
@@ -0,0 +1,92 @@
+// mailer.js: small mail transport abstraction used for account emails (password reset, ...)
+// Purpose: route code calls sendMail() without caring how the message leaves the building.
+//
+// Transports (pick with MAIL_TRANSPORT):
+// - 'outbox' (default): write each message as an .eml file into MAIL_OUTBOX_DIR (./data/outbox).
+//   Works offline, in Codespaces and in tests — open the file to "click" the link in it.
+// - 'smtp': send through an SMTP server with nodemailer (optional dependency, configured by SMTP_* vars).
+//
+// A transport is any object with `send(message)` returning a Promise; setTransport() swaps it (handy in tests).
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Rents <no-reply@localhost>';
+
+// Format a message as a minimal RFC 5322 text/plain email
+function toEml(message) {
+  const headers = [
+    `From: ${message.from}`,
+    `To: ${message.to}`,
+    `Subject: ${message.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${message.id}@localhost>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8'
+  ];
+  return headers.join('\r\n') + '\r\n\r\n' + message.text + '\r\n';
+}
+
+function createOutboxTransport(dir = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'data', 'outbox')) {
+  return {
+    name: 'outbox',
+    dir,
+    async send(message) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      // timestamp first so `ls` lists messages in the order they were sent
+      const file = path.join(dir, `${Date.now()}-${message.id}.eml`);
+      await fs.promises.writeFile(file, toEml(message));
+      return { id: message.id, file };
+    }
+  };
+}
+
+function createSmtpTransport() {
+  let nodemailer;
+  try {
+    nodemailer = require('nodemailer');
+  } catch (err) {
+    throw new Error("MAIL_TRANSPORT=smtp requires the 'nodemailer' package (npm install nodemailer)");
+  }
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    async send(message) {
+      const info = await transporter.sendMail({ from: message.from, to: message.to, subject: message.subject, text: message.text });
+      return { id: info.messageId };
+    }
+  };
+}
+
+function createTransport(kind = process.env.MAIL_TRANSPORT || 'outbox') {
+  if (kind === 'outbox') return createOutboxTransport();
+  if (kind === 'smtp') return createSmtpTransport();
+  throw new Error(`Unknown MAIL_TRANSPORT "${kind}" (expected outbox or smtp)`);
+}
+
+// Created lazily so a misconfigured SMTP setup only fails when mail is actually sent
+let transport = null;
+
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+function setTransport(next) {
+  transport = next;
+}
+
+// Send a plain-text email: { to, subject, text }. Resolves with what the transport returned.
+function sendMail({ to, subject, text }) {
+  const message = { id: crypto.randomUUID(), from: MAIL_FROM, to, subject, text };
+  return getTransport().send(message);
+}
+
+module.exports = { sendMail, createTransport, createOutboxTransport, getTransport, setTransport };
@@ -0,0 +1,21 @@
+// migrations/002_add_todos_done.js
+// Purpose: safely add a 'done' column to the todos table if it doesn't exist.
+// Why: SQLite supports ALTER TABLE ADD COLUMN; we check existing columns first because older
+// databases created by db.js already had the column before this migration existed.
+
+function hasDoneColumn(db) {
+  return db.prepare(`PRAGMA table_info('todos')`).all().some(col => col.name === 'done');
+}
+
+module.exports = {
+  up(db) {
+    if (hasDoneColumn(db)) return;
+    // Add the new column with default 0 (false)
+    db.exec(`ALTER TABLE todos ADD COLUMN done INTEGER DEFAULT 0`);
+  },
+
+  down(db) {
+    // DROP COLUMN needs SQLite 3.35+, which the bundled better-sqlite3 build has
+    if (hasDoneColumn(db)) db.exec(`ALTER TABLE todos DROP COLUMN done`);
+  }
+};
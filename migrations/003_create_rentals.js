@@ -0,0 +1,56 @@
+// migrations/003_create_rentals.js
+// Purpose: create tables for rentals, comments, and likes.
+
+module.exports = {
+  up(db) {
+    // Create rentals table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS rentals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        owner_id INTEGER NOT NULL,
+        title TEXT NOT NULL,
+        description TEXT,
+        price REAL,
+        location TEXT,
+        images TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create comments table
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Create likes table (simple feedback / like)
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS likes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(rental_id, user_id),
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE CASCADE,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS likes;
+      DROP TABLE IF EXISTS comments;
+      DROP TABLE IF EXISTS rentals;
+    `);
+  }
+};
@@ -0,0 +1,49 @@
+// migrations/004_create_rentals_fts.js
+// Purpose: create an FTS5 full-text index over rentals (title, description, location),
+// keep it in sync with triggers, and backfill rows that already exist.
+// Why: LIKE '%word%' scans every row; FTS5 gives indexed, ranked keyword search (used by GET /api/search).
+
+module.exports = {
+  up(db) {
+    // External-content table: the index stores only tokens, the text itself stays in rentals.
+    db.exec(`
+      CREATE VIRTUAL TABLE IF NOT EXISTS rentals_fts USING fts5(
+        title,
+        description,
+        location,
+        content='rentals',
+        content_rowid='id',
+        tokenize='unicode61 remove_diacritics 2'
+      )
+    `);
+
+    // Triggers keep the index in sync. External-content tables need the old values on delete/update,
+    // which is what the special 'delete' command is for.
+    db.exec(`
+      CREATE TRIGGER IF NOT EXISTS rentals_fts_ai AFTER INSERT ON rentals BEGIN
+        INSERT INTO rentals_fts(rowid, title, description, location) VALUES (new.id, new.title, new.description, new.location);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS rentals_fts_ad AFTER DELETE ON rentals BEGIN
+        INSERT INTO rentals_fts(rentals_fts, rowid, title, description, location) VALUES ('delete', old.id, old.title, old.description, old.location);
+      END;
+
+      CREATE TRIGGER IF NOT EXISTS rentals_fts_au AFTER UPDATE OF title, description, location ON rentals BEGIN
+        INSERT INTO rentals_fts(rentals_fts, rowid, title, description, location) VALUES ('delete', old.id, old.title, old.description, old.location);
+        INSERT INTO rentals_fts(rowid, title, description, location) VALUES (new.id, new.title, new.description, new.location);
+      END;
+    `);
+
+    // Backfill: rebuild the whole index from the rentals table (safe to re-run).
+    db.exec(`INSERT INTO rentals_fts(rentals_fts) VALUES ('rebuild')`);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TRIGGER IF EXISTS rentals_fts_au;
+      DROP TRIGGER IF EXISTS rentals_fts_ad;
+      DROP TRIGGER IF EXISTS rentals_fts_ai;
+      DROP TABLE IF EXISTS rentals_fts;
+    `);
+  }
+};
@@ -0,0 +1,24 @@
+// migrations/006_create_password_resets.js
+// Purpose: single-use password reset tokens. Only the SHA-256 hash is stored, so a leaked
+// database (or backup) can't be used to reset anyone's password.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS password_resets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_password_resets_user_id ON password_resets(user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`DROP TABLE IF EXISTS password_resets`);
+  }
+};
@@ -0,0 +1,20 @@
+// migrations/007_create_rate_limits.js
+// Purpose: counters for the SQLite-backed rate limit store (RATE_LIMIT_STORE=sqlite), so limits
+// and login lockouts survive a server restart. reset_at is a Unix timestamp in milliseconds.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS rate_limits (
+        key TEXT PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at INTEGER NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_rate_limits_reset_at ON rate_limits(reset_at);
+    `);
+  },
+
+  down(db) {
+    db.exec(`DROP TABLE IF EXISTS rate_limits`);
+  }
+};
@@ -0,0 +1,39 @@
+// migrations/008_add_roles_and_moderation.js
+// Purpose: role-based access control and admin moderation.
+// - users.role: 'user' (default), 'moderator' (can hide/delete content) or 'admin' (also manages users)
+// - users.suspended_at: suspended accounts can't log in and their sessions are revoked
+// - rentals.hidden_at / comments.hidden_at: hidden content disappears from public endpoints but is kept
+// - moderation_log: who did what to which rental / comment / user, and why
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN role TEXT NOT NULL DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin'));
+      ALTER TABLE users ADD COLUMN suspended_at TEXT;
+      ALTER TABLE rentals ADD COLUMN hidden_at TEXT;
+      ALTER TABLE comments ADD COLUMN hidden_at TEXT;
+
+      CREATE TABLE IF NOT EXISTS moderation_log (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        actor_id INTEGER,
+        action TEXT NOT NULL,
+        target_type TEXT NOT NULL,
+        target_id INTEGER NOT NULL,
+        reason TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(actor_id) REFERENCES users(id) ON DELETE SET NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_moderation_log_target ON moderation_log(target_type, target_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS moderation_log;
+      ALTER TABLE comments DROP COLUMN hidden_at;
+      ALTER TABLE rentals DROP COLUMN hidden_at;
+      ALTER TABLE users DROP COLUMN suspended_at;
+      ALTER TABLE users DROP COLUMN role;
+    `);
+  }
+};
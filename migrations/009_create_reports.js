@@ -0,0 +1,31 @@
+// migrations/009_create_reports.js
+// Purpose: user reports (flags) on rentals and comments, worked through by moderators.
+// One report per user per target; status goes open -> resolved (action taken) or dismissed.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        target_type TEXT NOT NULL CHECK (target_type IN ('rental', 'comment')),
+        target_id INTEGER NOT NULL,
+        reporter_id INTEGER NOT NULL,
+        reason TEXT NOT NULL,
+        details TEXT,
+        status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'resolved', 'dismissed')),
+        resolved_by INTEGER,
+        resolved_at TEXT,
+        resolution_note TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(target_type, target_id, reporter_id),
+        FOREIGN KEY(reporter_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(resolved_by) REFERENCES users(id) ON DELETE SET NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_reports_target ON reports(target_type, target_id, status);
+    `);
+  },
+
+  down(db) {
+    db.exec(`DROP TABLE IF EXISTS reports`);
+  }
+};
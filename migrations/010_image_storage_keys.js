@@ -0,0 +1,64 @@
+// migrations/010_image_storage_keys.js
+// Purpose: rentals.images entries point at storage keys instead of /uploads/... URLs, so the same rows
+// work with any storage driver (see storage.js) and URLs can be signed per response.
+// - '/uploads/<file>' strings (uploads from before resizing) become { key: '<file>' }
+// - processed images { url, variants: { thumb: { url, ... } } } get `key` in place of every `url`
+// External URLs (seeded images) stay plain strings. Files themselves are not moved: local storage keeps
+// using public/uploads; copy them to the bucket before switching STORAGE_DRIVER to s3.
+// down() restores /uploads/ URLs, which is only right while files are still on local disk.
+
+const UPLOADS_PREFIX = '/uploads/';
+
+function toKey(url) {
+  return url.slice(UPLOADS_PREFIX.length);
+}
+
+function isLocalUpload(url) {
+  return typeof url === 'string' && url.startsWith(UPLOADS_PREFIX);
+}
+
+function upImage(image) {
+  if (typeof image === 'string') return isLocalUpload(image) ? { key: toKey(image) } : image;
+  if (!image || !isLocalUpload(image.url)) return image;
+  const { url, variants, ...rest } = image;
+  const keyed = { key: toKey(url), ...rest };
+  if (variants) {
+    keyed.variants = {};
+    Object.entries(variants).forEach(([name, { url: variantUrl, ...size }]) => {
+      keyed.variants[name] = { key: toKey(variantUrl), ...size };
+    });
+  }
+  return keyed;
+}
+
+function downImage(image) {
+  if (!image || typeof image === 'string' || typeof image.key !== 'string') return image;
+  if (!image.variants) return UPLOADS_PREFIX + image.key;
+  const { key, variants, ...rest } = image;
+  const withUrls = { url: UPLOADS_PREFIX + key, ...rest, variants: {} };
+  Object.entries(variants).forEach(([name, { key: variantKey, ...size }]) => {
+    withUrls.variants[name] = { url: UPLOADS_PREFIX + variantKey, ...size };
+  });
+  return withUrls;
+}
+
+function rewriteImages(db, mapImage) {
+  const update = db.prepare('UPDATE rentals SET images = ? WHERE id = ?');
+  db.prepare("SELECT id, images FROM rentals WHERE images IS NOT NULL AND images != '[]'").all().forEach(row => {
+    let images;
+    try { images = JSON.parse(row.images); } catch (e) { return; }
+    if (!Array.isArray(images)) return;
+    const next = JSON.stringify(images.map(mapImage));
+    if (next !== row.images) update.run(next, row.id);
+  });
+}
+
+module.exports = {
+  up(db) {
+    rewriteImages(db, upImage);
+  },
+
+  down(db) {
+    rewriteImages(db, downImage);
+  }
+};
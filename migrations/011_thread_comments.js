@@ -0,0 +1,29 @@
+// migrations/011_thread_comments.js
+// Purpose: threaded comments with edits and deletes.
+// - comments.parent_id: the top-level comment a reply belongs to (threads are one level deep; replies
+//   to a reply are attached to its top-level comment)
+// - comments.edited_at: set when the author edits the text
+// - comments.deleted_at: a deleted comment that still has replies keeps its row (text blanked) so the
+//   thread stays intact; comments without replies are removed outright
+// The index serves both the top-level listing and the replies of a thread, in id (= time) order.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE comments ADD COLUMN parent_id INTEGER REFERENCES comments(id) ON DELETE CASCADE;
+      ALTER TABLE comments ADD COLUMN edited_at TEXT;
+      ALTER TABLE comments ADD COLUMN deleted_at TEXT;
+      CREATE INDEX IF NOT EXISTS idx_comments_thread ON comments(rental_id, parent_id, id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_comments_thread;
+      DELETE FROM comments WHERE parent_id IS NOT NULL OR deleted_at IS NOT NULL;
+      ALTER TABLE comments DROP COLUMN deleted_at;
+      ALTER TABLE comments DROP COLUMN edited_at;
+      ALTER TABLE comments DROP COLUMN parent_id;
+    `);
+  }
+};
@@ -0,0 +1,23 @@
+// migrations/012_feed_indexes.js
+// Purpose: indexes for the batched feed queries (see toFeedItems in app.js).
+// - comments(parent_id, id): replies of several threads at once (WHERE parent_id IN (...)); the
+//   thread index from 011 leads with rental_id, so it cannot serve this lookup
+// - rentals(owner_id, id): ?owner= filter, newest first
+// Lookups by rental_id are already indexed: comments by idx_comments_thread (rental_id, parent_id, id)
+// and likes by the UNIQUE(rental_id, user_id) index, so no extra single-column indexes are added.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_comments_parent ON comments(parent_id, id);
+      CREATE INDEX IF NOT EXISTS idx_rentals_owner ON rentals(owner_id, id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP INDEX IF EXISTS idx_rentals_owner;
+      DROP INDEX IF EXISTS idx_comments_parent;
+    `);
+  }
+};
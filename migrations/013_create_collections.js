@@ -0,0 +1,38 @@
+// migrations/013_create_collections.js
+// Purpose: private collections of saved rentals ("Shortlist", "Maybe", ...).
+// - collections: owned by one user, names unique per user (case-insensitive). share_token is set while
+//   the collection is shared through a read-only link and cleared when sharing stops.
+// - collection_items: which rentals are in a collection, and when they were added (lists are newest first)
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS collections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL COLLATE NOCASE,
+        share_token TEXT UNIQUE,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(user_id, name),
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE TABLE IF NOT EXISTS collection_items (
+        collection_id INTEGER NOT NULL,
+        rental_id INTEGER NOT NULL,
+        added_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY(collection_id, rental_id),
+        FOREIGN KEY(collection_id) REFERENCES collections(id) ON DELETE CASCADE,
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_collection_items_rental ON collection_items(rental_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS collection_items;
+      DROP TABLE IF EXISTS collections;
+    `);
+  }
+};
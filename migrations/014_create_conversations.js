@@ -0,0 +1,48 @@
+// migrations/014_create_conversations.js
+// Purpose: private conversations between a renter and a listing owner about one rental.
+// - conversations: one per (rental, renter); owner_id is the rental's owner when the first inquiry was sent.
+//   rental_id becomes NULL when the rental is deleted, so the conversation itself survives.
+//   owner_read_id / renter_read_id: the last message each side has read; anything newer from the other
+//   side is unread. last_message_id points at the newest message and orders the inbox.
+// - messages: the messages of a conversation, in id (= time) order
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS conversations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER,
+        owner_id INTEGER NOT NULL,
+        renter_id INTEGER NOT NULL,
+        owner_read_id INTEGER NOT NULL DEFAULT 0,
+        renter_read_id INTEGER NOT NULL DEFAULT 0,
+        last_message_id INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(rental_id, renter_id),
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE SET NULL,
+        FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(renter_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_conversations_owner ON conversations(owner_id, last_message_id);
+      CREATE INDEX IF NOT EXISTS idx_conversations_renter ON conversations(renter_id, last_message_id);
+
+      CREATE TABLE IF NOT EXISTS messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        conversation_id INTEGER NOT NULL,
+        sender_id INTEGER NOT NULL,
+        text TEXT NOT NULL,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(conversation_id) REFERENCES conversations(id) ON DELETE CASCADE,
+        FOREIGN KEY(sender_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS messages;
+      DROP TABLE IF EXISTS conversations;
+    `);
+  }
+};
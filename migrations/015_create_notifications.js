@@ -0,0 +1,46 @@
+// migrations/015_create_notifications.js
+// Purpose: in-app notifications for listing owners, and what each user wants to be notified about.
+// - notifications: one row per event for the recipient (user_id): 'comment' (a comment or reply on their
+//   listing), 'like' or 'inquiry' (a renter started a conversation). actor_id is who did it; rental_id,
+//   comment_id and conversation_id point at what it is about. read_at is set when the user reads it,
+//   emailed_at once it went out in an email digest.
+// - notification_preferences: one row per user that changed the defaults (all types on, no digest)
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS notifications (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        type TEXT NOT NULL CHECK (type IN ('comment', 'like', 'inquiry')),
+        actor_id INTEGER,
+        rental_id INTEGER,
+        comment_id INTEGER,
+        conversation_id INTEGER,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        read_at TEXT,
+        emailed_at TEXT,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, id);
+      CREATE INDEX IF NOT EXISTS idx_notifications_rental ON notifications(rental_id);
+
+      CREATE TABLE IF NOT EXISTS notification_preferences (
+        user_id INTEGER PRIMARY KEY,
+        comments INTEGER NOT NULL DEFAULT 1,
+        likes INTEGER NOT NULL DEFAULT 1,
+        inquiries INTEGER NOT NULL DEFAULT 1,
+        email_digest INTEGER NOT NULL DEFAULT 0,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS notification_preferences;
+      DROP TABLE IF EXISTS notifications;
+    `);
+  }
+};
@@ -0,0 +1,51 @@
+// migrations/016_create_availability_and_bookings.js
+// Purpose: when a rental can be rented, and renters' requests to book it.
+// Dates are 'YYYY-MM-DD' text (they compare correctly as strings). A range is start_date up to but not
+// including end_date, like check-in / check-out, so back-to-back stays don't overlap.
+// - availability: date ranges the owner opened for booking; overlapping or touching ranges are merged
+//   by the API, so a rental's ranges never overlap each other.
+// - bookings: a renter's request for a stay. status moves pending -> accepted / declined / cancelled,
+//   and accepted -> cancelled; accepted bookings of a rental never overlap. owner_id is the rental's owner
+//   when the request was made. rental_id becomes NULL when the rental is deleted (open requests are cancelled).
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS availability (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL CHECK (end_date > start_date),
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_availability_rental ON availability(rental_id, start_date);
+
+      CREATE TABLE IF NOT EXISTS bookings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER,
+        renter_id INTEGER NOT NULL,
+        owner_id INTEGER NOT NULL,
+        start_date TEXT NOT NULL,
+        end_date TEXT NOT NULL CHECK (end_date > start_date),
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+        message TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE SET NULL,
+        FOREIGN KEY(renter_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_bookings_rental ON bookings(rental_id, status, start_date);
+      CREATE INDEX IF NOT EXISTS idx_bookings_renter ON bookings(renter_id, id);
+      CREATE INDEX IF NOT EXISTS idx_bookings_owner ON bookings(owner_id, id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS bookings;
+      DROP TABLE IF EXISTS availability;
+    `);
+  }
+};
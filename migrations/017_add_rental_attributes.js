@@ -0,0 +1,42 @@
+// migrations/017_add_rental_attributes.js
+// Purpose: typed rental attributes that the feed can filter on, instead of only free text in description.
+// - rentals: bedrooms (0 = studio), bathrooms (halves allowed), square_feet, furnished / pets_allowed /
+//   utilities_included (1 / 0), lease_months (minimum lease). NULL everywhere means "not stated", so
+//   existing rentals simply don't match filters on these fields.
+// - rental_amenities: one row per amenity of a rental, from the fixed list in app.js (RENTAL_AMENITIES);
+//   indexed by amenity so "has parking and laundry" doesn't scan every rental.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE rentals ADD COLUMN bedrooms INTEGER;
+      ALTER TABLE rentals ADD COLUMN bathrooms REAL;
+      ALTER TABLE rentals ADD COLUMN square_feet INTEGER;
+      ALTER TABLE rentals ADD COLUMN furnished INTEGER;
+      ALTER TABLE rentals ADD COLUMN pets_allowed INTEGER;
+      ALTER TABLE rentals ADD COLUMN utilities_included INTEGER;
+      ALTER TABLE rentals ADD COLUMN lease_months INTEGER;
+
+      CREATE TABLE IF NOT EXISTS rental_amenities (
+        rental_id INTEGER NOT NULL,
+        amenity TEXT NOT NULL,
+        PRIMARY KEY (rental_id, amenity),
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_rental_amenities_amenity ON rental_amenities(amenity, rental_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS rental_amenities;
+      ALTER TABLE rentals DROP COLUMN lease_months;
+      ALTER TABLE rentals DROP COLUMN utilities_included;
+      ALTER TABLE rentals DROP COLUMN pets_allowed;
+      ALTER TABLE rentals DROP COLUMN furnished;
+      ALTER TABLE rentals DROP COLUMN square_feet;
+      ALTER TABLE rentals DROP COLUMN bathrooms;
+      ALTER TABLE rentals DROP COLUMN bedrooms;
+    `);
+  }
+};
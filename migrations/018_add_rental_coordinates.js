@@ -0,0 +1,77 @@
+// migrations/018_add_rental_coordinates.js
+// Purpose: distance search and a map of rentals.
+// - rentals: latitude / longitude (WGS84 degrees), both NULL when the location isn't known. Indexed
+//   together so ?near= can prefilter on a bounding box before computing exact distances.
+// - places: the offline geocoding table (see geo.js). `key` is the normalized name that lookups match on.
+//   Seeded with the neighbourhoods the sample data uses; add your own rows (neighbourhoods, street
+//   addresses, landmarks) with real coordinates for your city.
+// Existing rentals whose location matches a place get its coordinates.
+//
+// The key normalization and matching below are copies of geo.js as it was when this migration was
+// written, so replaying it gives the same data whatever geo.js becomes. Don't import geo.js here.
+
+// Sample coordinates for the seeded neighbourhoods; they only need to be plausible relative to each other
+const PLACES = [
+  ['Downtown', 45.5190, -122.6795],
+  ['Old Town', 45.5240, -122.6730],
+  ['Midtown', 45.5300, -122.6650],
+  ['Uptown', 45.5410, -122.6900],
+  ['Riverside', 45.5120, -122.6660],
+  ['Hillcrest', 45.5020, -122.7100],
+  ['Seaside', 45.4880, -122.6440],
+  ['Arts District', 45.5260, -122.6840],
+  ['University Park', 45.5760, -122.7270],
+  ['Harbour', 45.5010, -122.6710]
+];
+
+// Lowercase words without accents or punctuation: "Old-Town, Café" -> "old town cafe"
+function placeKey(text) {
+  return String(text || '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .replace(/&[a-z]+;|&#x?[0-9a-f]+;/g, ' ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// The seeded place a location names: a whole-name match, else the longest name found as whole words
+function matchPlace(places, location) {
+  const key = placeKey(location);
+  if (!key) return null;
+  const padded = ` ${key} `;
+  return places.find(place => place.key === key) || places.find(place => padded.includes(` ${place.key} `)) || null;
+}
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE rentals ADD COLUMN latitude REAL;
+      ALTER TABLE rentals ADD COLUMN longitude REAL;
+      CREATE INDEX IF NOT EXISTS idx_rentals_coordinates ON rentals(latitude, longitude);
+
+      CREATE TABLE IF NOT EXISTS places (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        key TEXT NOT NULL UNIQUE,
+        latitude REAL NOT NULL CHECK (latitude BETWEEN -90 AND 90),
+        longitude REAL NOT NULL CHECK (longitude BETWEEN -180 AND 180)
+      );
+    `);
+    const places = PLACES.map(([name, latitude, longitude]) => ({ name, key: placeKey(name), latitude, longitude }));
+    const insert = db.prepare('INSERT OR IGNORE INTO places (name, key, latitude, longitude) VALUES (?, ?, ?, ?)');
+    places.forEach(place => insert.run(place.name, place.key, place.latitude, place.longitude));
+
+    // longest names first, so "Old Town Harbour" lands in Old Town rather than Harbour
+    const byLength = [...places].sort((a, b) => b.key.length - a.key.length);
+    const update = db.prepare('UPDATE rentals SET latitude = ?, longitude = ? WHERE id = ?');
+    db.prepare('SELECT id, location FROM rentals WHERE location IS NOT NULL').all().forEach(rental => {
+      const place = matchPlace(byLength, rental.location);
+      if (place) update.run(place.latitude, place.longitude, rental.id);
+    });
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS places;
+      DROP INDEX IF EXISTS idx_rentals_coordinates;
+      ALTER TABLE rentals DROP COLUMN longitude;
+      ALTER TABLE rentals DROP COLUMN latitude;
+    `);
+  }
+};
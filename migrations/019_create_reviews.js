@@ -0,0 +1,37 @@
+// migrations/019_create_reviews.js
+// Purpose: reviews renters leave after a stay, as a stronger trust signal than likes.
+// - reviews: one per renter per rental, with 1-5 stars for the listing (rating) and for its owner
+//   (owner_rating), optional text and one reply from the owner. owner_id is the rental's owner when the
+//   review was written, so owner ratings survive the listing: rental_id becomes NULL when it is deleted.
+//   booking_id is the finished stay the review is about.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rental_id INTEGER,
+        owner_id INTEGER NOT NULL,
+        renter_id INTEGER NOT NULL,
+        booking_id INTEGER,
+        rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        owner_rating INTEGER NOT NULL CHECK (owner_rating BETWEEN 1 AND 5),
+        text TEXT,
+        reply TEXT,
+        replied_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(rental_id, renter_id),
+        FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE SET NULL,
+        FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(renter_id) REFERENCES users(id) ON DELETE CASCADE,
+        FOREIGN KEY(booking_id) REFERENCES bookings(id) ON DELETE SET NULL
+      );
+      CREATE INDEX IF NOT EXISTS idx_reviews_owner ON reviews(owner_id, id);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS reviews;');
+  }
+};
@@ -0,0 +1,35 @@
+// migrations/020_add_user_profiles.js
+// Purpose: editable accounts.
+// - users.bio: a short public text about the user
+// - users.avatar: the uploaded profile picture as a stored image (JSON, same shape as a rentals.images entry)
+// - email_changes: a requested new address waits here until the link emailed to it is opened. Only the
+//   SHA-256 hash of the token is stored (as for password_resets); the account keeps its old email until then.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN bio TEXT;
+      ALTER TABLE users ADD COLUMN avatar TEXT;
+
+      CREATE TABLE IF NOT EXISTS email_changes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        expires_at TEXT NOT NULL,
+        used_at TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_email_changes_user_id ON email_changes(user_id);
+    `);
+  },
+
+  down(db) {
+    db.exec(`
+      DROP TABLE IF EXISTS email_changes;
+      ALTER TABLE users DROP COLUMN avatar;
+      ALTER TABLE users DROP COLUMN bio;
+    `);
+  }
+};
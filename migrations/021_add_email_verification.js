@@ -0,0 +1,19 @@
+// migrations/021_add_email_verification.js
+// Purpose: proof that a user owns their email address.
+// - users.email_verified_at: set when the emailed verification link is opened (or an email change is
+//   confirmed). Unverified accounts can log in but not post rentals or comments.
+// Accounts from before verification existed are treated as verified, so nobody is locked out by the upgrade.
+// The verification links themselves are signed tokens (see app.js), so nothing else is stored.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      ALTER TABLE users ADD COLUMN email_verified_at TEXT;
+      UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+    `);
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE users DROP COLUMN email_verified_at;');
+  }
+};
@@ -0,0 +1,31 @@
+// migrations/022_create_data_exports.js
+// Purpose: personal data exports ("download my data"), built in the background by data-export.js.
+// - data_exports: one row per request. status moves pending -> running -> ready (or failed); a ready
+//   export becomes expired once expires_at has passed and its file is deleted. file is the ZIP's name
+//   in EXPORT_DIR; size is in bytes.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS data_exports (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'ready', 'failed', 'expired')),
+        file TEXT,
+        size INTEGER,
+        error TEXT,
+        created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+        started_at TEXT,
+        completed_at TEXT,
+        expires_at TEXT,
+        FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
+      );
+      CREATE INDEX IF NOT EXISTS idx_data_exports_user ON data_exports(user_id, id);
+      CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status);
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE IF EXISTS data_exports;');
+  }
+};
@@ -0,0 +1,18 @@
+// migrations/023_mark_automatic_hides.js
+// Purpose: tell hides triggered by reports apart from hides a moderator chose.
+// Automatic hides used to be logged as '<type>.hide' without an actor, but actor_id also becomes NULL
+// when a moderator's account is deleted. They are now logged as '<type>.auto_hide'; older ones are
+// recognised by the reason fileReport() wrote for them.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      UPDATE moderation_log SET action = target_type || '.auto_hide'
+      WHERE action = target_type || '.hide' AND actor_id IS NULL AND reason LIKE 'Automatically hidden after % reports';
+    `);
+  },
+
+  down(db) {
+    db.exec("UPDATE moderation_log SET action = target_type || '.hide' WHERE action = target_type || '.auto_hide';");
+  }
+};
@@ -1,49 +0,0 @@
-// migrations/migrate-create-rentals.js
-// Purpose: create tables for rentals, comments, and likes.
-// Usage: node migrations/migrate-create-rentals.js
-
-const db = require('../db')._raw;
-
-// Create rentals table
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS rentals (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    owner_id INTEGER NOT NULL,
-    title TEXT NOT NULL,
-    description TEXT,
-    price REAL,
-    location TEXT,
-    images TEXT,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(owner_id) REFERENCES users(id) ON DELETE CASCADE
-  )
-`).run();
-
-// Create comments table
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS comments (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    rental_id INTEGER NOT NULL,
-    user_id INTEGER NOT NULL,
-    text TEXT NOT NULL,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE CASCADE,
-    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-  )
-`).run();
-
-// Create likes table (simple feedback / like)
-db.prepare(`
-  CREATE TABLE IF NOT EXISTS likes (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    rental_id INTEGER NOT NULL,
-    user_id INTEGER NOT NULL,
-    created_at TEXT DEFAULT CURRENT_TIMESTAMP,
-    UNIQUE(rental_id, user_id),
-    FOREIGN KEY(rental_id) REFERENCES rentals(id) ON DELETE CASCADE,
-    FOREIGN KEY(user_id) REFERENCES users(id) ON DELETE CASCADE
-  )
-`).run();
-
-console.log('Migrations complete: rentals, comments, likes tables created (if not present).');
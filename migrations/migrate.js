@@ -0,0 +1,37 @@
+// migrations/migrate.js: command line entry point for the migration runner
+// Usage:
+//   node migrations/migrate.js up [version]   apply pending migrations (optionally up to a version)
+//   node migrations/migrate.js down [steps]   roll back the last migration (or the last N)
+//   node migrations/migrate.js status         show applied / pending migrations
+// Also available as `npm run migrate -- <command>`.
+
+// db.js applies pending migrations when it loads; turn that off so `status` and `down` see the real state.
+process.env.DB_SKIP_MIGRATIONS = 'true';
+
+const db = require('../db')._raw;
+const { migrateUp, migrateDown, status } = require('./runner');
+
+const [command = 'status', arg] = process.argv.slice(2);
+
+switch (command) {
+  case 'up': {
+    const applied = migrateUp(db, { to: arg ? Number(arg) : Infinity, log: console.log });
+    if (applied.length === 0) console.log('Database is up to date.');
+    break;
+  }
+  case 'down': {
+    const reverted = migrateDown(db, { steps: arg ? Number(arg) : 1, log: console.log });
+    if (reverted.length === 0) console.log('Nothing to roll back.');
+    break;
+  }
+  case 'status': {
+    status(db).forEach(m => {
+      const state = m.applied ? `applied ${m.applied_at}` : 'pending';
+      console.log(`${String(m.version).padStart(3, '0')} ${m.name.padEnd(28)} ${state}`);
+    });
+    break;
+  }
+  default:
+    console.error(`Unknown command "${command}". Use up, down or status.`);
+    process.exitCode = 1;
+}
@@ -0,0 +1,85 @@
+// migrations/runner.js: versioned schema migrations for the SQLite database
+// Purpose: apply numbered migration files (NNN_description.js) in order and record them in
+// a schema_migrations table, so every environment — dev file DB, tests' :memory: DB — has the same schema.
+//
+// Each migration file exports { up(db), down(db) } and receives the raw better-sqlite3 Database.
+// Every migration runs inside its own transaction together with its schema_migrations row,
+// so a failing migration leaves nothing half-applied.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+function ensureMigrationsTable(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Load migration modules from dir, sorted by version
+function loadMigrations(dir = __dirname) {
+  const migrations = fs.readdirSync(dir)
+    .map(file => ({ file, match: MIGRATION_FILE.exec(file) }))
+    .filter(m => m.match)
+    .map(({ file, match }) => ({ version: Number(match[1]), name: match[2], file, ...require(path.join(dir, file)) }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((m, i) => {
+    if (i > 0 && migrations[i - 1].version === m.version) throw new Error(`Duplicate migration version ${m.version}`);
+    if (typeof m.up !== 'function' || typeof m.down !== 'function') throw new Error(`Migration ${m.file} must export up() and down()`);
+  });
+  return migrations;
+}
+
+function appliedVersions(db) {
+  ensureMigrationsTable(db);
+  return new Set(db.prepare('SELECT version FROM schema_migrations').all().map(r => r.version));
+}
+
+// Apply pending migrations (optionally only up to and including version `to`). Returns the applied list.
+function migrateUp(db, { to = Infinity, dir, log = () => {} } = {}) {
+  const applied = appliedVersions(db);
+  const pending = loadMigrations(dir).filter(m => !applied.has(m.version) && m.version <= to);
+  pending.forEach(m => {
+    db.transaction(() => {
+      m.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(m.version, m.name);
+    })();
+    log(`Applied migration ${m.file}`);
+  });
+  return pending;
+}
+
+// Roll back the most recent `steps` applied migrations (default 1). Returns the rolled back list.
+function migrateDown(db, { steps = 1, dir, log = () => {} } = {}) {
+  const applied = appliedVersions(db);
+  const toRevert = loadMigrations(dir).filter(m => applied.has(m.version)).reverse().slice(0, steps);
+  toRevert.forEach(m => {
+    db.transaction(() => {
+      m.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(m.version);
+    })();
+    log(`Reverted migration ${m.file}`);
+  });
+  return toRevert;
+}
+
+// List every known migration with whether (and when) it has been applied
+function status(db, { dir } = {}) {
+  ensureMigrationsTable(db);
+  const rows = db.prepare('SELECT version, applied_at FROM schema_migrations').all();
+  const appliedAt = new Map(rows.map(r => [r.version, r.applied_at]));
+  return loadMigrations(dir).map(m => ({
+    version: m.version,
+    name: m.name,
+    applied: appliedAt.has(m.version),
+    applied_at: appliedAt.get(m.version) || null
+  }));
+}
+
+module.exports = { loadMigrations, migrateUp, migrateDown, status };
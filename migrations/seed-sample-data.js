@@ -9,9 +9,9 @@ function nowOffset(minutes) {
   return d.toISOString();
 }
 
-// Simple helper to insert a user and return id
+// Simple helper to insert a (verified) user and return id
 function insertUser(email, password_hash, name) {
-  const r = db.prepare('INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)').run(email, password_hash || 'x', name);
+  const r = db.prepare('INSERT INTO users (email, password_hash, name, email_verified_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)').run(email, password_hash || 'x', name);
   return r.lastInsertRowid;
 }
 
@@ -21,6 +21,28 @@ function insertRental(owner_id, title, description, price, location, images, cre
   return r.lastInsertRowid;
 }
 
+// Typed attributes guessed from the sample titles, so the feed's attribute filters have something to match
+function insertAttributes(rental_id, title, i) {
+  const beds = /studio|room/i.test(title) ? 0 : Number((title.match(/(\d)BR/) || [])[1] || 1 + (i % 3));
+  db.prepare('UPDATE rentals SET bedrooms = ?, bathrooms = ?, square_feet = ?, furnished = ?, pets_allowed = ?, utilities_included = ?, lease_months = ? WHERE id = ?').run(
+    beds, beds >= 2 ? 1.5 + (i % 2) * 0.5 : 1, 350 + beds * 300 + (i % 5) * 40, i % 3 === 0 ? 1 : 0,
+    /pet-friendly|house|yard/i.test(title) ? 1 : i % 4 === 1 ? 0 : null, /utilities included|co-living/i.test(title) ? 1 : 0, [6, 12, 12, null][i % 4], rental_id
+  );
+  const amenities = [['balcony', /balcony|terrace/i], ['garden', /garden|yard/i], ['gym', /gym/i], ['wifi', /wi-fi|co-living/i], ['laundry', /./], ['parking', /house|home|cabin|bungalow/i]]
+    .filter(([, re], k) => re.test(title) && (k !== 4 || i % 2 === 0)).map(([name]) => name);
+  amenities.forEach(a => db.prepare('INSERT INTO rental_amenities (rental_id, amenity) VALUES (?, ?)').run(rental_id, a));
+}
+
+// Pin a rental around its neighbourhood (places table, migration 018), spread out so the map shows clusters
+function insertCoordinates(rental_id, location, i) {
+  const place = db.prepare('SELECT latitude, longitude FROM places WHERE name = ?').get(location);
+  if (!place) return;
+  const angle = i * 2.4;
+  const offset = 0.002 + (i % 5) * 0.0015;
+  db.prepare('UPDATE rentals SET latitude = ?, longitude = ? WHERE id = ?')
+    .run(place.latitude + Math.sin(angle) * offset, place.longitude + Math.cos(angle) * offset * 1.4, rental_id);
+}
+
 function insertComment(rental_id, user_id, text, created_at) {
   db.prepare('INSERT INTO comments (rental_id, user_id, text, created_at) VALUES (?, ?, ?, ?)').run(rental_id, user_id, text, created_at || new Date().toISOString());
 }
@@ -31,7 +53,7 @@ function insertLike(rental_id, user_id) {
   } catch (e) { /* ignore unique constraint */ }
 }
 
-// Ensure tables exist (run create migration first)
+// Tables exist already: requiring db.js applies any pending migrations
 console.log('Seeding sample data...');
 
 // Create some users
@@ -63,6 +85,8 @@ for (let i = 0; i < 30; i++) {
   }
   const created_at = nowOffset(i * 30);
   const rentalId = insertRental(owner, title, description, price, location, images, created_at);
+  insertAttributes(rentalId, title, i);
+  insertCoordinates(rentalId, location, i);
 
   // add 0-3 comments
   const commentCount = i % 4;
@@ -0,0 +1,160 @@
+// public/account.js - edit my profile (name, bio, picture), change or verify email, change password, download my data, delete the account
+(function(){
+  async function api(url, opts = {}) {
+    // FormData bodies (the picture upload) set their own multipart Content-Type
+    const json = opts.body && !(opts.body instanceof FormData);
+    const send = () => fetch(url, { ...opts, headers: json ? { 'Content-Type': 'application/json' } : undefined });
+    let res = await send();
+    if (res.status === 401 && (await fetch('/api/token/refresh', { method: 'POST' }).catch(() => ({}))).ok) res = await send();
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.errors ? data.errors.map(e => e.message).join(', ') : (data.message || res.statusText));
+    return data;
+  }
+
+  const status = document.querySelector('.account-status');
+  const profileForm = document.getElementById('profile-form');
+  const emailForm = document.getElementById('email-form');
+  const passwordForm = document.getElementById('password-form');
+  const deleteForm = document.getElementById('delete-form');
+
+  // names and bios come back HTML-escaped (the API escapes on input); show them as typed
+  function unescape(text) {
+    const area = document.createElement('textarea');
+    area.innerHTML = text || '';
+    return area.value;
+  }
+
+  function show(user) {
+    profileForm.elements['name'].value = unescape(user.name);
+    profileForm.elements['bio'].value = unescape(user.bio);
+    profileForm.elements['avatar'].value = '';
+    profileForm.querySelector('.avatar-preview').src = user.avatar ? user.avatar.thumb : '/placeholder.png';
+    profileForm.querySelector('.remove-avatar').hidden = !user.avatar;
+    emailForm.elements['email'].value = user.email;
+    document.querySelector('.email-unverified').hidden = !!user.email_verified_at;
+    document.getElementById('email-message').textContent = user.pending_email
+      ? `Waiting for confirmation: open the link we sent to ${user.pending_email}.`
+      : '';
+    document.querySelector('.public-profile-link').href = `/profile.html?id=${user.id}`;
+  }
+
+  async function submit(form, messageId, action) {
+    const message = document.getElementById(messageId);
+    try {
+      message.textContent = await action();
+    } catch (err) {
+      message.textContent = 'Failed: ' + err.message;
+    }
+  }
+
+  profileForm.addEventListener('submit', ev => {
+    ev.preventDefault();
+    submit(profileForm, 'profile-message', async () => {
+      const data = new FormData();
+      data.append('name', profileForm.elements['name'].value);
+      data.append('bio', profileForm.elements['bio'].value);
+      const file = profileForm.elements['avatar'].files[0];
+      if (file) data.append('avatar', file);
+      show((await api('/api/me', { method: 'PATCH', body: data })).user);
+      return 'Profile saved.';
+    });
+  });
+
+  profileForm.querySelector('.remove-avatar').addEventListener('click', () => {
+    submit(profileForm, 'profile-message', async () => {
+      show((await api('/api/me', { method: 'PATCH', body: JSON.stringify({ removeAvatar: true }) })).user);
+      return 'Picture removed.';
+    });
+  });
+
+  emailForm.addEventListener('submit', ev => {
+    ev.preventDefault();
+    submit(emailForm, 'email-message', async () => {
+      const { user } = await api('/api/me', { method: 'PATCH', body: JSON.stringify({ email: emailForm.elements['email'].value }) });
+      show(user);
+      return user.pending_email ? `We sent a confirmation link to ${user.pending_email}. Your email changes once you open it.` : 'No change pending.';
+    });
+  });
+
+  document.querySelector('.resend-verification').addEventListener('click', () => {
+    submit(emailForm, 'email-message', async () => {
+      await api('/api/verify-email/resend', { method: 'POST' });
+      return 'Verification link sent. Check your inbox.';
+    });
+  });
+
+  passwordForm.addEventListener('submit', ev => {
+    ev.preventDefault();
+    submit(passwordForm, 'password-message', async () => {
+      const { currentPassword, newPassword, confirm } = Object.fromEntries(new FormData(passwordForm));
+      if (newPassword !== confirm) throw new Error('Passwords do not match.');
+      const res = await api('/api/me/password', { method: 'POST', body: JSON.stringify({ currentPassword, newPassword }) });
+      passwordForm.reset();
+      return res.revoked ? `Password updated. ${res.revoked} other ${res.revoked === 1 ? 'session was' : 'sessions were'} logged out.` : 'Password updated.';
+    });
+  });
+
+  // data export: start it, then poll its status until the download link is there
+  const EXPORT_POLL_MS = 3000;
+  const exportButton = document.querySelector('.request-export');
+  const exportLink = document.querySelector('.export-download');
+
+  function showExport(exp) {
+    const message = document.getElementById('export-message');
+    exportLink.hidden = !exp.download_url;
+    exportButton.disabled = exp.status === 'pending' || exp.status === 'running';
+    if (exp.download_url) {
+      exportLink.href = exp.download_url;
+      message.textContent = `Ready (${Math.ceil(exp.size / 1024)} KB). The link works until ${new Date(exp.expires_at).toLocaleString()}.`;
+    } else if (exp.status === 'failed') {
+      message.textContent = exp.error || 'The export failed. Please try again.';
+    } else if (exp.status === 'expired') {
+      message.textContent = 'That download has expired. Prepare a new one.';
+    } else {
+      message.textContent = 'Preparing your data...';
+      setTimeout(() => pollExport(exp.id), EXPORT_POLL_MS);
+    }
+  }
+
+  async function pollExport(id) {
+    try {
+      showExport((await api(`/api/me/export/${id}`)).export);
+    } catch (err) {
+      document.getElementById('export-message').textContent = 'Failed: ' + err.message;
+      exportButton.disabled = false;
+    }
+  }
+
+  exportButton.addEventListener('click', async () => {
+    exportButton.disabled = true;
+    const res = await fetch('/api/me/export', { method: 'POST' });
+    const data = await res.json().catch(() => ({}));
+    // 409: one is already being prepared, follow that one
+    if (data.export) return showExport(data.export);
+    document.getElementById('export-message').textContent = 'Failed: ' + (data.message || res.statusText);
+    exportButton.disabled = false;
+  });
+
+  deleteForm.addEventListener('submit', ev => {
+    ev.preventDefault();
+    if (!confirm('Delete your account and everything in it? This cannot be undone.')) return;
+    submit(deleteForm, 'delete-message', async () => {
+      await api('/api/me', { method: 'DELETE', body: JSON.stringify({ currentPassword: deleteForm.elements['currentPassword'].value }) });
+      localStorage.removeItem('token');
+      setTimeout(() => location.href = '/feed.html', 1500);
+      return 'Your account has been deleted. Redirecting...';
+    });
+  });
+
+  async function init() {
+    try {
+      show((await api('/api/me')).user);
+    } catch (err) {
+      status.innerHTML = 'Log in on the <a href="/new-rental.html">account page</a> to manage your account.';
+      return;
+    }
+    ['profile-panel', 'email-panel', 'password-panel', 'export-panel', 'delete-panel'].forEach(id => { document.getElementById(id).hidden = false; });
+  }
+
+  init();
+})();
@@ -1,8 +1,26 @@
 // public/app.js: updated to display server-side validation errors per-field
 // Purpose: present helpful errors to the user and show a consistent UI experience.
 
+// Access tokens expire after 15 minutes. On a 401 we ask the server for a new one using the httpOnly
+// refresh cookie and retry the request once. Concurrent 401s share one refresh call: refresh tokens are
+// single-use, so two parallel refreshes would look like token theft and end the session.
+let refreshInFlight = null;
+function refreshSession() {
+  if (!refreshInFlight) {
+    refreshInFlight = fetch('/api/token/refresh', { method: 'POST', credentials: 'include' })
+      .then(res => res.ok)
+      .catch(() => false)
+      .finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+}
+
+const NO_REFRESH_PATHS = ['/login', '/register', '/logout', '/token/refresh'];
+
 async function api(path, opts = {}) {
-  const res = await fetch('/api' + path, { credentials: 'include', headers: { 'Content-Type': 'application/json' }, ...opts });
+  const send = () => fetch('/api' + path, { credentials: 'include', headers: { 'Content-Type': 'application/json' }, ...opts });
+  let res = await send();
+  if (res.status === 401 && !NO_REFRESH_PATHS.includes(path) && await refreshSession()) res = await send();
   const data = await res.json().catch(() => ({}));
   return { status: res.status, data };
 }
@@ -84,6 +102,19 @@ document.getElementById('todo-add').onclick = async () => {
   }
 };
 
+// ---------- Logout ----------
+// #logout ends this session; #logout-all signs out every device (e.g. after a lost phone)
+const logoutBtn = document.getElementById('logout');
+if (logoutBtn) logoutBtn.onclick = async () => {
+  await api('/logout', { method: 'POST' });
+  showAuthState(false);
+};
+const logoutAllBtn = document.getElementById('logout-all');
+if (logoutAllBtn) logoutAllBtn.onclick = async () => {
+  await api('/logout/all', { method: 'POST' });
+  showAuthState(false);
+};
+
 // The rest of public/app.js (renderTodos, toggleDone, deleteTodo, startEdit, loadProfileAndTodos, loadTodos) remains the same as Lesson 4.
 // For brevity, include them unchanged if already present in your file. They will continue to work and show the global messages (todos-msg).
 
@@ -0,0 +1,82 @@
+// public/bookings.js - booking requests for my listings and the ones I made
+// Owners accept or decline pending requests (accepting declines the ones overlapping it); either side can
+// cancel a pending or accepted booking.
+(function(){
+  // which buttons each side gets for a booking in a given status (same rules as the API)
+  const ACTIONS = {
+    owner: { pending: ['accept', 'decline', 'cancel'], accepted: ['cancel'] },
+    renter: { pending: ['cancel'], accepted: ['cancel'] }
+  };
+  const LABELS = { accept: 'Accept', decline: 'Decline', cancel: 'Cancel' };
+
+  async function api(url, opts = {}) {
+    let res = await fetch(url, opts);
+    if (res.status === 401 && (await fetch('/api/token/refresh', { method: 'POST' }).catch(() => ({}))).ok) res = await fetch(url, opts);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.errors ? data.errors.map(e => e.message).join(', ') : (data.message || res.statusText));
+    return data;
+  }
+
+  function renderBooking(booking) {
+    const li = document.createElement('li');
+    li.className = `inbox-item booking booking-${booking.status}`;
+    const title = document.createElement('strong');
+    title.textContent = booking.rental ? booking.rental.title : 'Removed listing';
+    const who = booking.role === 'owner' ? booking.renter : booking.owner;
+    const meta = document.createElement('div');
+    meta.className = 'muted';
+    meta.textContent = `${booking.start_date} → ${booking.end_date} · ${booking.nights} ${booking.nights === 1 ? 'night' : 'nights'} · ${booking.role === 'owner' ? 'from' : 'with'} ${who.name || 'someone'}`;
+    const status = document.createElement('span');
+    status.className = 'booking-status';
+    status.textContent = booking.status;
+    li.append(title, ' ', status, meta);
+    if (booking.message) {
+      const message = document.createElement('div');
+      message.className = 'inbox-preview';
+      message.textContent = booking.message;
+      li.appendChild(message);
+    }
+    const actions = document.createElement('div');
+    actions.className = 'booking-actions';
+    (ACTIONS[booking.role][booking.status] || []).forEach(action => {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.textContent = LABELS[action];
+      btn.addEventListener('click', async () => {
+        if (action === 'cancel' && !confirm('Cancel this booking?')) return;
+        try {
+          await api(`/api/bookings/${booking.id}/${action}`, { method: 'POST' });
+          // accepting can decline other requests, so reload the whole list
+          await load(booking.role);
+        } catch (err) {
+          alert(`${LABELS[action]} failed: ${err.message}`);
+        }
+      });
+      actions.appendChild(btn);
+    });
+    li.appendChild(actions);
+    return li;
+  }
+
+  async function load(role) {
+    const section = document.getElementById(`${role}-bookings`);
+    const data = await api(`/api/bookings?role=${role}&limit=50`);
+    const list = section.querySelector('.booking-list');
+    list.innerHTML = '';
+    data.bookings.forEach(b => list.appendChild(renderBooking(b)));
+    section.querySelector('.booking-empty').hidden = data.bookings.length > 0;
+    section.hidden = false;
+  }
+
+  async function start() {
+    try {
+      await api('/api/me');
+    } catch (err) {
+      document.getElementById('bookings-login').hidden = false;
+      return;
+    }
+    await Promise.all([load('owner'), load('renter')]);
+  }
+
+  start();
+})();
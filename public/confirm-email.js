@@ -0,0 +1,24 @@
+// public/confirm-email.js - confirm an email change with the token from the emailed link
+(function(){
+  const message = document.getElementById('confirm-message');
+  const token = new URLSearchParams(location.search).get('token');
+
+  async function confirmChange() {
+    if (!token) {
+      message.textContent = 'This page needs the link from the confirmation email.';
+      return;
+    }
+    try {
+      const res = await fetch('/api/me/email/confirm', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ token }) });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || res.statusText);
+      message.textContent = `Done: your account now uses ${data.email}.`;
+    } catch (err) {
+      message.textContent = 'Could not confirm: ' + err.message;
+    }
+    // the token is spent (or useless); keep it out of the address bar / history
+    history.replaceState(null, '', location.pathname);
+  }
+
+  confirmChange();
+})();
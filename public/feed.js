@@ -1,6 +1,20 @@
 // public/feed.js - client code for rendering the rentals feed and basic interactions
+// On a 401, refresh the session once (httpOnly refresh cookie) and retry. One shared refresh call:
+// refresh tokens are single-use, so parallel refreshes would be treated as token reuse.
+let refreshInFlight = null;
+function refreshSession() {
+  if (!refreshInFlight) {
+    refreshInFlight = fetch('/api/token/refresh', { method: 'POST' })
+      .then(res => res.ok)
+      .catch(() => false)
+      .finally(() => { refreshInFlight = null; });
+  }
+  return refreshInFlight;
+}
+
 async function getJSON(url, opts) {
-  const res = await fetch(url, opts);
+  let res = await fetch(url, opts);
+  if (res.status === 401 && url.startsWith('/api/') && await refreshSession()) res = await fetch(url, opts);
   if (!res.ok) throw new Error(await res.text());
   return res.json();
 }
@@ -17,25 +31,83 @@ function timeAgo(when) {
   return `${days}d`;
 }
 
-function renderCard(feedEl, rental) {
+// Render search highlight segments ([{ text, match }]) as text nodes and <mark> elements
+function renderHighlighted(el, segments) {
+  el.textContent = '';
+  segments.forEach(seg => {
+    if (seg.match) {
+      const mark = document.createElement('mark');
+      mark.textContent = seg.text;
+      el.appendChild(mark);
+    } else {
+      el.appendChild(document.createTextNode(seg.text));
+    }
+  });
+}
+
+// Cards are at most 720px wide (see feed.css); the browser picks the matching srcset variant
+const CARD_IMAGE_SIZES = '(max-width: 720px) 100vw, 720px';
+
+const AMENITY_LABELS = { parking: 'Parking', laundry: 'Laundry', dishwasher: 'Dishwasher', air_conditioning: 'Air conditioning', heating: 'Heating', balcony: 'Balcony', garden: 'Garden', elevator: 'Elevator', gym: 'Gym', pool: 'Pool', wifi: 'Wi-Fi', wheelchair_access: 'Wheelchair access' };
+
+// "2 bd · 1.5 ba · 850 sq ft · Pets OK · Furnished · Utilities incl. · 12-month lease", skipping what isn't stated
+function rentalDetails(rental) {
+  const parts = [];
+  if (rental.bedrooms != null) parts.push(rental.bedrooms === 0 ? 'Studio' : `${rental.bedrooms} bd`);
+  if (rental.bathrooms != null) parts.push(`${rental.bathrooms} ba`);
+  if (rental.square_feet != null) parts.push(`${rental.square_feet} sq ft`);
+  if (rental.pets_allowed != null) parts.push(rental.pets_allowed ? 'Pets OK' : 'No pets');
+  if (rental.furnished != null) parts.push(rental.furnished ? 'Furnished' : 'Unfurnished');
+  if (rental.utilities_included) parts.push('Utilities incl.');
+  if (rental.lease_months != null) parts.push(`${rental.lease_months}-month lease`);
+  return parts.join(' · ');
+}
+
+// Render a rental card at the end of the feed, or before `before` (live listings go on top)
+function renderCard(feedEl, rental, before = null) {
   const tmpl = document.getElementById('card-template');
   const node = tmpl.content.cloneNode(true);
-  const article = node.querySelector('.card');
-  node.querySelector('.owner-name').textContent = rental.owner.name || 'Owner';
+  const ownerNameEl = node.querySelector('.owner-name');
+  ownerNameEl.textContent = rental.owner.name || 'Owner';
+  if (rental.owner.id) {
+    ownerNameEl.classList.add('clickable');
+    ownerNameEl.title = `More from ${rental.owner.name || 'this owner'}`;
+    ownerNameEl.addEventListener('click', () => filterByOwner(rental.owner));
+  }
   node.querySelector('.created-at').textContent = timeAgo(rental.created_at);
   node.querySelector('.title').textContent = rental.title;
-  node.querySelector('.location').textContent = rental.location || '';
+  // feeds searched ?near= a point say how far each rental is
+  const away = typeof rental.distance_km === 'number' ? `${rental.distance_km < 10 ? rental.distance_km.toFixed(1) : Math.round(rental.distance_km)} km away` : '';
+  node.querySelector('.location').textContent = [rental.location, away].filter(Boolean).join(' · ');
   node.querySelector('.price').textContent = rental.price ? `$${rental.price}` : '';
   node.querySelector('.description').textContent = rental.description || '';
+  node.querySelector('.details').textContent = rentalDetails(rental);
+  node.querySelector('.amenities').textContent = (rental.amenities || []).map(a => AMENITY_LABELS[a] || a).join(' · ');
+  if (rental.highlight) {
+    if (rental.highlight.title && rental.highlight.title.length) renderHighlighted(node.querySelector('.title'), rental.highlight.title);
+    if (rental.highlight.description && rental.highlight.description.length) renderHighlighted(node.querySelector('.description'), rental.highlight.description);
+  }
   node.querySelector('.likes').textContent = rental.likes || 0;
-  node.querySelector('.comments-count').textContent = (rental.comments || []).length;
+  node.querySelector('.comments-count').textContent = rental.comments_count != null ? rental.comments_count : (rental.comments || []).length;
 
+  // photos carry resized variants (srcset); older rentals and the sample feed only have image URLs
   const img = node.querySelector('.card-image');
-  const images = rental.images && rental.images.length ? rental.images : ['/placeholder.png'];
-  img.src = images[0];
+  const photos = rental.photos && rental.photos.length
+    ? rental.photos
+    : (rental.images && rental.images.length ? rental.images : ['/placeholder.png']).map(src => ({ src }));
+  function setPhoto(photo) {
+    if (photo.srcset) {
+      img.srcset = photo.srcset;
+      img.sizes = CARD_IMAGE_SIZES;
+    } else {
+      img.removeAttribute('srcset');
+    }
+    img.src = photo.src;
+  }
+  setPhoto(photos[0]);
 
   // carousel state
-  if (images.length > 1) {
+  if (photos.length > 1) {
     const prev = document.createElement('button');
     prev.className = 'carousel-btn prev';
     prev.textContent = '‹';
@@ -44,7 +116,7 @@ function renderCard(feedEl, rental) {
     next.textContent = '›';
     const indicators = document.createElement('div');
     indicators.className = 'carousel-indicators';
-    images.forEach((_, i) => {
+    photos.forEach((_, i) => {
       const dot = document.createElement('button');
       dot.className = 'indicator' + (i === 0 ? ' active' : '');
       dot.dataset.index = i;
@@ -57,8 +129,8 @@ function renderCard(feedEl, rental) {
 
     let idx = 0;
     function show(i) {
-      idx = (i + images.length) % images.length;
-      img.src = images[idx];
+      idx = (i + photos.length) % photos.length;
+      setPhoto(photos[idx]);
       indicators.querySelectorAll('.indicator').forEach((b, j) => b.classList.toggle('active', j === idx));
     }
     prev.addEventListener('click', () => show(idx - 1));
@@ -68,86 +140,726 @@ function renderCard(feedEl, rental) {
     });
   }
 
+  // likedByMe comes with the feed for signed-in viewers; PUT / DELETE send the state we want, not a toggle,
+  // so a double click can't undo itself, and the count shown is the one the server returns
   const likeBtn = node.querySelector('.like-btn');
+  const likesEl = node.querySelector('.likes');
+  function setLiked(liked) {
+    likeBtn.classList.toggle('liked', liked);
+    likeBtn.setAttribute('aria-pressed', String(liked));
+  }
+  setLiked(!!rental.likedByMe);
   likeBtn.addEventListener('click', async () => {
+    const liked = likeBtn.classList.contains('liked');
     try {
-      const res = await getJSON(`/api/rentals/${rental.id}/like`, { method: 'POST' });
-      const liked = res.liked;
-      const countEl = article.querySelector('.likes');
-      const current = Number(countEl.textContent || 0);
-      countEl.textContent = liked ? current + 1 : Math.max(0, current - 1);
+      const res = await getJSON(`/api/rentals/${rental.id}/like`, { method: liked ? 'DELETE' : 'PUT' });
+      setLiked(res.liked);
+      likesEl.textContent = res.likes;
     } catch (err) {
       alert('Like failed: ' + err.message);
     }
   });
 
-  const showCommentsBtn = node.querySelector('.show-comments');
+  // report: reason picker under the actions; a reported card stays put but can't be reported again
+  const reportBtn = node.querySelector('.report-btn');
+  const reportForm = node.querySelector('.report-form');
+  // the API doesn't take reports on your own listing
+  reportBtn.hidden = !!rental.isOwner;
+  reportBtn.addEventListener('click', () => {
+    reportForm.hidden = !reportForm.hidden;
+  });
+  reportForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const reason = reportForm.elements['reason'].value;
+    if (!reason) return;
+    const details = reportForm.elements['details'].value.trim();
+    try {
+      await getJSON(`/api/rentals/${rental.id}/report`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ reason, details: details || null }) });
+      reportForm.hidden = true;
+      reportBtn.disabled = true;
+      reportBtn.title = 'Reported — thanks, a moderator will take a look';
+    } catch (err) {
+      alert('Report failed: ' + err.message);
+    }
+  });
+
+  setupSaveMenu(node, rental);
+  setupInquiry(node, rental);
+  setupBooking(node, rental);
+  setupReviews(node, rental);
+
+  const commentBtn = node.querySelector('.comment-btn');
   const commentsEl = node.querySelector('.comments');
-  showCommentsBtn.addEventListener('click', () => {
+  commentBtn.addEventListener('click', () => {
     commentsEl.hidden = !commentsEl.hidden;
   });
+  const commentReceived = setupComments(node, rental);
+
+  liveCards.set(rental.id, {
+    setLikes: (likes) => { likesEl.textContent = likes; },
+    commentReceived
+  });
+  feedEl.insertBefore(node, before);
+}
+
+// 📅 Availability: everyone sees the open dates; renters request a stay, the owner opens and closes ranges.
+// Dates are check-in / check-out: the end date itself is free for the next guest.
+function setupBooking(node, rental) {
+  const bookBtn = node.querySelector('.book-btn');
+  const panel = node.querySelector('.booking-panel');
+  const list = panel.querySelector('.availability-list');
+  const bookingForm = panel.querySelector('.booking-form');
+  const rangeForm = panel.querySelector('.availability-form');
+  // sample cards aren't real listings
+  bookBtn.hidden = !rental.owner.id;
+
+  function render({ availability, booked }) {
+    list.innerHTML = '';
+    if (!availability.length) {
+      const li = document.createElement('li');
+      li.className = 'muted';
+      li.textContent = 'No open dates yet.';
+      list.appendChild(li);
+    }
+    availability.forEach(range => {
+      const li = document.createElement('li');
+      const taken = booked.filter(b => b.start_date < range.end_date && b.end_date > range.start_date);
+      li.textContent = `${range.start_date} → ${range.end_date}` + (taken.length ? ` (booked: ${taken.map(b => `${b.start_date} → ${b.end_date}`).join(', ')})` : '');
+      if (rental.isOwner) {
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.textContent = 'Close';
+        close.addEventListener('click', async () => {
+          try {
+            render(await getJSON(`/api/rentals/${rental.id}/availability/${range.id}`, { method: 'DELETE' }));
+          } catch (err) {
+            alert('Could not close these dates: ' + err.message);
+          }
+        });
+        li.appendChild(close);
+      }
+      list.appendChild(li);
+    });
+  }
+
+  bookBtn.addEventListener('click', async () => {
+    panel.hidden = !panel.hidden;
+    if (panel.hidden) return;
+    bookingForm.hidden = !!rental.isOwner;
+    rangeForm.hidden = !rental.isOwner;
+    try {
+      render(await getJSON(`/api/rentals/${rental.id}/availability`));
+    } catch (err) {
+      list.textContent = 'Failed to load availability: ' + err.message;
+    }
+  });
+
+  function stay(form) {
+    return { start_date: form.elements['start_date'].value, end_date: form.elements['end_date'].value };
+  }
+
+  bookingForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    if (!currentUser) return alert('Log in to request a booking.');
+    const message = bookingForm.elements['message'].value.trim();
+    try {
+      await getJSON(`/api/rentals/${rental.id}/bookings`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ ...stay(bookingForm), message: message || null }) });
+      bookingForm.reset();
+      bookingForm.querySelector('.booking-sent').hidden = false;
+    } catch (err) {
+      alert('Booking request failed: ' + err.message);
+    }
+  });
+
+  rangeForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    try {
+      render(await getJSON(`/api/rentals/${rental.id}/availability`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify(stay(rangeForm)) }));
+      rangeForm.reset();
+    } catch (err) {
+      alert('Could not open these dates: ' + err.message);
+    }
+  });
+}
+
+// "★★★★☆" for a whole number of stars
+function stars(n) {
+  return '★'.repeat(n) + '☆'.repeat(5 - n);
+}
 
-  // render existing comments
-  const commentsList = node.querySelector('.comments-list');
-  (rental.comments || []).forEach(c => {
+function ratingLabel(rating) {
+  return rating && rating.count ? `${rating.average.toFixed(1)} (${rating.count})` : 'New';
+}
+
+// ★ Reviews: renters review a listing and its owner after a stay; the owner replies to each review once
+function setupReviews(node, rental) {
+  const reviewBtn = node.querySelector('.review-btn');
+  const ratingEl = reviewBtn.querySelector('.rating');
+  const panel = node.querySelector('.reviews-panel');
+  const list = panel.querySelector('.reviews-list');
+  const more = panel.querySelector('.reviews-more');
+  const form = panel.querySelector('.review-form');
+  reviewBtn.hidden = !rental.owner.id;
+  ratingEl.textContent = ratingLabel(rental.rating);
+  panel.querySelector('.owner-profile-link').href = `/profile.html?id=${rental.owner.id}`;
+  let offset = 0;
+
+  function renderReview(review) {
     const li = document.createElement('li');
-    li.textContent = `${c.user_name}: ${c.text}`;
-    commentsList.appendChild(li);
+    li.className = 'review';
+    const head = document.createElement('div');
+    head.className = 'review-head';
+    head.textContent = `${stars(review.rating)} ${review.renter.name || 'Renter'} · ${timeAgo(review.created_at)}`;
+    head.title = `Owner: ${review.owner_rating}/5`;
+    li.appendChild(head);
+    if (review.text) {
+      const text = document.createElement('p');
+      text.textContent = review.text;
+      li.appendChild(text);
+    }
+    const reply = document.createElement('p');
+    reply.className = 'review-reply muted';
+    const showReply = (r) => {
+      reply.hidden = !r.reply;
+      reply.textContent = r.reply ? `Owner: ${r.reply.text}` : '';
+    };
+    showReply(review);
+    li.appendChild(reply);
+    if (rental.isOwner) {
+      const replyBtn = document.createElement('button');
+      replyBtn.type = 'button';
+      replyBtn.textContent = review.reply ? 'Edit reply' : 'Reply';
+      replyBtn.addEventListener('click', async () => {
+        const text = prompt('Your reply (leave empty to remove it)', review.reply ? review.reply.text : '');
+        if (text === null) return;
+        try {
+          const data = text.trim()
+            ? await getJSON(`/api/reviews/${review.id}/reply`, { method: 'PUT', headers: JSON_HEADERS, body: JSON.stringify({ text }) })
+            : await getJSON(`/api/reviews/${review.id}/reply`, { method: 'DELETE' });
+          review = data.review;
+          showReply(review);
+          replyBtn.textContent = review.reply ? 'Edit reply' : 'Reply';
+        } catch (err) {
+          alert('Could not save the reply: ' + err.message);
+        }
+      });
+      li.appendChild(replyBtn);
+    }
+    return li;
+  }
+
+  async function load() {
+    try {
+      const data = await getJSON(`/api/rentals/${rental.id}/reviews?offset=${offset}&limit=5`);
+      if (offset === 0) {
+        list.innerHTML = '';
+        if (!data.reviews.length) {
+          const li = document.createElement('li');
+          li.className = 'muted';
+          li.textContent = 'No reviews yet.';
+          list.appendChild(li);
+        }
+      }
+      data.reviews.forEach(review => list.appendChild(renderReview(review)));
+      offset += data.reviews.length;
+      more.hidden = !data.hasMore;
+      form.hidden = !data.canReview;
+      ratingEl.textContent = ratingLabel(data.rating);
+    } catch (err) {
+      list.textContent = 'Failed to load reviews: ' + err.message;
+    }
+  }
+
+  reviewBtn.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    if (panel.hidden) return;
+    offset = 0;
+    load();
   });
+  more.addEventListener('click', load);
 
-  const commentForm = node.querySelector('.comment-form');
-  commentForm.addEventListener('submit', async (ev) => {
+  form.addEventListener('submit', async (ev) => {
     ev.preventDefault();
-    const input = commentForm.elements['text'];
-    const text = input.value.trim();
+    const review = {
+      rating: Number(form.elements['rating'].value),
+      owner_rating: Number(form.elements['owner_rating'].value),
+      text: form.elements['text'].value.trim() || null
+    };
+    try {
+      await getJSON(`/api/rentals/${rental.id}/reviews`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify(review) });
+      form.reset();
+      offset = 0;
+      await load();
+    } catch (err) {
+      alert('Could not post the review: ' + err.message);
+    }
+  });
+}
+
+// Ask the owner: a private message that starts (or continues) a conversation about this rental
+function setupInquiry(node, rental) {
+  const messageBtn = node.querySelector('.message-btn');
+  const form = node.querySelector('.inquiry-form');
+  const sent = form.querySelector('.inquiry-sent');
+  // owners can't message themselves; sample cards (no owner id) have nobody to ask
+  messageBtn.hidden = !!rental.isOwner || !rental.owner.id;
+  messageBtn.addEventListener('click', () => {
+    if (!currentUser) return alert('Log in to message the owner.');
+    form.hidden = !form.hidden;
+    if (!form.hidden) form.elements['text'].focus();
+  });
+  form.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const text = form.elements['text'].value.trim();
     if (!text) return;
     try {
-      const res = await getJSON(`/api/rentals/${rental.id}/comments`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ text }) });
-      const c = res.comment;
+      const data = await getJSON(`/api/rentals/${rental.id}/inquiries`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ text }) });
+      form.elements['text'].value = '';
+      sent.href = `/messages.html?c=${data.conversation.id}`;
+      sent.hidden = false;
+    } catch (err) {
+      alert('Message failed: ' + err.message);
+    }
+  });
+}
+
+// Save menu: the viewer's collections with a checkbox each (is this rental in it?) and a form to start a
+// new one. Collections are only loaded when the menu is opened.
+function setupSaveMenu(node, rental) {
+  const saveBtn = node.querySelector('.save-btn');
+  const menu = node.querySelector('.save-menu');
+  const list = menu.querySelector('.save-list');
+  const newForm = menu.querySelector('.save-new');
+  saveBtn.classList.toggle('saved', !!rental.savedByMe);
+
+  function renderCollections(collections) {
+    list.innerHTML = '';
+    collections.forEach(collection => {
       const li = document.createElement('li');
-      li.textContent = `${c.user_name}: ${c.text}`;
-      commentsList.appendChild(li);
+      const label = document.createElement('label');
+      const box = document.createElement('input');
+      box.type = 'checkbox';
+      box.checked = collection.contains;
+      box.addEventListener('change', async () => {
+        try {
+          await getJSON(`/api/collections/${collection.id}/rentals/${rental.id}`, { method: box.checked ? 'PUT' : 'DELETE' });
+          saveBtn.classList.toggle('saved', !!list.querySelector('input:checked'));
+        } catch (err) {
+          box.checked = !box.checked;
+          alert('Saving failed: ' + err.message);
+        }
+      });
+      label.appendChild(box);
+      label.appendChild(document.createTextNode(' ' + collection.name));
+      const view = document.createElement('a');
+      view.href = `/feed.html?collection=${collection.id}`;
+      view.textContent = `${collection.count} saved`;
+      li.appendChild(label);
+      li.appendChild(view);
+      list.appendChild(li);
+    });
+  }
+
+  async function loadCollections() {
+    const data = await getJSON(`/api/collections?${new URLSearchParams({ rental: rental.id })}`);
+    renderCollections(data.collections);
+  }
+
+  saveBtn.addEventListener('click', async () => {
+    if (!currentUser) return alert('Log in to save rentals to your collections.');
+    menu.hidden = !menu.hidden;
+    if (menu.hidden) return;
+    try {
+      await loadCollections();
+    } catch (err) {
+      alert('Could not load your collections: ' + err.message);
+    }
+  });
+
+  newForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const name = newForm.elements['name'].value.trim();
+    if (!name) return;
+    try {
+      await getJSON('/api/collections', { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ name, rental_id: rental.id }) });
+      newForm.reset();
+      saveBtn.classList.add('saved');
+      await loadCollections();
+    } catch (err) {
+      alert('Could not create the collection: ' + err.message);
+    }
+  });
+}
+
+// Comments: threads (top-level comments with their replies), "load more" paging, and reply / edit /
+// delete actions. The signed-in user is looked up once so their own comments get edit and delete.
+let currentUser = null;
+
+async function loadCurrentUser() {
+  try {
+    currentUser = (await getJSON('/api/me')).user;
+    if (currentUser.avatar) document.querySelector('.nav-avatar').src = currentUser.avatar.thumb;
+  } catch (err) {
+    currentUser = null;
+  }
+}
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+function renderComment(comment, thread) {
+  const li = document.createElement('li');
+  li.className = 'comment' + (comment.deleted ? ' deleted' : '');
+  li.dataset.id = comment.id;
+
+  const body = document.createElement('div');
+  body.className = 'comment-body';
+  const textEl = document.createElement('span');
+  textEl.className = 'comment-text';
+  if (comment.deleted) {
+    textEl.textContent = 'Comment deleted';
+  } else {
+    const name = document.createElement('strong');
+    name.textContent = comment.user_name + ' ';
+    body.appendChild(name);
+    textEl.textContent = comment.text;
+  }
+  body.appendChild(textEl);
+  li.appendChild(body);
+
+  const meta = document.createElement('div');
+  meta.className = 'comment-meta muted';
+  const when = document.createElement('span');
+  when.textContent = comment.created_at ? timeAgo(comment.created_at) : '';
+  meta.appendChild(when);
+  const edited = document.createElement('span');
+  edited.className = 'comment-edited';
+  edited.textContent = ' · edited';
+  edited.hidden = !comment.edited_at;
+  meta.appendChild(edited);
+
+  function action(label, onClick) {
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'comment-action';
+    btn.textContent = label;
+    btn.addEventListener('click', onClick);
+    meta.appendChild(btn);
+  }
+  if (!comment.deleted && comment.id) {
+    // replying to a reply continues the same thread
+    action('Reply', () => thread.openReply(comment));
+    if (currentUser && currentUser.id === comment.user_id) {
+      action('Edit', async () => {
+        const text = prompt('Edit comment', textEl.textContent);
+        if (text == null || !text.trim()) return;
+        try {
+          const res = await getJSON(`/api/comments/${comment.id}`, { method: 'PATCH', headers: JSON_HEADERS, body: JSON.stringify({ text: text.trim() }) });
+          textEl.textContent = res.comment.text;
+          edited.hidden = false;
+        } catch (err) {
+          alert('Edit failed: ' + err.message);
+        }
+      });
+      action('Delete', async () => {
+        if (!confirm('Delete this comment?')) return;
+        try {
+          await getJSON(`/api/comments/${comment.id}`, { method: 'DELETE' });
+          thread.removed(comment, li);
+        } catch (err) {
+          alert('Delete failed: ' + err.message);
+        }
+      });
+    }
+  }
+  li.appendChild(meta);
+  return li;
+}
+
+function setupComments(node, rental) {
+  const list = node.querySelector('.comments-list');
+  const moreBtn = node.querySelector('.comments-more');
+  const form = node.querySelector('.comment-form');
+  const replyingTo = node.querySelector('.replying-to');
+  const countEl = node.querySelector('.comments-count');
+  let cursor = rental.comments_next_cursor || null;
+  let replyThread = null;
+  const threads = new Map();
+
+  function adjustCount(delta) {
+    countEl.textContent = Math.max(0, Number(countEl.textContent || 0) + delta);
+  }
+
+  function setReplyTarget(thread, comment) {
+    replyThread = thread;
+    replyingTo.hidden = !thread;
+    if (thread) {
+      replyingTo.querySelector('.replying-to-name').textContent = comment.user_name || 'comment';
+      form.elements['text'].focus();
+    }
+  }
+
+  // A top-level comment with its replies list and "more replies" button
+  function renderThread(comment) {
+    const thread = { id: comment.id };
+    let li = renderComment(comment, thread);
+    const replies = document.createElement('ul');
+    replies.className = 'comment-replies';
+    li.appendChild(replies);
+    const moreReplies = document.createElement('button');
+    moreReplies.type = 'button';
+    moreReplies.className = 'replies-more';
+    li.appendChild(moreReplies);
+    let replyCursor = comment.replies_next_cursor || null;
+    let hiddenReplies = (comment.reply_count || 0) - (comment.replies || []).length;
+
+    function updateMoreReplies() {
+      moreReplies.hidden = !replyCursor;
+      moreReplies.textContent = `View ${hiddenReplies} more ${hiddenReplies === 1 ? 'reply' : 'replies'}`;
+    }
+
+    thread.openReply = (target) => setReplyTarget(thread, target);
+    thread.addReply = (reply) => replies.appendChild(renderComment(reply, thread));
+    // a reply from the live stream goes at the end, or is counted behind "more replies" until those are loaded
+    thread.liveReply = (reply) => {
+      if (!replyCursor) return thread.addReply(reply);
+      hiddenReplies++;
+      updateMoreReplies();
+    };
+    // mirrors the API: a deleted comment with replies stays as a placeholder until its last reply goes
+    thread.removed = (removed, el) => {
+      adjustCount(-1);
+      if (removed.id !== thread.id) {
+        el.remove();
+        if (li.classList.contains('deleted') && !replies.children.length) li.remove();
+      } else if (replies.children.length) {
+        const placeholder = renderComment({ ...removed, deleted: true }, thread);
+        placeholder.append(replies, moreReplies);
+        li.replaceWith(placeholder);
+        li = placeholder;
+      } else {
+        li.remove();
+      }
+    };
+
+    moreReplies.addEventListener('click', async () => {
+      try {
+        const page = await getJSON(`/api/rentals/${rental.id}/comments?${new URLSearchParams({ parent: thread.id, cursor: replyCursor })}`);
+        page.comments.forEach(thread.addReply);
+        hiddenReplies -= page.comments.length;
+        replyCursor = page.nextCursor;
+        updateMoreReplies();
+      } catch (err) {
+        alert('Loading replies failed: ' + err.message);
+      }
+    });
+
+    (comment.replies || []).forEach(thread.addReply);
+    updateMoreReplies();
+    list.appendChild(li);
+    threads.set(thread.id, thread);
+    return thread;
+  }
+
+  function updateMore() {
+    moreBtn.hidden = !cursor;
+  }
+
+  (rental.comments || []).forEach(renderThread);
+  updateMore();
+
+  moreBtn.addEventListener('click', async () => {
+    try {
+      const page = await getJSON(`/api/rentals/${rental.id}/comments?${new URLSearchParams({ cursor })}`);
+      page.comments.forEach(renderThread);
+      cursor = page.nextCursor;
+      updateMore();
+    } catch (err) {
+      alert('Loading comments failed: ' + err.message);
+    }
+  });
+
+  replyingTo.querySelector('.replying-to-cancel').addEventListener('click', () => setReplyTarget(null));
+
+  form.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const input = form.elements['text'];
+    const text = input.value.trim();
+    if (!text) return;
+    const thread = replyThread;
+    try {
+      const res = await getJSON(`/api/rentals/${rental.id}/comments`, { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ text, parent_id: thread ? thread.id : null }) });
+      if (thread) thread.addReply(res.comment);
+      else renderThread({ ...res.comment, replies: [], reply_count: 0 });
       input.value = '';
-      const countEl = article.querySelector('.comments-count');
-      countEl.textContent = Number(countEl.textContent || 0) + 1;
+      setReplyTarget(null);
+      adjustCount(1);
     } catch (err) {
       alert('Comment failed: ' + err.message);
     }
   });
 
-  feedEl.appendChild(node);
+  // comments arriving on the live stream. Your own are skipped: the form above already shows and counts them.
+  return function commentReceived(comment, count) {
+    if (currentUser && comment.user_id === currentUser.id) return;
+    countEl.textContent = count;
+    if (list.querySelector(`li[data-id="${comment.id}"]`)) return;
+    if (comment.parent_id) {
+      const thread = threads.get(comment.parent_id);
+      if (thread) thread.liveReply(comment);
+    } else if (!cursor) {
+      // threads are oldest first, so with more pages to load the new one comes with "Load more comments"
+      renderThread({ ...comment, replies: [], reply_count: 0 });
+    }
+  };
+}
+
+// Filters: read from the filter bar and mirrored into the page URL so a filtered feed can be shared
+const FEED_FILTER_KEYS = ['q', 'location', 'minPrice', 'maxPrice', 'minBedrooms', 'petsAllowed', 'furnished', 'utilitiesIncluded', 'owner', 'availableFrom', 'availableTo', 'near', 'radius', 'sort'];
+let feedFilters = {};
+
+function readFilters(form) {
+  const filters = {};
+  FEED_FILTER_KEYS.forEach(k => {
+    const el = form.elements[k];
+    // checkboxes filter only when ticked: "pets allowed", not "no pets"
+    const v = el.type === 'checkbox' ? (el.checked ? el.value : '') : (el.value || '').trim();
+    // "newest" is the default sort, except from a point where the feed sorts by distance
+    if (v && !(k === 'sort' && v === 'newest' && !filters.near)) filters[k] = v;
+  });
+  // the radius and nearest-first need a point ("me" until the browser has told us where that is)
+  if (filters.near === 'me') delete filters.near;
+  if (!filters.near) {
+    delete filters.radius;
+    if (filters.sort === 'distance') delete filters.sort;
+  }
+  // the API wants the whole stay: both dates, check-out after check-in
+  if (!filters.availableFrom || !filters.availableTo || filters.availableTo <= filters.availableFrom) {
+    delete filters.availableFrom;
+    delete filters.availableTo;
+  }
+  return filters;
+}
+
+function hasActiveFilters() {
+  return Object.keys(feedFilters).length > 0;
+}
+
+function feedQueryString(extra) {
+  return new URLSearchParams({ ...feedFilters, ...extra }).toString();
+}
+
+// Collection view: ?collection=<id> shows one of your collections, ?shared=<token> a shared one (read-only).
+// The cards come from the collection endpoint instead of the feed, and the filter bar makes way for a banner.
+const pageQuery = new URLSearchParams(location.search);
+const collectionView = pageQuery.has('collection') ? { id: pageQuery.get('collection') }
+  : pageQuery.has('shared') ? { token: pageQuery.get('shared') } : null;
+
+function collectionUrl(extra) {
+  const qs = new URLSearchParams(extra).toString();
+  if (collectionView.id) return `/api/collections/${encodeURIComponent(collectionView.id)}?${qs}`;
+  return `/api/shared/collections/${encodeURIComponent(collectionView.token)}?${qs}`;
+}
+
+function renderCollectionBanner(collection) {
+  const banner = document.getElementById('collection-banner');
+  banner.hidden = false;
+  banner.querySelector('.collection-name').textContent = collection.name;
+  const saved = `${collection.count} saved ${collection.count === 1 ? 'rental' : 'rentals'}`;
+  banner.querySelector('.collection-meta').textContent = collection.owner ? `${saved} · shared by ${collection.owner.name || 'someone'}` : saved;
+  document.title = `${collection.name} · Rentals`;
+  if (!collectionView.id) return;
+
+  // your own collection: share it through a read-only link, or stop sharing
+  const actions = banner.querySelector('.collection-actions');
+  const shareBtn = actions.querySelector('.collection-share');
+  const unshareBtn = actions.querySelector('.collection-unshare');
+  const urlInput = actions.querySelector('.collection-share-url');
+  actions.hidden = false;
+  function showSharing(shareUrl) {
+    shareBtn.hidden = !!shareUrl;
+    unshareBtn.hidden = !shareUrl;
+    urlInput.hidden = !shareUrl;
+    urlInput.value = shareUrl || '';
+  }
+  showSharing(collection.share_url);
+  shareBtn.onclick = async () => {
+    try {
+      const data = await getJSON(`/api/collections/${collectionView.id}/share`, { method: 'POST' });
+      showSharing(data.collection.share_url);
+      urlInput.select();
+    } catch (err) {
+      alert('Sharing failed: ' + err.message);
+    }
+  };
+  unshareBtn.onclick = async () => {
+    if (!confirm('Stop sharing? The current link will stop working.')) return;
+    try {
+      const data = await getJSON(`/api/collections/${collectionView.id}/share`, { method: 'DELETE' });
+      showSharing(data.collection.share_url);
+    } catch (err) {
+      alert('Could not stop sharing: ' + err.message);
+    }
+  };
+}
+
+// Keyword searches go through the full-text index; everything else is a plain feed page.
+// "Best match" only means something for a search, so it is dropped otherwise.
+function feedUrl(extra) {
+  if (collectionView) return collectionUrl(extra);
+  if (feedFilters.q) return `/api/search?${feedQueryString(extra)}`;
+  const { sort, ...rest } = feedFilters;
+  const params = sort === 'relevance' ? rest : feedFilters;
+  return `/api/feed?${new URLSearchParams({ ...params, ...extra }).toString()}`;
 }
 
-// Infinite scroll & paginated loading
+// Infinite scroll & paginated loading. /api/feed hands out a cursor for the next page; search pages by offset.
 let feedOffset = 0;
+let feedCursor = null;
 const FEED_LIMIT = 6;
 let loading = false;
 let hasMore = true;
+// bumped on every reset so responses for an older filter set are dropped
+let feedGeneration = 0;
+let feedObserver = null;
 
 async function loadMore(feedEl) {
   if (loading || !hasMore) return;
   loading = true;
+  const generation = feedGeneration;
   try {
-    const data = await getJSON(`/api/feed?offset=${feedOffset}&limit=${FEED_LIMIT}`);
-    if (data && Array.isArray(data.feed) && data.feed.length > 0) {
-      (data.feed || []).forEach(r => renderCard(feedEl, r));
-      feedOffset += (data.feed || []).length;
+    const data = await getJSON(feedUrl(feedCursor ? { cursor: feedCursor, limit: FEED_LIMIT } : { offset: feedOffset, limit: FEED_LIMIT }));
+    if (generation !== feedGeneration) return;
+    if (collectionView && feedOffset === 0) renderCollectionBanner(data.collection);
+    // /api/feed and collections return `feed`, /api/search returns `results`; all use the same card shape
+    const items = data && (data.feed || data.results);
+    if (Array.isArray(items) && items.length > 0) {
+      items.forEach(r => renderCard(feedEl, r));
+      feedOffset += items.length;
+      feedCursor = data.nextCursor || null;
       hasMore = !!data.hasMore;
     } else {
-      // if API returned empty feed on first load, fall back to sample data
-      if (feedOffset === 0) {
+      // if API returned empty feed on first load, fall back to sample data (unless the user is filtering)
+      if (feedOffset === 0 && !hasActiveFilters() && !collectionView) {
         const sample = await getJSON('/sample-feed.json');
         const slice = sample.slice(feedOffset, feedOffset + FEED_LIMIT);
         slice.forEach(r => renderCard(feedEl, r));
         feedOffset += slice.length;
         hasMore = feedOffset < sample.length;
       } else {
+        if (feedOffset === 0) {
+          const emptyEl = document.createElement('div');
+          emptyEl.className = 'feed-empty';
+          emptyEl.textContent = collectionView ? 'Nothing saved here yet.' : 'No rentals match these filters.';
+          feedEl.appendChild(emptyEl);
+        }
         hasMore = false;
       }
     }
   } catch (err) {
-    // If API fails (backend not running), fallback to static sample data
+    if (generation !== feedGeneration) return;
+    // If API fails (backend not running), fallback to static sample data; a collection has nothing to fall back to
     try {
+      if (collectionView) throw err;
       const sample = await getJSON('/sample-feed.json');
       const slice = sample.slice(feedOffset, feedOffset + FEED_LIMIT);
       slice.forEach(r => renderCard(feedEl, r));
@@ -161,27 +873,243 @@ async function loadMore(feedEl) {
       hasMore = false;
     }
   } finally {
-    loading = false;
+    if (generation === feedGeneration) loading = false;
   }
 }
 
 function setupInfiniteScroll(feedEl) {
-  const observer = new IntersectionObserver(entries => {
+  if (feedObserver) feedObserver.disconnect();
+  feedObserver = new IntersectionObserver(entries => {
     if (entries[0].isIntersecting) loadMore(feedEl);
   }, { root: null, rootMargin: '400px', threshold: 0.1 });
   const sentinel = document.createElement('div');
   sentinel.className = 'sentinel';
   feedEl.appendChild(sentinel);
-  observer.observe(sentinel);
+  feedObserver.observe(sentinel);
 }
 
 async function loadFeed() {
   const feedEl = document.getElementById('feed');
+  feedGeneration++;
   feedEl.innerHTML = '';
+  liveCards.clear();
+  clearNewListings();
   feedOffset = 0;
+  feedCursor = null;
   hasMore = true;
+  loading = false;
   await loadMore(feedEl);
   setupInfiniteScroll(feedEl);
 }
 
-window.addEventListener('load', loadFeed);
+// Apply a new filter set: update the URL, then restart infinite scroll from the first page
+function applyFilters(filters) {
+  feedFilters = filters;
+  const qs = feedQueryString();
+  history.replaceState(null, '', qs ? `?${qs}` : location.pathname);
+  updateMapLink();
+  return loadFeed();
+}
+
+// The topbar 🗺 link opens the map with the same filters
+function updateMapLink() {
+  const link = document.querySelector('.map-link');
+  const qs = feedQueryString();
+  if (link) link.href = qs ? `/map.html?${qs}` : '/map.html';
+}
+
+// Clicking an owner's name narrows the feed to that owner's listings
+function filterByOwner(owner) {
+  const form = document.getElementById('feed-filters');
+  if (!form || !owner || !owner.id) return;
+  form.elements['owner'].value = owner.id;
+  const label = form.querySelector('.owner-filter');
+  label.querySelector('.owner-filter-name').textContent = owner.name || `#${owner.id}`;
+  label.hidden = false;
+  applyFilters(readFilters(form));
+}
+
+function setupFilters() {
+  const form = document.getElementById('feed-filters');
+  if (!form) return;
+  if (collectionView) {
+    form.hidden = true;
+    return;
+  }
+  // restore filters from the page URL (owner name is unknown until a card is clicked)
+  const params = new URLSearchParams(location.search);
+  setupNearFilter(form, params.get('near'));
+  FEED_FILTER_KEYS.forEach(k => {
+    if (!params.has(k)) return;
+    const el = form.elements[k];
+    if (el.type === 'checkbox') el.checked = params.get(k) === el.value;
+    else el.value = params.get(k);
+  });
+  if (params.has('owner')) {
+    const label = form.querySelector('.owner-filter');
+    label.querySelector('.owner-filter-name').textContent = `#${params.get('owner')}`;
+    label.hidden = false;
+  }
+  feedFilters = readFilters(form);
+  updateMapLink();
+
+  let debounce = null;
+  form.addEventListener('input', (ev) => {
+    // text inputs are debounced; the sort select applies immediately
+    clearTimeout(debounce);
+    const delay = ev.target.tagName === 'SELECT' ? 0 : 350;
+    debounce = setTimeout(() => applyFilters(readFilters(form)), delay);
+  });
+  form.addEventListener('submit', (ev) => {
+    ev.preventDefault();
+    clearTimeout(debounce);
+    applyFilters(readFilters(form));
+  });
+  form.addEventListener('reset', () => {
+    clearTimeout(debounce);
+    form.querySelector('.owner-filter').hidden = true;
+    // the reset event fires before the fields are cleared
+    setTimeout(() => {
+      form.elements['owner'].value = '';
+      applyFilters(readFilters(form));
+    }, 0);
+  });
+}
+
+// The "near" select: known places from /api/places, plus the browser's position for "My location".
+// A point from the page URL gets an option right away, so the first page is already filtered; it takes
+// the place's name once places have loaded.
+function setupNearFilter(form, initial) {
+  const select = form.elements['near'];
+  const addOption = (value, label) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = label;
+    select.appendChild(option);
+    return option;
+  };
+  const pinned = initial && initial !== 'me' ? addOption(initial, `📍 ${initial}`) : null;
+  getJSON('/api/places').then(({ places }) => {
+    places.forEach(place => {
+      const value = `${place.latitude},${place.longitude}`;
+      if (pinned && pinned.value === value) pinned.textContent = place.name;
+      else addOption(value, place.name);
+    });
+  }).catch(err => console.warn('places not loaded', err));
+
+  select.addEventListener('change', () => {
+    // picking a point switches the default sort to nearest first
+    if (select.value && form.elements['sort'].value === 'newest') form.elements['sort'].value = 'distance';
+    if (select.value !== 'me') return;
+    if (!navigator.geolocation) {
+      alert('Your browser cannot share its location.');
+      select.value = '';
+      return;
+    }
+    navigator.geolocation.getCurrentPosition(pos => {
+      const point = `${pos.coords.latitude.toFixed(5)},${pos.coords.longitude.toFixed(5)}`;
+      select.value = [...select.options].some(o => o.value === point) ? point : addOption(point, '📍 Here').value;
+      applyFilters(readFilters(form));
+    }, () => {
+      alert('Could not get your location.');
+      select.value = '';
+      applyFilters(readFilters(form));
+    });
+  });
+}
+
+// Unread badges on the topbar ✉ (messages) and 🔔 (notifications) links, polled while the page is open
+// and refreshed right away when the live stream says something new arrived
+const UNREAD_POLL_MS = 30000;
+
+async function updateBadge(selector, url) {
+  const badge = document.querySelector(`${selector} .badge`);
+  if (!badge || !currentUser) return;
+  try {
+    const { unread } = await getJSON(url);
+    badge.textContent = unread;
+    badge.hidden = !unread;
+  } catch (err) {
+    badge.hidden = true;
+  }
+}
+
+function updateUnreadBadge() {
+  return updateBadge('.messages-link', '/api/conversations/unread');
+}
+
+function updateNotificationBadge() {
+  return updateBadge('.notifications-link', '/api/notifications?unread=true&limit=1');
+}
+
+// Live updates from /api/stream (Server-Sent Events). Cards on the page are looked up by rental id to
+// update their like and comment counts; new listings wait behind a "N new listings" button so the
+// feed doesn't jump while someone is reading it.
+const liveCards = new Map();
+let newListings = [];
+
+function clearNewListings() {
+  newListings = [];
+  const banner = document.getElementById('new-listings');
+  if (banner) banner.hidden = true;
+}
+
+// New listings only belong on top of the unfiltered, newest-first feed
+function showsNewListings() {
+  return !collectionView && !hasActiveFilters();
+}
+
+function listingReceived(rental) {
+  const banner = document.getElementById('new-listings');
+  if (!banner || !showsNewListings() || liveCards.has(rental.id) || newListings.some(r => r.id === rental.id)) return;
+  // the stream sends anonymous cards, so the viewer's own listing is recognized here
+  newListings.push({ ...rental, isOwner: !!currentUser && rental.owner.id === currentUser.id });
+  banner.textContent = `↑ ${newListings.length} new ${newListings.length === 1 ? 'listing' : 'listings'}`;
+  banner.hidden = false;
+}
+
+function showNewListings() {
+  const feedEl = document.getElementById('feed');
+  // oldest first, each inserted on top, so the newest ends up first. The keyset cursor for the next page
+  // is unaffected by rentals added above it.
+  newListings.forEach(rental => renderCard(feedEl, rental, feedEl.firstChild));
+  clearNewListings();
+  window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function connectStream() {
+  if (!window.EventSource) return;
+  const source = new EventSource('/api/stream');
+  const on = (type, handler) => source.addEventListener(type, (ev) => handler(JSON.parse(ev.data)));
+  on('rental.created', listingReceived);
+  on('rental.likes', ({ rental_id: rentalId, likes }) => {
+    const card = liveCards.get(rentalId);
+    if (card) card.setLikes(likes);
+  });
+  on('comment.created', ({ rental_id: rentalId, comment, comments_count: count }) => {
+    const card = liveCards.get(rentalId);
+    if (card) card.commentReceived(comment, count);
+  });
+  on('message.created', updateUnreadBadge);
+  on('notification.created', updateNotificationBadge);
+  // too much was missed while disconnected to replay; counts catch up on the next load
+  on('resync', () => {
+    updateUnreadBadge();
+    updateNotificationBadge();
+  });
+}
+
+window.addEventListener('load', async () => {
+  setupFilters();
+  await loadCurrentUser();
+  loadFeed();
+  updateUnreadBadge();
+  updateNotificationBadge();
+  setInterval(() => {
+    updateUnreadBadge();
+    updateNotificationBadge();
+  }, UNREAD_POLL_MS);
+  const banner = document.getElementById('new-listings');
+  if (banner) banner.addEventListener('click', showNewListings);
+  connectStream();
+});
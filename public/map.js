@@ -0,0 +1,234 @@
+// public/map.js - rentals with coordinates as pins on a map
+// Pins come from /api/map/rentals with the feed filters in this page's URL (the feed's 🗺 link passes
+// them on). The map is Web Mercator: locally served tiles when the server has them (/api/map/config),
+// otherwise a plain SVG map with the known places as labels. Pins closer than CLUSTER_PX on screen are
+// drawn as one numbered circle; clicking it zooms in, clicking a single pin shows its listing.
+(function(){
+  const TILE_SIZE = 256;
+  const CLUSTER_PX = 44;
+  const MIN_ZOOM = 2;
+  const SVG_ZOOM_LIMIT = 18;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+
+  const svg = document.getElementById('map');
+  const status = document.querySelector('.map-status');
+  const card = document.querySelector('.map-card');
+
+  let pins = [];
+  let places = [];
+  let tiles = null;
+  // the view: zoom level and the world pixel (at that zoom) in the middle of the map
+  const view = { zoom: 12, x: 0, y: 0 };
+
+  function maxZoom() {
+    return tiles ? tiles.maxZoom : SVG_ZOOM_LIMIT;
+  }
+
+  // lat/lng -> world pixel at a zoom level
+  function project(lat, lng, zoom) {
+    const scale = TILE_SIZE * 2 ** zoom;
+    const sin = Math.sin(lat * Math.PI / 180);
+    return { x: (lng + 180) / 360 * scale, y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale };
+  }
+
+  function size() {
+    return { width: svg.clientWidth || 640, height: svg.clientHeight || 480 };
+  }
+
+  function toScreen(lat, lng) {
+    const { width, height } = size();
+    const p = project(lat, lng, view.zoom);
+    return { x: p.x - view.x + width / 2, y: p.y - view.y + height / 2 };
+  }
+
+  function setZoom(zoom, focus) {
+    const next = Math.max(MIN_ZOOM, Math.min(maxZoom(), zoom));
+    const factor = 2 ** (next - view.zoom);
+    // keep the focus point (screen coordinates, default the middle) where it is
+    const { width, height } = size();
+    const fx = focus ? focus.x - width / 2 : 0;
+    const fy = focus ? focus.y - height / 2 : 0;
+    view.x = (view.x + fx) * factor - fx;
+    view.y = (view.y + fy) * factor - fy;
+    view.zoom = next;
+    render();
+  }
+
+  // The highest zoom that shows every pin, centred on them
+  function fitPins() {
+    const { width, height } = size();
+    const world = pins.map(p => project(p.latitude, p.longitude, 0));
+    const xs = world.map(p => p.x);
+    const ys = world.map(p => p.y);
+    const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+    const spread = Math.max((maxX - minX) / (width - 2 * CLUSTER_PX), (maxY - minY) / (height - 2 * CLUSTER_PX));
+    view.zoom = Math.max(MIN_ZOOM, Math.min(maxZoom(), spread > 0 ? Math.floor(Math.log2(1 / spread)) : 14));
+    const scale = 2 ** view.zoom;
+    view.x = (minX + maxX) / 2 * scale;
+    view.y = (minY + maxY) / 2 * scale;
+  }
+
+  // Group on-screen pins by grid cell; a cluster sits at the average position of its pins
+  function clusterPins() {
+    const cells = new Map();
+    pins.forEach(pin => {
+      const p = toScreen(pin.latitude, pin.longitude);
+      const key = `${Math.floor(p.x / CLUSTER_PX)}:${Math.floor(p.y / CLUSTER_PX)}`;
+      if (!cells.has(key)) cells.set(key, { pins: [], x: 0, y: 0 });
+      const cell = cells.get(key);
+      cell.pins.push(pin);
+      cell.x += p.x;
+      cell.y += p.y;
+    });
+    return [...cells.values()].map(c => ({ pins: c.pins, x: c.x / c.pins.length, y: c.y / c.pins.length }));
+  }
+
+  function el(name, attrs, text) {
+    const node = document.createElementNS(SVG_NS, name);
+    Object.entries(attrs).forEach(([k, v]) => node.setAttribute(k, v));
+    if (text !== undefined) node.textContent = text;
+    return node;
+  }
+
+  function drawTiles(layer) {
+    const { width, height } = size();
+    const left = view.x - width / 2;
+    const top = view.y - height / 2;
+    const count = 2 ** view.zoom;
+    for (let tx = Math.floor(left / TILE_SIZE); tx * TILE_SIZE < left + width; tx++) {
+      for (let ty = Math.max(0, Math.floor(top / TILE_SIZE)); ty * TILE_SIZE < top + height && ty < count; ty++) {
+        const wrapped = ((tx % count) + count) % count;
+        const href = tiles.url.replace('{z}', view.zoom).replace('{x}', wrapped).replace('{y}', ty);
+        layer.appendChild(el('image', { href, x: tx * TILE_SIZE - left, y: ty * TILE_SIZE - top, width: TILE_SIZE, height: TILE_SIZE }));
+      }
+    }
+  }
+
+  // No tiles: a light grid and the names of the known places, so the pins have some context
+  function drawPlainMap(layer) {
+    const { width, height } = size();
+    layer.appendChild(el('rect', { x: 0, y: 0, width, height, class: 'map-land' }));
+    for (let x = (-view.x + width / 2) % 64; x < width; x += 64) layer.appendChild(el('line', { x1: x, y1: 0, x2: x, y2: height, class: 'map-grid' }));
+    for (let y = (-view.y + height / 2) % 64; y < height; y += 64) layer.appendChild(el('line', { x1: 0, y1: y, x2: width, y2: y, class: 'map-grid' }));
+    places.forEach(place => {
+      const p = toScreen(place.latitude, place.longitude);
+      if (p.x < 0 || p.y < 0 || p.x > width || p.y > height) return;
+      layer.appendChild(el('text', { x: p.x, y: p.y, class: 'map-place' }, place.name));
+    });
+  }
+
+  function drawPins(layer) {
+    clusterPins().forEach(cluster => {
+      const group = el('g', { class: cluster.pins.length > 1 ? 'map-cluster' : 'map-pin', tabindex: 0 });
+      const radius = cluster.pins.length > 1 ? Math.min(26, 12 + Math.log2(cluster.pins.length) * 3) : 8;
+      group.appendChild(el('circle', { cx: cluster.x, cy: cluster.y, r: radius }));
+      if (cluster.pins.length > 1) {
+        group.appendChild(el('text', { x: cluster.x, y: cluster.y, 'dominant-baseline': 'central' }, cluster.pins.length));
+        group.appendChild(el('title', {}, `${cluster.pins.length} rentals`));
+      } else {
+        group.appendChild(el('title', {}, cluster.pins[0].title));
+      }
+      const open = () => {
+        // a cluster that can't split any further (same spot) lists its first rental
+        if (cluster.pins.length > 1 && view.zoom < maxZoom()) setZoom(view.zoom + 2, cluster);
+        else showCard(cluster.pins[0], cluster.pins.length);
+      };
+      group.addEventListener('click', open);
+      group.addEventListener('keydown', ev => { if (ev.key === 'Enter') open(); });
+      layer.appendChild(group);
+    });
+  }
+
+  function render() {
+    const { width, height } = size();
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.textContent = '';
+    const base = el('g', {});
+    if (tiles) drawTiles(base);
+    else drawPlainMap(base);
+    const markers = el('g', {});
+    drawPins(markers);
+    svg.append(base, markers);
+  }
+
+  function showCard(pin, sameSpot) {
+    card.hidden = false;
+    const thumb = card.querySelector('.map-card-thumb');
+    thumb.hidden = !pin.thumbnail;
+    if (pin.thumbnail) thumb.src = pin.thumbnail;
+    card.querySelector('.map-card-title').textContent = pin.title;
+    const price = pin.price != null ? `$${pin.price}` : 'Price on request';
+    const more = sameSpot > 1 ? ` · ${sameSpot - 1} more here` : '';
+    card.querySelector('.map-card-meta').textContent = [price, pin.location].filter(Boolean).join(' · ') + more;
+    card.querySelector('.map-card-link').href = `/feed.html?${new URLSearchParams({ near: `${pin.latitude},${pin.longitude}`, radius: 1 })}`;
+  }
+
+  // drag to pan, wheel / buttons to zoom
+  function setupControls() {
+    let drag = null;
+    svg.addEventListener('pointerdown', ev => {
+      drag = { x: ev.clientX, y: ev.clientY, moved: false };
+    });
+    svg.addEventListener('pointermove', ev => {
+      if (!drag) return;
+      const dx = ev.clientX - drag.x;
+      const dy = ev.clientY - drag.y;
+      if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+      if (!drag.moved) svg.setPointerCapture(ev.pointerId);
+      drag = { x: ev.clientX, y: ev.clientY, moved: true };
+      view.x -= dx;
+      view.y -= dy;
+      render();
+    });
+    ['pointerup', 'pointercancel'].forEach(type => svg.addEventListener(type, () => { drag = null; }));
+    svg.addEventListener('wheel', ev => {
+      ev.preventDefault();
+      const box = svg.getBoundingClientRect();
+      setZoom(view.zoom + (ev.deltaY < 0 ? 1 : -1), { x: ev.clientX - box.left, y: ev.clientY - box.top });
+    }, { passive: false });
+    document.querySelector('.map-zoom-in').addEventListener('click', () => setZoom(view.zoom + 1));
+    document.querySelector('.map-zoom-out').addEventListener('click', () => setZoom(view.zoom - 1));
+    window.addEventListener('resize', render);
+  }
+
+  async function getJSON(url) {
+    const res = await fetch(url);
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.errors ? data.errors.map(e => e.message).join(', ') : (data.message || res.statusText));
+    return data;
+  }
+
+  async function init() {
+    const filters = new URLSearchParams(location.search);
+    filters.delete('sort');
+    const qs = filters.toString();
+    document.querySelector('.feed-link').href = qs ? `/feed.html?${qs}` : '/feed.html';
+    try {
+      const [config, placeList, data] = await Promise.all([
+        getJSON('/api/map/config'),
+        getJSON('/api/places'),
+        getJSON(`/api/map/rentals${qs ? `?${qs}` : ''}`)
+      ]);
+      tiles = config.tiles;
+      places = placeList.places;
+      pins = data.rentals;
+      const count = `${pins.length} ${pins.length === 1 ? 'rental' : 'rentals'} on the map`;
+      status.textContent = data.truncated ? `${count} (the newest; narrow the filters to see the rest)` : count;
+    } catch (err) {
+      status.textContent = `Could not load the map: ${err.message}`;
+      return;
+    }
+    if (pins.length) {
+      fitPins();
+    } else {
+      status.textContent = 'No rentals with a known location match these filters.';
+      const anchor = places[0] ? project(places[0].latitude, places[0].longitude, view.zoom) : { x: 0, y: 0 };
+      view.x = anchor.x;
+      view.y = anchor.y;
+    }
+    setupControls();
+    render();
+  }
+
+  init();
+})();
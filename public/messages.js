@@ -0,0 +1,182 @@
+// public/messages.js - inbox and conversation threads with listing owners / renters
+// New messages are announced on the live stream (/api/stream); the open thread then asks for messages
+// after the last one it has, and the inbox (unread counts, ordering) is reloaded. While the stream is
+// down, both are polled instead.
+(function(){
+  const THREAD_POLL_MS = 5000;
+  const INBOX_POLL_MS = 15000;
+  const STREAM_RETRY_MS = 5000;
+
+  // polling outlives the short-lived access token, so a 401 refreshes the session once and retries
+  async function api(url, opts = {}) {
+    const send = () => fetch(url, { ...opts, headers: opts.body ? { 'Content-Type': 'application/json' } : undefined });
+    let res = await send();
+    if (res.status === 401 && (await fetch('/api/token/refresh', { method: 'POST' }).catch(() => ({}))).ok) res = await send();
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const err = new Error(data.errors ? data.errors.map(e => e.message).join(', ') : (data.message || res.statusText));
+      err.status = res.status;
+      throw err;
+    }
+    return data;
+  }
+
+  const inboxEl = document.getElementById('inbox');
+  const threadPanel = document.getElementById('thread-panel');
+  const messagesEl = threadPanel.querySelector('.thread-messages');
+  const olderBtn = threadPanel.querySelector('.thread-older');
+  const replyForm = threadPanel.querySelector('.thread-reply');
+
+  let me = null;
+  let current = null; // { id, lastId, prevCursor }
+
+  function renderInbox(conversations) {
+    inboxEl.innerHTML = '';
+    document.getElementById('inbox-empty').hidden = conversations.length > 0;
+    conversations.forEach(c => {
+      const li = document.createElement('li');
+      li.className = 'inbox-item' + (c.unread ? ' unread' : '') + (current && current.id === c.id ? ' active' : '');
+      const who = document.createElement('strong');
+      who.textContent = c.with.name || 'Someone';
+      const about = document.createElement('span');
+      about.className = 'muted';
+      about.textContent = c.rental ? ` · ${c.rental.title}` : ' · listing removed';
+      const preview = document.createElement('div');
+      preview.className = 'inbox-preview muted';
+      preview.textContent = c.last_message ? c.last_message.text : '';
+      li.appendChild(who);
+      li.appendChild(about);
+      if (c.unread) {
+        const badge = document.createElement('span');
+        badge.className = 'badge';
+        badge.textContent = c.unread;
+        li.appendChild(badge);
+      }
+      li.appendChild(preview);
+      li.addEventListener('click', () => openConversation(c.id));
+      inboxEl.appendChild(li);
+    });
+  }
+
+  async function loadInbox() {
+    const data = await api('/api/conversations?limit=50');
+    renderInbox(data.conversations);
+  }
+
+  function renderMessage(message) {
+    const li = document.createElement('li');
+    li.className = 'message' + (me && message.sender_id === me.id ? ' mine' : '');
+    li.dataset.id = message.id;
+    const text = document.createElement('div');
+    text.className = 'message-text';
+    text.textContent = message.text;
+    const time = document.createElement('div');
+    time.className = 'message-time muted';
+    // SQLite timestamps are UTC without a zone marker
+    time.textContent = new Date(message.created_at.replace(' ', 'T') + 'Z').toLocaleString();
+    li.appendChild(text);
+    li.appendChild(time);
+    return li;
+  }
+
+  function appendMessages(messages) {
+    messages.forEach(m => messagesEl.appendChild(renderMessage(m)));
+    if (messages.length) {
+      current.lastId = messages[messages.length - 1].id;
+      messagesEl.lastElementChild.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  async function markRead() {
+    if (current && current.lastId) await api(`/api/conversations/${current.id}/read`, { method: 'POST', body: JSON.stringify({ message_id: current.lastId }) });
+  }
+
+  async function openConversation(id) {
+    const data = await api(`/api/conversations/${id}`);
+    current = { id, lastId: 0, prevCursor: data.prevCursor };
+    history.replaceState(null, '', `?c=${id}`);
+    threadPanel.hidden = false;
+    threadPanel.querySelector('.thread-title').textContent = data.conversation.with.name || 'Conversation';
+    threadPanel.querySelector('.thread-rental').textContent = data.conversation.rental ? `About: ${data.conversation.rental.title}` : 'The listing was removed';
+    olderBtn.hidden = !data.prevCursor;
+    messagesEl.innerHTML = '';
+    appendMessages(data.messages);
+    await markRead();
+    await loadInbox();
+  }
+
+  olderBtn.addEventListener('click', async () => {
+    if (!current || !current.prevCursor) return;
+    const data = await api(`/api/conversations/${current.id}?${new URLSearchParams({ before: current.prevCursor })}`);
+    data.messages.slice().reverse().forEach(m => messagesEl.insertBefore(renderMessage(m), messagesEl.firstChild));
+    current.prevCursor = data.prevCursor;
+    olderBtn.hidden = !data.prevCursor;
+  });
+
+  replyForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const text = replyForm.elements['text'].value.trim();
+    if (!text || !current) return;
+    try {
+      await api(`/api/conversations/${current.id}/messages`, { method: 'POST', body: JSON.stringify({ text }) });
+      replyForm.reset();
+      await pollThread();
+    } catch (err) {
+      alert('Sending failed: ' + err.message);
+    }
+  });
+
+  async function pollThread() {
+    if (!current) return;
+    const data = await api(`/api/conversations/${current.id}?${new URLSearchParams({ after: current.lastId })}`);
+    appendMessages(data.messages);
+    if (data.messages.length) await markRead();
+  }
+
+  // The stream authenticates when it connects, so instead of letting EventSource reconnect on its own
+  // (possibly with an expired access token, and then without our message events), reconnect through
+  // api(), which refreshes the session first. Anything sent in between is caught up on open.
+  let live = false;
+  function connectStream() {
+    if (!window.EventSource) return;
+    const source = new EventSource('/api/stream');
+    const catchUp = () => {
+      pollThread().catch(() => {});
+      loadInbox().catch(() => {});
+    };
+    source.addEventListener('open', () => {
+      live = true;
+      catchUp();
+    });
+    source.addEventListener('message.created', (ev) => {
+      const { conversation_id: conversationId } = JSON.parse(ev.data);
+      if (current && current.id === conversationId) pollThread().catch(() => {});
+      loadInbox().catch(() => {});
+    });
+    source.addEventListener('resync', catchUp);
+    source.addEventListener('error', () => {
+      live = false;
+      source.close();
+      setTimeout(() => api('/api/me').then(connectStream, connectStream), STREAM_RETRY_MS);
+    });
+  }
+
+  async function start() {
+    try {
+      me = (await api('/api/me')).user;
+    } catch (err) {
+      document.getElementById('messages-login').hidden = false;
+      document.getElementById('inbox-panel').hidden = true;
+      return;
+    }
+    await loadInbox();
+    const requested = Number(new URLSearchParams(location.search).get('c'));
+    if (requested) await openConversation(requested).catch(err => alert('Could not open the conversation: ' + err.message));
+
+    connectStream();
+    setInterval(() => { if (!live) pollThread().catch(() => {}); }, THREAD_POLL_MS);
+    setInterval(() => { if (!live) loadInbox().catch(() => {}); }, INBOX_POLL_MS);
+  }
+
+  start();
+})();
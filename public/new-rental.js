@@ -13,6 +13,23 @@
   }
   function getToken() { return localStorage.getItem('token'); }
 
+  // Get a new access token using the httpOnly refresh cookie. Shared promise so only one refresh is in
+  // flight: refresh tokens are single-use and a second concurrent refresh would revoke the session.
+  let refreshInFlight = null;
+  function refreshSession() {
+    if (!refreshInFlight) {
+      refreshInFlight = fetch('/api/token/refresh', { method: 'POST' })
+        .then(res => res.ok ? res.json() : null)
+        .then(data => {
+          if (data && data.token) setToken(data.token);
+          return !!(data && data.token);
+        })
+        .catch(() => false)
+        .finally(() => { refreshInFlight = null; });
+    }
+    return refreshInFlight;
+  }
+
   // Register
   const registerForm = document.getElementById('register-form');
   const loginForm = document.getElementById('login-form');
@@ -23,7 +40,7 @@
     const data = Object.fromEntries(new FormData(registerForm));
     try {
       const res = await postJSON('/api/register', data);
-      authMessage.textContent = 'Registered. You can now log in.';
+      authMessage.textContent = 'Registered. You can now log in; open the link we emailed you before posting.';
     } catch (err) {
       authMessage.textContent = 'Register failed: ' + err.message;
     }
@@ -60,6 +77,32 @@
     });
   });
 
+  // Location: suggest the known places and say where the listing will be pinned (offline lookup, /api/geocode)
+  const locationInput = document.querySelector('#rental-form [name=location]');
+  const locationHint = document.querySelector('#rental-form .location-hint');
+  fetch('/api/places').then(res => res.ok ? res.json() : { places: [] }).then(({ places }) => {
+    const list = document.getElementById('known-places');
+    places.forEach(place => {
+      const option = document.createElement('option');
+      option.value = place.name;
+      list.appendChild(option);
+    });
+  }).catch(() => {});
+  let geocodeTimer = null;
+  locationInput.addEventListener('input', () => {
+    clearTimeout(geocodeTimer);
+    const q = locationInput.value.trim();
+    if (!q) {
+      locationHint.textContent = '';
+      return;
+    }
+    geocodeTimer = setTimeout(async () => {
+      const res = await fetch('/api/geocode?' + new URLSearchParams({ q })).catch(() => null);
+      const data = res && res.ok ? await res.json() : null;
+      locationHint.textContent = data ? `📍 Shown on the map at ${data.place.name}` : 'Not a known place: the listing won\'t be on the map';
+    }, 300);
+  });
+
   // Create rental
   const rentalForm = document.getElementById('rental-form');
   const rentalMessage = document.getElementById('rental-message');
@@ -72,6 +115,11 @@
     form.append('location', fd.get('location') || '');
     if (fd.get('price')) form.append('price', fd.get('price'));
     form.append('description', fd.get('description') || '');
+    // empty details are "not stated" and left out
+    ['bedrooms', 'bathrooms', 'square_feet', 'lease_months', 'furnished', 'pets_allowed', 'utilities_included'].forEach(k => {
+      if (fd.get(k)) form.append(k, fd.get(k));
+    });
+    fd.getAll('amenities').forEach(a => form.append('amenities', a));
     const files = imagesInput.files;
     for (let i=0;i<Math.min(files.length,6);i++) form.append('images', files[i]);
 
@@ -84,40 +132,49 @@
     progressWrap.hidden = false;
 
     // Disable form controls while uploading
-    const controls = rentalForm.querySelectorAll('input,button,textarea');
+    const controls = rentalForm.querySelectorAll('input,button,textarea,select');
     controls.forEach(c => c.disabled = true);
 
-    const xhr = new XMLHttpRequest();
-    xhr.open('POST', '/api/rentals');
-    const token = getToken();
-    if (token) xhr.setRequestHeader('Authorization', 'Bearer ' + token);
-
-    xhr.upload.onprogress = (e) => {
-      if (e.lengthComputable) {
-        const pct = Math.round((e.loaded / e.total) * 100);
-        progressFill.style.width = pct + '%';
-        progressPercent.textContent = pct + '%';
-      }
-    };
-
-    xhr.onload = async () => {
-      controls.forEach(c => c.disabled = false);
-      if (xhr.status >= 200 && xhr.status < 300) {
-        rentalMessage.textContent = 'Created rental — redirecting to feed...';
-        setTimeout(() => location.href = '/feed.html', 900);
-      } else {
-        rentalMessage.textContent = 'Create failed: ' + xhr.responseText;
-      }
-      progressWrap.hidden = true;
-    };
-
-    xhr.onerror = () => {
-      controls.forEach(c => c.disabled = false);
-      rentalMessage.textContent = 'Upload failed (network error)';
-      progressWrap.hidden = true;
-    };
-
-    xhr.send(form);
+    // XHR (not fetch) for upload progress events. On 401 the session is refreshed and the upload sent once more.
+    function sendUpload(retried) {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', '/api/rentals');
+      const token = getToken();
+      if (token) xhr.setRequestHeader('Authorization', 'Bearer ' + token);
+
+      xhr.upload.onprogress = (e) => {
+        if (e.lengthComputable) {
+          const pct = Math.round((e.loaded / e.total) * 100);
+          progressFill.style.width = pct + '%';
+          progressPercent.textContent = pct + '%';
+        }
+      };
+
+      xhr.onload = async () => {
+        if (xhr.status === 401 && !retried && await refreshSession()) {
+          progressFill.style.width = '0%';
+          progressPercent.textContent = '0%';
+          return sendUpload(true);
+        }
+        controls.forEach(c => c.disabled = false);
+        if (xhr.status >= 200 && xhr.status < 300) {
+          rentalMessage.textContent = 'Created rental — redirecting to feed...';
+          setTimeout(() => location.href = '/feed.html', 900);
+        } else {
+          rentalMessage.textContent = 'Create failed: ' + xhr.responseText;
+        }
+        progressWrap.hidden = true;
+      };
+
+      xhr.onerror = () => {
+        controls.forEach(c => c.disabled = false);
+        rentalMessage.textContent = 'Upload failed (network error)';
+        progressWrap.hidden = true;
+      };
+
+      xhr.send(form);
+    }
+    sendUpload(false);
   });
 
 })();
@@ -0,0 +1,115 @@
+// public/notifications.js - notifications about my listings, and which ones I want
+// New notifications arrive on the live stream (/api/stream) and are added on top of the list.
+(function(){
+  const PAGE_SIZE = 20;
+
+  async function api(url, opts = {}) {
+    const send = () => fetch(url, { ...opts, headers: opts.body ? { 'Content-Type': 'application/json' } : undefined });
+    let res = await send();
+    if (res.status === 401 && (await fetch('/api/token/refresh', { method: 'POST' }).catch(() => ({}))).ok) res = await send();
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.errors ? data.errors.map(e => e.message).join(', ') : (data.message || res.statusText));
+    return data;
+  }
+
+  const listEl = document.getElementById('notifications');
+  const moreBtn = document.getElementById('notifications-more');
+  const unreadOnly = document.getElementById('unread-only');
+  const prefsForm = document.getElementById('preferences');
+
+  let me = null;
+  let offset = 0;
+
+  // same wording as the email digest
+  function describe(n) {
+    const who = (n.actor && n.actor.name) || 'Someone';
+    const what = n.rental ? `"${n.rental.title}"` : 'your listing';
+    if (n.type === 'like') return `${who} liked ${what}`;
+    if (n.type === 'inquiry') return `${who} sent you a message about ${what}`;
+    return n.comment && n.comment.text ? `${who} commented on ${what}: ${n.comment.text}` : `${who} commented on ${what}`;
+  }
+
+  function renderNotification(n) {
+    const li = document.createElement('li');
+    li.className = 'inbox-item' + (n.read ? '' : ' unread');
+    const text = document.createElement('strong');
+    text.textContent = describe(n);
+    const time = document.createElement('div');
+    time.className = 'inbox-preview muted';
+    // SQLite timestamps are UTC without a zone marker
+    time.textContent = new Date(n.created_at.replace(' ', 'T') + 'Z').toLocaleString();
+    li.appendChild(text);
+    li.appendChild(time);
+    li.addEventListener('click', async () => {
+      if (!n.read) await api('/api/notifications/read', { method: 'POST', body: JSON.stringify({ ids: [n.id] }) }).catch(() => {});
+      location.href = n.type === 'inquiry' ? `/messages.html?c=${n.conversation_id}` : `/feed.html?owner=${me.id}`;
+    });
+    return li;
+  }
+
+  async function loadPage(reset) {
+    if (reset) {
+      offset = 0;
+      listEl.innerHTML = '';
+    }
+    const params = new URLSearchParams({ limit: PAGE_SIZE, offset });
+    if (unreadOnly.checked) params.set('unread', 'true');
+    const data = await api(`/api/notifications?${params}`);
+    data.notifications.forEach(n => listEl.appendChild(renderNotification(n)));
+    offset += data.notifications.length;
+    moreBtn.hidden = !data.hasMore;
+    document.getElementById('notifications-empty').hidden = offset > 0;
+  }
+
+  async function loadPreferences() {
+    const { preferences } = await api('/api/notifications/preferences');
+    Object.keys(preferences).forEach(key => { prefsForm.elements[key].checked = preferences[key]; });
+    document.getElementById('preferences-panel').hidden = false;
+  }
+
+  prefsForm.addEventListener('change', async (ev) => {
+    const box = ev.target;
+    try {
+      await api('/api/notifications/preferences', { method: 'PATCH', body: JSON.stringify({ [box.name]: box.checked }) });
+    } catch (err) {
+      box.checked = !box.checked;
+      alert('Saving failed: ' + err.message);
+    }
+  });
+
+  moreBtn.addEventListener('click', () => loadPage(false).catch(err => alert('Loading failed: ' + err.message)));
+  unreadOnly.addEventListener('change', () => loadPage(true).catch(err => alert('Loading failed: ' + err.message)));
+  document.getElementById('mark-all-read').addEventListener('click', async () => {
+    try {
+      await api('/api/notifications/read', { method: 'POST' });
+      await loadPage(true);
+    } catch (err) {
+      alert('Marking as read failed: ' + err.message);
+    }
+  });
+
+  function connectStream() {
+    if (!window.EventSource) return;
+    const source = new EventSource('/api/stream');
+    source.addEventListener('notification.created', (ev) => {
+      const { notification } = JSON.parse(ev.data);
+      listEl.insertBefore(renderNotification(notification), listEl.firstChild);
+      offset++;
+      document.getElementById('notifications-empty').hidden = true;
+    });
+  }
+
+  async function start() {
+    try {
+      me = (await api('/api/me')).user;
+    } catch (err) {
+      document.getElementById('notifications-login').hidden = false;
+      document.getElementById('notifications-panel').hidden = true;
+      return;
+    }
+    await Promise.all([loadPage(true), loadPreferences()]);
+    connectStream();
+  }
+
+  start();
+})();
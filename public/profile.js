@@ -0,0 +1,94 @@
+// public/profile.js - public owner profile: name, picture, bio, owner rating, listings and recent reviews (GET /api/users/:id)
+(function(){
+  const status = document.querySelector('.profile-status');
+
+  function stars(n) {
+    return '★'.repeat(n) + '☆'.repeat(5 - n);
+  }
+
+  function renderListing(rental) {
+    const li = document.createElement('li');
+    const img = document.createElement('img');
+    img.alt = '';
+    img.src = rental.photos && rental.photos.length ? rental.photos[0].thumb : (rental.images[0] || '/placeholder.png');
+    const text = document.createElement('div');
+    const title = document.createElement('strong');
+    title.textContent = rental.title;
+    const meta = document.createElement('div');
+    meta.className = 'muted';
+    const rating = rental.rating.count ? `★ ${rental.rating.average.toFixed(1)} (${rental.rating.count})` : 'No reviews yet';
+    meta.textContent = [rental.price ? `$${rental.price}` : null, rental.location, rating].filter(Boolean).join(' · ');
+    text.append(title, meta);
+    li.append(img, text);
+    return li;
+  }
+
+  function renderReview(review) {
+    const li = document.createElement('li');
+    li.className = 'review';
+    const head = document.createElement('div');
+    head.className = 'review-head';
+    head.textContent = `${stars(review.owner_rating)} ${review.renter.name || 'Renter'}` + (review.rental ? ` · ${review.rental.title}` : '');
+    li.appendChild(head);
+    if (review.text) {
+      const text = document.createElement('p');
+      text.textContent = review.text;
+      li.appendChild(text);
+    }
+    if (review.reply) {
+      const reply = document.createElement('p');
+      reply.className = 'review-reply muted';
+      reply.textContent = `Owner: ${review.reply.text}`;
+      li.appendChild(reply);
+    }
+    return li;
+  }
+
+  async function init() {
+    const id = new URLSearchParams(location.search).get('id');
+    if (!id) {
+      status.textContent = 'No profile selected.';
+      return;
+    }
+    let data;
+    try {
+      const res = await fetch(`/api/users/${encodeURIComponent(id)}`);
+      data = await res.json();
+      if (!res.ok) throw new Error(data.message || res.statusText);
+    } catch (err) {
+      status.textContent = `Could not load this profile: ${err.message}`;
+      return;
+    }
+    const { user, listings, reviews } = data;
+    document.title = `${user.name || 'Owner'} · Profile`;
+    const header = document.querySelector('.profile-header');
+    header.querySelector('.profile-name').textContent = user.name || 'Owner';
+    header.querySelector('.profile-meta').textContent = `Member since ${new Date(user.created_at).toLocaleDateString()} · ${user.listings_count} ${user.listings_count === 1 ? 'listing' : 'listings'}`;
+    if (user.avatar) {
+      header.querySelector('.profile-avatar').src = user.avatar.thumb;
+      header.querySelector('.profile-avatar').hidden = false;
+    }
+    if (user.bio) {
+      header.querySelector('.profile-bio').textContent = user.bio;
+      header.querySelector('.profile-bio').hidden = false;
+    }
+    header.querySelector('.profile-rating').textContent = user.rating.count
+      ? `★ ${user.rating.average.toFixed(1)} as a host, from ${user.rating.count} ${user.rating.count === 1 ? 'review' : 'reviews'}`
+      : 'No reviews yet';
+    header.hidden = false;
+
+    if (listings.length) {
+      const section = document.getElementById('profile-listings');
+      listings.forEach(rental => section.querySelector('.profile-listings').appendChild(renderListing(rental)));
+      section.querySelector('.profile-all-listings').href = `/feed.html?owner=${user.id}`;
+      section.hidden = false;
+    }
+    if (reviews.length) {
+      const section = document.getElementById('profile-reviews');
+      reviews.forEach(review => section.querySelector('.reviews-list').appendChild(renderReview(review)));
+      section.hidden = false;
+    }
+  }
+
+  init();
+})();
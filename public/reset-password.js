@@ -0,0 +1,48 @@
+// public/reset-password.js - request a reset link, or set a new password from the emailed link
+(function(){
+  async function postJSON(url, body) {
+    const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      const detail = data.errors ? data.errors.map(e => e.message).join(', ') : data.message;
+      throw new Error(detail || res.statusText);
+    }
+    return data;
+  }
+
+  const token = new URLSearchParams(location.search).get('token');
+  document.getElementById('forgot-panel').hidden = !!token;
+  document.getElementById('reset-panel').hidden = !token;
+
+  const forgotForm = document.getElementById('forgot-form');
+  const forgotMessage = document.getElementById('forgot-message');
+  forgotForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    try {
+      const res = await postJSON('/api/password/forgot', { email: forgotForm.elements['email'].value });
+      forgotMessage.textContent = res.message;
+    } catch (err) {
+      forgotMessage.textContent = 'Request failed: ' + err.message;
+    }
+  });
+
+  const resetForm = document.getElementById('reset-form');
+  const resetMessage = document.getElementById('reset-message');
+  resetForm.addEventListener('submit', async (ev) => {
+    ev.preventDefault();
+    const password = resetForm.elements['password'].value;
+    if (password !== resetForm.elements['confirm'].value) {
+      resetMessage.textContent = 'Passwords do not match.';
+      return;
+    }
+    try {
+      const res = await postJSON('/api/password/reset', { token, password });
+      resetMessage.textContent = res.message + ' Redirecting...';
+      // drop the token from the address bar / history once it has been spent
+      history.replaceState(null, '', location.pathname);
+      setTimeout(() => location.href = '/new-rental.html', 1500);
+    } catch (err) {
+      resetMessage.textContent = 'Reset failed: ' + err.message;
+    }
+  });
+})();
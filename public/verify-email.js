@@ -0,0 +1,23 @@
+// public/verify-email.js - verify the account's email address with the token from the emailed link
+(function(){
+  const message = document.getElementById('verify-message');
+  const token = new URLSearchParams(location.search).get('token');
+
+  async function verify() {
+    if (!token) {
+      message.textContent = 'This page needs the link from the verification email.';
+      return;
+    }
+    try {
+      const res = await fetch(`/api/verify-email?${new URLSearchParams({ token })}`);
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.message || res.statusText);
+      message.textContent = `Thanks! ${data.email} is verified, so you can post rentals and comments now.`;
+    } catch (err) {
+      message.textContent = `Could not verify: ${err.message}. You can ask for a new link on your account page.`;
+    }
+    history.replaceState(null, '', location.pathname);
+  }
+
+  verify();
+})();
@@ -0,0 +1,165 @@
+// rate-limit.js: fixed-window rate limiting and progressive login lockout
+// Purpose: stop brute-force logins and spam on write endpoints without an external service.
+//
+// - rateLimit({ name, windowMs, max, key }) returns Express middleware. Each distinct key (IP, account,
+//   user id, ...) gets `max` requests per window. Responses carry RateLimit-Limit / -Remaining / -Reset
+//   headers; over the limit the request gets 429 with Retry-After.
+// - loginLockout({ threshold, baseMs, maxMs }) locks an account after `threshold` failed logins, doubling
+//   the lock each further failure (baseMs, 2x, 4x, ... capped at maxMs). A successful login clears it.
+//
+// Counters live in a store: MemoryStore (default, per process) or SqliteStore (rate_limits table) so
+// limits survive restarts. Stores are synchronous, like the rest of our better-sqlite3 access.
+
+class MemoryStore {
+  constructor() {
+    this.entries = new Map();
+    this.writes = 0;
+  }
+
+  get(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= now) return null;
+    return { ...entry };
+  }
+
+  // Count one hit in the current window for key, starting a new window if the old one has ended
+  increment(key, windowMs, now = Date.now()) {
+    this.pruneOccasionally(now);
+    const entry = this.entries.get(key);
+    if (!entry || entry.resetAt <= now) {
+      const fresh = { count: 1, resetAt: now + windowMs };
+      this.entries.set(key, fresh);
+      return { ...fresh };
+    }
+    entry.count += 1;
+    return { ...entry };
+  }
+
+  set(key, count, resetAt) {
+    this.entries.set(key, { count, resetAt });
+  }
+
+  delete(key) {
+    this.entries.delete(key);
+  }
+
+  // Drop expired windows every so often so the map doesn't grow with every IP ever seen
+  pruneOccasionally(now) {
+    if (++this.writes % 1000 !== 0) return;
+    for (const [key, entry] of this.entries) {
+      if (entry.resetAt <= now) this.entries.delete(key);
+    }
+  }
+}
+
+class SqliteStore {
+  // db: the db.js helper object (get/run)
+  constructor(db) {
+    this.db = db;
+    this.writes = 0;
+  }
+
+  get(key, now = Date.now()) {
+    const row = this.db.get('SELECT count, reset_at FROM rate_limits WHERE key = ? AND reset_at > ?', [key, now]);
+    return row ? { count: row.count, resetAt: row.reset_at } : null;
+  }
+
+  increment(key, windowMs, now = Date.now()) {
+    this.pruneOccasionally(now);
+    // one statement, so concurrent processes sharing the DB file can't lose hits
+    const row = this.db.get(
+      `INSERT INTO rate_limits (key, count, reset_at) VALUES (?, 1, ?)
+       ON CONFLICT(key) DO UPDATE SET
+         count = CASE WHEN reset_at <= ? THEN 1 ELSE count + 1 END,
+         reset_at = CASE WHEN reset_at <= ? THEN excluded.reset_at ELSE reset_at END
+       RETURNING count, reset_at`,
+      [key, now + windowMs, now, now]
+    );
+    return { count: row.count, resetAt: row.reset_at };
+  }
+
+  set(key, count, resetAt) {
+    this.db.run(
+      'INSERT INTO rate_limits (key, count, reset_at) VALUES (?, ?, ?) ON CONFLICT(key) DO UPDATE SET count = excluded.count, reset_at = excluded.reset_at',
+      [key, count, resetAt]
+    );
+  }
+
+  delete(key) {
+    this.db.run('DELETE FROM rate_limits WHERE key = ?', [key]);
+  }
+
+  pruneOccasionally(now) {
+    if (++this.writes % 1000 !== 0) return;
+    this.db.run('DELETE FROM rate_limits WHERE reset_at <= ?', [now]);
+  }
+}
+
+function secondsUntil(when, now = Date.now()) {
+  return Math.max(1, Math.ceil((when - now) / 1000));
+}
+
+function tooManyRequests(res, resetAt, message) {
+  res.set('Retry-After', String(secondsUntil(resetAt)));
+  return res.status(429).json({ message });
+}
+
+// Key helpers for the common buckets
+const keys = {
+  ip: req => req.ip,
+  user: req => (req.user ? `user:${req.user.id}` : req.ip),
+  // login/forgot bodies are validated + normalized before this runs
+  account: req => (req.body && req.body.email ? `account:${String(req.body.email).toLowerCase()}` : null)
+};
+
+function rateLimit({ name, windowMs, max, key = keys.ip, store, message = 'Too many requests, please try again later.' }) {
+  if (!name) throw new Error('rateLimit requires a name');
+  return function rateLimitMiddleware(req, res, next) {
+    const id = key(req);
+    // nothing to key on (e.g. missing email): let validation deal with the request
+    if (!id || max <= 0) return next();
+
+    const now = Date.now();
+    const { count, resetAt } = store.increment(`${name}:${id}`, windowMs, now);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+    res.set('RateLimit-Reset', String(secondsUntil(resetAt, now)));
+    if (count > max) return tooManyRequests(res, resetAt, message);
+    return next();
+  };
+}
+
+function loginLockout({ threshold, baseMs, maxMs, store, failureWindowMs = 24 * 60 * 60 * 1000 }) {
+  const failKey = account => `login-fail:${account}`;
+  const lockKey = account => `login-lock:${account}`;
+  const accountOf = email => String(email).toLowerCase();
+
+  return {
+    // middleware: reject while the account is locked
+    check(req, res, next) {
+      if (threshold <= 0 || !req.body || !req.body.email) return next();
+      const lock = store.get(lockKey(accountOf(req.body.email)));
+      if (lock) return tooManyRequests(res, lock.resetAt, 'Too many failed login attempts. Try again later.');
+      return next();
+    },
+
+    recordFailure(email) {
+      if (threshold <= 0) return null;
+      const account = accountOf(email);
+      const now = Date.now();
+      const { count } = store.increment(failKey(account), failureWindowMs, now);
+      if (count < threshold) return null;
+      const lockMs = Math.min(baseMs * 2 ** (count - threshold), maxMs);
+      store.set(lockKey(account), count, now + lockMs);
+      return now + lockMs;
+    },
+
+    recordSuccess(email) {
+      const account = accountOf(email);
+      store.delete(failKey(account));
+      store.delete(lockKey(account));
+    }
+  };
+}
+
+module.exports = { rateLimit, loginLockout, keys, MemoryStore, SqliteStore };
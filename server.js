@@ -2,9 +2,24 @@
 // Purpose: keep app.js test-friendly (no listen) while server.js does the actual listen in dev/prod.
 
 const app = require('./app');
+const { sendDigests } = require('./digest');
+const dataExport = require('./data-export');
 
 const PORT = process.env.PORT || 3000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
 
 app.listen(PORT, () => {
   console.log(`Server listening on http://localhost:${PORT} (PORT=${PORT})`);
-});
\ No newline at end of file
+});
+
+// Email digests of unread notifications; without this, run `npm run digest` from cron instead
+if (process.env.NOTIFICATION_DIGEST === 'daily') {
+  setInterval(() => {
+    sendDigests().catch(err => console.error('Sending notification digests failed:', err));
+  }, DAY_MS);
+}
+
+// Personal data exports: finish the ones a restart interrupted, and delete expired files every hour
+dataExport.resumeExports();
+setInterval(() => dataExport.pruneExpired(), HOUR_MS);
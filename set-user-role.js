@@ -0,0 +1,22 @@
+// set-user-role.js — grant a role to an existing account from the command line
+// Run: node set-user-role.js <email> <user|moderator|admin>
+// Use it to create the first admin; after that, admins manage roles via PATCH /api/admin/users/:id/role
+// (and list accounts with GET /api/admin/users, which replaced the old view-users.js script).
+
+const db = require('./db'); // reuses the db.js helper (applies pending migrations)
+
+const [email, role] = process.argv.slice(2);
+const ROLES = ['user', 'moderator', 'admin'];
+
+if (!email || !ROLES.includes(role)) {
+  console.error(`Usage: node set-user-role.js <email> <${ROLES.join('|')}>`);
+  process.exit(1);
+}
+
+const result = db.run('UPDATE users SET role = ? WHERE email = ?', [role, String(email).trim().toLowerCase()]);
+if (result.changes === 0) {
+  console.error(`No user with email ${email}`);
+  process.exit(1);
+}
+db.run("INSERT INTO moderation_log (actor_id, action, target_type, target_id, reason) SELECT NULL, ?, 'user', id, 'set via set-user-role.js' FROM users WHERE email = ?", [`user.role.${role}`, String(email).trim().toLowerCase()]);
+console.log(`${email} is now ${role}`);
@@ -0,0 +1,208 @@
+// storage.js: where uploaded files (rental photos) live
+// Purpose: route code stores and links files by key without caring which disk or bucket holds them.
+//
+// Drivers (pick with STORAGE_DRIVER):
+// - 'local' (default): files in STORAGE_LOCAL_DIR. Public files are served statically from /uploads;
+//   with STORAGE_PRIVATE=true they live in ./data/uploads and are only reachable via signed /media URLs.
+// - 's3': any S3-compatible bucket (AWS S3, MinIO, R2, ...), configured by S3_* vars. Several app
+//   instances can share it. Private buckets get presigned GET URLs.
+//
+// A storage is any object with put(key, buffer, { contentType }), get(key) (resolves with a Buffer) and
+// delete(key) returning Promises, and a synchronous url(key). url() stays synchronous so responses can be built without awaiting;
+// that is why S3 requests are signed here (AWS Signature Version 4) rather than through the AWS SDK.
+// setStorage() swaps the storage (handy in tests).
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PRIVATE = process.env.STORAGE_PRIVATE === 'true';
+const URL_TTL_SECONDS = Number(process.env.STORAGE_URL_TTL_SECONDS) || 60 * 60;
+
+// Keys are flat file names we generate; refuse anything that could escape the storage root
+function assertKey(key) {
+  if (typeof key !== 'string' || !/^[\w.-]+$/.test(key) || key.startsWith('.')) throw new Error(`Invalid storage key "${key}"`);
+}
+
+function hmac(key, data, encoding) {
+  return crypto.createHmac('sha256', key).update(data).digest(encoding);
+}
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+// ----- local disk -----
+
+function createLocalStorage({
+  private: isPrivate = PRIVATE,
+  dir = process.env.STORAGE_LOCAL_DIR || path.join(__dirname, ...(isPrivate ? ['data', 'uploads'] : ['public', 'uploads'])),
+  secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET || 'dev-secret-change-me',
+  urlTtlSeconds = URL_TTL_SECONDS
+} = {}) {
+  const signature = (key, expires) => hmac(secret, `${key}:${expires}`, 'base64url');
+
+  return {
+    name: 'local',
+    dir,
+    private: isPrivate,
+
+    async put(key, buffer) {
+      assertKey(key);
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(path.join(dir, key), buffer);
+    },
+
+    async get(key) {
+      assertKey(key);
+      return fs.promises.readFile(path.join(dir, key));
+    },
+
+    async delete(key) {
+      assertKey(key);
+      await fs.promises.unlink(path.join(dir, key)).catch(err => {
+        if (err.code !== 'ENOENT') throw err;
+      });
+    },
+
+    url(key, now = Date.now()) {
+      if (!isPrivate) return `/uploads/${key}`;
+      const expires = Math.floor(now / 1000) + urlTtlSeconds;
+      return `/media/${key}?expires=${expires}&sig=${signature(key, expires)}`;
+    },
+
+    // For the /media route: the file path if the signed URL is genuine and not expired, else null
+    resolveSigned(key, { expires, sig } = {}, now = Date.now()) {
+      try { assertKey(key); } catch (e) { return null; }
+      if (!/^\d+$/.test(String(expires)) || Number(expires) * 1000 < now || typeof sig !== 'string') return null;
+      const expected = Buffer.from(signature(key, expires));
+      const given = Buffer.from(sig);
+      if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+      return path.join(dir, key);
+    }
+  };
+}
+
+// ----- S3-compatible -----
+
+// RFC 3986 encoding as SigV4 expects it (encodeURIComponent leaves !'()* alone)
+function uriEncode(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+function amzDates(now) {
+  const amzDate = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { amzDate, date: amzDate.slice(0, 8) };
+}
+
+function createS3Storage({
+  bucket = process.env.S3_BUCKET,
+  region = process.env.S3_REGION || 'us-east-1',
+  endpoint = process.env.S3_ENDPOINT,
+  accessKeyId = process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey = process.env.S3_SECRET_ACCESS_KEY,
+  // MinIO and most self-hosted stand-ins only support http://host/bucket/key
+  forcePathStyle = process.env.S3_FORCE_PATH_STYLE === 'true',
+  publicUrl = process.env.S3_PUBLIC_URL,
+  private: isPrivate = PRIVATE,
+  urlTtlSeconds = URL_TTL_SECONDS
+} = {}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('STORAGE_DRIVER=s3 requires S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const origin = `${base.protocol}//${host}`;
+  const objectPath = key => (forcePathStyle ? `/${uriEncode(bucket)}/${uriEncode(key)}` : `/${uriEncode(key)}`);
+
+  function credentialScope(date) {
+    return `${date}/${region}/s3/aws4_request`;
+  }
+
+  function sign(date, canonicalRequest, amzDate) {
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, credentialScope(date), sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce((k, part) => hmac(k, part), hmac(hmac(`AWS4${secretAccessKey}`, date), region));
+    return hmac(signingKey, stringToSign, 'hex');
+  }
+
+  // Presigned GET URL (query-string authentication)
+  function presign(key, expiresIn, now) {
+    const { amzDate, date } = amzDates(now);
+    const query = {
+      'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+      'X-Amz-Credential': `${accessKeyId}/${credentialScope(date)}`,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Expires': String(expiresIn),
+      'X-Amz-SignedHeaders': 'host'
+    };
+    const canonicalQuery = Object.keys(query).sort().map(k => `${uriEncode(k)}=${uriEncode(query[k])}`).join('&');
+    const canonicalRequest = ['GET', objectPath(key), canonicalQuery, `host:${host}`, '', 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+    return `${origin}${objectPath(key)}?${canonicalQuery}&X-Amz-Signature=${sign(date, canonicalRequest, amzDate)}`;
+  }
+
+  // Signed PUT / GET / DELETE (Authorization header)
+  async function request(method, key, body = Buffer.alloc(0), contentType) {
+    const { amzDate, date } = amzDates(Date.now());
+    const headers = { host, 'x-amz-content-sha256': sha256(body), 'x-amz-date': amzDate };
+    if (contentType) headers['content-type'] = contentType;
+    const names = Object.keys(headers).sort();
+    const canonicalRequest = [method, objectPath(key), '', ...names.map(n => `${n}:${headers[n]}`), '', names.join(';'), headers['x-amz-content-sha256']].join('\n');
+    const authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${credentialScope(date)}, SignedHeaders=${names.join(';')}, Signature=${sign(date, canonicalRequest, amzDate)}`;
+
+    delete headers.host; // fetch sets Host from the URL
+    const res = await fetch(`${origin}${objectPath(key)}`, { method, headers: { ...headers, authorization }, body: method === 'PUT' ? body : undefined });
+    // S3 answers 204 for deletes, including deletes of keys that don't exist
+    if (!res.ok) throw new Error(`S3 ${method} ${key} failed: ${res.status} ${await res.text()}`);
+    return res;
+  }
+
+  return {
+    name: 's3',
+    bucket,
+    private: isPrivate,
+
+    async put(key, buffer, { contentType } = {}) {
+      assertKey(key);
+      await request('PUT', key, buffer, contentType);
+    },
+
+    async get(key) {
+      assertKey(key);
+      const res = await request('GET', key);
+      return Buffer.from(await res.arrayBuffer());
+    },
+
+    async delete(key) {
+      assertKey(key);
+      await request('DELETE', key);
+    },
+
+    url(key, now = Date.now()) {
+      if (isPrivate) return presign(key, urlTtlSeconds, now);
+      return publicUrl ? `${publicUrl.replace(/\/$/, '')}/${uriEncode(key)}` : `${origin}${objectPath(key)}`;
+    },
+
+    presign
+  };
+}
+
+function createStorage(kind = process.env.STORAGE_DRIVER || 'local') {
+  if (kind === 'local') return createLocalStorage();
+  if (kind === 's3') return createS3Storage();
+  throw new Error(`Unknown STORAGE_DRIVER "${kind}" (expected local or s3)`);
+}
+
+// Created lazily, like the mail transport, so a misconfigured bucket only fails when it is used
+let storage = null;
+
+function getStorage() {
+  if (!storage) storage = createStorage();
+  return storage;
+}
+
+function setStorage(next) {
+  storage = next;
+}
+
+module.exports = { getStorage, setStorage, createStorage, createLocalStorage, createS3Storage };
@@ -0,0 +1,211 @@
+// tests/account.test.js
+// Integration tests for managing your own account: profile fields and avatar, email change confirmed
+// through the emailed link, password change, the public profile and deleting the account with its data.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+process.env.STORAGE_LOCAL_DIR = uploadsDir;
+// this file logs in more often than the per-IP auth limit allows; the limiter has its own tests
+process.env.RATE_LIMIT_AUTH_MAX = '0';
+
+const request = require('supertest');
+const sharp = require('sharp');
+
+let app;
+let db;
+let alice;
+let bob;
+let portrait;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  const res = await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  agent.userId = res.body.user.id;
+  return agent;
+}
+
+function outboxMessages() {
+  return fs.readdirSync(outboxDir).sort().map(f => fs.readFileSync(path.join(outboxDir, f), 'utf8'));
+}
+
+function tokenFrom(message) {
+  return /confirm-email\.html\?token=([\w-]+)/.exec(message)[1];
+}
+
+function uploadedFile(url) {
+  return path.join(uploadsDir, path.basename(url));
+}
+
+beforeAll(async () => {
+  portrait = await sharp({ create: { width: 400, height: 400, channels: 3, background: '#4466aa' } }).jpeg().toBuffer();
+  app = require('../app');
+  db = require('../db');
+  alice = await loginAgent('alice@example.com', 'Alice');
+  bob = await loginAgent('bob@example.com', 'Bob');
+});
+
+afterAll(() => {
+  fs.rmSync(outboxDir, { recursive: true, force: true });
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+describe('Profile', () => {
+  test('GET /api/me includes the editable fields', async () => {
+    const res = await alice.get('/api/me');
+    expect(res.body.user).toEqual({
+      id: alice.userId, email: 'alice@example.com', email_verified_at: expect.any(String), name: 'Alice', bio: null, avatar: null,
+      role: 'user', created_at: expect.any(String), pending_email: null
+    });
+  });
+
+  test('PATCH /api/me updates name and bio', async () => {
+    const res = await alice.patch('/api/me').send({ name: 'Alice A.', bio: 'Quiet tenant <3' });
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ name: 'Alice A.', bio: 'Quiet tenant &lt;3' });
+
+    expect((await alice.patch('/api/me').send({ bio: null })).body.user.bio).toBeNull();
+    expect((await alice.patch('/api/me').send({})).status).toBe(400);
+    const bad = await alice.patch('/api/me').send({ bio: 'x'.repeat(501), email: 'nope' });
+    expect(bad.body.errors.map(e => e.field)).toEqual(['bio', 'email']);
+    expect((await request(app).patch('/api/me').send({ name: 'Anon' })).status).toBe(401);
+  });
+
+  test('avatar upload replaces and removes the stored picture', async () => {
+    const first = await alice.patch('/api/me').attach('avatar', portrait, 'me.jpg');
+    expect(first.status).toBe(200);
+    const avatar = first.body.user.avatar;
+    expect(avatar).toMatchObject({ thumb: expect.stringContaining('/uploads/'), width: 400, height: 400 });
+    expect(fs.existsSync(uploadedFile(avatar.thumb))).toBe(true);
+
+    const bad = await alice.patch('/api/me').attach('avatar', Buffer.from('not an image'), { filename: 'me.png', contentType: 'image/png' });
+    expect(bad.status).toBe(400);
+    expect(bad.body.errors[0].field).toBe('avatar');
+    const huge = await alice.patch('/api/me').attach('avatar', Buffer.alloc(5 * 1024 * 1024 + 1), { filename: 'huge.jpg', contentType: 'image/jpeg' });
+    expect(huge.status).toBe(400);
+    expect(huge.body.errors).toEqual([{ field: 'avatar', message: 'avatar files must be at most 5 MB' }]);
+
+    const second = (await alice.patch('/api/me').attach('avatar', portrait, 'me-again.jpg')).body.user.avatar;
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(uploadedFile(avatar.thumb))).toBe(false);
+
+    expect((await alice.patch('/api/me').send({ removeAvatar: true })).body.user.avatar).toBeNull();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(uploadedFile(second.thumb))).toBe(false);
+    await alice.patch('/api/me').attach('avatar', portrait, 'me.jpg');
+  });
+
+  test('the public profile shows name, bio and avatar but no email', async () => {
+    await alice.patch('/api/me').send({ bio: 'Hello' });
+    const res = await request(app).get(`/api/users/${alice.userId}`);
+    expect(res.body.user).toMatchObject({ id: alice.userId, name: 'Alice A.', bio: 'Hello', avatar: { thumb: expect.any(String) } });
+    expect(res.body.user.email).toBeUndefined();
+    expect(res.body.user.pending_email).toBeUndefined();
+    expect(res.body.user.role).toBeUndefined();
+  });
+});
+
+describe('Email change', () => {
+  test('the new address is only used once its link is opened', async () => {
+    expect((await alice.patch('/api/me').send({ email: 'bob@example.com' })).status).toBe(409);
+
+    const before = outboxMessages().length;
+    const res = await alice.patch('/api/me').send({ email: 'Alice.New@example.com' });
+    expect(res.body.user).toMatchObject({ email: 'alice@example.com', pending_email: 'alice.new@example.com' });
+    const messages = outboxMessages();
+    expect(messages.length).toBe(before + 1);
+    expect(messages[messages.length - 1]).toMatch('To: alice.new@example.com');
+
+    const token = tokenFrom(messages[messages.length - 1]);
+    expect((await request(app).post('/api/me/email/confirm').send({ token: 'bogus' })).status).toBe(400);
+    const confirmed = await request(app).post('/api/me/email/confirm').send({ token });
+    expect(confirmed.status).toBe(200);
+    expect(confirmed.body.email).toBe('alice.new@example.com');
+    expect((await request(app).post('/api/me/email/confirm').send({ token })).status).toBe(400);
+    expect((await alice.get('/api/me')).body.user).toMatchObject({ email: 'alice.new@example.com', email_verified_at: expect.any(String), pending_email: null });
+
+    expect((await request(app).post('/api/login').send({ email: 'alice.new@example.com', password: 'password123' })).status).toBe(200);
+  });
+
+  test('only the newest link works, and asking for the current address cancels', async () => {
+    await bob.patch('/api/me').send({ email: 'bob.one@example.com' });
+    const older = tokenFrom(outboxMessages().pop());
+    await bob.patch('/api/me').send({ email: 'bob.two@example.com' });
+    expect((await request(app).post('/api/me/email/confirm').send({ token: older })).status).toBe(400);
+
+    const res = await bob.patch('/api/me').send({ email: 'bob@example.com' });
+    expect(res.body.user.pending_email).toBeNull();
+  });
+
+  test('an address taken in the meantime is refused', async () => {
+    await bob.patch('/api/me').send({ email: 'late@example.com' });
+    const token = tokenFrom(outboxMessages().pop());
+    await request(app).post('/api/register').send({ email: 'late@example.com', password: 'password123' });
+    expect((await request(app).post('/api/me/email/confirm').send({ token })).status).toBe(409);
+  });
+});
+
+describe('Password change', () => {
+  test('needs the current password and logs out other sessions', async () => {
+    const otherDevice = request.agent(app);
+    await otherDevice.post('/api/login').send({ email: 'bob@example.com', password: 'password123' });
+
+    expect((await bob.post('/api/me/password').send({ currentPassword: 'wrong-password', newPassword: 'new-password' })).status).toBe(403);
+    const short = await bob.post('/api/me/password').send({ currentPassword: 'password123', newPassword: 'short' });
+    expect(short.body.errors.map(e => e.field)).toEqual(['newPassword']);
+
+    const res = await bob.post('/api/me/password').send({ currentPassword: 'password123', newPassword: 'new-password' });
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toBe(1);
+    expect((await bob.get('/api/me')).status).toBe(200);
+    expect((await otherDevice.get('/api/me')).status).toBe(401);
+    expect((await request(app).post('/api/login').send({ email: 'bob@example.com', password: 'new-password' })).status).toBe(200);
+  });
+});
+
+describe('Account deletion', () => {
+  test('removes the user with their data and the threads they started', async () => {
+    const carol = await loginAgent('carol@example.com', 'Carol');
+    const rental = (await carol.post('/api/rentals').field('title', 'Carol flat').attach('images', portrait, 'flat.jpg')).body.rental;
+    const bobsRental = (await bob.post('/api/rentals').send({ title: 'Bob house' })).body.rental;
+    await carol.post('/api/todos').send({ text: 'Pack' });
+    await alice.post(`/api/rentals/${rental.id}/like`);
+    await carol.post(`/api/rentals/${bobsRental.id}/like`);
+    const thread = (await carol.post(`/api/rentals/${bobsRental.id}/comments`).send({ text: 'Is it quiet?' })).body.comment;
+    await bob.post(`/api/rentals/${bobsRental.id}/comments`).send({ text: 'Very', parent_id: thread.id });
+    await carol.post(`/api/rentals/${bobsRental.id}/comments`).send({ text: 'Thanks!' });
+    const bobsThread = (await bob.post(`/api/rentals/${bobsRental.id}/comments`).send({ text: 'Ask me anything' })).body.comment;
+    await carol.post(`/api/rentals/${bobsRental.id}/comments`).send({ text: 'Parking?', parent_id: bobsThread.id });
+    await carol.post(`/api/rentals/${bobsRental.id}/inquiries`).send({ text: 'Can I visit?' });
+    await carol.patch('/api/me').attach('avatar', portrait, 'carol.jpg');
+    const avatar = (await carol.get('/api/me')).body.user.avatar;
+
+    expect((await carol.delete('/api/me').send({ currentPassword: 'wrong-password' })).status).toBe(403);
+    expect((await carol.delete('/api/me').send({})).status).toBe(400);
+    const res = await carol.delete('/api/me').send({ currentPassword: 'password123' });
+    expect(res.status).toBe(200);
+
+    expect((await carol.get('/api/me')).status).toBe(401);
+    expect((await request(app).post('/api/login').send({ email: 'carol@example.com', password: 'password123' })).status).toBe(401);
+    expect((await request(app).get(`/api/users/${carol.userId}`)).status).toBe(404);
+    expect((await request(app).get(`/api/rentals/${rental.id}`)).status).toBe(404);
+    const counts = ['todos', 'likes', 'comments', 'sessions', 'conversations', 'notifications']
+      .map(table => [table, db.get(`SELECT COUNT(*) as count FROM ${table} WHERE ${table === 'conversations' ? 'renter_id' : 'user_id'} = ?`, [carol.userId]).count]);
+    expect(counts).toEqual([['todos', 0], ['likes', 0], ['comments', 0], ['sessions', 0], ['conversations', 0], ['notifications', 0]]);
+    expect(db.get('SELECT COUNT(*) as count FROM likes WHERE rental_id = ?', [rental.id]).count).toBe(0);
+
+    const comments = (await request(app).get(`/api/rentals/${bobsRental.id}/comments`)).body.comments;
+    expect(comments.map(c => [c.text, c.replies.map(r => r.text)])).toEqual([['Ask me anything', []]]);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    [avatar.thumb, ...rental.photos.map(p => p.thumb)].forEach(url => expect(fs.existsSync(uploadedFile(url))).toBe(false));
+  });
+});
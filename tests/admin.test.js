@@ -0,0 +1,135 @@
+// tests/admin.test.js
+// Integration tests for roles, admin user management and content moderation.
+//
+// Roles are assigned directly in the DB (like set-user-role.js does); everything else goes through the API.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let admin;
+let moderator;
+let member;
+let memberId;
+let rentalId;
+let commentId;
+
+async function loginAgent(email, role) {
+  await request(app).post('/api/register').send({ email, password: 'password123', name: email.split('@')[0] });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  if (role) db.run('UPDATE users SET role = ? WHERE email = ?', [role, email]);
+  const agent = request.agent(app);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  admin = await loginAgent('admin@example.com', 'admin');
+  moderator = await loginAgent('mod@example.com', 'moderator');
+  member = await loginAgent('member@example.com');
+  memberId = db.get('SELECT id FROM users WHERE email = ?', ['member@example.com']).id;
+
+  rentalId = (await member.post('/api/rentals').field('title', 'Totally real deal')).body.rental.id;
+  commentId = (await member.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Send me a wire transfer' })).body.comment.id;
+});
+
+describe('Authorization', () => {
+  test('regular users get 403 on admin routes', async () => {
+    expect((await member.get('/api/admin/users')).status).toBe(403);
+    expect((await member.post(`/api/admin/rentals/${rentalId}/hide`)).status).toBe(403);
+  });
+
+  test('moderators can moderate content but not manage users', async () => {
+    expect((await moderator.get('/api/admin/rentals')).status).toBe(200);
+    expect((await moderator.get('/api/admin/users')).status).toBe(403);
+  });
+
+  test('/api/me exposes the role', async () => {
+    expect((await admin.get('/api/me')).body.user.role).toBe('admin');
+  });
+});
+
+describe('Admin users', () => {
+  test('lists users with pagination and filters', async () => {
+    const res = await admin.get('/api/admin/users').query({ limit: 2 });
+    expect(res.status).toBe(200);
+    expect(res.body.users).toHaveLength(2);
+    expect(res.body.total).toBe(3);
+    expect(res.body.hasMore).toBe(true);
+    expect(res.body.users[0].password_hash).toBeUndefined();
+
+    const mods = await admin.get('/api/admin/users').query({ role: 'moderator' });
+    expect(mods.body.users.map(u => u.email)).toEqual(['mod@example.com']);
+  });
+
+  test('role changes apply to the next request', async () => {
+    const res = await admin.patch(`/api/admin/users/${memberId}/role`).send({ role: 'moderator' });
+    expect(res.status).toBe(200);
+    expect((await member.get('/api/admin/rentals')).status).toBe(200);
+    await admin.patch(`/api/admin/users/${memberId}/role`).send({ role: 'user' });
+    expect((await member.get('/api/admin/rentals')).status).toBe(403);
+  });
+
+  test('admins cannot demote themselves', async () => {
+    const adminId = db.get('SELECT id FROM users WHERE email = ?', ['admin@example.com']).id;
+    expect((await admin.patch(`/api/admin/users/${adminId}/role`).send({ role: 'user' })).status).toBe(400);
+  });
+});
+
+describe('Moderation', () => {
+  test('hidden comments and rentals disappear from public endpoints', async () => {
+    expect((await moderator.post(`/api/admin/comments/${commentId}/hide`).send({ reason: 'scam' })).status).toBe(200);
+    let detail = await request(app).get(`/api/rentals/${rentalId}`);
+    expect(detail.body.rental.comments).toHaveLength(0);
+
+    expect((await moderator.post(`/api/admin/rentals/${rentalId}/hide`).send({ reason: 'scam' })).status).toBe(200);
+    detail = await request(app).get(`/api/rentals/${rentalId}`);
+    expect(detail.status).toBe(404);
+    const feed = await request(app).get('/api/feed');
+    expect(feed.body.feed.map(r => r.id)).not.toContain(rentalId);
+    expect((await member.post(`/api/rentals/${rentalId}/like`)).status).toBe(404);
+
+    const hidden = await moderator.get('/api/admin/rentals').query({ status: 'hidden' });
+    expect(hidden.body.rentals.map(r => r.id)).toEqual([rentalId]);
+  });
+
+  test('unhide restores the rental', async () => {
+    await moderator.post(`/api/admin/rentals/${rentalId}/unhide`);
+    expect((await request(app).get(`/api/rentals/${rentalId}`)).status).toBe(200);
+  });
+
+  test('every action lands in the moderation log', async () => {
+    await moderator.delete(`/api/admin/comments/${commentId}`).send({ reason: 'spam' });
+    const res = await moderator.get('/api/admin/moderation-log').query({ target_type: 'comment' });
+    expect(res.body.entries.map(e => e.action)).toEqual(['comment.delete', 'comment.hide']);
+    expect(res.body.entries[1].reason).toBe('scam');
+    expect(res.body.entries[0].actor_name).toBe('mod');
+  });
+
+  test('moderators can delete rentals', async () => {
+    const res = await moderator.delete(`/api/admin/rentals/${rentalId}`).send({ reason: 'fraud' });
+    expect(res.status).toBe(200);
+    expect(db.get('SELECT id FROM rentals WHERE id = ?', [rentalId])).toBeUndefined();
+  });
+});
+
+describe('Suspension', () => {
+  test('suspending revokes sessions and blocks login until unsuspended', async () => {
+    const res = await admin.post(`/api/admin/users/${memberId}/suspend`).send({ reason: 'fraud' });
+    expect(res.status).toBe(200);
+    expect(res.body.user.suspended_at).toBeTruthy();
+
+    expect((await member.get('/api/me')).status).toBe(401);
+    const login = await request(app).post('/api/login').send({ email: 'member@example.com', password: 'password123' });
+    expect(login.status).toBe(403);
+
+    await admin.post(`/api/admin/users/${memberId}/unsuspend`);
+    const again = await request(app).post('/api/login').send({ email: 'member@example.com', password: 'password123' });
+    expect(again.status).toBe(200);
+  });
+});
@@ -0,0 +1,89 @@
+// tests/auth.test.js
+// Integration tests for sessions: refresh token rotation, reuse detection and logout.
+//
+// Refresh tokens are sent in the JSON body here so the tests can replay an old token explicitly;
+// browsers use the httpOnly refresh_token cookie instead (covered by the cookie-based agent test).
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+const user = { email: 'sessions@example.com', password: 'password123', name: 'Sessions' };
+
+function login() {
+  return request(app).post('/api/login').send({ email: user.email, password: user.password });
+}
+
+function me(token) {
+  return request(app).get('/api/me').set('Authorization', `Bearer ${token}`);
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  await request(app).post('/api/register').send(user);
+});
+
+describe('Refresh tokens & logout', () => {
+  test('login sets an httpOnly refresh cookie scoped to /api', async () => {
+    const res = await login();
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toBeDefined();
+    const cookie = res.headers['set-cookie'].find(c => c.startsWith('refresh_token='));
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/Path=\/api/);
+  });
+
+  test('refresh rotates the token and the new access token works', async () => {
+    const { body } = await login();
+    const res = await request(app).post('/api/token/refresh').send({ refreshToken: body.refreshToken });
+    expect(res.status).toBe(200);
+    expect(res.body.refreshToken).toBeDefined();
+    expect(res.body.refreshToken).not.toBe(body.refreshToken);
+    expect((await me(res.body.token)).status).toBe(200);
+  });
+
+  test('reusing a spent refresh token revokes the whole session', async () => {
+    const { body } = await login();
+    const first = await request(app).post('/api/token/refresh').send({ refreshToken: body.refreshToken });
+    expect(first.status).toBe(200);
+
+    const replay = await request(app).post('/api/token/refresh').send({ refreshToken: body.refreshToken });
+    expect(replay.status).toBe(401);
+    expect(replay.body.message).toMatch(/reuse/i);
+
+    // both the newest refresh token and the access tokens of that session are now dead
+    const next = await request(app).post('/api/token/refresh').send({ refreshToken: first.body.refreshToken });
+    expect(next.status).toBe(401);
+    expect((await me(first.body.token)).status).toBe(401);
+  });
+
+  test('browser flow: refresh and logout work from cookies alone', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/login').send({ email: user.email, password: user.password });
+    expect((await agent.post('/api/token/refresh')).status).toBe(200);
+    expect((await agent.get('/api/me')).status).toBe(200);
+
+    const out = await agent.post('/api/logout');
+    expect(out.status).toBe(200);
+    expect((await agent.get('/api/me')).status).toBe(401);
+    expect((await agent.post('/api/token/refresh')).status).toBe(401);
+  });
+
+  test('logout revokes the session even when presenting only the access token', async () => {
+    const { body } = await login();
+    await request(app).post('/api/logout').set('Authorization', `Bearer ${body.token}`);
+    expect((await me(body.token)).status).toBe(401);
+  });
+
+  test('log out all devices revokes every session of the user', async () => {
+    const laptop = (await login()).body;
+    const phone = (await login()).body;
+    const res = await request(app).post('/api/logout/all').set('Authorization', `Bearer ${phone.token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.revoked).toBeGreaterThanOrEqual(2);
+    expect((await me(laptop.token)).status).toBe(401);
+    expect((await request(app).post('/api/token/refresh').send({ refreshToken: laptop.refreshToken })).status).toBe(401);
+  });
+});
@@ -0,0 +1,142 @@
+// tests/bookings.test.js
+// Integration tests for rental availability, booking requests and their state machine, double-booking
+// protection and the feed's "available between" filter.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let owner;
+let renter;
+let other;
+let rentalId;
+let secondId;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+// YYYY-MM-DD, n days from today (UTC)
+function day(n) {
+  return new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  owner = await loginAgent('owner@example.com', 'Owner');
+  renter = await loginAgent('renter@example.com', 'Renter');
+  other = await loginAgent('other@example.com', 'Other');
+  rentalId = (await owner.post('/api/rentals').field('title', 'Lake cabin')).body.rental.id;
+  secondId = (await owner.post('/api/rentals').field('title', 'City studio')).body.rental.id;
+});
+
+describe('Availability', () => {
+  test('owners open date ranges; touching ranges merge', async () => {
+    await owner.post(`/api/rentals/${rentalId}/availability`).send({ start_date: day(10), end_date: day(20) });
+    const res = await owner.post(`/api/rentals/${rentalId}/availability`).send({ start_date: day(20), end_date: day(40) });
+    expect(res.status).toBe(201);
+    expect(res.body.availability).toEqual([{ id: expect.any(Number), start_date: day(10), end_date: day(40) }]);
+    expect(res.body.booked).toEqual([]);
+
+    await owner.post(`/api/rentals/${rentalId}/availability`).send({ start_date: day(60), end_date: day(70) });
+    const pub = await request(app).get(`/api/rentals/${rentalId}/availability`);
+    expect(pub.body.availability.map(r => [r.start_date, r.end_date])).toEqual([[day(10), day(40)], [day(60), day(70)]]);
+  });
+
+  test('only the owner manages availability, with valid dates', async () => {
+    expect((await renter.post(`/api/rentals/${rentalId}/availability`).send({ start_date: day(1), end_date: day(5) })).status).toBe(403);
+    expect((await owner.post(`/api/rentals/${rentalId}/availability`).send({ start_date: day(5), end_date: day(5) })).status).toBe(400);
+    expect((await owner.post(`/api/rentals/${rentalId}/availability`).send({ start_date: '2030-02-30', end_date: '2030-03-02' })).status).toBe(400);
+    expect((await owner.post('/api/rentals/9999/availability').send({ start_date: day(1), end_date: day(5) })).status).toBe(404);
+  });
+});
+
+describe('Booking requests', () => {
+  let first;
+  let overlapping;
+
+  test('renters request stays inside an open range', async () => {
+    const res = await renter.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(12), end_date: day(15), message: 'Two adults' });
+    expect(res.status).toBe(201);
+    first = res.body.booking;
+    expect(first).toMatchObject({ status: 'pending', nights: 3, role: 'renter', rental: { id: rentalId, title: 'Lake cabin' }, owner: { name: 'Owner' } });
+
+    // outside availability, in the past, or your own listing
+    expect((await renter.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(38), end_date: day(42) })).status).toBe(409);
+    expect((await renter.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(-2), end_date: day(2) })).status).toBe(400);
+    expect((await owner.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(12), end_date: day(15) })).status).toBe(400);
+    // asking twice for the same dates
+    expect((await renter.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(13), end_date: day(14) })).status).toBe(409);
+
+    overlapping = (await other.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(14), end_date: day(18) })).body.booking;
+    expect(overlapping.status).toBe('pending');
+  });
+
+  test('the owner sees requests for their listings', async () => {
+    const res = await owner.get('/api/bookings').query({ role: 'owner', status: 'pending' });
+    expect(res.body.total).toBe(2);
+    expect(res.body.bookings.map(b => [b.renter.name, b.role])).toEqual([['Other', 'owner'], ['Renter', 'owner']]);
+    expect((await renter.get('/api/bookings').query({ role: 'owner' })).body.total).toBe(0);
+    expect((await other.get(`/api/bookings/${first.id}`)).status).toBe(403);
+  });
+
+  test('accepting declines overlapping requests and blocks the dates', async () => {
+    expect((await renter.post(`/api/bookings/${first.id}/accept`)).status).toBe(403);
+
+    const res = await owner.post(`/api/bookings/${first.id}/accept`);
+    expect(res.status).toBe(200);
+    expect(res.body.booking.status).toBe('accepted');
+    expect((await other.get(`/api/bookings/${overlapping.id}`)).body.booking.status).toBe('declined');
+
+    const availability = await request(app).get(`/api/rentals/${rentalId}/availability`);
+    expect(availability.body.booked).toEqual([{ start_date: day(12), end_date: day(15) }]);
+    expect((await other.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(14), end_date: day(16) })).status).toBe(409);
+    // back-to-back is fine: check-out day is free
+    expect((await other.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(15), end_date: day(17) })).status).toBe(201);
+  });
+
+  test('invalid transitions are refused', async () => {
+    expect((await owner.post(`/api/bookings/${overlapping.id}/accept`)).status).toBe(409);
+    expect((await owner.post(`/api/bookings/${first.id}/decline`)).status).toBe(409);
+    expect((await owner.post('/api/bookings/9999/accept')).status).toBe(404);
+  });
+
+  test('a range with accepted bookings stays open until they are cancelled', async () => {
+    const range = (await request(app).get(`/api/rentals/${rentalId}/availability`)).body.availability[0];
+    expect((await owner.delete(`/api/rentals/${rentalId}/availability/${range.id}`)).status).toBe(409);
+
+    const cancelled = await renter.post(`/api/bookings/${first.id}/cancel`);
+    expect(cancelled.body.booking.status).toBe('cancelled');
+    expect((await renter.post(`/api/bookings/${first.id}/cancel`)).status).toBe(409);
+  });
+});
+
+describe('Feed availability filter', () => {
+  beforeAll(async () => {
+    await owner.post(`/api/rentals/${secondId}/availability`).send({ start_date: day(30), end_date: day(50) });
+    const booking = (await renter.post(`/api/rentals/${secondId}/bookings`).send({ start_date: day(44), end_date: day(46) })).body.booking;
+    await owner.post(`/api/bookings/${booking.id}/accept`);
+  });
+
+  test('returns rentals free for the whole stay', async () => {
+    const titles = async (from, to) => (await request(app).get('/api/feed').query({ availableFrom: day(from), availableTo: day(to) })).body.feed.map(r => r.title);
+    expect(await titles(32, 36)).toEqual(['City studio', 'Lake cabin']);
+    expect(await titles(12, 14)).toEqual(['Lake cabin']);
+    expect(await titles(42, 47)).toEqual([]);
+    expect(await titles(46, 50)).toEqual(['City studio']);
+  });
+
+  test('needs both dates in order', async () => {
+    expect((await request(app).get('/api/feed').query({ availableFrom: day(3) })).status).toBe(400);
+    expect((await request(app).get('/api/feed').query({ availableFrom: day(5), availableTo: day(3) })).status).toBe(400);
+    expect((await request(app).get('/api/search').query({ q: 'cabin', availableFrom: day(12), availableTo: day(14) })).body.results.map(r => r.title)).toEqual(['Lake cabin']);
+  });
+});
@@ -0,0 +1,125 @@
+// tests/collections.test.js
+// Integration tests for collections of saved rentals: ownership, saving and removing rentals,
+// the feed-shaped listing and read-only share links.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let hunter;
+let other;
+let rentals;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  hunter = await loginAgent('hunter@example.com', 'Hunter');
+  other = await loginAgent('other@example.com', 'Other');
+  rentals = [];
+  for (const title of ['Canal flat', 'Garden studio', 'Attic room']) {
+    rentals.push((await other.post('/api/rentals').field('title', title)).body.rental.id);
+  }
+});
+
+describe('Collections', () => {
+  let shortlist;
+
+  test('create collections, optionally saving a rental straight away', async () => {
+    const res = await hunter.post('/api/collections').send({ name: 'Shortlist', rental_id: rentals[0] });
+    expect(res.status).toBe(201);
+    shortlist = res.body.collection;
+    expect(shortlist).toMatchObject({ name: 'Shortlist', count: 1, share_url: null });
+
+    expect((await hunter.post('/api/collections').send({ name: 'Maybe' })).status).toBe(201);
+    expect((await hunter.post('/api/collections').send({ name: 'shortlist' })).status).toBe(409);
+    expect((await hunter.post('/api/collections').send({ name: '  ' })).status).toBe(400);
+  });
+
+  test('saving is idempotent and the listing uses the feed card shape, newest first', async () => {
+    await hunter.put(`/api/collections/${shortlist.id}/rentals/${rentals[2]}`);
+    const res = await hunter.put(`/api/collections/${shortlist.id}/rentals/${rentals[2]}`);
+    expect(res.body.collection.count).toBe(2);
+
+    const list = await hunter.get(`/api/collections/${shortlist.id}`);
+    expect(list.status).toBe(200);
+    expect(list.body.feed.map(r => r.title)).toEqual(['Attic room', 'Canal flat']);
+    expect(list.body.feed[0]).toMatchObject({ owner: { name: 'Other' }, likes: 0, savedByMe: true, isOwner: false });
+    expect(list.body).toMatchObject({ total: 2, hasMore: false });
+  });
+
+  test('the list of collections says which ones hold a rental', async () => {
+    const res = await hunter.get('/api/collections').query({ rental: rentals[2] });
+    expect(res.body.collections.map(c => [c.name, c.contains])).toEqual([['Maybe', false], ['Shortlist', true]]);
+  });
+
+  test('collections are private to their owner', async () => {
+    expect((await other.get(`/api/collections/${shortlist.id}`)).status).toBe(403);
+    expect((await other.put(`/api/collections/${shortlist.id}/rentals/${rentals[1]}`)).status).toBe(403);
+    expect((await request(app).get('/api/collections')).status).toBe(401);
+    expect((await hunter.get('/api/collections/9999')).status).toBe(404);
+  });
+
+  test('removing a rental, renaming and deleting', async () => {
+    const removed = await hunter.delete(`/api/collections/${shortlist.id}/rentals/${rentals[0]}`);
+    expect(removed.body.collection.count).toBe(1);
+
+    const renamed = await hunter.patch(`/api/collections/${shortlist.id}`).send({ name: 'Top picks' });
+    expect(renamed.body.collection.name).toBe('Top picks');
+    expect((await hunter.patch(`/api/collections/${shortlist.id}`).send({ name: 'Maybe' })).status).toBe(409);
+
+    const maybe = (await hunter.get('/api/collections')).body.collections.find(c => c.name === 'Maybe');
+    expect((await hunter.delete(`/api/collections/${maybe.id}`)).status).toBe(200);
+    expect(db.get('SELECT COUNT(*) as count FROM collection_items WHERE collection_id = ?', [maybe.id]).count).toBe(0);
+  });
+
+  test('deleting a rental takes it out of collections', async () => {
+    const temp = (await other.post('/api/rentals').field('title', 'Short-lived')).body.rental.id;
+    await hunter.put(`/api/collections/${shortlist.id}/rentals/${temp}`);
+    await other.delete(`/api/rentals/${temp}`);
+    expect(db.get('SELECT COUNT(*) as count FROM collection_items WHERE rental_id = ?', [temp]).count).toBe(0);
+  });
+});
+
+describe('Share links', () => {
+  let collection;
+  let token;
+
+  beforeAll(async () => {
+    collection = (await hunter.post('/api/collections').send({ name: 'For my partner', rental_id: rentals[1] })).body.collection;
+  });
+
+  test('a shared collection is readable by anyone with the link', async () => {
+    const shared = await hunter.post(`/api/collections/${collection.id}/share`);
+    expect(shared.body.collection.share_url).toMatch(/\/feed\.html\?shared=[\w-]+$/);
+    token = new URL(shared.body.collection.share_url).searchParams.get('shared');
+    // sharing again keeps the same link
+    expect((await hunter.post(`/api/collections/${collection.id}/share`)).body.collection.share_url).toBe(shared.body.collection.share_url);
+
+    const res = await request(app).get(`/api/shared/collections/${token}`);
+    expect(res.status).toBe(200);
+    expect(res.body.collection).toMatchObject({ name: 'For my partner', count: 1, owner: { name: 'Hunter' } });
+    expect(res.body.collection.id).toBeUndefined();
+    expect(res.body.feed.map(r => r.title)).toEqual(['Garden studio']);
+  });
+
+  test('the link is read-only and stops working when sharing stops', async () => {
+    expect((await other.put(`/api/collections/${collection.id}/rentals/${rentals[0]}`)).status).toBe(403);
+
+    await hunter.delete(`/api/collections/${collection.id}/share`);
+    expect((await request(app).get(`/api/shared/collections/${token}`)).status).toBe(404);
+
+    const again = await hunter.post(`/api/collections/${collection.id}/share`);
+    expect(again.body.collection.share_url).not.toContain(token);
+  });
+});
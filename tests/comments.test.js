@@ -0,0 +1,138 @@
+// tests/comments.test.js
+// Integration tests for threaded comments: replies, edit/delete by the author and cursor pagination.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let author;
+let other;
+let rentalId;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+async function comment(agent, text, parentId) {
+  const res = await agent.post(`/api/rentals/${rentalId}/comments`).send({ text, parent_id: parentId });
+  expect(res.status).toBe(201);
+  return res.body.comment;
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  author = await loginAgent('author@example.com', 'Author');
+  other = await loginAgent('other@example.com', 'Other');
+  rentalId = (await author.post('/api/rentals').field('title', 'Talkative flat')).body.rental.id;
+});
+
+describe('Threads', () => {
+  let root;
+
+  test('replies attach to their thread, replies to replies join the same thread', async () => {
+    root = await comment(author, 'Is the balcony south-facing?');
+    const reply = await comment(other, 'Yes it is', root.id);
+    expect(reply.parent_id).toBe(root.id);
+    const nested = await comment(author, 'Great, thanks', reply.id);
+    expect(nested.parent_id).toBe(root.id);
+
+    const res = await request(app).get(`/api/rentals/${rentalId}/comments`);
+    expect(res.body.comments).toHaveLength(1);
+    expect(res.body.comments[0]).toMatchObject({ id: root.id, reply_count: 2 });
+    expect(res.body.comments[0].replies.map(r => r.text)).toEqual(['Yes it is', 'Great, thanks']);
+    expect(res.body.total).toBe(3);
+  });
+
+  test('parent_id must be a comment on the same rental', async () => {
+    const elsewhere = (await author.post('/api/rentals').field('title', 'Quiet flat')).body.rental.id;
+    const res = await author.post(`/api/rentals/${elsewhere}/comments`).send({ text: 'Wrong thread', parent_id: root.id });
+    expect(res.status).toBe(404);
+  });
+});
+
+describe('Pagination', () => {
+  let threadId;
+
+  beforeAll(async () => {
+    threadId = (await comment(author, 'Thread with many replies')).id;
+    for (let i = 1; i <= 5; i++) await comment(other, `Reply ${i}`, threadId);
+    for (let i = 1; i <= 4; i++) await comment(other, `Top ${i}`);
+  });
+
+  test('cursor pages through top-level comments without gaps or repeats', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const res = await request(app).get(`/api/rentals/${rentalId}/comments`).query(cursor ? { limit: 2, cursor } : { limit: 2 });
+      expect(res.status).toBe(200);
+      expect(res.body.comments.length).toBeLessThanOrEqual(2);
+      seen.push(...res.body.comments.map(c => c.id));
+      cursor = res.body.nextCursor;
+    } while (cursor);
+    const all = db.all('SELECT id FROM comments WHERE rental_id = ? AND parent_id IS NULL ORDER BY id', [rentalId]).map(r => r.id);
+    expect(seen).toEqual(all);
+  });
+
+  test('threads preview their first replies and page through the rest', async () => {
+    const page = await request(app).get(`/api/rentals/${rentalId}/comments`).query({ limit: 50 });
+    const thread = page.body.comments.find(c => c.id === threadId);
+    expect(thread.reply_count).toBe(5);
+    expect(thread.replies.map(r => r.text)).toEqual(['Reply 1', 'Reply 2', 'Reply 3']);
+
+    const rest = await request(app).get(`/api/rentals/${rentalId}/comments`).query({ parent: threadId, cursor: thread.replies_next_cursor });
+    expect(rest.body.comments.map(r => r.text)).toEqual(['Reply 4', 'Reply 5']);
+    expect(rest.body.nextCursor).toBeNull();
+  });
+
+  test('the feed card carries a short preview and the full count', async () => {
+    const feed = await request(app).get('/api/feed');
+    const card = feed.body.feed.find(r => r.id === rentalId);
+    expect(card.comments).toHaveLength(3);
+    card.comments.forEach(c => expect(c.replies.length).toBeLessThanOrEqual(1));
+    expect(card.comments_count).toBe(db.get('SELECT COUNT(*) as count FROM comments WHERE rental_id = ?', [rentalId]).count);
+    expect(card.comments_next_cursor).toBe(String(card.comments[2].id));
+  });
+});
+
+describe('Edit & delete', () => {
+  test('only the author can edit; edits are marked', async () => {
+    const c = await comment(author, 'Typo hree');
+    expect(c.edited_at).toBeNull();
+    expect((await other.patch(`/api/comments/${c.id}`).send({ text: 'Hijacked' })).status).toBe(403);
+
+    const res = await author.patch(`/api/comments/${c.id}`).send({ text: 'Typo here' });
+    expect(res.status).toBe(200);
+    expect(res.body.comment.text).toBe('Typo here');
+    expect(res.body.comment.edited_at).toBeTruthy();
+  });
+
+  test('deleting a comment without replies removes it', async () => {
+    const c = await comment(other, 'Never mind');
+    expect((await author.delete(`/api/comments/${c.id}`)).status).toBe(403);
+    expect((await other.delete(`/api/comments/${c.id}`)).status).toBe(200);
+    expect(db.get('SELECT id FROM comments WHERE id = ?', [c.id])).toBeUndefined();
+    expect((await other.patch(`/api/comments/${c.id}`).send({ text: 'Back' })).status).toBe(404);
+  });
+
+  test('deleting a comment with replies leaves a placeholder until the last reply goes', async () => {
+    const root = await comment(author, 'Original question');
+    const reply = await comment(other, 'An answer', root.id);
+    expect((await author.delete(`/api/comments/${root.id}`)).status).toBe(200);
+
+    const res = await request(app).get(`/api/rentals/${rentalId}/comments`).query({ limit: 50 });
+    const placeholder = res.body.comments.find(c => c.id === root.id);
+    expect(placeholder).toMatchObject({ deleted: true, text: null, user_name: null, reply_count: 1 });
+    expect((await other.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Late reply', parent_id: root.id })).status).toBe(404);
+
+    expect((await other.delete(`/api/comments/${reply.id}`)).status).toBe(200);
+    expect(db.get('SELECT id FROM comments WHERE id = ?', [root.id])).toBeUndefined();
+  });
+});
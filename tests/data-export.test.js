@@ -0,0 +1,182 @@
+// tests/data-export.test.js
+// Integration tests for personal data exports: the background job, polling its status, what the ZIP
+// holds, who may see it and download links that expire.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+
+const exportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'exports-'));
+const uploadsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.EXPORT_DIR = exportDir;
+process.env.STORAGE_LOCAL_DIR = uploadsDir;
+
+const request = require('supertest');
+const sharp = require('sharp');
+const jwt = require('jsonwebtoken');
+
+let app;
+let db;
+let dataExport;
+let alice;
+let bob;
+let photo;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  const res = await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  agent.userId = res.body.user.id;
+  return agent;
+}
+
+// Read a ZIP's entries from its central directory: { name: Buffer }
+function unzip(buffer) {
+  const end = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const size = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const local = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+    const data = buffer.subarray(start, start + size);
+    entries[name] = method === 8 ? zlib.inflateRawSync(data) : data;
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+function binary(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+async function finishedExport(agent) {
+  const started = await agent.post('/api/me/export');
+  expect(started.status).toBe(202);
+  await dataExport.processExports();
+  return (await agent.get(`/api/me/export/${started.body.export.id}`)).body.export;
+}
+
+beforeAll(async () => {
+  photo = await sharp({ create: { width: 300, height: 200, channels: 3, background: '#88aa44' } }).jpeg().toBuffer();
+  app = require('../app');
+  db = require('../db');
+  dataExport = require('../data-export');
+  alice = await loginAgent('alice@example.com', 'Alice');
+  bob = await loginAgent('bob@example.com', 'Bob');
+});
+
+afterAll(() => {
+  fs.rmSync(exportDir, { recursive: true, force: true });
+  fs.rmSync(uploadsDir, { recursive: true, force: true });
+});
+
+describe('Data export', () => {
+  test('builds a ZIP of the user\'s data in the background', async () => {
+    await alice.post('/api/todos').send({ text: 'Pack boxes' });
+    await alice.patch('/api/me').attach('avatar', photo, 'me.jpg');
+    const rental = (await alice.post('/api/rentals').field('title', 'Garden flat').field('amenities', 'wifi').attach('images', photo, 'flat.jpg')).body.rental;
+    const bobs = (await bob.post('/api/rentals').send({ title: 'Bob place' })).body.rental;
+    await alice.post(`/api/rentals/${bobs.id}/comments`).send({ text: 'Is it quiet?' });
+    await alice.put(`/api/rentals/${bobs.id}/like`);
+    await alice.post(`/api/rentals/${bobs.id}/inquiries`).send({ text: 'Still available?' });
+    await bob.post(`/api/rentals/${rental.id}/comments`).send({ text: 'Not mine to export' });
+
+    const started = await alice.post('/api/me/export');
+    expect(started.status).toBe(202);
+    expect(started.body.export).toMatchObject({ status: 'pending', download_url: null });
+    // one at a time
+    const again = await alice.post('/api/me/export');
+    expect(again.status).toBe(409);
+    expect(again.body.export.id).toBe(started.body.export.id);
+
+    await dataExport.processExports();
+    const status = await alice.get(`/api/me/export/${started.body.export.id}`);
+    expect(status.status).toBe(200);
+    expect(status.body.export).toMatchObject({ status: 'ready', size: expect.any(Number), expires_at: expect.any(String) });
+    expect(status.body.export.download_url).toMatch(new RegExp(`^/api/me/export/${started.body.export.id}/download\\?token=`));
+
+    const download = await request(app).get(status.body.export.download_url).buffer(true).parse(binary);
+    expect(download.status).toBe(200);
+    expect(download.headers['content-disposition']).toMatch(/attachment; filename="rents-data-\d+\.zip"/);
+    const files = unzip(download.body);
+    expect(Object.keys(files)).toEqual(expect.arrayContaining([
+      'README.txt', 'profile.json', 'todos.json', 'rentals.json', 'comments.json', 'likes.json',
+      'collections.json', 'messages.json', 'bookings.json', 'reviews.json', 'sessions.json'
+    ]));
+    const json = name => JSON.parse(files[name].toString('utf8'));
+
+    const profile = json('profile.json');
+    expect(profile).toMatchObject({ id: alice.userId, email: 'alice@example.com', avatar: { file: 'images/avatar.webp' } });
+    expect(profile.password_hash).toBeUndefined();
+    expect(json('todos.json').map(t => t.text)).toEqual(['Pack boxes']);
+    const rentals = json('rentals.json');
+    expect(rentals).toEqual([expect.objectContaining({ id: rental.id, title: 'Garden flat', amenities: ['wifi'], images: [{ file: `images/rental-${rental.id}-1.webp` }] })]);
+    expect(files[`images/rental-${rental.id}-1.webp`].subarray(8, 12).toString()).toBe('WEBP');
+    expect(files['images/avatar.webp']).toBeDefined();
+    expect(json('comments.json').map(c => c.text)).toEqual(['Is it quiet?']);
+    expect(json('likes.json')).toEqual([expect.objectContaining({ rental_id: bobs.id, rental_title: 'Bob place' })]);
+    expect(json('messages.json')).toEqual([expect.objectContaining({
+      rental_id: bobs.id, role: 'renter', with: 'Bob', messages: [expect.objectContaining({ from: 'me', text: 'Still available?' })]
+    })]);
+    expect(json('sessions.json').length).toBeGreaterThan(0);
+  });
+
+  test('exports are private to their owner', async () => {
+    const exp = await finishedExport(alice);
+    expect((await bob.get(`/api/me/export/${exp.id}`)).status).toBe(403);
+    expect((await bob.get('/api/me/export/9999')).status).toBe(404);
+    expect((await request(app).get(`/api/me/export/${exp.id}`)).status).toBe(401);
+
+    // the token only opens the export it was made for
+    const token = new URL(exp.download_url, 'http://x').searchParams.get('token');
+    expect((await request(app).get(`/api/me/export/${exp.id}/download`).query({ token: 'nonsense' })).status).toBe(400);
+    expect((await request(app).get(`/api/me/export/${exp.id + 1}/download`).query({ token })).status).toBe(400);
+    const forged = jwt.sign({ sub: bob.userId, export: exp.id, purpose: 'data-export' }, 'test-secret');
+    expect((await request(app).get(`/api/me/export/${exp.id}/download`).query({ token: forged })).status).toBe(404);
+    const session = jwt.sign({ sub: alice.userId, export: exp.id, sid: 'x' }, 'test-secret');
+    expect((await request(app).get(`/api/me/export/${exp.id}/download`).query({ token: session })).status).toBe(400);
+  });
+
+  test('expired exports answer 410 and their files are deleted', async () => {
+    const exp = await finishedExport(bob);
+    const file = dataExport.exportPath(db.get('SELECT file FROM data_exports WHERE id = ?', [exp.id]).file);
+    expect(fs.existsSync(file)).toBe(true);
+
+    db.run('UPDATE data_exports SET expires_at = ? WHERE id = ?', [new Date(Date.now() - 1000).toISOString(), exp.id]);
+    expect((await bob.get(`/api/me/export/${exp.id}`)).body.export).toMatchObject({ status: 'expired', download_url: null });
+    expect((await request(app).get(exp.download_url)).status).toBe(410);
+    expect(db.get('SELECT status, file FROM data_exports WHERE id = ?', [exp.id])).toEqual({ status: 'expired', file: null });
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(file)).toBe(false);
+
+    const expiredLink = jwt.sign({ sub: bob.userId, export: exp.id, purpose: 'data-export' }, 'test-secret', { expiresIn: -10 });
+    expect((await request(app).get(`/api/me/export/${exp.id}/download`).query({ token: expiredLink })).status).toBe(410);
+  });
+
+  test('interrupted exports are resumed and deleting the account removes exports', async () => {
+    const carol = await loginAgent('carol@example.com', 'Carol');
+    const id = db.run("INSERT INTO data_exports (user_id, status, started_at) VALUES (?, 'running', CURRENT_TIMESTAMP)", [carol.userId]).lastInsertRowid;
+    await dataExport.resumeExports();
+    const row = db.get('SELECT * FROM data_exports WHERE id = ?', [id]);
+    expect(row.status).toBe('ready');
+
+    const res = await carol.delete('/api/me').send({ currentPassword: 'password123' });
+    expect(res.status).toBe(200);
+    expect(db.get('SELECT id FROM data_exports WHERE user_id = ?', [carol.userId])).toBeUndefined();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(dataExport.exportPath(row.file))).toBe(false);
+  });
+});
@@ -0,0 +1,137 @@
+// tests/email-verification.test.js
+// Integration tests for email verification: the link emailed on registration, what unverified accounts
+// may do, throttled resends and links that stop working when the address changes.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+process.env.EMAIL_VERIFICATION_REQUIRED = 'true';
+process.env.RATE_LIMIT_VERIFY_EMAIL_MAX = '2';
+// this file signs up more often than the per-IP auth limit allows; the limiter has its own tests
+process.env.RATE_LIMIT_AUTH_MAX = '0';
+
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+let app;
+
+function outboxMessages() {
+  return fs.readdirSync(outboxDir).sort().map(f => fs.readFileSync(path.join(outboxDir, f), 'utf8'));
+}
+
+// the newest verification link sent to an address
+function verificationToken(email) {
+  const message = outboxMessages().reverse().find(m => m.includes(`To: ${email}`) && m.includes('Subject: Verify your email address'));
+  return /verify-email\.html\?token=([\w.-]+)/.exec(message)[1];
+}
+
+async function signUp(email) {
+  const agent = request.agent(app);
+  const res = await agent.post('/api/register').send({ email, password: 'password123', name: 'New' });
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  agent.userId = res.body.user.id;
+  return agent;
+}
+
+beforeAll(() => {
+  app = require('../app');
+});
+
+afterAll(() => fs.rmSync(outboxDir, { recursive: true, force: true }));
+
+describe('Email verification', () => {
+  test('registration emails a link; unverified users log in but cannot post', async () => {
+    const agent = request.agent(app);
+    const res = await agent.post('/api/register').send({ email: 'new@example.com', password: 'password123' });
+    expect(res.status).toBe(201);
+    expect(res.body.user.email_verified_at).toBeNull();
+    expect(verificationToken('new@example.com')).toBeTruthy();
+
+    expect((await agent.post('/api/login').send({ email: 'new@example.com', password: 'password123' })).status).toBe(200);
+    expect((await agent.get('/api/me')).body.user.email_verified_at).toBeNull();
+    const rental = await agent.post('/api/rentals').send({ title: 'Spam' });
+    expect(rental.status).toBe(403);
+    expect(rental.body.message).toMatch(/verify/i);
+  });
+
+  test('the link verifies the address and unlocks posting', async () => {
+    const agent = await signUp('poster@example.com');
+    const token = verificationToken('poster@example.com');
+    expect((await request(app).get('/api/verify-email').query({ token: 'nonsense' })).status).toBe(400);
+    expect((await request(app).get('/api/verify-email')).status).toBe(400);
+
+    const res = await request(app).get('/api/verify-email').query({ token });
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ message: 'Email verified', email: 'poster@example.com' });
+    // opening the link again is fine
+    expect((await request(app).get('/api/verify-email').query({ token })).status).toBe(200);
+
+    expect((await agent.get('/api/me')).body.user.email_verified_at).toEqual(expect.any(String));
+    const rental = await agent.post('/api/rentals').send({ title: 'Real listing' });
+    expect(rental.status).toBe(201);
+    expect((await agent.post(`/api/rentals/${rental.body.rental.id}/comments`).send({ text: 'Ask away' })).status).toBe(201);
+
+    const lurker = await signUp('lurker@example.com');
+    expect((await lurker.post(`/api/rentals/${rental.body.rental.id}/comments`).send({ text: 'Buy pills' })).status).toBe(403);
+    expect((await lurker.get(`/api/rentals/${rental.body.rental.id}/comments`)).status).toBe(200);
+  });
+
+  test('only verification tokens for the current address are accepted', async () => {
+    const agent = await signUp('mover@example.com');
+    const oldToken = verificationToken('mover@example.com');
+    const { sub } = jwt.decode(oldToken);
+
+    // a session token is not a verification token, and vice versa
+    const accessToken = jwt.sign({ sub, email: 'mover@example.com', sid: 'x' }, 'test-secret');
+    expect((await request(app).get('/api/verify-email').query({ token: accessToken })).status).toBe(400);
+    expect((await request(app).get('/api/me').set('Authorization', `Bearer ${oldToken}`)).status).toBe(401);
+    const expired = jwt.sign({ sub, email: 'mover@example.com', purpose: 'verify-email' }, 'test-secret', { expiresIn: -10 });
+    expect((await request(app).get('/api/verify-email').query({ token: expired })).status).toBe(400);
+
+    // confirming an email change verifies the new address and retires links for the old one
+    await agent.patch('/api/me').send({ email: 'moved@example.com' });
+    const change = /confirm-email\.html\?token=([\w-]+)/.exec(outboxMessages().pop())[1];
+    await request(app).post('/api/me/email/confirm').send({ token: change });
+    expect((await agent.get('/api/me')).body.user).toMatchObject({ email: 'moved@example.com', email_verified_at: expect.any(String) });
+    expect((await request(app).get('/api/verify-email').query({ token: oldToken })).status).toBe(400);
+  });
+
+  test('resending is throttled and refused once verified', async () => {
+    const agent = await signUp('slow@example.com');
+    expect((await request(app).post('/api/verify-email/resend')).status).toBe(401);
+
+    const before = outboxMessages().length;
+    expect((await agent.post('/api/verify-email/resend')).status).toBe(200);
+    expect((await agent.post('/api/verify-email/resend')).status).toBe(200);
+    expect((await agent.post('/api/verify-email/resend')).status).toBe(429);
+    expect(outboxMessages().length).toBe(before + 2);
+
+    const verifier = await signUp('quick@example.com');
+    await request(app).get('/api/verify-email').query({ token: verificationToken('quick@example.com') });
+    expect((await verifier.post('/api/verify-email/resend')).status).toBe(409);
+  });
+
+  test('a broken mail setup does not break signing up or resending', async () => {
+    const mailer = require('../mailer');
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    // the transport is created on first use and throws for an unknown MAIL_TRANSPORT
+    mailer.setTransport(null);
+    process.env.MAIL_TRANSPORT = 'carrier-pigeon';
+    try {
+      const agent = request.agent(app);
+      expect((await agent.post('/api/register').send({ email: 'offline@example.com', password: 'password123' })).status).toBe(201);
+      await agent.post('/api/login').send({ email: 'offline@example.com', password: 'password123' });
+      expect((await agent.post('/api/verify-email/resend')).status).toBe(200);
+      expect(error).toHaveBeenCalledWith('Failed to send verification email:', expect.stringMatching(/Unknown MAIL_TRANSPORT/));
+    } finally {
+      delete process.env.MAIL_TRANSPORT;
+      mailer.setTransport(null);
+      error.mockRestore();
+    }
+  });
+});
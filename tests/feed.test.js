@@ -0,0 +1,124 @@
+// tests/feed.test.js
+// Integration tests for GET /api/feed search, filtering, sorting and pagination.
+//
+// Same pattern as integration.test.js: in-memory DB configured before the app is required
+// (db.js applies the migrations, so the rentals/comments/likes tables exist).
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+
+beforeAll(() => {
+  app = require('../app');
+  db = require('../db');
+
+  const owner = db.run('INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)', ['owner@example.com', 'x', 'Owner']).lastInsertRowid;
+  const other = db.run('INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)', ['other@example.com', 'x', 'Other']).lastInsertRowid;
+  const insert = (ownerId, title, description, price, location) =>
+    db.run('INSERT INTO rentals (owner_id, title, description, price, location, images) VALUES (?, ?, ?, ?, ?, ?)', [ownerId, title, description, price, location, '[]']).lastInsertRowid;
+
+  insert(owner, 'Cozy studio', 'Close to transit', 800, 'Downtown');
+  const loft = insert(owner, 'Sunny loft', 'Skylights and a 100% view', 1500, 'Uptown');
+  insert(other, 'Garden apartment', 'Quiet and pet-friendly', 1100, 'Downtown');
+  insert(other, 'Room in shared house', 'Utilities included', null, 'Riverside');
+  db.run('INSERT INTO likes (rental_id, user_id) VALUES (?, ?)', [loft, owner]);
+  db.run('INSERT INTO likes (rental_id, user_id) VALUES (?, ?)', [loft, other]);
+});
+
+describe('GET /api/feed filters', () => {
+  test('keyword search matches title or description', async () => {
+    const res = await request(app).get('/api/feed').query({ q: 'pet' });
+    expect(res.status).toBe(200);
+    expect(res.body.feed.map(r => r.title)).toEqual(['Garden apartment']);
+    expect(res.body.total).toBe(1);
+  });
+
+  test('LIKE wildcards in the keyword are matched literally', async () => {
+    const res = await request(app).get('/api/feed').query({ q: '100%' });
+    expect(res.body.feed.map(r => r.title)).toEqual(['Sunny loft']);
+  });
+
+  test('location and price range narrow the feed and total', async () => {
+    const res = await request(app).get('/api/feed').query({ location: 'downtown', minPrice: 900, maxPrice: 1200 });
+    expect(res.status).toBe(200);
+    expect(res.body.feed.map(r => r.title)).toEqual(['Garden apartment']);
+    expect(res.body.total).toBe(1);
+    expect(res.body.hasMore).toBe(false);
+  });
+
+  test('owner filter and pagination reflect the filtered set', async () => {
+    const ownerId = db.get('SELECT id FROM users WHERE email = ?', ['owner@example.com']).id;
+    const res = await request(app).get('/api/feed').query({ owner: ownerId, limit: 1 });
+    expect(res.body.feed).toHaveLength(1);
+    expect(res.body.total).toBe(2);
+    expect(res.body.hasMore).toBe(true);
+  });
+
+  test('sorts by price (unpriced last) and by likes', async () => {
+    const asc = await request(app).get('/api/feed').query({ sort: 'price_asc' });
+    expect(asc.body.feed.map(r => r.price)).toEqual([800, 1100, 1500, null]);
+
+    const desc = await request(app).get('/api/feed').query({ sort: 'price_desc' });
+    expect(desc.body.feed.map(r => r.price)).toEqual([1500, 1100, 800, null]);
+
+    const liked = await request(app).get('/api/feed').query({ sort: 'most_liked' });
+    expect(liked.body.feed[0].title).toBe('Sunny loft');
+    expect(liked.body.feed[0].likes).toBe(2);
+  });
+
+  test('cursor pages follow the same order as offset pages, for every sort', async () => {
+    for (const sort of ['newest', 'price_asc', 'price_desc', 'most_liked']) {
+      const all = (await request(app).get('/api/feed').query({ sort })).body.feed.map(r => r.id);
+      const seen = [];
+      let cursor = null;
+      do {
+        const res = await request(app).get('/api/feed').query(cursor ? { sort, limit: 1, cursor } : { sort, limit: 1 });
+        expect(res.status).toBe(200);
+        seen.push(...res.body.feed.map(r => r.id));
+        cursor = res.body.nextCursor;
+        expect(res.body.hasMore).toBe(!!cursor);
+      } while (cursor);
+      expect(seen).toEqual(all);
+    }
+  });
+
+  test('cursor pages skip the total and are not shifted by new rentals', async () => {
+    const first = await request(app).get('/api/feed').query({ limit: 2 });
+    const ownerId = first.body.feed[0].owner.id;
+    db.run('INSERT INTO rentals (owner_id, title, images) VALUES (?, ?, ?)', [ownerId, 'Just posted', '[]']);
+    const next = await request(app).get('/api/feed').query({ limit: 2, cursor: first.body.nextCursor });
+    expect(next.body.total).toBeUndefined();
+    expect(next.body.feed.map(r => r.title)).toEqual(['Sunny loft', 'Cozy studio']);
+    db.run("DELETE FROM rentals WHERE title = 'Just posted'");
+  });
+
+  test('a cursor only works with the sort it came from', async () => {
+    const { nextCursor } = (await request(app).get('/api/feed').query({ sort: 'price_asc', limit: 1 })).body;
+    expect((await request(app).get('/api/feed').query({ sort: 'newest', cursor: nextCursor })).status).toBe(400);
+    expect((await request(app).get('/api/feed').query({ cursor: 'not-a-cursor' })).status).toBe(400);
+  });
+
+  test('the number of queries does not grow with the page size', async () => {
+    const prepare = jest.spyOn(db._raw, 'prepare');
+    const queriesFor = async limit => {
+      prepare.mockClear();
+      await request(app).get('/api/feed').query({ limit });
+      return prepare.mock.calls.length;
+    };
+    try {
+      expect(await queriesFor(4)).toBe(await queriesFor(1));
+    } finally {
+      prepare.mockRestore();
+    }
+  });
+
+  test('invalid filter values return validation errors', async () => {
+    const res = await request(app).get('/api/feed').query({ minPrice: 'cheap', sort: 'random' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors.length).toBe(2);
+  });
+});
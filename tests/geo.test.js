@@ -0,0 +1,146 @@
+// tests/geo.test.js
+// Tests for rental coordinates: distance helpers, offline geocoding of locations, the feed's
+// ?near=&radius= search with distance sorting, and the map / places endpoints.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+const geo = require('../geo');
+
+let app;
+let db;
+let owner;
+
+// Downtown is seeded at 45.5190,-122.6795 by migration 018
+const DOWNTOWN = '45.519,-122.6795';
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  owner = request.agent(app);
+  await owner.post('/api/register').send({ email: 'owner@example.com', password: 'password123', name: 'Owner' });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', ['owner@example.com']);
+  await owner.post('/api/login').send({ email: 'owner@example.com', password: 'password123' });
+});
+
+describe('geo helpers', () => {
+  test('haversine distance and bounding box', () => {
+    expect(geo.haversineKm(51.5074, -0.1278, 48.8566, 2.3522)).toBeCloseTo(343.6, 0);
+    expect(geo.haversineKm(null, 0, 1, 1)).toBeNull();
+
+    const box = geo.boundingBox({ lat: 45.5, lng: -122.6 }, 10);
+    // points just inside the 10 km circle, north, east and south-west
+    [[45.589, -122.6], [45.5, -122.472], [45.44, -122.68]].forEach(([lat, lng]) => {
+      expect(geo.haversineKm(45.5, -122.6, lat, lng)).toBeLessThan(10);
+      expect(lat).toBeGreaterThanOrEqual(box.minLat);
+      expect(lat).toBeLessThanOrEqual(box.maxLat);
+      expect(lng).toBeGreaterThanOrEqual(box.minLng);
+      expect(lng).toBeLessThanOrEqual(box.maxLng);
+    });
+    // across the antimeridian only latitude can be bounded
+    expect(geo.boundingBox({ lat: 0, lng: 179.99 }, 10)).toMatchObject({ minLng: null, maxLng: null });
+  });
+
+  test('points and place names are parsed leniently', () => {
+    expect(geo.parsePoint(' 45.5 , -122.6 ')).toEqual({ lat: 45.5, lng: -122.6 });
+    expect(geo.parsePoint('91,0')).toBeNull();
+    expect(geo.parsePoint('Downtown')).toBeNull();
+    expect(geo.placeKey('Old-Town, Café &amp; bar')).toBe('old town cafe bar');
+  });
+});
+
+describe('Rental coordinates', () => {
+  test('known locations are geocoded, explicit coordinates win', async () => {
+    const geocoded = await owner.post('/api/rentals').send({ title: 'Loft downtown', location: 'Downtown' });
+    expect(geocoded.body.rental).toMatchObject({ latitude: 45.519, longitude: -122.6795 });
+
+    const inText = await owner.post('/api/rentals').field('title', 'Old Town flat').field('location', 'Sunny flat in old town');
+    expect(inText.body.rental).toMatchObject({ latitude: 45.524, longitude: -122.673 });
+
+    const exact = await owner.post('/api/rentals').send({ title: 'Hillside cabin', location: 'Hillcrest', latitude: 45.55, longitude: -122.75 });
+    expect(exact.body.rental).toMatchObject({ latitude: 45.55, longitude: -122.75 });
+
+    const unknown = await owner.post('/api/rentals').send({ title: 'Somewhere else', location: 'Atlantis' });
+    expect(unknown.body.rental).toMatchObject({ latitude: null, longitude: null });
+  });
+
+  test('are validated and move with the location', async () => {
+    const bad = async (fields) => (await owner.post('/api/rentals').send({ title: 'Bad', ...fields })).body.errors.map(e => e.field);
+    expect(await bad({ latitude: 95, longitude: 0 })).toEqual(['latitude']);
+    expect(await bad({ latitude: 45 })).toEqual(['latitude']);
+    expect(await bad({ latitude: 45, longitude: 'east' })).toEqual(['longitude']);
+
+    const id = (await owner.post('/api/rentals').send({ title: 'Moving', location: 'Downtown' })).body.rental.id;
+    expect((await owner.patch(`/api/rentals/${id}`).send({ location: 'Seaside' })).body.rental).toMatchObject({ latitude: 45.488, longitude: -122.644 });
+    expect((await owner.patch(`/api/rentals/${id}`).send({ location: 'Nowhere' })).body.rental.latitude).toBeNull();
+    expect((await owner.patch(`/api/rentals/${id}`).send({ latitude: 45.5, longitude: -122.7 })).body.rental).toMatchObject({ location: 'Nowhere', latitude: 45.5 });
+    await owner.delete(`/api/rentals/${id}`);
+  });
+
+  test('geocode and places endpoints', async () => {
+    expect((await request(app).get('/api/geocode').query({ q: 'near the Arts District' })).body.place).toEqual({ name: 'Arts District', latitude: 45.526, longitude: -122.684 });
+    expect((await request(app).get('/api/geocode').query({ q: 'Atlantis' })).status).toBe(404);
+    expect((await request(app).get('/api/geocode')).status).toBe(400);
+    const places = (await request(app).get('/api/places')).body.places.map(p => p.name);
+    expect(places).toEqual(expect.arrayContaining(['Downtown', 'Old Town', 'Riverside']));
+  });
+});
+
+describe('Distance search', () => {
+  test('?near= keeps rentals within the radius, nearest first', async () => {
+    const res = await request(app).get('/api/feed').query({ near: DOWNTOWN, radius: 5 });
+    expect(res.status).toBe(200);
+    expect(res.body.sort).toBe('distance');
+    expect(res.body.feed.map(r => r.title)).toEqual(['Loft downtown', 'Old Town flat']);
+    expect(res.body.feed[0].distance_km).toBe(0);
+    expect(res.body.feed[1].distance_km).toBeCloseTo(0.78, 1);
+    expect(res.body.total).toBe(2);
+
+    // the default radius (10 km) reaches the cabin; an explicit sort still applies
+    expect((await request(app).get('/api/feed').query({ near: DOWNTOWN })).body.feed.map(r => r.title))
+      .toEqual(['Loft downtown', 'Old Town flat', 'Hillside cabin']);
+    expect((await request(app).get('/api/feed').query({ near: DOWNTOWN, sort: 'newest' })).body.feed.map(r => r.title))
+      .toEqual(['Hillside cabin', 'Old Town flat', 'Loft downtown']);
+    // rentals without coordinates never match
+    expect((await request(app).get('/api/feed').query({ near: '0,0', radius: 500 })).body.feed).toEqual([]);
+  });
+
+  test('cursor pages follow the distance order', async () => {
+    const first = await request(app).get('/api/feed').query({ near: DOWNTOWN, limit: 2 });
+    expect(first.body.hasMore).toBe(true);
+    const second = await request(app).get('/api/feed').query({ near: DOWNTOWN, limit: 2, cursor: first.body.nextCursor });
+    expect(second.body.feed.map(r => r.title)).toEqual(['Hillside cabin']);
+    expect(second.body.hasMore).toBe(false);
+  });
+
+  test('rejects bad points, radius without near and distance sort without a point', async () => {
+    expect((await request(app).get('/api/feed').query({ near: 'Downtown' })).status).toBe(400);
+    expect((await request(app).get('/api/feed').query({ near: DOWNTOWN, radius: 0 })).status).toBe(400);
+    expect((await request(app).get('/api/feed').query({ near: DOWNTOWN, radius: 501 })).status).toBe(400);
+    expect((await request(app).get('/api/feed').query({ radius: 5 })).status).toBe(400);
+    expect((await request(app).get('/api/feed').query({ sort: 'distance' })).status).toBe(400);
+  });
+
+  test('search takes the same point filter', async () => {
+    const res = await request(app).get('/api/search').query({ q: 'flat', near: DOWNTOWN, radius: 2, sort: 'distance' });
+    expect(res.body.results.map(r => [r.title, r.distance_km > 0])).toEqual([['Old Town flat', true]]);
+  });
+});
+
+describe('Map', () => {
+  test('pins are the rentals with coordinates, filtered like the feed', async () => {
+    const all = await request(app).get('/api/map/rentals');
+    expect(all.status).toBe(200);
+    expect(all.body.truncated).toBe(false);
+    expect(all.body.rentals.map(r => r.title)).toEqual(['Hillside cabin', 'Old Town flat', 'Loft downtown']);
+    expect(all.body.rentals[0]).toEqual({ id: expect.any(Number), title: 'Hillside cabin', price: null, location: 'Hillcrest', latitude: 45.55, longitude: -122.75, thumbnail: null });
+
+    const near = await request(app).get('/api/map/rentals').query({ near: DOWNTOWN, radius: 1 });
+    expect(near.body.rentals.map(r => r.title)).toEqual(['Old Town flat', 'Loft downtown']);
+  });
+
+  test('tiles are off unless a local tile directory is configured', async () => {
+    expect((await request(app).get('/api/map/config')).body).toEqual({ tiles: null });
+  });
+});
@@ -0,0 +1,134 @@
+// tests/images.test.js
+// Tests for the upload image pipeline: magic-byte validation, metadata stripping and resized variants.
+//
+// Test images are generated with sharp, so every run uses real, decodable files.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+const sharp = require('sharp');
+const { detectImageType } = require('../images');
+
+const uploadsDir = path.join(__dirname, '..', 'public', 'uploads');
+
+let app;
+let db;
+let owner;
+let photoJpeg;
+
+function uploadedFile(url) {
+  return path.join(uploadsDir, path.basename(url));
+}
+
+function uploadsNamed(fragment) {
+  return fs.readdirSync(uploadsDir).filter(f => f.includes(fragment));
+}
+
+beforeAll(async () => {
+  // a "camera" photo: larger than the card variant, with a copyright tag and GPS position
+  photoJpeg = await sharp({ create: { width: 2000, height: 1500, channels: 3, background: '#88aa44' } })
+    .jpeg()
+    .withExif({ IFD0: { Copyright: 'Someone' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '52/1 22/1 0/1' } })
+    .toBuffer();
+  app = require('../app');
+  db = require('../db');
+  owner = request.agent(app);
+  await owner.post('/api/register').send({ email: 'photographer@example.com', password: 'password123', name: 'Photographer' });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', ['photographer@example.com']);
+  await owner.post('/api/login').send({ email: 'photographer@example.com', password: 'password123' });
+});
+
+describe('detectImageType', () => {
+  test('recognises JPEG, PNG and WebP by their magic bytes', async () => {
+    const blank = sharp({ create: { width: 2, height: 2, channels: 3, background: '#000' } });
+    expect(detectImageType(photoJpeg)).toBe('jpeg');
+    expect(detectImageType(await blank.clone().png().toBuffer())).toBe('png');
+    expect(detectImageType(await blank.clone().webp().toBuffer())).toBe('webp');
+    expect(detectImageType(await blank.clone().gif().toBuffer())).toBeNull();
+    expect(detectImageType(Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"/>'))).toBeNull();
+  });
+});
+
+describe('Uploads', () => {
+  let rental;
+
+  test('creates thumb, card and full variants without EXIF/GPS metadata', async () => {
+    expect((await sharp(photoJpeg).metadata()).exif).toBeDefined();
+    const res = await owner.post('/api/rentals').field('title', 'Sunny loft').attach('images', photoJpeg, 'IMG_0001.jpg');
+    expect(res.status).toBe(201);
+    rental = res.body.rental;
+
+    const [photo] = rental.photos;
+    expect(rental.images).toEqual([photo.full]);
+    expect(photo).toMatchObject({ width: 1600, height: 1200 });
+    expect(photo.srcset).toMatch(/-thumb\.webp 320w, .*-card\.webp 800w, .*-full\.webp 1600w$/);
+
+    for (const url of [photo.thumb, photo.src, photo.full]) {
+      const meta = await sharp(uploadedFile(url)).metadata();
+      expect(meta.format).toBe('webp');
+      expect(meta.exif).toBeUndefined();
+    }
+  });
+
+  test('the feed returns the same photos', async () => {
+    const feed = await request(app).get('/api/feed');
+    expect(feed.body.feed.find(r => r.id === rental.id).photos).toEqual(rental.photos);
+  });
+
+  test('small images are not enlarged', async () => {
+    const tiny = await sharp({ create: { width: 200, height: 100, channels: 4, background: '#fff0' } }).png().toBuffer();
+    const res = await owner.patch(`/api/rentals/${rental.id}`).attach('images', tiny, 'tiny.png');
+    expect(res.status).toBe(200);
+    const photo = res.body.rental.photos[1];
+    expect(photo).toMatchObject({ width: 200, height: 100 });
+    expect(photo.srcset).toMatch(/^\S+-thumb\.webp 200w$/);
+  });
+
+  test('rejects files that are not JPEG, PNG or WebP whatever their name says', async () => {
+    const res = await owner.post('/api/rentals')
+      .field('title', 'Sneaky')
+      .attach('images', Buffer.from('<script>alert(1)</script>'), { filename: 'sneaky.png', contentType: 'image/png' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0].field).toBe('images');
+    expect(uploadsNamed('sneaky')).toHaveLength(0);
+  });
+
+  test('rejects truncated images and keeps nothing from the request', async () => {
+    const res = await owner.post('/api/rentals')
+      .field('title', 'Broken')
+      .attach('images', photoJpeg, 'good.jpg')
+      .attach('images', photoJpeg.subarray(0, 200), 'broken.jpg');
+    expect(res.status).toBe(400);
+    // the first file was fine, but its variants are removed along with the rejected request
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(uploadsNamed('-good-')).toHaveLength(0);
+  });
+
+  test('files over 5 MB are a validation error', async () => {
+    const res = await owner.post('/api/rentals')
+      .field('title', 'Huge')
+      .attach('images', Buffer.alloc(5 * 1024 * 1024 + 1), { filename: 'huge.jpg', contentType: 'image/jpeg' });
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ message: 'Validation failed', errors: [{ field: 'images', message: 'images files must be at most 5 MB' }] });
+  });
+
+  test('more than 6 images are a validation error', async () => {
+    const tiny = await sharp({ create: { width: 2, height: 2, channels: 3, background: '#fff' } }).png().toBuffer();
+    const req = owner.post('/api/rentals').field('title', 'Too many');
+    for (let i = 0; i < 7; i++) req.attach('images', tiny, `many-${i}.png`);
+    const res = await req;
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'images', message: 'a rental can have at most 6 images' }]);
+    expect(uploadsNamed('many-')).toHaveLength(0);
+  });
+
+  test('deleting the rental removes every variant', async () => {
+    const files = rental.photos.flatMap(p => [p.thumb, p.src, p.full]);
+    expect((await owner.delete(`/api/rentals/${rental.id}`)).status).toBe(200);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    files.forEach(url => expect(fs.existsSync(uploadedFile(url))).toBe(false));
+  });
+});
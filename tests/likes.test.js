@@ -0,0 +1,95 @@
+// tests/likes.test.js
+// Integration tests for likes and the viewer's own state on feed items and rental details
+// (likedByMe, commentedByMe, isOwner), which needs optional authentication on public routes.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+// one server for the whole file, closed in afterAll, rather than one per request(server)
+let server;
+let owner;
+let fan;
+let rentalId;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(server);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+async function feedItem(agent) {
+  const res = await agent.get('/api/feed');
+  expect(res.status).toBe(200);
+  return res.body.feed.find(r => r.id === rentalId);
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  server = app.listen(0);
+  owner = await loginAgent('owner@example.com', 'Owner');
+  fan = await loginAgent('fan@example.com', 'Fan');
+  await owner.post('/api/rentals').field('title', 'Other flat');
+  rentalId = (await owner.post('/api/rentals').field('title', 'Popular flat')).body.rental.id;
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('Like endpoints', () => {
+  test('the toggle returns the like count after the change', async () => {
+    expect((await fan.post(`/api/rentals/${rentalId}/like`)).body).toEqual({ liked: true, likes: 1 });
+    expect((await owner.post(`/api/rentals/${rentalId}/like`)).body).toEqual({ liked: true, likes: 2 });
+    expect((await fan.post(`/api/rentals/${rentalId}/like`)).body).toEqual({ liked: false, likes: 1 });
+  });
+
+  test('PUT and DELETE are idempotent', async () => {
+    expect((await fan.put(`/api/rentals/${rentalId}/like`)).body).toEqual({ liked: true, likes: 2 });
+    expect((await fan.put(`/api/rentals/${rentalId}/like`)).body).toEqual({ liked: true, likes: 2 });
+    expect((await fan.delete(`/api/rentals/${rentalId}/like`)).body).toEqual({ liked: false, likes: 1 });
+    expect((await fan.delete(`/api/rentals/${rentalId}/like`)).body).toEqual({ liked: false, likes: 1 });
+  });
+
+  test('liking needs a session and an existing rental', async () => {
+    expect((await request(server).put(`/api/rentals/${rentalId}/like`)).status).toBe(401);
+    expect((await fan.put('/api/rentals/9999/like')).status).toBe(404);
+  });
+});
+
+describe('Viewer state', () => {
+  beforeAll(async () => {
+    await fan.put(`/api/rentals/${rentalId}/like`);
+    await fan.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Still available?' });
+  });
+
+  test('anonymous viewers get the public feed with everything false', async () => {
+    const item = await feedItem(request(server));
+    expect(item).toMatchObject({ likes: 2, likedByMe: false, commentedByMe: false, isOwner: false });
+  });
+
+  test('signed-in viewers see what they liked, commented on and own', async () => {
+    expect(await feedItem(fan)).toMatchObject({ likedByMe: true, commentedByMe: true, isOwner: false });
+    expect(await feedItem(owner)).toMatchObject({ likedByMe: true, commentedByMe: false, isOwner: true });
+
+    const other = (await fan.get('/api/feed')).body.feed.find(r => r.id !== rentalId);
+    expect(other).toMatchObject({ likedByMe: false, commentedByMe: false, isOwner: false });
+  });
+
+  test('the rental detail carries the same fields', async () => {
+    const res = await fan.get(`/api/rentals/${rentalId}`);
+    expect(res.body.rental).toMatchObject({ likes: 2, likedByMe: true, commentedByMe: true, isOwner: false });
+  });
+
+  test('an invalid token is treated as anonymous on public routes', async () => {
+    const res = await request(server).get('/api/feed').set('Authorization', 'Bearer not-a-token');
+    expect(res.status).toBe(200);
+    expect(res.body.feed.find(r => r.id === rentalId).likedByMe).toBe(false);
+  });
+});
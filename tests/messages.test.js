@@ -0,0 +1,112 @@
+// tests/messages.test.js
+// Integration tests for private conversations between renters and listing owners: inquiries, the
+// inbox with unread counts, participant-only access and polling for new messages.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let owner;
+let renter;
+let stranger;
+let rentalId;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  owner = await loginAgent('owner@example.com', 'Owner');
+  renter = await loginAgent('renter@example.com', 'Renter');
+  stranger = await loginAgent('stranger@example.com', 'Stranger');
+  rentalId = (await owner.post('/api/rentals').field('title', 'Harbour flat')).body.rental.id;
+});
+
+describe('Inquiries', () => {
+  let conversationId;
+
+  test('a renter starts a private conversation about a rental', async () => {
+    const res = await renter.post(`/api/rentals/${rentalId}/inquiries`).send({ text: 'Is it still available in May?' });
+    expect(res.status).toBe(201);
+    conversationId = res.body.conversation.id;
+    expect(res.body.conversation).toMatchObject({
+      rental: { id: rentalId, title: 'Harbour flat' },
+      role: 'renter',
+      with: { name: 'Owner' },
+      unread: 0,
+      last_message: { text: 'Is it still available in May?' }
+    });
+  });
+
+  test('a second inquiry about the same rental continues the conversation', async () => {
+    const res = await renter.post(`/api/rentals/${rentalId}/inquiries`).send({ text: 'And are pets allowed?' });
+    expect(res.status).toBe(200);
+    expect(res.body.conversation.id).toBe(conversationId);
+  });
+
+  test('owners cannot inquire about their own listing, and text is required', async () => {
+    expect((await owner.post(`/api/rentals/${rentalId}/inquiries`).send({ text: 'Hello me' })).status).toBe(400);
+    expect((await renter.post(`/api/rentals/${rentalId}/inquiries`).send({ text: ' ' })).status).toBe(400);
+    expect((await renter.post('/api/rentals/9999/inquiries').send({ text: 'Hi' })).status).toBe(404);
+  });
+
+  test('the owner sees it in their inbox as unread', async () => {
+    const unread = await owner.get('/api/conversations/unread');
+    expect(unread.body).toEqual({ unread: 2, conversations: 1 });
+
+    const inbox = await owner.get('/api/conversations');
+    expect(inbox.body.total).toBe(1);
+    expect(inbox.body.conversations[0]).toMatchObject({ id: conversationId, role: 'owner', with: { name: 'Renter' }, unread: 2 });
+  });
+
+  test('only the two participants can read or reply', async () => {
+    expect((await stranger.get(`/api/conversations/${conversationId}`)).status).toBe(403);
+    expect((await stranger.post(`/api/conversations/${conversationId}/messages`).send({ text: 'Hi!' })).status).toBe(403);
+    expect((await stranger.get('/api/conversations')).body.conversations).toEqual([]);
+    expect((await request(app).get('/api/conversations')).status).toBe(401);
+    expect((await owner.get('/api/conversations/9999')).status).toBe(404);
+  });
+
+  test('replying, polling for new messages and marking them read', async () => {
+    const thread = await owner.get(`/api/conversations/${conversationId}`);
+    const lastSeen = thread.body.messages[thread.body.messages.length - 1].id;
+    expect(thread.body.messages.map(m => m.text)).toEqual(['Is it still available in May?', 'And are pets allowed?']);
+
+    await owner.post(`/api/conversations/${conversationId}/read`);
+    expect((await owner.get('/api/conversations/unread')).body.unread).toBe(0);
+
+    const reply = await owner.post(`/api/conversations/${conversationId}/messages`).send({ text: 'Yes to both!' });
+    expect(reply.status).toBe(201);
+
+    // the renter polls with the last id they have
+    const poll = await renter.get(`/api/conversations/${conversationId}`).query({ after: lastSeen });
+    expect(poll.body.messages.map(m => m.text)).toEqual(['Yes to both!']);
+    expect(poll.body.conversation.unread).toBe(1);
+    expect((await renter.get(`/api/conversations/${conversationId}`).query({ after: reply.body.message.id })).body.messages).toEqual([]);
+  });
+
+  test('older messages page backwards with prevCursor', async () => {
+    const page = await renter.get(`/api/conversations/${conversationId}`).query({ limit: 2 });
+    expect(page.body.messages.map(m => m.text)).toEqual(['And are pets allowed?', 'Yes to both!']);
+    const older = await renter.get(`/api/conversations/${conversationId}`).query({ limit: 2, before: page.body.prevCursor });
+    expect(older.body.messages.map(m => m.text)).toEqual(['Is it still available in May?']);
+    expect(older.body.prevCursor).toBeNull();
+  });
+
+  test('the conversation outlives the rental', async () => {
+    await owner.delete(`/api/rentals/${rentalId}`);
+    const res = await renter.get(`/api/conversations/${conversationId}`);
+    expect(res.status).toBe(200);
+    expect(res.body.conversation.rental).toBeNull();
+    expect(res.body.messages).toHaveLength(3);
+  });
+});
@@ -0,0 +1,129 @@
+// tests/migrations.test.js
+// Tests for the versioned migration runner (migrations/runner.js).
+//
+// Each test opens its own in-memory better-sqlite3 database and drives the runner directly,
+// so nothing here depends on the app or on db.js having migrated already.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { loadMigrations, migrateUp, migrateDown, status } = require('../migrations/runner');
+
+function tableNames(db) {
+  return db.prepare("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name NOT LIKE 'rentals_fts_%'").all().map(r => r.name).sort();
+}
+
+describe('migration runner', () => {
+  let db;
+  beforeEach(() => { db = new Database(':memory:'); });
+  afterEach(() => db.close());
+
+  test('up applies every migration once and records it', () => {
+    const applied = migrateUp(db);
+    expect(applied.map(m => m.version)).toEqual(loadMigrations().map(m => m.version));
+    expect(tableNames(db)).toEqual(expect.arrayContaining(['users', 'todos', 'rentals', 'comments', 'likes', 'rentals_fts', 'schema_migrations']));
+
+    // second run has nothing to do
+    expect(migrateUp(db)).toEqual([]);
+    expect(status(db).every(m => m.applied)).toBe(true);
+  });
+
+  test('down reverts the latest migrations in reverse order', () => {
+    migrateUp(db);
+    const latest = loadMigrations().slice(-2).reverse().map(m => m.version);
+    expect(migrateDown(db, { steps: 2 }).map(m => m.version)).toEqual(latest);
+    expect(status(db).filter(m => !m.applied).map(m => m.version).sort()).toEqual([...latest].sort());
+
+    // and everything can be re-applied
+    expect(migrateUp(db).map(m => m.version)).toEqual([...latest].reverse());
+  });
+
+  test('down all the way leaves only the bookkeeping table', () => {
+    migrateUp(db);
+    migrateDown(db, { steps: Infinity });
+    expect(tableNames(db)).toEqual(['schema_migrations']);
+  });
+
+  test('adopts a pre-runner database that already has users/todos', () => {
+    // what db.js used to create at require time
+    db.exec(`
+      CREATE TABLE users (id INTEGER PRIMARY KEY AUTOINCREMENT, email TEXT NOT NULL UNIQUE, password_hash TEXT NOT NULL, name TEXT, created_at TEXT DEFAULT CURRENT_TIMESTAMP);
+      CREATE TABLE todos (id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INTEGER NOT NULL, text TEXT NOT NULL, done INTEGER DEFAULT 0, created_at TEXT DEFAULT CURRENT_TIMESTAMP);
+      INSERT INTO users (email, password_hash) VALUES ('old@example.com', 'x');
+    `);
+    migrateUp(db);
+    expect(db.prepare('SELECT email FROM users').all()).toEqual([{ email: 'old@example.com' }]);
+  });
+
+  test('FTS migration backfills rentals that already exist', () => {
+    migrateUp(db, { to: 3 });
+    db.exec(`
+      INSERT INTO users (email, password_hash) VALUES ('owner@example.com', 'x');
+      INSERT INTO rentals (owner_id, title) VALUES (1, 'Riverside cottage');
+    `);
+    migrateUp(db);
+    const hits = db.prepare("SELECT rowid FROM rentals_fts WHERE rentals_fts MATCH 'cottage'").all();
+    expect(hits).toEqual([{ rowid: 1 }]);
+  });
+
+  test('image storage migration turns /uploads URLs into storage keys and back', () => {
+    migrateUp(db, { to: 9 });
+    const processed = {
+      url: '/uploads/1-a-full.webp', width: 1600, height: 1200,
+      variants: { thumb: { url: '/uploads/1-a-thumb.webp', width: 320, height: 240 }, full: { url: '/uploads/1-a-full.webp', width: 1600, height: 1200 } }
+    };
+    const before = JSON.stringify(['/uploads/old.jpg', processed, 'https://picsum.photos/seed/x/1200/900']);
+    db.prepare("INSERT INTO users (email, password_hash) VALUES ('owner@example.com', 'x')").run();
+    db.prepare('INSERT INTO rentals (owner_id, title, images) VALUES (1, ?, ?)').run('Loft', before);
+
+    migrateUp(db, { to: 10 });
+    const [legacy, keyed, external] = JSON.parse(db.prepare('SELECT images FROM rentals').get().images);
+    expect(legacy).toEqual({ key: 'old.jpg' });
+    expect(keyed).toEqual({
+      key: '1-a-full.webp', width: 1600, height: 1200,
+      variants: { thumb: { key: '1-a-thumb.webp', width: 320, height: 240 }, full: { key: '1-a-full.webp', width: 1600, height: 1200 } }
+    });
+    expect(external).toBe('https://picsum.photos/seed/x/1200/900');
+
+    migrateDown(db);
+    expect(JSON.parse(db.prepare('SELECT images FROM rentals').get().images)).toEqual(JSON.parse(before));
+  });
+
+  test('coordinates migration geocodes existing rentals from its own seeded places', () => {
+    migrateUp(db, { to: 17 });
+    db.prepare("INSERT INTO users (email, password_hash) VALUES ('owner@example.com', 'x')").run();
+    const insert = db.prepare('INSERT INTO rentals (owner_id, title, location) VALUES (1, ?, ?)');
+    ['Old-Town Harbour view', 'Café in UPTOWN', 'Somewhere else'].forEach(location => insert.run('Flat', location));
+
+    migrateUp(db, { to: 18 });
+    expect(db.prepare('SELECT location, latitude, longitude FROM rentals ORDER BY id').all()).toEqual([
+      { location: 'Old-Town Harbour view', latitude: 45.5240, longitude: -122.6730 },
+      { location: 'Café in UPTOWN', latitude: 45.5410, longitude: -122.6900 },
+      { location: 'Somewhere else', latitude: null, longitude: null }
+    ]);
+    expect(db.prepare("SELECT key FROM places WHERE name = 'University Park'").get()).toEqual({ key: 'university park' });
+  });
+
+  test('feed lookups by rental, thread and owner are served by indexes', () => {
+    migrateUp(db);
+    const plan = sql => db.prepare(`EXPLAIN QUERY PLAN ${sql}`).all().map(r => r.detail).join('; ');
+    expect(plan('SELECT rental_id, COUNT(*) FROM likes WHERE rental_id IN (1, 2) GROUP BY rental_id')).toMatch(/SEARCH likes USING COVERING INDEX/);
+    expect(plan('SELECT rental_id, COUNT(*) FROM comments WHERE rental_id IN (1, 2) GROUP BY rental_id')).toMatch(/SEARCH comments USING (COVERING )?INDEX idx_comments_thread/);
+    expect(plan('SELECT id FROM comments WHERE parent_id IN (1, 2)')).toMatch(/SEARCH comments USING COVERING INDEX idx_comments_parent/);
+    expect(plan('SELECT id FROM rentals WHERE owner_id = 1 ORDER BY id DESC')).toMatch(/SEARCH rentals USING COVERING INDEX idx_rentals_owner/);
+  });
+
+  test('a failing migration is rolled back and not recorded', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    fs.writeFileSync(path.join(dir, '001_ok.js'), "module.exports = { up(db) { db.exec('CREATE TABLE ok (id INTEGER)'); }, down(db) { db.exec('DROP TABLE ok'); } };");
+    fs.writeFileSync(path.join(dir, '002_broken.js'), "module.exports = { up(db) { db.exec('CREATE TABLE half_done (id INTEGER)'); throw new Error('boom'); }, down() {} };");
+    try {
+      expect(() => migrateUp(db, { dir })).toThrow('boom');
+      expect(tableNames(db)).toEqual(['ok', 'schema_migrations']);
+      expect(status(db, { dir }).map(m => m.applied)).toEqual([true, false]);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,141 @@
+// tests/notifications.test.js
+// Integration tests for owner notifications (comments, likes, inquiries), reading them, per-user
+// preferences and the email digest (written to a temp outbox).
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+const request = require('supertest');
+
+let app;
+let db;
+let owner;
+let renter;
+let rentalId;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+function outboxMessages() {
+  return fs.readdirSync(outboxDir).sort().map(f => fs.readFileSync(path.join(outboxDir, f), 'utf8'));
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  owner = await loginAgent('owner@example.com', 'Owner');
+  renter = await loginAgent('renter@example.com', 'Renter');
+  rentalId = (await owner.post('/api/rentals').field('title', 'Harbour flat')).body.rental.id;
+});
+
+describe('Notifications', () => {
+  test('comments, likes and inquiries on my listing notify me, newest first', async () => {
+    await renter.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Is it quiet?' });
+    await renter.put(`/api/rentals/${rentalId}/like`);
+    await renter.post(`/api/rentals/${rentalId}/inquiries`).send({ text: 'Can I visit on Friday?' });
+
+    const res = await owner.get('/api/notifications');
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ unread: 3, total: 3, hasMore: false });
+    expect(res.body.notifications.map(n => n.type)).toEqual(['inquiry', 'like', 'comment']);
+    expect(res.body.notifications[2]).toMatchObject({
+      read: false,
+      actor: { name: 'Renter' },
+      rental: { id: rentalId, title: 'Harbour flat' },
+      comment: { text: 'Is it quiet?' }
+    });
+    expect(res.body.notifications[0].conversation_id).toEqual(expect.any(Number));
+  });
+
+  test('my own activity and repeated likes do not notify', async () => {
+    await owner.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Yes, very.' });
+    await owner.put(`/api/rentals/${rentalId}/like`);
+    await renter.delete(`/api/rentals/${rentalId}/like`);
+    await renter.put(`/api/rentals/${rentalId}/like`);
+    // a follow-up in the same conversation is a message, not a new inquiry
+    await renter.post(`/api/rentals/${rentalId}/inquiries`).send({ text: 'Or Saturday?' });
+
+    const res = await owner.get('/api/notifications');
+    expect(res.body.notifications.map(n => n.type)).toEqual(['like', 'inquiry', 'comment']);
+    expect((await renter.get('/api/notifications')).body.total).toBe(0);
+  });
+
+  test('unread filtering and marking read, by id or all at once', async () => {
+    const all = (await owner.get('/api/notifications')).body.notifications;
+    const read = await owner.post('/api/notifications/read').send({ ids: [all[0].id] });
+    expect(read.body).toEqual({ unread: 2 });
+
+    const unread = await owner.get('/api/notifications').query({ unread: true });
+    expect(unread.body.notifications.map(n => n.id)).toEqual([all[1].id, all[2].id]);
+    expect(unread.body.total).toBe(2);
+
+    // someone else's ids are ignored
+    expect((await renter.post('/api/notifications/read').send({ ids: [all[1].id] })).body.unread).toBe(0);
+    expect((await owner.get('/api/notifications').query({ unread: true })).body.unread).toBe(2);
+
+    expect((await owner.post('/api/notifications/read')).body).toEqual({ unread: 0 });
+    expect((await owner.post('/api/notifications/read').send({ ids: ['x'] })).status).toBe(400);
+    expect((await request(app).get('/api/notifications')).status).toBe(401);
+  });
+
+  test('preferences turn notification types off', async () => {
+    expect((await owner.get('/api/notifications/preferences')).body.preferences)
+      .toEqual({ comments: true, likes: true, inquiries: true, email_digest: false });
+
+    const res = await owner.patch('/api/notifications/preferences').send({ likes: false });
+    expect(res.body.preferences).toEqual({ comments: true, likes: false, inquiries: true, email_digest: false });
+    expect((await owner.patch('/api/notifications/preferences').send({ likes: 'no' })).status).toBe(400);
+    expect((await owner.patch('/api/notifications/preferences').send({})).status).toBe(400);
+
+    await renter.delete(`/api/rentals/${rentalId}/like`);
+    await renter.put(`/api/rentals/${rentalId}/like`);
+    await renter.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Still available?' });
+    const unread = (await owner.get('/api/notifications').query({ unread: true })).body.notifications;
+    expect(unread.map(n => n.type)).toEqual(['comment']);
+  });
+
+  test('notifications go with a deleted rental', async () => {
+    const temp = (await owner.post('/api/rentals').field('title', 'Short-lived')).body.rental.id;
+    await renter.put(`/api/rentals/${temp}/like`);
+    await owner.delete(`/api/rentals/${temp}`);
+    expect(db.get('SELECT COUNT(*) as count FROM notifications WHERE rental_id = ?', [temp]).count).toBe(0);
+  });
+});
+
+describe('Email digest', () => {
+  const { sendDigests } = require('../digest');
+
+  test('emails unread notifications once, only to users who opted in', async () => {
+    await owner.post('/api/notifications/read');
+    await renter.post(`/api/rentals/${rentalId}/comments`).send({ text: 'What about parking?' });
+    expect(await sendDigests()).toBe(0);
+
+    await owner.patch('/api/notifications/preferences').send({ email_digest: true });
+    await renter.post(`/api/rentals/${rentalId}/inquiries`).send({ text: 'One more question' });
+    await renter.post(`/api/rentals/${rentalId}/comments`).send({ text: 'And the garden?' });
+    const before = outboxMessages().length;
+    expect(await sendDigests()).toBe(1);
+
+    const messages = outboxMessages();
+    expect(messages.length).toBe(before + 1);
+    const digest = messages[messages.length - 1];
+    expect(digest).toContain('To: owner@example.com');
+    expect(digest).toContain('2 new notifications on your listings');
+    expect(digest).toContain('Renter commented on "Harbour flat": What about parking?');
+    expect(digest).toContain('Renter commented on "Harbour flat": And the garden?');
+
+    // already emailed
+    expect(await sendDigests()).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+// tests/password-reset.test.js
+// Integration tests for the password reset flow and the outbox mail transport.
+//
+// MAIL_OUTBOX_DIR points at a temp directory so we can read the emailed link like a user would.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const outboxDir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_OUTBOX_DIR = outboxDir;
+
+const request = require('supertest');
+
+let app;
+let db;
+const user = { email: 'forgetful@example.com', password: 'password123', name: 'Forgetful' };
+
+function outboxMessages() {
+  return fs.readdirSync(outboxDir).sort().map(f => fs.readFileSync(path.join(outboxDir, f), 'utf8'));
+}
+
+function tokenFrom(message) {
+  return /reset-password\.html\?token=([\w-]+)/.exec(message)[1];
+}
+
+async function requestReset() {
+  const before = outboxMessages().length;
+  const res = await request(app).post('/api/password/forgot').send({ email: user.email });
+  expect(res.status).toBe(200);
+  const messages = outboxMessages();
+  expect(messages.length).toBe(before + 1);
+  return tokenFrom(messages[messages.length - 1]);
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  await request(app).post('/api/register').send(user);
+});
+
+afterAll(() => fs.rmSync(outboxDir, { recursive: true, force: true }));
+
+describe('Password reset', () => {
+  test('forgot password writes a reset email to the outbox', async () => {
+    await requestReset();
+    const message = outboxMessages().pop();
+    expect(message).toMatch(`To: ${user.email}`);
+    expect(message).toMatch('Subject: Reset your password');
+  });
+
+  test('unknown emails get the same response and no email', async () => {
+    const before = outboxMessages().length;
+    const res = await request(app).post('/api/password/forgot').send({ email: 'nobody@example.com' });
+    expect(res.status).toBe(200);
+    expect(res.body.message).toMatch(/If an account exists/);
+    expect(outboxMessages().length).toBe(before);
+  });
+
+  test('only the hash of the token is stored', async () => {
+    const token = await requestReset();
+    expect(db.get('SELECT COUNT(*) as count FROM password_resets WHERE token_hash = ?', [token]).count).toBe(0);
+  });
+
+  test('reset changes the password, is single-use and revokes sessions', async () => {
+    const agent = request.agent(app);
+    await agent.post('/api/login').send({ email: user.email, password: user.password });
+    expect((await agent.get('/api/me')).status).toBe(200);
+
+    const token = await requestReset();
+    const res = await request(app).post('/api/password/reset').send({ token, password: 'new-password-456' });
+    expect(res.status).toBe(200);
+
+    // existing session is gone, old password no longer works, new one does
+    expect((await agent.get('/api/me')).status).toBe(401);
+    expect((await request(app).post('/api/login').send({ email: user.email, password: user.password })).status).toBe(401);
+    expect((await request(app).post('/api/login').send({ email: user.email, password: 'new-password-456' })).status).toBe(200);
+    user.password = 'new-password-456';
+
+    const again = await request(app).post('/api/password/reset').send({ token, password: 'another-password' });
+    expect(again.status).toBe(400);
+  });
+
+  test('requesting a new link invalidates the previous one', async () => {
+    const first = await requestReset();
+    const second = await requestReset();
+    expect((await request(app).post('/api/password/reset').send({ token: first, password: 'password-789' })).status).toBe(400);
+    expect((await request(app).post('/api/password/reset').send({ token: second, password: 'password-789' })).status).toBe(200);
+  });
+
+  test('expired tokens are rejected', async () => {
+    const token = await requestReset();
+    db.run("UPDATE password_resets SET expires_at = '2000-01-01T00:00:00.000Z' WHERE used_at IS NULL");
+    const res = await request(app).post('/api/password/reset').send({ token, password: 'password-000' });
+    expect(res.status).toBe(400);
+  });
+
+  test('short passwords fail validation', async () => {
+    const res = await request(app).post('/api/password/reset').send({ token: 'whatever', password: 'short' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toBeDefined();
+  });
+});
@@ -0,0 +1,115 @@
+// tests/rate-limit.test.js
+// Tests for rate limiting and login lockout: the stores directly, then the limits wired into app.js.
+//
+// Limits are lowered through the same env variables an operator would use, set before the app loads.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_STORE = 'sqlite';
+process.env.RATE_LIMIT_AUTH_MAX = '10';
+process.env.RATE_LIMIT_LOGIN_ACCOUNT_MAX = '6';
+process.env.LOGIN_LOCKOUT_THRESHOLD = '3';
+process.env.LOGIN_LOCKOUT_BASE_SECONDS = '60';
+process.env.RATE_LIMIT_WRITE_MAX = '2';
+
+const request = require('supertest');
+const { MemoryStore, SqliteStore } = require('../rate-limit');
+
+let app;
+let db;
+
+beforeAll(() => {
+  app = require('../app');
+  db = require('../db');
+});
+
+describe.each([
+  ['MemoryStore', () => new MemoryStore()],
+  ['SqliteStore', () => new SqliteStore(db)]
+])('%s', (name, createStore) => {
+  test('counts hits per key and starts a new window after reset', () => {
+    const store = createStore();
+    const now = 1000000;
+    expect(store.increment(`${name}:a`, 1000, now)).toEqual({ count: 1, resetAt: now + 1000 });
+    expect(store.increment(`${name}:a`, 1000, now + 10).count).toBe(2);
+    expect(store.increment(`${name}:b`, 1000, now + 10).count).toBe(1);
+    expect(store.increment(`${name}:a`, 1000, now + 1000)).toEqual({ count: 1, resetAt: now + 2000 });
+  });
+
+  test('get ignores expired entries; delete removes them', () => {
+    const store = createStore();
+    store.set(`${name}:lock`, 1, Date.now() + 60000);
+    expect(store.get(`${name}:lock`).count).toBe(1);
+    store.set(`${name}:old`, 1, Date.now() - 1);
+    expect(store.get(`${name}:old`)).toBeNull();
+    store.delete(`${name}:lock`);
+    expect(store.get(`${name}:lock`)).toBeNull();
+  });
+});
+
+describe('login lockout', () => {
+  const user = { email: 'locked@example.com', password: 'password123' };
+
+  beforeAll(async () => {
+    await request(app).post('/api/register').send(user);
+  });
+
+  test('locks the account after repeated failures, then clears after the lock expires', async () => {
+    for (let i = 0; i < 3; i++) {
+      const res = await request(app).post('/api/login').send({ email: user.email, password: 'wrong-password' });
+      expect(res.status).toBe(401);
+    }
+    // even the right password is refused while locked
+    const locked = await request(app).post('/api/login').send(user);
+    expect(locked.status).toBe(429);
+    expect(Number(locked.headers['retry-after'])).toBeGreaterThan(0);
+    expect(Number(locked.headers['retry-after'])).toBeLessThanOrEqual(60);
+
+    // lock state is in the rate_limits table (RATE_LIMIT_STORE=sqlite), so expire it there
+    db.run("UPDATE rate_limits SET reset_at = 0 WHERE key LIKE 'login-lock:%'");
+    const ok = await request(app).post('/api/login').send(user);
+    expect(ok.status).toBe(200);
+  });
+
+  test('login attempts per account are capped with RateLimit headers', async () => {
+    // 5 attempts on this account so far (3 failed, 1 locked out, 1 ok): this is the 6th and last allowed
+    const res = await request(app).post('/api/login').send(user);
+    expect(res.status).toBe(200);
+    expect(res.headers['ratelimit-limit']).toBe('6');
+    expect(res.headers['ratelimit-remaining']).toBe('0');
+
+    const over = await request(app).post('/api/login').send(user);
+    expect(over.status).toBe(429);
+    // rejected by the per-account bucket, not the per-IP one (limit 10)
+    expect(over.headers['ratelimit-limit']).toBe('6');
+  });
+
+  test('auth endpoints are capped per IP', async () => {
+    // 8 auth requests from this IP so far; the 9th and 10th are the last ones allowed
+    for (const email of ['late@example.com', 'later@example.com']) {
+      const ok = await request(app).post('/api/register').send({ email, password: 'password123' });
+      expect(ok.status).toBe(201);
+    }
+    const res = await request(app).post('/api/register').send({ email: 'latest@example.com', password: 'password123' });
+    expect(res.status).toBe(429);
+    expect(res.headers['ratelimit-limit']).toBe('10');
+    expect(res.headers['retry-after']).toBeDefined();
+  });
+});
+
+describe('write endpoints', () => {
+  test('are limited per user', async () => {
+    const userId = db.run('INSERT INTO users (email, password_hash, name, email_verified_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)', ['writer@example.com', 'x', 'Writer']).lastInsertRowid;
+    const sessionId = 'write-test-session';
+    db.run('INSERT INTO sessions (id, user_id) VALUES (?, ?)', [sessionId, userId]);
+    const token = require('jsonwebtoken').sign({ sub: userId, email: 'writer@example.com', sid: sessionId }, 'test-secret');
+    const rentalId = db.run('INSERT INTO rentals (owner_id, title, images) VALUES (?, ?, ?)', [userId, 'Spam target', '[]']).lastInsertRowid;
+
+    const comment = () => request(app).post(`/api/rentals/${rentalId}/comments`).set('Authorization', `Bearer ${token}`).send({ text: 'hi' });
+    expect((await comment()).status).toBe(201);
+    expect((await comment()).status).toBe(201);
+    const over = await comment();
+    expect(over.status).toBe(429);
+    expect(over.headers['ratelimit-remaining']).toBe('0');
+  });
+});
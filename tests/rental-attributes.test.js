@@ -0,0 +1,113 @@
+// tests/rental-attributes.test.js
+// Integration tests for typed rental attributes (bedrooms, bathrooms, size, furnished, pets, utilities,
+// lease length, amenities): validation, JSON and multipart input, responses and feed filters.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let owner;
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  owner = request.agent(app);
+  await owner.post('/api/register').send({ email: 'owner@example.com', password: 'password123', name: 'Owner' });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', ['owner@example.com']);
+  await owner.post('/api/login').send({ email: 'owner@example.com', password: 'password123' });
+});
+
+describe('Rental attributes', () => {
+  let flatId;
+
+  test('are accepted on create and returned typed', async () => {
+    const res = await owner.post('/api/rentals').send({
+      title: 'Pet-friendly 2BR',
+      price: 1200,
+      bedrooms: 2,
+      bathrooms: 1.5,
+      square_feet: 850,
+      furnished: false,
+      pets_allowed: true,
+      utilities_included: true,
+      lease_months: 12,
+      amenities: ['laundry', 'parking']
+    });
+    expect(res.status).toBe(201);
+    flatId = res.body.rental.id;
+    expect(res.body.rental).toMatchObject({
+      bedrooms: 2,
+      bathrooms: 1.5,
+      square_feet: 850,
+      furnished: false,
+      pets_allowed: true,
+      utilities_included: true,
+      lease_months: 12,
+      amenities: ['parking', 'laundry']
+    });
+  });
+
+  test('multipart forms send them as strings', async () => {
+    const res = await owner.post('/api/rentals')
+      .field('title', 'Cozy studio')
+      .field('bedrooms', '0')
+      .field('furnished', 'true')
+      .field('lease_months', '6')
+      .field('amenities', 'wifi,laundry');
+    expect(res.status).toBe(201);
+    expect(res.body.rental).toMatchObject({ bedrooms: 0, furnished: true, pets_allowed: null, lease_months: 6, amenities: ['laundry', 'wifi'] });
+  });
+
+  test('are validated', async () => {
+    const bad = async (fields) => (await owner.post('/api/rentals').send({ title: 'Bad', ...fields })).body.errors.map(e => e.field);
+    expect(await bad({ bedrooms: -1 })).toEqual(['bedrooms']);
+    expect(await bad({ bathrooms: 1.25 })).toEqual(['bathrooms']);
+    expect(await bad({ square_feet: 'big' })).toEqual(['square_feet']);
+    expect(await bad({ pets_allowed: 'sometimes' })).toEqual(['pets_allowed']);
+    expect(await bad({ lease_months: 0 })).toEqual(['lease_months']);
+    expect(await bad({ amenities: ['parking', 'helipad'] })).toEqual(['amenities']);
+  });
+
+  test('show up in the feed and the detail, and are not stated when missing', async () => {
+    await owner.post('/api/rentals').send({ title: 'Plain room' });
+    const feed = (await request(app).get('/api/feed')).body.feed;
+    expect(feed.find(r => r.title === 'Plain room')).toMatchObject({ bedrooms: null, pets_allowed: null, amenities: [] });
+    expect(feed.find(r => r.title === 'Pet-friendly 2BR')).toMatchObject({ bedrooms: 2, pets_allowed: true, amenities: ['parking', 'laundry'] });
+
+    const detail = await request(app).get(`/api/rentals/${flatId}`);
+    expect(detail.body.rental).toMatchObject({ bathrooms: 1.5, utilities_included: true, amenities: ['parking', 'laundry'] });
+  });
+
+  test('can be changed and cleared with PATCH', async () => {
+    const res = await owner.patch(`/api/rentals/${flatId}`).send({ furnished: true, lease_months: null, amenities: ['balcony'] });
+    expect(res.status).toBe(200);
+    expect(res.body.rental).toMatchObject({ furnished: true, lease_months: null, bedrooms: 2, amenities: ['balcony'] });
+    expect((await owner.patch(`/api/rentals/${flatId}`).send({ amenities: [] })).body.rental.amenities).toEqual([]);
+    await owner.patch(`/api/rentals/${flatId}`).send({ amenities: ['parking', 'laundry'], lease_months: 12, furnished: false });
+  });
+});
+
+describe('Attribute filters', () => {
+  const titles = async (query) => (await request(app).get('/api/feed').query(query)).body.feed.map(r => r.title);
+
+  test('narrow the feed by size, flags, lease and amenities', async () => {
+    expect(await titles({ minBedrooms: 1 })).toEqual(['Pet-friendly 2BR']);
+    expect(await titles({ minBedrooms: 0 })).toEqual(['Cozy studio', 'Pet-friendly 2BR']);
+    expect(await titles({ petsAllowed: true })).toEqual(['Pet-friendly 2BR']);
+    expect(await titles({ furnished: false })).toEqual(['Pet-friendly 2BR']);
+    expect(await titles({ utilitiesIncluded: true, minSquareFeet: 800 })).toEqual(['Pet-friendly 2BR']);
+    expect(await titles({ maxLeaseMonths: 6 })).toEqual(['Cozy studio']);
+    expect(await titles({ amenities: 'laundry' })).toEqual(['Cozy studio', 'Pet-friendly 2BR']);
+    expect(await titles({ amenities: 'laundry,parking' })).toEqual(['Pet-friendly 2BR']);
+    expect(await titles({ amenities: 'laundry', minBathrooms: 1 })).toEqual(['Pet-friendly 2BR']);
+  });
+
+  test('reject unknown values', async () => {
+    expect((await request(app).get('/api/feed').query({ amenities: 'helipad' })).status).toBe(400);
+    expect((await request(app).get('/api/feed').query({ petsAllowed: 'maybe' })).status).toBe(400);
+    expect((await request(app).get('/api/search').query({ q: 'studio', furnished: true })).body.results.map(r => r.title)).toEqual(['Cozy studio']);
+  });
+});
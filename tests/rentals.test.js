@@ -0,0 +1,120 @@
+// tests/rentals.test.js
+// Integration tests for editing and deleting rental listings (PATCH/DELETE /api/rentals/:id).
+//
+// Uses two supertest agents (owner and another user) so cookie sessions stay separate.
+// Image uploads really land in public/uploads; the tests check they are cleaned up again.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const fs = require('fs');
+const path = require('path');
+const request = require('supertest');
+
+const uploadsDir = path.join(__dirname, '..', 'public', 'uploads');
+const sharp = require('sharp');
+
+let app;
+let db;
+let PNG;
+let owner;
+let other;
+
+function uploadedFile(url) {
+  return path.join(uploadsDir, path.basename(url));
+}
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+beforeAll(async () => {
+  PNG = await sharp({ create: { width: 4, height: 3, channels: 3, background: '#336699' } }).png().toBuffer();
+  app = require('../app');
+  db = require('../db');
+  owner = await loginAgent('owner@example.com', 'Owner');
+  other = await loginAgent('other@example.com', 'Other');
+});
+
+describe('Rental edit & delete', () => {
+  let rental;
+
+  test('owner creates a rental with two images', async () => {
+    const res = await owner.post('/api/rentals')
+      .field('title', 'Cozy studio')
+      .field('price', '900')
+      .attach('images', PNG, 'one.png')
+      .attach('images', PNG, 'two.png');
+    expect(res.status).toBe(201);
+    rental = res.body.rental;
+    expect(rental.images).toHaveLength(2);
+    rental.images.forEach(url => expect(fs.existsSync(uploadedFile(url))).toBe(true));
+  });
+
+  test('owner updates fields and updated_at is bumped', async () => {
+    db.run("UPDATE rentals SET updated_at = '2000-01-01 00:00:00' WHERE id = ?", [rental.id]);
+    const res = await owner.patch(`/api/rentals/${rental.id}`).send({ title: 'Cozy studio, renovated', price: 950 });
+    expect(res.status).toBe(200);
+    expect(res.body.rental.title).toBe('Cozy studio, renovated');
+    expect(res.body.rental.price).toBe(950);
+    expect(res.body.rental.updated_at).not.toBe('2000-01-01 00:00:00');
+  });
+
+  test('another user cannot modify or delete the rental', async () => {
+    const patch = await other.patch(`/api/rentals/${rental.id}`).send({ title: 'Mine now' });
+    expect(patch.status).toBe(403);
+    const del = await other.delete(`/api/rentals/${rental.id}`);
+    expect(del.status).toBe(403);
+  });
+
+  test('keepImages reorders, drops removed files and appends uploads', async () => {
+    const [first, second] = rental.images;
+    const res = await owner.patch(`/api/rentals/${rental.id}`)
+      .field('keepImages', JSON.stringify([second]))
+      .attach('images', PNG, 'three.png');
+    expect(res.status).toBe(200);
+    const images = res.body.rental.images;
+    expect(images).toHaveLength(2);
+    expect(images[0]).toBe(second);
+    expect(images[1]).toMatch(/three-full\.webp$/);
+
+    // removal happens asynchronously after the response
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(fs.existsSync(uploadedFile(first))).toBe(false);
+    rental = res.body.rental;
+  });
+
+  test('keepImages cannot reference images from elsewhere', async () => {
+    const res = await owner.patch(`/api/rentals/${rental.id}`).send({ keepImages: ['/uploads/someone-else.png'] });
+    expect(res.status).toBe(400);
+  });
+
+  test('uploading more images than a rental can hold is a validation error', async () => {
+    const req = owner.patch(`/api/rentals/${rental.id}`);
+    for (let i = 0; i < 7; i++) req.attach('images', PNG, `extra-${i}.png`);
+    const res = await req;
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'images', message: 'a rental can have at most 6 images' }]);
+    expect((await request(app).get(`/api/rentals/${rental.id}`)).body.rental.images).toEqual(rental.images);
+  });
+
+  test('owner deletes the rental along with comments, likes and files', async () => {
+    await other.post(`/api/rentals/${rental.id}/comments`).send({ text: 'Nice!' });
+    await other.post(`/api/rentals/${rental.id}/like`);
+
+    const res = await owner.delete(`/api/rentals/${rental.id}`);
+    expect(res.status).toBe(200);
+    expect(db.get('SELECT COUNT(*) as count FROM comments WHERE rental_id = ?', [rental.id]).count).toBe(0);
+    expect(db.get('SELECT COUNT(*) as count FROM likes WHERE rental_id = ?', [rental.id]).count).toBe(0);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    rental.images.forEach(url => expect(fs.existsSync(uploadedFile(url))).toBe(false));
+
+    const detail = await other.get(`/api/rentals/${rental.id}`);
+    expect(detail.status).toBe(404);
+  });
+});
@@ -0,0 +1,156 @@
+// tests/reports.test.js
+// Integration tests for reporting rentals / comments, auto-hiding and the moderator reports queue.
+//
+// REPORT_HIDE_THRESHOLD is lowered to 2 so two reporters are enough to hide something.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.REPORT_HIDE_THRESHOLD = '2';
+
+const request = require('supertest');
+
+let app;
+let db;
+let owner;
+let alice;
+let bob;
+let moderator;
+
+async function loginAgent(email, role) {
+  await request(app).post('/api/register').send({ email, password: 'password123', name: email.split('@')[0] });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  if (role) db.run('UPDATE users SET role = ? WHERE email = ?', [role, email]);
+  const agent = request.agent(app);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  return agent;
+}
+
+async function createRental(title) {
+  return (await owner.post('/api/rentals').field('title', title)).body.rental.id;
+}
+
+async function openQueue() {
+  return (await moderator.get('/api/admin/reports')).body.reports;
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  owner = await loginAgent('owner@example.com');
+  alice = await loginAgent('alice@example.com');
+  bob = await loginAgent('bob@example.com');
+  moderator = await loginAgent('mod@example.com', 'moderator');
+});
+
+describe('Reporting', () => {
+  test('validates the reason code', async () => {
+    const rentalId = await createRental('Validation target');
+    const res = await alice.post(`/api/rentals/${rentalId}/report`).send({ reason: 'ugly' });
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toBeDefined();
+    expect((await request(app).post(`/api/rentals/${rentalId}/report`).send({ reason: 'spam' })).status).toBe(401);
+  });
+
+  test('files one report per user and refuses reports on your own content', async () => {
+    const rentalId = await createRental('Once is enough');
+    const res = await alice.post(`/api/rentals/${rentalId}/report`).send({ reason: 'misleading', details: 'Photos are of another flat' });
+    expect(res.status).toBe(201);
+    expect(res.body.report).toMatchObject({ target_type: 'rental', target_id: rentalId, reason: 'misleading', status: 'open' });
+
+    expect((await alice.post(`/api/rentals/${rentalId}/report`).send({ reason: 'spam' })).status).toBe(409);
+    expect((await owner.post(`/api/rentals/${rentalId}/report`).send({ reason: 'spam' })).status).toBe(400);
+    expect((await alice.post('/api/rentals/99999/report').send({ reason: 'spam' })).status).toBe(404);
+  });
+
+  test('content is hidden automatically once it reaches the threshold', async () => {
+    const rentalId = await createRental('Wire me the deposit');
+    await alice.post(`/api/rentals/${rentalId}/report`).send({ reason: 'scam' });
+    expect((await request(app).get(`/api/rentals/${rentalId}`)).status).toBe(200);
+
+    await bob.post(`/api/rentals/${rentalId}/report`).send({ reason: 'scam' });
+    expect((await request(app).get(`/api/rentals/${rentalId}`)).status).toBe(404);
+
+    const log = await moderator.get('/api/admin/moderation-log').query({ target_type: 'rental', target_id: rentalId });
+    expect(log.body.entries[0]).toMatchObject({ action: 'rental.auto_hide', actor_id: null });
+  });
+
+  test('comments can be reported too', async () => {
+    const rentalId = await createRental('Nice place');
+    const commentId = (await owner.post(`/api/rentals/${rentalId}/comments`).send({ text: 'buy followers here' })).body.comment.id;
+    await alice.post(`/api/comments/${commentId}/report`).send({ reason: 'spam' });
+    await bob.post(`/api/comments/${commentId}/report`).send({ reason: 'offensive' });
+    expect((await request(app).get(`/api/rentals/${rentalId}`)).body.rental.comments).toHaveLength(0);
+  });
+});
+
+describe('Reports queue', () => {
+  let rentalId;
+
+  beforeAll(async () => {
+    rentalId = await createRental('Queue target');
+    await alice.post(`/api/rentals/${rentalId}/report`).send({ reason: 'spam' });
+    await bob.post(`/api/rentals/${rentalId}/report`).send({ reason: 'scam' });
+  });
+
+  test('is only available to moderators', async () => {
+    expect((await alice.get('/api/admin/reports')).status).toBe(403);
+  });
+
+  test('groups open reports by target, most reported first', async () => {
+    const reports = await openQueue();
+    const entry = reports.find(r => r.target_type === 'rental' && r.target_id === rentalId);
+    expect(entry.report_count).toBe(2);
+    expect(entry.reasons.sort()).toEqual(['scam', 'spam']);
+    expect(entry.preview).toBe('Queue target');
+    expect(entry.hidden_at).toBeTruthy();
+    expect(reports[0].report_count).toBeGreaterThanOrEqual(reports[reports.length - 1].report_count);
+
+    const detail = await moderator.get(`/api/admin/reports/${entry.report_ids[0]}`);
+    expect(detail.body.reports.map(r => r.reporter_name)).toEqual(['alice', 'bob']);
+  });
+
+  test('dismissing closes every report on the target and undoes the automatic hide', async () => {
+    const entry = (await openQueue()).find(r => r.target_id === rentalId && r.target_type === 'rental');
+    const res = await moderator.post(`/api/admin/reports/${entry.report_ids[0]}/resolve`).send({ action: 'dismiss', note: 'Legit listing' });
+    expect(res.status).toBe(200);
+    expect(res.body.resolved).toBe(2);
+    expect((await request(app).get(`/api/rentals/${rentalId}`)).status).toBe(200);
+    expect((await openQueue()).find(r => r.target_id === rentalId && r.target_type === 'rental')).toBeUndefined();
+
+    const again = await moderator.post(`/api/admin/reports/${entry.report_ids[1]}/resolve`).send({ action: 'dismiss' });
+    expect(again.status).toBe(409);
+  });
+
+  test('dismissing keeps a moderator\'s hide, even after that moderator deleted their account', async () => {
+    const target = await createRental('Hidden by hand');
+    const reportId = (await alice.post(`/api/rentals/${target}/report`).send({ reason: 'misleading' })).body.report.id;
+    const formerModerator = await loginAgent('former-mod@example.com', 'moderator');
+    expect((await formerModerator.post(`/api/admin/rentals/${target}/hide`).send({ reason: 'Fake photos' })).status).toBe(200);
+    expect((await formerModerator.delete('/api/me').send({ currentPassword: 'password123' })).status).toBe(200);
+    expect(db.get("SELECT actor_id FROM moderation_log WHERE target_type = 'rental' AND target_id = ? AND action = 'rental.hide'", [target]).actor_id).toBeNull();
+
+    expect((await moderator.post(`/api/admin/reports/${reportId}/resolve`).send({ action: 'dismiss' })).status).toBe(200);
+    expect((await request(app).get(`/api/rentals/${target}`)).status).toBe(404);
+    expect(db.get('SELECT hidden_at FROM rentals WHERE id = ?', [target]).hidden_at).toBeTruthy();
+  });
+
+  test('resolving with delete removes the content', async () => {
+    const target = await createRental('Delete me');
+    const reportId = (await alice.post(`/api/rentals/${target}/report`).send({ reason: 'scam' })).body.report.id;
+    const res = await moderator.post(`/api/admin/reports/${reportId}/resolve`).send({ action: 'delete', note: 'Confirmed scam' });
+    expect(res.status).toBe(200);
+    expect(db.get('SELECT id FROM rentals WHERE id = ?', [target])).toBeUndefined();
+
+    const report = db.get('SELECT status, resolved_by, resolution_note FROM reports WHERE id = ?', [reportId]);
+    expect(report.status).toBe('resolved');
+    expect(report.resolved_by).toBe(db.get('SELECT id FROM users WHERE email = ?', ['mod@example.com']).id);
+    expect(report.resolution_note).toBe('Confirmed scam');
+  });
+
+  test('deleting reported content closes its open reports', async () => {
+    const target = await createRental('Owner removes it');
+    const reportId = (await bob.post(`/api/rentals/${target}/report`).send({ reason: 'other' })).body.report.id;
+    expect((await owner.delete(`/api/rentals/${target}`)).status).toBe(200);
+    expect(db.get('SELECT status FROM reports WHERE id = ?', [reportId]).status).toBe('resolved');
+  });
+});
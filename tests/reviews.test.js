@@ -0,0 +1,156 @@
+// tests/reviews.test.js
+// Integration tests for reviews after a stay: who may review, one review per renter per rental, editing,
+// owner replies, rating averages on feed / detail responses and the public owner profile.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let owner;
+let renter;
+let other;
+let ownerId;
+let rentalId;
+let secondId;
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  const res = await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  await agent.post('/api/login').send({ email, password: 'password123' });
+  agent.userId = res.body.user.id;
+  return agent;
+}
+
+// YYYY-MM-DD, n days from today (UTC)
+function day(n) {
+  return new Date(Date.now() + n * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// A stay that already happened; the API only takes requests for future dates
+function pastStay(rental, renterId, status = 'accepted') {
+  db.run('INSERT INTO bookings (rental_id, renter_id, owner_id, start_date, end_date, status) VALUES (?, ?, ?, ?, ?, ?)',
+    [rental, renterId, ownerId, day(-10), day(-3), status]);
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  owner = await loginAgent('owner@example.com', 'Owner');
+  renter = await loginAgent('renter@example.com', 'Renter');
+  other = await loginAgent('other@example.com', 'Other');
+  ownerId = owner.userId;
+  rentalId = (await owner.post('/api/rentals').field('title', 'Lake cabin')).body.rental.id;
+  secondId = (await owner.post('/api/rentals').field('title', 'City studio')).body.rental.id;
+});
+
+describe('Writing reviews', () => {
+  test('needs a finished stay', async () => {
+    const review = { rating: 4, owner_rating: 5, text: 'Lovely & quiet' };
+    expect((await renter.post(`/api/rentals/${rentalId}/reviews`).send(review)).status).toBe(403);
+
+    // a declined request or an upcoming stay doesn't count
+    pastStay(rentalId, renter.userId, 'declined');
+    await owner.post(`/api/rentals/${rentalId}/availability`).send({ start_date: day(5), end_date: day(10) });
+    const upcoming = (await renter.post(`/api/rentals/${rentalId}/bookings`).send({ start_date: day(5), end_date: day(7) })).body.booking;
+    await owner.post(`/api/bookings/${upcoming.id}/accept`);
+    expect((await renter.get(`/api/rentals/${rentalId}/reviews`)).body.canReview).toBe(false);
+    expect((await renter.post(`/api/rentals/${rentalId}/reviews`).send(review)).status).toBe(403);
+
+    pastStay(rentalId, renter.userId);
+    expect((await renter.get(`/api/rentals/${rentalId}/reviews`)).body.canReview).toBe(true);
+    const res = await renter.post(`/api/rentals/${rentalId}/reviews`).send(review);
+    expect(res.status).toBe(201);
+    expect(res.body.review).toMatchObject({ rating: 4, owner_rating: 5, text: 'Lovely &amp; quiet', renter: { name: 'Renter' }, rental: { id: rentalId, title: 'Lake cabin' }, reply: null });
+    expect(res.body.rating).toEqual({ average: 4, count: 1 });
+  });
+
+  test('one review per renter per rental, with valid stars', async () => {
+    expect((await renter.post(`/api/rentals/${rentalId}/reviews`).send({ rating: 2, owner_rating: 2 })).status).toBe(409);
+    expect((await renter.get(`/api/rentals/${rentalId}/reviews`)).body.canReview).toBe(false);
+
+    pastStay(rentalId, other.userId);
+    const bad = async (fields) => (await other.post(`/api/rentals/${rentalId}/reviews`).send(fields)).body.errors.map(e => e.field);
+    expect(await bad({ rating: 0, owner_rating: 3 })).toEqual(['rating']);
+    expect(await bad({ rating: 3, owner_rating: 4.5 })).toEqual(['owner_rating']);
+    expect(await bad({ rating: 3 })).toEqual(['owner_rating']);
+    expect(await bad({ rating: 3, owner_rating: 3, text: 'x'.repeat(2001) })).toEqual(['text']);
+
+    expect((await owner.post(`/api/rentals/${rentalId}/reviews`).send({ rating: 5, owner_rating: 5 })).status).toBe(400);
+    expect((await other.post('/api/rentals/9999/reviews').send({ rating: 5, owner_rating: 5 })).status).toBe(404);
+    expect((await other.post(`/api/rentals/${rentalId}/reviews`).send({ rating: 1, owner_rating: 2 })).status).toBe(201);
+  });
+
+  test('authors edit and delete their own reviews', async () => {
+    const [mine] = (await request(app).get(`/api/rentals/${rentalId}/reviews`)).body.reviews.filter(r => r.renter.name === 'Other');
+    expect((await renter.patch(`/api/reviews/${mine.id}`).send({ rating: 5 })).status).toBe(403);
+    expect((await other.patch(`/api/reviews/${mine.id}`).send({})).status).toBe(400);
+    const edited = await other.patch(`/api/reviews/${mine.id}`).send({ rating: 2, text: 'Better than I said' });
+    expect(edited.body.review).toMatchObject({ rating: 2, owner_rating: 2, text: 'Better than I said' });
+
+    expect((await renter.delete(`/api/reviews/${mine.id}`)).status).toBe(403);
+    expect((await other.delete(`/api/reviews/${mine.id}`)).status).toBe(200);
+    expect((await other.delete(`/api/reviews/${mine.id}`)).status).toBe(404);
+    expect((await other.get(`/api/rentals/${rentalId}/reviews`)).body.canReview).toBe(true);
+    await other.post(`/api/rentals/${rentalId}/reviews`).send({ rating: 2, owner_rating: 3 });
+  });
+});
+
+describe('Owner replies', () => {
+  test('only the owner replies, and can change or remove the reply', async () => {
+    const { reviews } = (await request(app).get(`/api/rentals/${rentalId}/reviews`)).body;
+    const review = reviews.find(r => r.renter.name === 'Renter');
+    expect((await renter.put(`/api/reviews/${review.id}/reply`).send({ text: 'Thanks!' })).status).toBe(403);
+    expect((await owner.put(`/api/reviews/${review.id}/reply`).send({ text: '' })).status).toBe(400);
+
+    const res = await owner.put(`/api/reviews/${review.id}/reply`).send({ text: 'Thanks, come back!' });
+    expect(res.body.review.reply).toEqual({ text: 'Thanks, come back!', created_at: expect.any(String) });
+    await owner.put(`/api/reviews/${review.id}/reply`).send({ text: 'Thanks!' });
+    expect((await request(app).get(`/api/rentals/${rentalId}/reviews`)).body.reviews.find(r => r.id === review.id).reply.text).toBe('Thanks!');
+
+    expect((await owner.delete(`/api/reviews/${review.id}/reply`)).body.review.reply).toBeNull();
+    await owner.put(`/api/reviews/${review.id}/reply`).send({ text: 'Thanks!' });
+  });
+});
+
+describe('Ratings', () => {
+  beforeAll(async () => {
+    pastStay(secondId, renter.userId);
+    await renter.post(`/api/rentals/${secondId}/reviews`).send({ rating: 5, owner_rating: 4 });
+  });
+
+  test('averages show up in the feed and the detail', async () => {
+    const feed = (await request(app).get('/api/feed')).body.feed;
+    expect(feed.map(r => [r.title, r.rating])).toEqual([
+      ['City studio', { average: 5, count: 1 }],
+      ['Lake cabin', { average: 3, count: 2 }]
+    ]);
+    expect((await request(app).get(`/api/rentals/${rentalId}`)).body.rental.rating).toEqual({ average: 3, count: 2 });
+
+    const fresh = (await owner.post('/api/rentals').send({ title: 'Unreviewed' })).body.rental.id;
+    expect((await request(app).get(`/api/rentals/${fresh}`)).body.rental.rating).toEqual({ average: null, count: 0 });
+    await owner.delete(`/api/rentals/${fresh}`);
+  });
+
+  test('the public profile shows listings, the owner rating and recent reviews', async () => {
+    const res = await request(app).get(`/api/users/${ownerId}`);
+    expect(res.status).toBe(200);
+    expect(res.body.user).toEqual({ id: ownerId, name: 'Owner', bio: null, avatar: null, created_at: expect.any(String), listings_count: 2, rating: { average: 4, count: 3 } });
+    expect(res.body.user.email).toBeUndefined();
+    expect(res.body.listings.map(r => r.title)).toEqual(['City studio', 'Lake cabin']);
+    expect(res.body.reviews.map(r => [r.rental.title, r.owner_rating])).toEqual([['City studio', 4], ['Lake cabin', 3], ['Lake cabin', 5]]);
+
+    expect((await request(app).get(`/api/users/${renter.userId}`)).body.user).toMatchObject({ listings_count: 0, rating: { average: null, count: 0 } });
+    expect((await request(app).get('/api/users/9999')).status).toBe(404);
+  });
+
+  test("reviews keep counting for the owner after the listing is deleted", async () => {
+    await owner.delete(`/api/rentals/${secondId}`);
+    const res = await request(app).get(`/api/users/${ownerId}`);
+    expect(res.body.user.rating).toEqual({ average: 4, count: 3 });
+    expect(res.body.reviews[0].rental).toBeNull();
+  });
+});
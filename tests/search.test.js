@@ -0,0 +1,84 @@
+// tests/search.test.js
+// Integration tests for GET /api/search (SQLite FTS5 index over rentals).
+//
+// The rentals_fts index and its sync triggers come from migration 004, applied by db.js.
+// The backfill of pre-existing rows is covered in migrations.test.js.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+
+const request = require('supertest');
+
+let app;
+let db;
+let ownerId;
+
+function insertRental(title, description, price, location) {
+  return db.run('INSERT INTO rentals (owner_id, title, description, price, location, images) VALUES (?, ?, ?, ?, ?, ?)', [ownerId, title, description, price, location, '[]']).lastInsertRowid;
+}
+
+beforeAll(() => {
+  app = require('../app');
+  db = require('../db');
+  ownerId = db.run('INSERT INTO users (email, password_hash, name) VALUES (?, ?, ?)', ['owner@example.com', 'x', 'Owner']).lastInsertRowid;
+
+  insertRental('Riverside cottage', 'Charming cottage with a garden', 900, 'Riverside');
+  insertRental('Downtown studio', 'Compact studio near the river walk', 700, 'Downtown');
+  insertRental('Garden loft', 'Loft above a cafe', 1300, 'Old Town');
+});
+
+describe('GET /api/search', () => {
+  test('returns ranked results in the feed item shape', async () => {
+    const res = await request(app).get('/api/search').query({ q: 'cottage' });
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    const item = res.body.results[0];
+    expect(item.title).toBe('Riverside cottage');
+    expect(item.owner).toEqual({ id: ownerId, name: 'Owner' });
+    expect(Array.isArray(item.images)).toBe(true);
+    expect(item.likes).toBe(0);
+  });
+
+  test('title matches rank above description-only matches', async () => {
+    const res = await request(app).get('/api/search').query({ q: 'garden' });
+    expect(res.body.results.map(r => r.title)).toEqual(['Garden loft', 'Riverside cottage']);
+  });
+
+  test('last word matches as a prefix and highlights are segmented', async () => {
+    const res = await request(app).get('/api/search').query({ q: 'stud' });
+    expect(res.body.results.map(r => r.title)).toEqual(['Downtown studio']);
+    expect(res.body.results[0].highlight.title).toEqual([
+      { text: 'Downtown ', match: false },
+      { text: 'studio', match: true }
+    ]);
+  });
+
+  test('feed filters apply on top of the text match', async () => {
+    const res = await request(app).get('/api/search').query({ q: 'river', maxPrice: 800 });
+    expect(res.body.results.map(r => r.title)).toEqual(['Downtown studio']);
+  });
+
+  test('index follows updates and deletes', async () => {
+    const id = insertRental('Temporary listing', 'Will be renamed', 500, 'Uptown');
+    db.run('UPDATE rentals SET title = ? WHERE id = ?', ['Penthouse suite', id]);
+    let res = await request(app).get('/api/search').query({ q: 'temporary' });
+    expect(res.body.total).toBe(0);
+    res = await request(app).get('/api/search').query({ q: 'penthouse' });
+    expect(res.body.total).toBe(1);
+
+    db.run('DELETE FROM rentals WHERE id = ?', [id]);
+    res = await request(app).get('/api/search').query({ q: 'penthouse' });
+    expect(res.body.total).toBe(0);
+  });
+
+  test('FTS operators in user input are treated as plain words', async () => {
+    const res = await request(app).get('/api/search').query({ q: 'cottage" OR "loft' });
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(0);
+  });
+
+  test('a query without words is rejected', async () => {
+    const res = await request(app).get('/api/search').query({ q: '***' });
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,10 @@
+// tests/setup-env.js
+// Environment shared by every test file (jest setupFiles, see package.json). It runs before the file
+// itself, so a test file can still set its own values (DB_FILE, MAIL_OUTBOX_DIR, ...) on top.
+
+const os = require('os');
+const path = require('path');
+
+// Email verification stays required, as in production: suites that post mark their users verified when
+// they sign them up. Registering emails a verification link: keep those out of ./data/outbox
+process.env.MAIL_OUTBOX_DIR = path.join(os.tmpdir(), 'rents-test-outbox');
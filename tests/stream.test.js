@@ -0,0 +1,198 @@
+// tests/stream.test.js
+// Integration tests for the live updates stream: Server-Sent Events for new rentals, like counts and
+// comments, private message events, Last-Event-ID replay and cleanup when a client disconnects.
+
+process.env.DB_FILE = ':memory:';
+process.env.JWT_SECRET = 'test-secret';
+process.env.STREAM_HEARTBEAT_SECONDS = '0.05';
+
+const http = require('http');
+const request = require('supertest');
+
+let app;
+let db;
+let events;
+let server;
+let owner;
+let renter;
+let ownerCookie;
+let strangerCookie;
+const streams = [];
+
+async function loginAgent(email, name) {
+  const agent = request.agent(app);
+  await agent.post('/api/register').send({ email, password: 'password123', name });
+  db.run('UPDATE users SET email_verified_at = CURRENT_TIMESTAMP WHERE email = ?', [email]);
+  const res = await agent.post('/api/login').send({ email, password: 'password123' });
+  agent.cookie = res.headers['set-cookie'].map(c => c.split(';')[0]).join('; ');
+  return agent;
+}
+
+// Open /api/stream and collect parsed events; resolves once the response headers arrive
+function openStream(headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port: server.address().port, path: '/api/stream', headers }, res => {
+      const stream = { res, events: [], raw: '', waiters: [] };
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        stream.raw += chunk;
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = {};
+          block.split('\n').forEach(line => {
+            const [field, ...rest] = line.split(': ');
+            if (field === 'id' || field === 'event' || field === 'data') event[field] = rest.join(': ');
+          });
+          if (!event.event) continue;
+          event.id = Number(event.id);
+          event.data = JSON.parse(event.data);
+          stream.events.push(event);
+          stream.waiters = stream.waiters.filter(w => !w(event));
+        }
+      });
+      // resolves with the first event of this type, including ones already received
+      stream.next = (type) => new Promise((done, fail) => {
+        const found = stream.events.find(e => e.event === type);
+        if (found) return done(found);
+        const timer = setTimeout(() => fail(new Error(`no ${type} event`)), 2000);
+        stream.waiters.push(event => {
+          if (event.event !== type) return false;
+          clearTimeout(timer);
+          done(event);
+          return true;
+        });
+      });
+      stream.close = () => req.destroy();
+      streams.push(stream);
+      resolve(stream);
+    });
+    req.on('error', reject);
+  });
+}
+
+beforeAll(async () => {
+  app = require('../app');
+  db = require('../db');
+  events = require('../events');
+  server = app.listen(0);
+  owner = await loginAgent('owner@example.com', 'Owner');
+  renter = await loginAgent('renter@example.com', 'Renter');
+  ownerCookie = owner.cookie;
+  strangerCookie = (await loginAgent('stranger@example.com', 'Stranger')).cookie;
+});
+
+afterEach(() => {
+  streams.splice(0).forEach(s => s.close());
+});
+
+afterAll(done => {
+  server.close(done);
+});
+
+describe('GET /api/stream', () => {
+  let rentalId;
+
+  test('is an event stream anyone can open', async () => {
+    const stream = await openStream();
+    expect(stream.res.statusCode).toBe(200);
+    expect(stream.res.headers['content-type']).toMatch(/^text\/event-stream/);
+  });
+
+  test('new rentals arrive as feed cards', async () => {
+    const stream = await openStream();
+    rentalId = (await owner.post('/api/rentals').field('title', 'Live loft').field('price', '900')).body.rental.id;
+    const { data } = await stream.next('rental.created');
+    expect(data).toMatchObject({ id: rentalId, title: 'Live loft', price: 900, owner: { name: 'Owner' }, likes: 0, comments_count: 0, comments: [] });
+  });
+
+  test('like counts are pushed only when they change', async () => {
+    const stream = await openStream();
+    await renter.put(`/api/rentals/${rentalId}/like`);
+    await renter.put(`/api/rentals/${rentalId}/like`);
+    await owner.put(`/api/rentals/${rentalId}/like`);
+    await stream.next('rental.likes');
+    await new Promise(r => setTimeout(r, 50));
+    expect(stream.events.filter(e => e.event === 'rental.likes').map(e => e.data)).toEqual([
+      { rental_id: rentalId, likes: 1 },
+      { rental_id: rentalId, likes: 2 }
+    ]);
+  });
+
+  test('comments and replies arrive with the new comment count', async () => {
+    const stream = await openStream();
+    const top = (await renter.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Lovely light' })).body.comment;
+    const first = await stream.next('comment.created');
+    expect(first.data).toMatchObject({ rental_id: rentalId, comments_count: 1, comment: { id: top.id, text: 'Lovely light', user_name: 'Renter', parent_id: null } });
+
+    await owner.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Thanks!', parent_id: top.id });
+    await new Promise(r => setTimeout(r, 50));
+    const reply = stream.events.filter(e => e.event === 'comment.created')[1];
+    expect(reply.data).toMatchObject({ comments_count: 2, comment: { parent_id: top.id, text: 'Thanks!' } });
+  });
+
+  test('messages only reach the two participants', async () => {
+    const ownerStream = await openStream({ Cookie: ownerCookie });
+    const strangerStream = await openStream({ Cookie: strangerCookie });
+    const anonymous = await openStream();
+    const res = await renter.post(`/api/rentals/${rentalId}/inquiries`).send({ text: 'Is parking included?' });
+
+    const { data } = await ownerStream.next('message.created');
+    expect(data).toMatchObject({ conversation_id: res.body.conversation.id, message: { text: 'Is parking included?' } });
+
+    // a public event published afterwards proves the others were not just slow
+    await renter.delete(`/api/rentals/${rentalId}/like`);
+    await strangerStream.next('rental.likes');
+    await anonymous.next('rental.likes');
+    expect(strangerStream.events.map(e => e.event)).toEqual(['rental.likes']);
+    expect(anonymous.events.map(e => e.event)).toEqual(['rental.likes']);
+  });
+
+  test('a reconnecting client gets the events it missed, or a resync', async () => {
+    const first = await openStream();
+    await owner.post(`/api/rentals/${rentalId}/comments`).send({ text: 'One' });
+    const seen = await first.next('comment.created');
+    first.close();
+    await owner.post(`/api/rentals/${rentalId}/comments`).send({ text: 'Two' });
+
+    const again = await openStream({ 'Last-Event-ID': String(seen.id) });
+    const missed = await again.next('comment.created');
+    expect(missed.data.comment.text).toBe('Two');
+    expect(missed.id).toBeGreaterThan(seen.id);
+
+    const tooOld = await openStream({ 'Last-Event-ID': '999999' });
+    await tooOld.next('resync');
+  });
+
+  test('sends heartbeats and unsubscribes when the client goes away', async () => {
+    await new Promise(r => setTimeout(r, 20));
+    const before = events.subscriberCount();
+    const stream = await openStream();
+    expect(events.subscriberCount()).toBe(before + 1);
+    await new Promise(r => setTimeout(r, 120));
+    expect(stream.raw).toContain(': ping');
+
+    stream.close();
+    for (let i = 0; i < 20 && events.subscriberCount() > before; i++) await new Promise(r => setTimeout(r, 10));
+    expect(events.subscriberCount()).toBe(before);
+  });
+});
+
+describe('event bus', () => {
+  test('replays from its buffer until events fall out of it', () => {
+    const bus = events.createBus({ bufferSize: 2 });
+    const seen = [];
+    const stop = bus.subscribe(e => seen.push(e.type));
+    const a = bus.publish('a', {});
+    bus.publish('b', {});
+    stop();
+    bus.publish('c', {});
+    expect(seen).toEqual(['a', 'b']);
+    expect(bus.since(a.id).map(e => e.type)).toEqual(['b', 'c']);
+    expect(bus.since(0)).toBeNull();
+    expect(bus.since(3)).toEqual([]);
+  });
+});